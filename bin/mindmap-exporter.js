@@ -0,0 +1,14 @@
+#!/usr/bin/env node
+// bin/mindmap-exporter.js - Command-line entry point, see src/cli/cli.js
+
+import { runCli } from '../src/cli/cli.js';
+
+runCli(process.argv.slice(2)).then(
+  (exitCode) => {
+    process.exitCode = exitCode;
+  },
+  (error) => {
+    console.error(error);
+    process.exitCode = 1;
+  }
+);
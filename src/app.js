@@ -6,6 +6,14 @@ import MindmapStylePresets from './style/style-presets.js';
 //import StylePresetsAdapter from './style/style-presets-adapter.js';
 import MindmapRenderer from './renderer/mindmap-renderer.js';
 import MindmapController from './controller/mindmap-controller.js';
+import MindmapDocument from './model/mindmap-document.js';
+import FreeMindFormat from './model/freemind-format.js';
+import XMindFormat from './model/xmind-format.js';
+import OpmlFormat from './model/opml-format.js';
+import MermaidFormat from './model/mermaid-format.js';
+import FrontMatter from './model/front-matter.js';
+import LayoutConfigurations from './style/layout-configurations.js';
+import LayoutFactory from './layout/layout-factory.js';
 import YamlParser from './utils/yaml-parser.js';
 import YamlEditor from './utils/yaml-editor.js';
 import NavigationTester from './utils/navigation-tester.js';
@@ -26,6 +34,10 @@ class MindmapApp {
    * @param {string} options.exportFormatId - The ID of the export format select element
    * @param {string} options.generateBtnId - The ID of the generate button
    * @param {string} options.exportBtnId - The ID of the export button
+   * @param {string} options.saveDocumentBtnId - The ID of the save .mindmap document button
+   * @param {string} options.openDocumentBtnId - The ID of the open .mindmap document button
+   * @param {string} options.documentFileInputId - The ID of the hidden file input used to open documents
+   * @param {string} options.sheetSelectId - The ID of the select listing the sheets of an imported XMind workbook
    * @param {string} options.loadingIndicator - The ID of the loading indicator
    */
   constructor(options = {}) {
@@ -37,6 +49,10 @@ class MindmapApp {
       exportFormatId: 'export-format',
       generateBtnId: 'generate-btn',
       exportBtnId: 'export-btn',
+      saveDocumentBtnId: 'save-document-btn',
+      openDocumentBtnId: 'open-document-btn',
+      documentFileInputId: 'document-file-input',
+      sheetSelectId: 'sheet-select',
       loadingIndicator: "loading-indicator",
       ...options
     };
@@ -49,10 +65,18 @@ class MindmapApp {
     // Controller will be initialized when DOM is ready
     this.controller = null;
 
+    // YAML customizations currently in effect (editor text), stored in .mindmap documents
+    this.appliedYaml = { style: null, layout: null };
+
+    // Sheets of an imported XMind workbook
+    this.importedSheets = null;
+
     // Bind methods
     this.initialize = this.initialize.bind(this);
     this.handleGenerate = this.handleGenerate.bind(this);
     this.handleExport = this.handleExport.bind(this);
+    this.handleSaveDocument = this.handleSaveDocument.bind(this);
+    this.handleSheetChange = this.handleSheetChange.bind(this);
     console.log('app', this);
   }
 
@@ -68,6 +92,10 @@ class MindmapApp {
     this.exportFormat = document.getElementById(this.options.exportFormatId);
     this.generateBtn = document.getElementById(this.options.generateBtnId);
     this.exportBtn = document.getElementById(this.options.exportBtnId);
+    this.saveDocumentBtn = document.getElementById(this.options.saveDocumentBtnId);
+    this.openDocumentBtn = document.getElementById(this.options.openDocumentBtnId);
+    this.documentFileInput = document.getElementById(this.options.documentFileInputId);
+    this.sheetSelect = document.getElementById(this.options.sheetSelectId);
     this.loadingIndicator = document.getElementById(this.options.loadingIndicator);
     this.boundingBoxCheckbox = document.getElementById('enable-bounding-box');
     this.debugRectCheckbox = document.getElementById('enable-debug-rect');
@@ -169,10 +197,29 @@ class MindmapApp {
       this.exportBtn.addEventListener('click', this.handleExport);
     }
 
+    if (this.saveDocumentBtn) {
+      this.saveDocumentBtn.addEventListener('click', this.handleSaveDocument);
+    }
+
+    if (this.openDocumentBtn && this.documentFileInput) {
+      this.openDocumentBtn.addEventListener('click', () => this.documentFileInput.click());
+      this.documentFileInput.addEventListener('change', () => {
+        const file = this.documentFileInput.files[0];
+        // Reset so that selecting the same file again triggers another change event
+        this.documentFileInput.value = '';
+        this.handleOpenDocument(file);
+      });
+    }
+
+    if (this.sheetSelect) {
+      this.sheetSelect.addEventListener('change', this.handleSheetChange);
+    }
+
     // TODO switched off temporarily
     if (this.layoutType) {
       this.layoutType.addEventListener('change', () => {
 //              this.controller.handleStyleChange(this.stylePreset.value);
+        this.syncFrontMatterSettings();
         this.controller.handleLayoutChange(this.layoutType.value);
         this.updateLayoutSpecificSettings(this.layoutType.value);
         this.handleGenerate();
@@ -181,6 +228,7 @@ class MindmapApp {
 
     if (this.stylePreset) {
       this.stylePreset.addEventListener('change', () => {
+        this.syncFrontMatterSettings();
         this.controller.handleStyleChange(this.stylePreset.value);
       });
     }
@@ -273,6 +321,7 @@ class MindmapApp {
     this.styleYamlEditorComponent = new YamlEditor('style-yaml-editor', 'style', (parsedYaml) => {
       // Apply the parsed YAML to StyleManager
       this.styleManager.configure(parsedYaml);
+      this.appliedYaml.style = this.styleYamlEditorComponent.getValue();
       // Reapply layout and re-render
       this.reapplyAndRender();
     });
@@ -282,6 +331,7 @@ class MindmapApp {
     this.layoutYamlEditorComponent = new YamlEditor('layout-yaml-editor', 'layout', (parsedYaml) => {
       // Apply the parsed YAML to StyleManager
       this.styleManager.configure(parsedYaml);
+      this.appliedYaml.layout = this.layoutYamlEditorComponent.getValue();
       // Reapply layout and re-render
       this.reapplyAndRender();
     });
@@ -304,7 +354,7 @@ class MindmapApp {
     root.clearOverridesRecursive();
     
     // Apply layout to the model
-    const layout = this.styleManager.getLevelStyle(1).getLayout();
+    const layout = LayoutFactory.createRootLayout(root, this.styleManager);
     layout.applyLayout(root, 0, 0, this.styleManager);
     
     // Re-render the mindmap
@@ -409,11 +459,22 @@ class MindmapApp {
         return;
     }
 
+    // Settings in the document's front matter take precedence over the dropdowns
+    const frontMatterSettings = this.model.getFrontMatterSettings();
+    if (frontMatterSettings) {
+      this.selectSettings(frontMatterSettings);
+    }
+
     this.loadingIndicator.textContent = 'Generating mindmap...';
     this.loadingIndicator.style.display = 'block';
 
     // Reset the style manager to get a clean slate
     var style = window.styleManager.reset();
+
+    // Re-parsing starts a new map: YAML customizations and navigation overrides of an opened document no longer apply
+    this.appliedYaml = { style: null, layout: null };
+    this.controller.setNavigationOverrideData(null);
+    this.setImportedSheets(null);
     
     // Apply the selected style preset
     const presetName = this.stylePreset.value;
@@ -490,6 +551,9 @@ class MindmapApp {
              layoutType: 'horizontal'
         }
       });
+    } else if (['radial', 'fishbone', 'timeline', 'grid'].includes(layoutType)) {
+      console.log(`applying ${layoutType} layout...`);
+      LayoutConfigurations.apply(layoutType, style, this.model.getRoot());
     } else if (layoutType === 'vertical-over-taproot') {
       console.log('applying vertical over taproot...');
       style.configure({
@@ -622,7 +686,7 @@ class MindmapApp {
       style.setGlobalLayoutType(layoutType);
     }
 //    console.log(style.getLevelStyle(1));
-    const layout = style.getLevelStyle(1).getLayout();
+    const layout = LayoutFactory.createRootLayout(this.model.getRoot(), style);
 
     // Always clear overrides before setting new ones to avoid inconsistent behavior
     this.model.getRoot().clearOverridesRecursive();
@@ -670,6 +734,12 @@ class MindmapApp {
       this.controller.handleLayoutChange(this.layoutType.value);
     }
 
+    // The front matter style is applied on top of the preset, like a YAML customization
+    if (frontMatterSettings) {
+      this.model.getRoot().clearOverridesRecursive();
+      this.applyDocumentStyles({ ...this.getDocumentSettings(), styleYaml: frontMatterSettings.styleYaml }, this.model.getRoot());
+    }
+
     // Render the mindmap
     this.controller.initialize();
     this.loadingIndicator.style.display = 'none';
@@ -685,6 +755,191 @@ class MindmapApp {
     }
   }
 
+  /**
+   * Get the presentation settings stored in .mindmap documents
+   * @return {Object} The selected preset, layout and YAML customizations in effect
+   */
+  getDocumentSettings() {
+    return {
+      preset: this.stylePreset ? this.stylePreset.value : null,
+      layout: this.layoutType ? this.layoutType.value : null,
+      styleYaml: this.appliedYaml.style,
+      layoutYaml: this.appliedYaml.layout
+    };
+  }
+
+  /**
+   * Handle save document button click
+   * Saves the current map as a .mindmap document
+   */
+  handleSaveDocument() {
+    const [rootNode] = this.model.getRoots();
+    if (!rootNode) {
+      console.warn('No mindmap to save. Generate one first.');
+      return;
+    }
+
+    const fileName = rootNode.text ?
+      rootNode.text.replace(/[^\w\s]/g, '').replace(/\s+/g, '_').toLowerCase() :
+      'mindmap';
+
+    this.controller.exportToMindmapDocument(fileName + MindmapDocument.FILE_EXTENSION, this.getDocumentSettings());
+  }
+
+  /**
+   * Open a .mindmap document and render it exactly as it was saved,
+   * or import a Mermaid mindmap, an OPML outline, a FreeMind / Freeplane .mm map or an XMind workbook with the current settings
+   * @param {File} file - The selected file
+   */
+  async handleOpenDocument(file) {
+    if (!file) return;
+
+    try {
+      const fileName = file.name.toLowerCase();
+      this.setImportedSheets(null);
+
+      if (fileName.endsWith(XMindFormat.FILE_EXTENSION)) {
+        const sheets = await XMindFormat.parse(await file.arrayBuffer());
+        this.setImportedSheets(sheets);
+        this.showImportedMap(this.model.setRoot(sheets[0].root));
+      } else if (fileName.endsWith(MermaidFormat.FILE_EXTENSION)) {
+        this.showImportedMap(this.model.parseFromMermaid(await file.text()));
+      } else if (fileName.endsWith(OpmlFormat.FILE_EXTENSION)) {
+        this.showImportedMap(this.model.parseFromOPML(await file.text()));
+      } else if (fileName.endsWith(FreeMindFormat.FILE_EXTENSION)) {
+        this.showImportedMap(this.model.parseFromFreeMind(await file.text()));
+      } else {
+        const mindmapDocument = MindmapDocument.parse(await file.text());
+        this.model.fromJSON(mindmapDocument);
+        this.showOpenedMap(mindmapDocument.settings, mindmapDocument.navigationOverrides);
+      }
+
+      this.showStatusMessage(`Opened ${file.name}`, 'success');
+    } catch (error) {
+      console.error('Failed to open mindmap document:', error);
+      this.showStatusMessage(`Could not open ${file.name}: ${error.message}`, 'error');
+    }
+  }
+
+  /**
+   * Remember the sheets of an imported XMind workbook and offer them in the sheet selector
+   * @param {Array<{title: string, root: MindmapNode}>|null} sheets - The sheets, or null to hide the selector
+   */
+  setImportedSheets(sheets) {
+    this.importedSheets = sheets;
+    if (!this.sheetSelect) return;
+
+    this.sheetSelect.innerHTML = '';
+    (sheets || []).forEach((sheet, index) => {
+      const option = document.createElement('option');
+      option.value = String(index);
+      option.textContent = sheet.title;
+      this.sheetSelect.appendChild(option);
+    });
+    // Only worth showing when there is a choice
+    this.sheetSelect.hidden = !sheets || sheets.length < 2;
+  }
+
+  /**
+   * Handle sheet selector change: show another sheet of the imported workbook
+   */
+  handleSheetChange() {
+    const sheet = this.importedSheets && this.importedSheets[Number(this.sheetSelect.value)];
+    if (sheet) {
+      this.showImportedMap(this.model.setRoot(sheet.root));
+    }
+  }
+
+  /**
+   * Show an imported map (Mermaid, OPML, FreeMind, XMind) with the current settings, including the layout's root overrides
+   * @param {MindmapNode} rootNode - The imported root node
+   */
+  showImportedMap(rootNode) {
+    this.showOpenedMap(this.getDocumentSettings(), null, rootNode);
+  }
+
+  /**
+   * Render an opened or imported map without re-parsing the markdown, which would drop node overrides
+   * @param {Object} settings - Document settings (preset, layout, styleYaml, layoutYaml)
+   * @param {Object|null} navigationOverrides - Stored navigation overrides, if any
+   * @param {MindmapNode} layoutRoot - Root node receiving the layout's overrides, or null to keep stored overrides
+   */
+  showOpenedMap(settings, navigationOverrides = null, layoutRoot = null) {
+    this.selectSettings(settings);
+
+    // Keep the editor in sync so that further edits start from the opened map
+    this.markdownInput.value = this.model.toMarkdown();
+
+    this.applyDocumentStyles(settings, layoutRoot);
+    this.controller.setNavigationOverrideData(navigationOverrides);
+    this.controller.initialize();
+
+    if (this.dragDropCheckbox && this.controller.dragDropManager) {
+      this.controller.dragDropManager.setEnabled(this.dragDropCheckbox.checked);
+    }
+    if (this.exportBtn) {
+      this.exportBtn.disabled = false;
+    }
+  }
+
+  /**
+   * Show the preset and layout of document or front matter settings in the dropdowns
+   * @param {Object} settings - Document settings (preset, layout, ...); missing values keep the current selection
+   */
+  selectSettings(settings) {
+    if (this.stylePreset && settings.preset) {
+      this.stylePreset.value = settings.preset;
+    }
+    if (this.layoutType && settings.layout) {
+      this.layoutType.value = settings.layout;
+      this.updateLayoutSpecificSettings(settings.layout);
+    }
+  }
+
+  /**
+   * Write the dropdown selection into the editor's front matter when it carries mindmap settings,
+   * so that the next Generate keeps the selection instead of restoring the front matter values
+   */
+  syncFrontMatterSettings() {
+    if (!this.markdownInput) return;
+
+    const { frontMatter, content } = FrontMatter.split(this.markdownInput.value);
+    if (!FrontMatter.getSettings(frontMatter)) return;
+
+    this.markdownInput.value = FrontMatter.setSettings(frontMatter, this.getDocumentSettings()) + '\n' + content;
+  }
+
+  /**
+   * Rebuild the styles of an opened document: preset, layout and YAML customizations
+   * Node-level overrides of .mindmap documents come from the document itself, so by default the layout is applied without touching the root node.
+   * @param {Object} settings - Document settings (preset, layout, styleYaml, layoutYaml)
+   * @param {MindmapNode} rootNode - Root node receiving the layout's overrides, or null to keep stored overrides
+   */
+  applyDocumentStyles(settings, rootNode = null) {
+    this.styleManager.reset();
+    MindmapStylePresets.applyPreset(settings.preset || 'default', this.styleManager);
+
+    if (this.boundingBoxCheckbox) {
+      this.applyBoundingBoxToAllLevels(this.boundingBoxCheckbox.checked);
+    }
+
+    LayoutConfigurations.apply(settings.layout || 'taproot', this.styleManager, rootNode);
+
+    this.appliedYaml = { style: null, layout: null };
+    const yamlSources = [
+      ['style', settings.styleYaml, this.styleYamlEditorComponent],
+      ['layout', settings.layoutYaml, this.layoutYamlEditorComponent]
+    ];
+    for (const [type, yaml, editor] of yamlSources) {
+      if (!yaml) continue;
+      this.styleManager.configure(YamlParser.parse(yaml));
+      this.appliedYaml[type] = yaml;
+      if (editor) {
+        editor.setValue(yaml);
+      }
+    }
+  }
+
   /**
    * Handle export navigation data button click
    */
@@ -794,20 +1049,32 @@ Check console for detailed results and CSV download.`;
 
     const format = this.exportFormat.value;
 
-    // For markdown export, we don't need SVG content, just the model
-    if (format === 'markdown') {
+    // For markdown, Mermaid, OPML, FreeMind and XMind export, we don't need SVG content, just the model
+    if (['markdown', 'mermaid', 'opml', 'freemind', 'xmind'].includes(format)) {
       if (!this.model.getRoot()) {
         console.warn('No mindmap model to export. Generate one first.');
         return;
       }
       
       // Extract filename from root node text
-      const rootNode = this.model.getRoot();
+      const [rootNode] = this.model.getRoots();
       const fileName = rootNode && rootNode.text ?
         rootNode.text.replace(/[^\w\s]/g, '').replace(/\s+/g, '_').toLowerCase() :
         'mindmap';
 
-      this.controller.exportToMarkdown(fileName + '.md');
+      if (format === 'mermaid') {
+        this.controller.exportToMermaid(fileName + MermaidFormat.FILE_EXTENSION);
+      } else if (format === 'opml') {
+        this.controller.exportToOPML(fileName + OpmlFormat.FILE_EXTENSION);
+      } else if (format === 'freemind') {
+        this.controller.exportToFreeMind(fileName + FreeMindFormat.FILE_EXTENSION);
+      } else if (format === 'xmind') {
+        this.controller.exportToXMind(fileName + XMindFormat.FILE_EXTENSION);
+      } else {
+        // Exported notes render the same way for everyone: the current settings go into the front matter
+        this.model.setFrontMatterSettings(this.getDocumentSettings());
+        this.controller.exportToMarkdown(fileName + '.md');
+      }
       return;
     }
 
@@ -989,6 +1256,11 @@ Check console for detailed results and CSV download.`;
     }
 
     try {
+      // Keep mindmap settings in the front matter up to date, without adding them to documents that have none
+      if (this.model.getFrontMatterSettings()) {
+        this.model.setFrontMatterSettings(this.getDocumentSettings());
+      }
+
       // Convert current mindmap structure back to markdown
       const updatedMarkdown = this.model.toMarkdown();
       const currentMarkdown = this.markdownInput.value.trim();
@@ -1061,7 +1333,7 @@ Check console for detailed results and CSV download.`;
     });
     
     // Get the layout from the updated style
-    const layout = this.styleManager.getLevelStyle(1).getLayout();
+    const layout = LayoutFactory.createRootLayout(this.model.getRoot(), this.styleManager);
     
     // Apply the layout to the root node
     layout.applyLayout(this.model.getRoot(), 0, 0, this.styleManager);
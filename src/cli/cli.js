@@ -0,0 +1,325 @@
+// src/cli/cli.js - Command-line exporter for markdown mindmaps
+
+import fs from 'node:fs';
+import path from 'node:path';
+import { parseArgs } from 'node:util';
+import { renderModelToSvg } from '../headless.js';
+import MindmapModel from '../model/mindmap-model.js';
+import FreeMindFormat from '../model/freemind-format.js';
+import XMindFormat from '../model/xmind-format.js';
+import OpmlFormat from '../model/opml-format.js';
+import MermaidFormat from '../model/mermaid-format.js';
+import MindmapStylePresets from '../style/style-presets.js';
+import LayoutConfigurations from '../style/layout-configurations.js';
+import { expandGlobs } from './file-glob.js';
+
+const FORMATS = {
+  svg: '.svg',
+  png: '.png',
+  markdown: '.md',
+  mermaid: MermaidFormat.FILE_EXTENSION,
+  opml: OpmlFormat.FILE_EXTENSION,
+  freemind: FreeMindFormat.FILE_EXTENSION,
+  xmind: XMindFormat.FILE_EXTENSION
+};
+
+const USAGE = `Usage: mindmap-exporter [options] <file.md | file.mmd | file.opml | file.mm | file.xmind | glob>...
+
+Exports markdown (or Mermaid .mmd, OPML, FreeMind .mm, XMind .xmind) mindmaps
+to SVG, PNG, normalized Markdown, Mermaid, OPML, FreeMind or XMind.
+
+Options:
+  -l, --layout <name>      Layout (${LayoutConfigurations.getLayoutNames().join(', ')}) [front matter, taproot]
+  -p, --preset <name>      Style preset (${Object.keys(MindmapStylePresets.getPresets()).join(', ')}) [front matter, default]
+  -s, --style-yaml <file>  Custom style YAML applied on top of the preset
+  -f, --format <format>    Output format (${Object.keys(FORMATS).join(', ')}) [svg]
+  -o, --out <path>         Output file (single input) or directory [next to each input]
+  -e, --expand-all         Expand nodes that are collapsed by default
+      --sheet <n|title>    Sheet of .xmind inputs (number or title) [1]
+  -w, --watch              Re-export whenever an input file changes
+  -v, --verbose            Show debug logging
+  -h, --help               Show this help
+`;
+
+/**
+ * Parse command-line arguments
+ * @param {Array<string>} argv - Arguments without the node executable and script path
+ * @return {Object} Parsed options with an `inputs` array
+ * @throws {Error} If an option is unknown or has an invalid value
+ */
+function parseCliArgs(argv) {
+  const { values, positionals } = parseArgs({
+    args: argv,
+    allowPositionals: true,
+    options: {
+      layout: { type: 'string', short: 'l' },
+      preset: { type: 'string', short: 'p' },
+      'style-yaml': { type: 'string', short: 's' },
+      format: { type: 'string', short: 'f', default: 'svg' },
+      out: { type: 'string', short: 'o' },
+      'expand-all': { type: 'boolean', short: 'e', default: false },
+      sheet: { type: 'string' },
+      watch: { type: 'boolean', short: 'w', default: false },
+      verbose: { type: 'boolean', short: 'v', default: false },
+      help: { type: 'boolean', short: 'h', default: false }
+    }
+  });
+
+  if (!FORMATS[values.format]) {
+    throw new Error(`Unknown format "${values.format}". Available: ${Object.keys(FORMATS).join(', ')}`);
+  }
+  if (values.layout && !LayoutConfigurations.getLayoutNames().includes(values.layout)) {
+    throw new Error(`Unknown layout "${values.layout}". Available: ${LayoutConfigurations.getLayoutNames().join(', ')}`);
+  }
+  if (values.preset && !MindmapStylePresets.getPresets()[values.preset]) {
+    throw new Error(`Unknown style preset "${values.preset}". Available: ${Object.keys(MindmapStylePresets.getPresets()).join(', ')}`);
+  }
+
+  return {
+    inputs: positionals,
+    // Unset layout and preset fall back to the markdown front matter, then to the defaults
+    layout: values.layout || undefined,
+    preset: values.preset || undefined,
+    styleYaml: values['style-yaml'] || null,
+    format: values.format,
+    out: values.out || null,
+    expandAll: values['expand-all'],
+    sheet: values.sheet || null,
+    watch: values.watch,
+    verbose: values.verbose,
+    help: values.help
+  };
+}
+
+/**
+ * Work out where the export of an input file is written
+ * `--out` is treated as a file when there is a single input and it has the output
+ * extension, otherwise as a directory.
+ * @param {string} inputFile - The markdown input path
+ * @param {Object} options - Parsed CLI options
+ * @param {number} inputCount - Number of input files
+ * @return {string} The output path
+ */
+function resolveOutputPath(inputFile, options, inputCount) {
+  const extension = FORMATS[options.format];
+  const fileName = path.basename(inputFile, path.extname(inputFile)) + extension;
+
+  if (!options.out) {
+    return path.join(path.dirname(inputFile), fileName);
+  }
+  if (inputCount === 1 && path.extname(options.out).toLowerCase() === extension) {
+    return options.out;
+  }
+  return path.join(options.out, fileName);
+}
+
+/**
+ * Find the index of an XMind sheet by 1-based number or title
+ * @param {Array<{title: string}>} sheets - The sheets of the workbook
+ * @param {string|null} sheet - The --sheet option
+ * @return {number} The sheet index
+ * @throws {Error} If no sheet matches
+ */
+function findSheetIndex(sheets, sheet) {
+  if (!sheet) return 0;
+
+  const index = /^\d+$/.test(sheet)
+    ? Number(sheet) - 1
+    : sheets.findIndex(candidate => candidate.title === sheet);
+  if (!sheets[index]) {
+    throw new Error(`No sheet "${sheet}". Available: ${sheets.map(candidate => candidate.title).join(', ')}`);
+  }
+  return index;
+}
+
+/**
+ * Load an input file into a model, choosing the importer by file extension
+ * @param {string} inputFile - The input path (.mmd for Mermaid, .opml, .mm for FreeMind, .xmind for XMind, markdown otherwise)
+ * @param {Object} options - Parsed CLI options
+ * @return {Promise<MindmapModel>} The loaded model
+ */
+async function loadModel(inputFile, options) {
+  const extension = path.extname(inputFile).toLowerCase();
+  const model = new MindmapModel();
+
+  if (extension === XMindFormat.FILE_EXTENSION) {
+    const sheets = await XMindFormat.parse(fs.readFileSync(inputFile));
+    model.setRoot(sheets[findSheetIndex(sheets, options.sheet)].root);
+  } else if (extension === MermaidFormat.FILE_EXTENSION) {
+    model.parseFromMermaid(fs.readFileSync(inputFile, 'utf8'));
+  } else if (extension === OpmlFormat.FILE_EXTENSION) {
+    model.parseFromOPML(fs.readFileSync(inputFile, 'utf8'));
+  } else if (extension === FreeMindFormat.FILE_EXTENSION) {
+    model.parseFromFreeMind(fs.readFileSync(inputFile, 'utf8'));
+  } else {
+    await model.parseFromMarkdown(fs.readFileSync(inputFile, 'utf8'));
+    if (!model.getRoot()) {
+      throw new Error('No mindmap content found in markdown');
+    }
+  }
+  return model;
+}
+
+/**
+ * Export a single input file
+ * @param {string} inputFile - The markdown, .mmd, .opml, .mm or .xmind input path
+ * @param {Object} options - Parsed CLI options
+ * @param {number} inputCount - Number of input files
+ * @return {Promise<string>} The written output path
+ */
+async function exportFile(inputFile, options, inputCount) {
+  const outputPath = resolveOutputPath(inputFile, options, inputCount);
+  if (path.resolve(outputPath) === path.resolve(inputFile)) {
+    throw new Error(`Refusing to overwrite input file ${inputFile}; use --out`);
+  }
+
+  const model = await loadModel(inputFile, options);
+  let content;
+  if (options.format === 'markdown') {
+    content = model.toMarkdown();
+  } else if (options.format === 'mermaid') {
+    content = model.toMermaid();
+  } else if (options.format === 'opml') {
+    content = model.toOPML();
+  } else if (options.format === 'freemind') {
+    content = model.toFreeMind();
+  } else if (options.format === 'xmind') {
+    content = await model.toXMind();
+  } else {
+    const styleYaml = options.styleYaml ? fs.readFileSync(options.styleYaml, 'utf8') : null;
+    const svg = await renderModelToSvg(model, {
+      preset: options.preset,
+      layout: options.layout,
+      styleYaml,
+      expandAll: options.expandAll
+    });
+    content = options.format === 'png' ? await svgToPng(svg) : svg;
+  }
+
+  fs.mkdirSync(path.dirname(path.resolve(outputPath)), { recursive: true });
+  fs.writeFileSync(outputPath, content);
+  return outputPath;
+}
+
+/**
+ * Rasterize an SVG string to PNG
+ * The rasterizer is an optional dependency, only loaded when PNG output is requested
+ * @param {string} svg - The SVG markup
+ * @return {Promise<Buffer>} PNG data
+ */
+async function svgToPng(svg) {
+  let Resvg;
+  try {
+    ({ Resvg } = await import('@resvg/resvg-js'));
+  } catch (error) {
+    throw new Error('PNG export requires the optional dependency @resvg/resvg-js (npm install @resvg/resvg-js)');
+  }
+  const resvg = new Resvg(svg, {
+    background: 'white',
+    font: { loadSystemFonts: true }
+  });
+  return resvg.render().asPng();
+}
+
+/**
+ * Export all inputs, reporting failures per file
+ * @param {Array<string>} files - Markdown input paths
+ * @param {Object} options - Parsed CLI options
+ * @param {Object} io - Output streams ({ out, err })
+ * @return {Promise<number>} Number of files that failed
+ */
+async function exportAll(files, options, io) {
+  let failures = 0;
+  for (const file of files) {
+    try {
+      const outputPath = await exportFile(file, options, files.length);
+      io.out.write(`${file} -> ${outputPath}\n`);
+    } catch (error) {
+      failures++;
+      io.err.write(`${file}: ${error.message}\n`);
+    }
+  }
+  return failures;
+}
+
+/**
+ * Watch input files and re-export them on change
+ * @param {Array<string>} files - Markdown input paths
+ * @param {Object} options - Parsed CLI options
+ * @param {Object} io - Output streams ({ out, err })
+ * @return {Array<fs.FSWatcher>} The active watchers
+ */
+function watchFiles(files, options, io) {
+  const timers = new Map();
+  io.out.write(`Watching ${files.length} file(s) for changes...\n`);
+
+  // Watch the containing directories: editors that save by renaming would detach a per-file watcher
+  const filesByDir = new Map();
+  for (const file of files) {
+    const dir = path.dirname(path.resolve(file));
+    if (!filesByDir.has(dir)) filesByDir.set(dir, new Map());
+    filesByDir.get(dir).set(path.basename(file), file);
+  }
+
+  return [...filesByDir].map(([dir, watched]) => fs.watch(dir, (eventType, fileName) => {
+    const file = fileName && watched.get(fileName.toString());
+    if (!file) return;
+
+    // Editors often emit several events per save, so debounce per file
+    clearTimeout(timers.get(file));
+    timers.set(file, setTimeout(async () => {
+      if (!fs.existsSync(file)) return;
+      try {
+        const outputPath = await exportFile(file, options, files.length);
+        io.out.write(`${file} -> ${outputPath}\n`);
+      } catch (error) {
+        io.err.write(`${file}: ${error.message}\n`);
+      }
+    }, 100));
+  }));
+}
+
+/**
+ * Run the command-line exporter
+ * @param {Array<string>} argv - Arguments without the node executable and script path
+ * @param {Object} io - Output streams ({ out, err }), defaults to stdout/stderr
+ * @return {Promise<number>} Process exit code
+ */
+async function runCli(argv, io = { out: process.stdout, err: process.stderr }) {
+  let options;
+  try {
+    options = parseCliArgs(argv);
+  } catch (error) {
+    io.err.write(`${error.message}\n\n${USAGE}`);
+    return 2;
+  }
+
+  if (options.help) {
+    io.out.write(USAGE);
+    return 0;
+  }
+
+  const files = expandGlobs(options.inputs);
+  if (files.length === 0) {
+    io.err.write(`No input files.\n\n${USAGE}`);
+    return 2;
+  }
+
+  // The rendering pipeline logs a lot of debugging output meant for the browser console
+  const originalLog = console.log;
+  if (!options.verbose) {
+    console.log = () => {};
+  }
+
+  const failures = await exportAll(files, options, io);
+  if (options.watch) {
+    // Logging stays silenced; the watchers keep the process running until interrupted
+    watchFiles(files, options, io);
+    return 0;
+  }
+
+  console.log = originalLog;
+  return failures > 0 ? 1 : 0;
+}
+
+export { runCli, parseCliArgs, resolveOutputPath, exportFile };
@@ -0,0 +1,110 @@
+/**
+ * Tests for the command-line exporter
+ */
+
+import { useWidthTableMetrics } from '../../tests/utils/layout-test-utils.js';
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+import { runCli, parseCliArgs, resolveOutputPath } from './cli.js';
+import { expandGlobs, globToRegExp } from './file-glob.js';
+
+/**
+ * Collect everything written to a fake stream
+ */
+function createStream() {
+  return {
+    text: '',
+    write(chunk) {
+      this.text += chunk;
+    }
+  };
+}
+
+describe('Command-line exporter', () => {
+  let tempDir;
+
+  useWidthTableMetrics();
+
+  beforeEach(() => {
+    tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'mindmap-cli-'));
+    fs.mkdirSync(path.join(tempDir, 'docs', 'nested'), { recursive: true });
+    fs.writeFileSync(path.join(tempDir, 'docs', 'one.md'), '# One\n## Child A\n## Child B');
+    fs.writeFileSync(path.join(tempDir, 'docs', 'nested', 'two.md'), '# Two\n- Item');
+    fs.writeFileSync(path.join(tempDir, 'docs', 'notes.txt'), 'not markdown');
+  });
+
+  afterEach(() => {
+    fs.rmSync(tempDir, { recursive: true, force: true });
+  });
+
+  test('parses options with defaults', () => {
+    const options = parseCliArgs(['a.md', '--layout', 'vertical', '-p', 'tech', '--format', 'png']);
+
+    expect(options.inputs).toEqual(['a.md']);
+    expect(options.layout).toBe('vertical');
+    expect(options.preset).toBe('tech');
+    expect(options.format).toBe('png');
+    expect(options.out).toBeNull();
+    expect(options.watch).toBe(false);
+  });
+
+  test('rejects unknown formats, layouts and presets', () => {
+    expect(() => parseCliArgs(['a.md', '--format', 'gif'])).toThrow('Unknown format "gif"');
+    expect(() => parseCliArgs(['a.md', '--layout', 'spiral'])).toThrow('Unknown layout "spiral"');
+    expect(() => parseCliArgs(['a.md', '--preset', 'neon'])).toThrow('Unknown style preset "neon"');
+  });
+
+  test('resolves output paths for files and directories', () => {
+    const svg = { format: 'svg', out: null };
+    expect(resolveOutputPath('docs/map.md', svg, 1)).toBe(path.join('docs', 'map.svg'));
+    expect(resolveOutputPath('docs/map.md', { format: 'png', out: 'build/map.png' }, 1)).toBe('build/map.png');
+    expect(resolveOutputPath('docs/map.md', { format: 'png', out: 'build/map.png' }, 2)).toBe(path.join('build/map.png', 'map.png'));
+    expect(resolveOutputPath('docs/map.md', { format: 'svg', out: 'build' }, 1)).toBe(path.join('build', 'map.svg'));
+  });
+
+  test('expands glob patterns', () => {
+    expect(globToRegExp('docs/**/*.md').test('docs/one.md')).toBe(true);
+    expect(globToRegExp('docs/**/*.md').test('docs/nested/two.md')).toBe(true);
+    expect(globToRegExp('docs/*.md').test('docs/nested/two.md')).toBe(false);
+
+    const files = expandGlobs(['docs/**/*.md'], tempDir);
+    expect(files).toEqual([path.join('docs', 'nested', 'two.md'), path.join('docs', 'one.md')]);
+  });
+
+  test('exports matching files to an output directory', async () => {
+    const out = createStream();
+    const err = createStream();
+    const outDir = path.join(tempDir, 'diagrams');
+    const log = console.log;
+
+    const exitCode = await runCli([path.join(tempDir, 'docs', '**', '*.md'), '--out', outDir, '-l', 'vertical'], { out, err });
+
+    expect(exitCode).toBe(0);
+    expect(err.text).toBe('');
+    expect(fs.readFileSync(path.join(outDir, 'one.svg'), 'utf8')).toContain('>Child B</text>');
+    expect(fs.readFileSync(path.join(outDir, 'two.svg'), 'utf8')).toContain('>Item</text>');
+    expect(console.log).toBe(log);
+  });
+
+  test('exports normalized markdown and refuses to overwrite the input', async () => {
+    const input = path.join(tempDir, 'docs', 'nested', 'two.md');
+    const out = createStream();
+    const err = createStream();
+
+    expect(await runCli([input, '--format', 'markdown'], { out, err })).toBe(1);
+    expect(err.text).toContain('Refusing to overwrite input file');
+
+    const target = path.join(tempDir, 'two.export.md');
+    expect(await runCli([input, '--format', 'markdown', '--out', target], { out, err })).toBe(0);
+    expect(fs.readFileSync(target, 'utf8')).toContain('# Two');
+  });
+
+  test('reports a usage error without inputs', async () => {
+    const out = createStream();
+    const err = createStream();
+
+    expect(await runCli([], { out, err })).toBe(2);
+    expect(err.text).toContain('Usage: mindmap-exporter');
+  });
+});
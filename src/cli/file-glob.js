@@ -0,0 +1,111 @@
+// src/cli/file-glob.js
+
+import fs from 'node:fs';
+import path from 'node:path';
+
+/**
+ * Minimal glob support for the command-line exporter
+ * Handles `*`, `?` and `**` so that quoted patterns work the same on every shell
+ */
+
+/**
+ * Check whether a path contains glob characters
+ * @param {string} pattern - The path or pattern
+ * @return {boolean} True if the pattern needs expanding
+ */
+function isGlob(pattern) {
+  return /[*?]/.test(pattern);
+}
+
+/**
+ * Convert a glob pattern to a regular expression matching forward-slash paths
+ * @param {string} pattern - The glob pattern
+ * @return {RegExp} The equivalent regular expression
+ */
+function globToRegExp(pattern) {
+  let source = '';
+  for (let i = 0; i < pattern.length; i++) {
+    const char = pattern[i];
+    if (char === '*' && pattern[i + 1] === '*') {
+      // '**/' matches zero or more directories, a trailing '**' matches everything
+      if (pattern[i + 2] === '/') {
+        source += '(?:.*/)?';
+        i += 2;
+      } else {
+        source += '.*';
+        i += 1;
+      }
+    } else if (char === '*') {
+      source += '[^/]*';
+    } else if (char === '?') {
+      source += '[^/]';
+    } else {
+      source += char.replace(/[.+^${}()|[\]\\]/g, '\\$&');
+    }
+  }
+  return new RegExp(`^${source}$`);
+}
+
+/**
+ * Recursively list files below a directory
+ * @private
+ * @param {string} dir - Directory to walk
+ * @param {Array<string>} result - Accumulator for file paths
+ * @return {Array<string>} File paths
+ */
+function _walk(dir, result = []) {
+  for (const entry of fs.readdirSync(dir, { withFileTypes: true })) {
+    if (entry.name === 'node_modules' || entry.name.startsWith('.')) continue;
+    const fullPath = path.join(dir, entry.name);
+    if (entry.isDirectory()) {
+      _walk(fullPath, result);
+    } else if (entry.isFile()) {
+      result.push(fullPath);
+    }
+  }
+  return result;
+}
+
+/**
+ * Expand file paths and glob patterns into a sorted, de-duplicated list of files
+ * Plain paths are passed through unchanged (even if they do not exist) so that
+ * the caller can report them.
+ * @param {Array<string>} patterns - File paths and/or glob patterns
+ * @param {string} cwd - Directory that relative patterns are resolved against
+ * @return {Array<string>} Matching file paths
+ */
+function expandGlobs(patterns, cwd = process.cwd()) {
+  const files = new Set();
+
+  for (const pattern of patterns) {
+    if (!isGlob(pattern)) {
+      files.add(pattern);
+      continue;
+    }
+
+    const normalized = pattern.split(path.sep).join('/');
+    // Walk from the longest directory prefix without wildcards
+    const segments = normalized.split('/');
+    const firstGlob = segments.findIndex(segment => isGlob(segment));
+    const base = segments.slice(0, firstGlob).join('/') || '.';
+    const baseDir = path.resolve(cwd, base);
+    if (!fs.existsSync(baseDir)) continue;
+
+    const matcher = globToRegExp(normalized);
+    for (const file of _walk(baseDir)) {
+      let candidate = path.relative(cwd, file).split(path.sep).join('/');
+      if (path.isAbsolute(normalized)) {
+        candidate = file.split(path.sep).join('/');
+      } else if (normalized.startsWith('./')) {
+        candidate = './' + candidate;
+      }
+      if (matcher.test(candidate)) {
+        files.add(path.isAbsolute(normalized) ? file : path.relative(cwd, file));
+      }
+    }
+  }
+
+  return [...files].sort();
+}
+
+export { expandGlobs, globToRegExp, isGlob };
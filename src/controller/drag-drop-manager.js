@@ -506,12 +506,6 @@ class DragDropManager {
       return;
     }
     
-    // Clear direction override if the dragged node has one
-    if (this.draggedNode.configOverrides && this.draggedNode.configOverrides.direction) {
-      console.log(`Clearing direction override '${this.draggedNode.configOverrides.direction}' from dragged node: ${this.draggedNode.text}`);
-      this.draggedNode.clearOverride('direction');
-    }
-    
     console.log(`=== PERFORM DROP DEBUG ===`);
     console.log('Current drop zone:', this.currentDropZone);
     
@@ -535,11 +529,20 @@ class DragDropManager {
     console.log('Model state before drop:');
     this.logModelState();
     
-    if (this.currentDropZone.type === 'child') {
-      this.dropAsChild(this.draggedNode, targetNode);
-    } else if (this.currentDropZone.type === 'parent') {
-      this.dropAsSibling(this.draggedNode, targetNode, this.currentDropZone.position);
-    }
+    // The whole drop is undone as one step
+    this.model.history.group('Move node', () => {
+      // Clear direction override if the dragged node has one
+      if (this.draggedNode.configOverrides && this.draggedNode.configOverrides.direction) {
+        console.log(`Clearing direction override '${this.draggedNode.configOverrides.direction}' from dragged node: ${this.draggedNode.text}`);
+        this.model.setNodeOverride(this.draggedNode.id, 'direction', undefined);
+      }
+
+      if (this.currentDropZone.type === 'child') {
+        this.dropAsChild(this.draggedNode, targetNode);
+      } else if (this.currentDropZone.type === 'parent') {
+        this.dropAsSibling(this.draggedNode, targetNode, this.currentDropZone.position);
+      }
+    });
     
     // Log model state after changes
     console.log('Model state after drop:');
@@ -602,35 +605,13 @@ class DragDropManager {
     // If the target node is collapsed, expand it so the user can see the dropped child
     if (targetNode.collapsed) {
       console.log(`Target node "${targetNode.text}" is collapsed - expanding to show dropped child`);
-      targetNode.collapsed = false;
+      this.model.setNodeCollapsed(targetNode.id, false);
     }
     
-    // Remove from current parent
-    const currentParent = this.model.findParentNode(draggedNode);
-    console.log(`Current parent: ${currentParent ? `"${currentParent.text}"` : 'null'}`);
-    
-    if (currentParent) {
-      const index = currentParent.children.indexOf(draggedNode);
-      console.log(`Removing from parent at index: ${index}`);
-      console.log(`Parent children before removal:`, currentParent.children.map(c => c.text));
-      if (index !== -1) {
-        currentParent.children.splice(index, 1);
-      }
-      console.log(`Parent children after removal:`, currentParent.children.map(c => c.text));
-    }
-    
-    // Add to new parent
-    console.log(`Target children before addition:`, targetNode.children.map(c => c.text));
-    targetNode.children.push(draggedNode);
-    console.log(`Target children after addition:`, targetNode.children.map(c => c.text));
-    
-    // Update parent reference
-    draggedNode.parent = targetNode;
-    console.log(`Updated parent reference: "${draggedNode.parent?.text}"`);
-    
-    // Update level recursively
+    // Move to the end of the target's children; the model updates the parent reference and the levels
     const oldLevel = draggedNode.level;
-    this.updateNodeLevel(draggedNode, targetNode.level + 1);
+    this.model.moveNode(draggedNode.id, targetNode.id, targetNode.children.length);
+    console.log(`Target children after addition:`, targetNode.children.map(c => c.text));
     console.log(`Updated level: ${oldLevel} -> ${draggedNode.level}`);
     
     console.log(`=== END DROP AS CHILD DEBUG ===`);
@@ -650,42 +631,16 @@ class DragDropManager {
       return;
     }
     
-    // Remove from current parent
-    const currentParent = this.model.findParentNode(draggedNode);
-    if (currentParent) {
-      const index = currentParent.children.indexOf(draggedNode);
-      if (index !== -1) {
-        currentParent.children.splice(index, 1);
-      }
-    }
-    
-    // Find target index and insert
-    const targetIndex = targetParent.children.indexOf(targetNode);
+    // Find target index among the other children and insert there
+    const siblings = targetParent.children.filter(child => child !== draggedNode);
+    const targetIndex = siblings.indexOf(targetNode);
     const insertIndex = position === 'before' ? targetIndex : targetIndex + 1;
     
-    targetParent.children.splice(insertIndex, 0, draggedNode);
-    
-    // Update parent reference
-    draggedNode.parent = targetParent;
-    
-    // Update level recursively
-    this.updateNodeLevel(draggedNode, targetParent.level + 1);
+    this.model.moveNode(draggedNode.id, targetParent.id, insertIndex);
     
     console.log(`Moved "${draggedNode.text}" ${position} "${targetNode.text}"`);
   }
   
-  /**
-   * Update node level recursively
-   * @param {Object} node - The node to update
-   * @param {number} newLevel - The new level
-   */
-  updateNodeLevel(node, newLevel) {
-    node.level = newLevel;
-    for (const child of node.children) {
-      this.updateNodeLevel(child, newLevel + 1);
-    }
-  }
-  
   /**
    * Handle selectstart event to prevent text selection during drag
    * @param {Event} event - The selectstart event
@@ -0,0 +1,256 @@
+/**
+ * Tests for the keyboard editing of the selected node (Tab, Enter, Delete, Alt+Arrow, F2)
+ */
+
+import MindmapModel from '../model/mindmap-model.js';
+import MindmapController from './mindmap-controller.js';
+
+const PLAN = `# Launch
+## Build
+### Backend
+#### Database
+### Frontend
+## Ship
+### Release notes`;
+
+/**
+ * Create a controller for a parsed map, without a renderer or container
+ * Showing a change only updates the selection; the inline editor is replaced by a mock.
+ * @param {string} markdown - The markdown of the map
+ * @returns {Promise<{model: MindmapModel, controller: MindmapController}>} The model and its controller
+ */
+async function createController(markdown = PLAN) {
+  const model = new MindmapModel();
+  await model.parseFromMarkdown(markdown);
+  const controller = new MindmapController(model, null, null, null);
+  jest.spyOn(controller, 'showModelChange').mockImplementation((nodeId = controller.selectedNodeId) => {
+    controller.selectedNodeId = nodeId && model.findNodeById(nodeId) ? nodeId : null;
+  });
+  jest.spyOn(controller, 'startNodeEdit').mockImplementation(() => {});
+  return { model, controller };
+}
+
+/**
+ * Create a keydown event
+ * @param {string} key - The key
+ * @param {Object} options - Modifier flags and the target element
+ * @returns {Object} The event, with mocked preventDefault() and stopPropagation()
+ */
+function keyEvent(key, options = {}) {
+  return {
+    key,
+    altKey: false,
+    shiftKey: false,
+    ctrlKey: false,
+    metaKey: false,
+    target: { tagName: 'BODY' },
+    preventDefault: jest.fn(),
+    stopPropagation: jest.fn(),
+    ...options
+  };
+}
+
+/**
+ * Select a node and press a key on it
+ * @param {MindmapController} controller - The controller
+ * @param {MindmapModel} model - The model
+ * @param {string} text - The text of the node to select
+ * @param {string} key - The key
+ * @param {Object} options - Modifier flags and the target element
+ * @returns {boolean} True if the key was handled
+ */
+function press(controller, model, text, key, options = {}) {
+  controller.selectedNodeId = model.findNodeByText(text).id;
+  return controller.handleEditingKey(keyEvent(key, options));
+}
+
+/**
+ * Get the texts of the children of a node
+ * @param {MindmapModel} model - The model
+ * @param {string} text - The text of the node
+ * @returns {Array<string>} The texts of its children
+ */
+function childTexts(model, text) {
+  return model.findNodeByText(text).children.map(child => child.text);
+}
+
+describe('Editing keys', () => {
+  let logSpy;
+
+  beforeEach(() => {
+    logSpy = jest.spyOn(console, 'log').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    logSpy.mockRestore();
+  });
+
+  test('Tab adds a child at the end, expands the parent and opens the editor on the new node', async () => {
+    const { model, controller } = await createController();
+    model.setNodeCollapsed(model.findNodeByText('Backend').id, true);
+
+    expect(press(controller, model, 'Backend', 'Tab')).toBe(true);
+    const backend = model.findNodeByText('Backend');
+    expect(childTexts(model, 'Backend')).toEqual(['Database', MindmapController.NEW_NODE_TEXT]);
+    expect(backend.collapsed).toBe(false);
+    expect(controller.showModelChange).toHaveBeenLastCalledWith(backend.children[1].id, true);
+    expect(controller.getSelectedNode()).toBe(backend.children[1]);
+
+    // Adding and expanding are one step
+    model.undo();
+    expect(childTexts(model, 'Backend')).toEqual(['Database']);
+    expect(model.findNodeByText('Backend').collapsed).toBe(true);
+
+    // Shift+Tab is left to the browser
+    expect(press(controller, model, 'Backend', 'Tab', { shiftKey: true })).toBe(false);
+  });
+
+  test('Enter adds a sibling after the node, or a child to the root', async () => {
+    const { model, controller } = await createController();
+
+    expect(press(controller, model, 'Backend', 'Enter')).toBe(true);
+    expect(childTexts(model, 'Build')).toEqual(['Backend', MindmapController.NEW_NODE_TEXT, 'Frontend']);
+    expect(controller.showModelChange).toHaveBeenLastCalledWith(model.findNodeByText('Build').children[1].id, true);
+
+    expect(press(controller, model, 'Launch', 'Enter')).toBe(true);
+    expect(childTexts(model, 'Launch')).toEqual(['Build', 'Ship', MindmapController.NEW_NODE_TEXT]);
+
+    expect(press(controller, model, 'Backend', 'Enter', { shiftKey: true })).toBe(false);
+  });
+
+  test('Delete and Backspace remove the branch and select a neighbour', async () => {
+    const { model, controller } = await createController();
+
+    // The next sibling, else the previous one, else the parent
+    expect(press(controller, model, 'Backend', 'Delete')).toBe(true);
+    expect(model.findNodeByText('Database')).toBeNull();
+    expect(controller.getSelectedNode().text).toBe('Frontend');
+
+    model.undo();
+    expect(press(controller, model, 'Frontend', 'Backspace')).toBe(true);
+    expect(controller.getSelectedNode().text).toBe('Backend');
+    expect(press(controller, model, 'Release notes', 'Delete')).toBe(true);
+    expect(controller.getSelectedNode().text).toBe('Ship');
+
+    // The root topic stays
+    press(controller, model, 'Launch', 'Delete');
+    expect(model.getRoot().text).toBe('Launch');
+    expect(controller.getSelectedNode()).toBe(model.getRoot());
+  });
+
+  test('Alt+Up and Alt+Down move the node among its siblings', async () => {
+    const { model, controller } = await createController();
+
+    expect(press(controller, model, 'Frontend', 'ArrowUp', { altKey: true })).toBe(true);
+    expect(childTexts(model, 'Build')).toEqual(['Frontend', 'Backend']);
+    expect(controller.getSelectedNode().text).toBe('Frontend');
+
+    // Nothing moves past the first or last sibling
+    press(controller, model, 'Frontend', 'ArrowUp', { altKey: true });
+    press(controller, model, 'Ship', 'ArrowDown', { altKey: true });
+    expect(childTexts(model, 'Build')).toEqual(['Frontend', 'Backend']);
+    expect(childTexts(model, 'Launch')).toEqual(['Build', 'Ship']);
+
+    press(controller, model, 'Build', 'ArrowDown', { altKey: true });
+    expect(childTexts(model, 'Launch')).toEqual(['Ship', 'Build']);
+  });
+
+  test('Alt+Left promotes the node and Alt+Right demotes it under its previous sibling', async () => {
+    const { model, controller } = await createController();
+
+    // Promoted nodes follow their former parent
+    expect(press(controller, model, 'Backend', 'ArrowLeft', { altKey: true })).toBe(true);
+    expect(childTexts(model, 'Launch')).toEqual(['Build', 'Backend', 'Ship']);
+    expect(model.findNodeByText('Backend').level).toBe(2);
+    expect(model.findNodeByText('Database').level).toBe(3);
+
+    // Demoted nodes become the last child of the previous sibling, which is expanded
+    model.setNodeCollapsed(model.findNodeByText('Build').id, true);
+    expect(press(controller, model, 'Backend', 'ArrowRight', { altKey: true })).toBe(true);
+    expect(childTexts(model, 'Build')).toEqual(['Frontend', 'Backend']);
+    expect(model.findNodeByText('Build').collapsed).toBe(false);
+    expect(model.findNodeByText('Database').level).toBe(4);
+
+    // A first child has no previous sibling, children of the root cannot be promoted, and the root does not move
+    press(controller, model, 'Frontend', 'ArrowRight', { altKey: true });
+    press(controller, model, 'Build', 'ArrowLeft', { altKey: true });
+    press(controller, model, 'Launch', 'ArrowLeft', { altKey: true });
+    press(controller, model, 'Launch', 'ArrowRight', { altKey: true });
+    expect(childTexts(model, 'Launch')).toEqual(['Build', 'Ship']);
+    expect(childTexts(model, 'Build')).toEqual(['Frontend', 'Backend']);
+    expect(model.getRoot().text).toBe('Launch');
+  });
+
+  test('Alt+Arrow keeps the nodes within the focused branch', async () => {
+    const { model, controller } = await createController();
+    model.hoist(model.findNodeByText('Build').id);
+
+    // The focused node stays, and its children are not promoted out of the view
+    for (const key of ['ArrowUp', 'ArrowDown', 'ArrowLeft', 'ArrowRight']) {
+      press(controller, model, 'Build', key, { altKey: true });
+    }
+    press(controller, model, 'Frontend', 'ArrowLeft', { altKey: true });
+    expect(childTexts(model, 'Launch')).toEqual(['Build', 'Ship']);
+    expect(childTexts(model, 'Build')).toEqual(['Backend', 'Frontend']);
+    expect(controller.showModelChange).not.toHaveBeenCalled();
+
+    // Within the branch, nodes move as usual
+    press(controller, model, 'Database', 'ArrowLeft', { altKey: true });
+    expect(childTexts(model, 'Build')).toEqual(['Backend', 'Database', 'Frontend']);
+    press(controller, model, 'Frontend', 'ArrowUp', { altKey: true });
+    expect(childTexts(model, 'Build')).toEqual(['Backend', 'Frontend', 'Database']);
+    expect(controller.getSelectedNode().text).toBe('Frontend');
+  });
+
+  test('F2 edits the selected node and other keys are not handled', async () => {
+    const { model, controller } = await createController();
+
+    expect(press(controller, model, 'Ship', 'F2')).toBe(true);
+    expect(controller.startNodeEdit).toHaveBeenCalledWith(model.findNodeByText('Ship').id);
+
+    expect(press(controller, model, 'Ship', 'a')).toBe(false);
+    expect(press(controller, model, 'Ship', 'Tab', { ctrlKey: true })).toBe(false);
+    expect(press(controller, model, 'Ship', 'Home', { altKey: true })).toBe(false);
+
+    controller.selectedNodeId = null;
+    expect(controller.handleEditingKey(keyEvent('Tab'))).toBe(false);
+  });
+
+  test('leaves the keys to text fields, buttons and links', async () => {
+    const { model, controller } = await createController();
+    const handlers = {};
+    // The document mock from tests/setup.js has no event listeners
+    document.addEventListener = (type, handler) => { handlers[type] = handler; };
+    try {
+      controller.initKeyboardNavigation();
+    } finally {
+      delete document.addEventListener;
+    }
+    controller.selectedNodeId = model.findNodeByText('Ship').id;
+
+    const targets = [
+      { tagName: 'INPUT' },
+      { tagName: 'TEXTAREA' },
+      { tagName: 'SELECT' },
+      { tagName: 'DIV', isContentEditable: true },
+      { tagName: 'BUTTON' },
+      { tagName: 'A' }
+    ];
+    for (const target of targets) {
+      for (const key of ['Tab', 'Enter', 'Delete', 'Backspace', 'F2']) {
+        const event = keyEvent(key, { target });
+        handlers.keydown(event);
+        expect(event.preventDefault).not.toHaveBeenCalled();
+      }
+    }
+    expect(childTexts(model, 'Launch')).toEqual(['Build', 'Ship']);
+    expect(childTexts(model, 'Ship')).toEqual(['Release notes']);
+    expect(controller.startNodeEdit).not.toHaveBeenCalled();
+
+    // Elsewhere the keys edit the map
+    const event = keyEvent('Tab');
+    handlers.keydown(event);
+    expect(event.preventDefault).toHaveBeenCalled();
+    expect(childTexts(model, 'Ship')).toEqual(['Release notes', MindmapController.NEW_NODE_TEXT]);
+  });
+});
@@ -2,8 +2,20 @@
 
 import eventBridge from '../utils/event-bridge.js';
 import MindmapStylePresets from '../style/style-presets.js';
+import LayoutConfigurations from '../style/layout-configurations.js';
+import MindmapDocument from '../model/mindmap-document.js';
+import FreeMindFormat from '../model/freemind-format.js';
+import XMindFormat from '../model/xmind-format.js';
+import OpmlFormat from '../model/opml-format.js';
+import MermaidFormat from '../model/mermaid-format.js';
+import MindmapModel from '../model/mindmap-model.js';
+import MindmapRenderer from '../renderer/mindmap-renderer.js';
 import DragDropManager from './drag-drop-manager.js';
+import SearchManager from './search-manager.js';
+import TagLegend from './tag-legend.js';
 import LayoutFactory from '../layout/layout-factory.js';
+import ForestLayout from '../layout/forest-layout.js';
+import { markdownToText } from '../utils/markdown-to-svg.js';
 import NavigationOverrideManager from '../utils/navigation-override-manager.js';
 
 /**
@@ -11,6 +23,9 @@ import NavigationOverrideManager from '../utils/navigation-override-manager.js';
  * Coordinates interactions between the model, view, and user events
  */
 class MindmapController {
+  // Text of nodes added with Tab/Enter, selected in the inline editor so that typing replaces it
+  static NEW_NODE_TEXT = 'New topic';
+
   /**
    * Create a new MindmapController
    * @param {Object} model - The mindmap model
@@ -30,6 +45,12 @@ class MindmapController {
     // Initialize navigation override manager
     this.navigationOverrideManager = null;
 
+    // Search panel, created once (see initSearch())
+    this.searchManager = null;
+
+    // Tag legend, created once (see initTagLegend())
+    this.tagLegend = null;
+
     // Selected node state
     this.selectedNodeId = null;
 
@@ -51,6 +72,9 @@ class MindmapController {
     // Apply layout to the model
     this.applyLayout();
 
+    // List the tags of the map; branches of hidden tags stay hidden
+    this.initTagLegend();
+
     // Initial render
     this.renderer.render(this.container);
     this.initMindmapContainer();
@@ -63,6 +87,12 @@ class MindmapController {
 
     // Initialize keyboard navigation
     this.initKeyboardNavigation();
+
+    // Initialize the search panel
+    this.initSearch();
+
+    // Show where the view is focused
+    this.updateBreadcrumb();
   }
 
   /**
@@ -71,6 +101,14 @@ class MindmapController {
    */
   rerenderMindmap() {
     console.log('=== RERENDER MINDMAP DEBUG ===');
+
+    // Search matches and the tag legend follow the changes to the map
+    if (this.searchManager) {
+      this.searchManager.refresh();
+    }
+    if (this.tagLegend) {
+      this.tagLegend.refresh();
+    }
     console.log('About to apply layout to existing model...');
     
     // Apply layout to the existing model
@@ -88,21 +126,21 @@ class MindmapController {
     // Re-initialize navigation override manager
     this.initNavigationOverrideManager();
     console.log('Navigation override manager re-initialized.');
+
+    this.updateBreadcrumb();
     console.log('=== END RERENDER MINDMAP DEBUG ===');
   }
 
   /**
    * Apply layout to the model using the current style settings
+   * In focus mode only the focused branch is laid out, with the focused node as its root.
    */
   applyLayout() {
-    const rootNode = this.model.getRoot();
+    const rootNode = this.model.getViewRoot();
     if (!rootNode) return;
 
-    // Get the root level style
-    const rootLevelStyle = this.styleManager.getLevelStyle(1);
-
-    // Get the layout from this style
-    const layout = rootLevelStyle.getLayout();
+    // Get the layout of the root level style, or the forest layout for several top-level topics
+    const layout = LayoutFactory.createRootLayout(rootNode, this.styleManager);
 
     // Apply layout starting from root node
     layout.applyLayout(rootNode, 0, 0, this.styleManager);
@@ -221,6 +259,30 @@ class MindmapController {
     });
   }
 
+  /**
+   * Initialize the search panel of the preview, if the page has one
+   */
+  initSearch() {
+    if (this.searchManager) return;
+
+    const panel = document.getElementById('search-panel');
+    if (panel) {
+      this.searchManager = new SearchManager(this.model, this.renderer, this, panel);
+    }
+  }
+
+  /**
+   * Initialize the tag legend of the preview, if the page has one, and update its list of tags
+   */
+  initTagLegend() {
+    if (!this.tagLegend) {
+      const panel = document.getElementById('tag-legend');
+      if (!panel) return;
+      this.tagLegend = new TagLegend(this.model, this.renderer, this, this.styleManager, panel);
+    }
+    this.tagLegend.refresh();
+  }
+
   /**
    * Initialize drag and drop functionality
    */
@@ -246,6 +308,7 @@ class MindmapController {
    */
   initNavigationOverrideManager() {
     // Clean up existing navigation override manager if it exists
+    const wasEnabled = !!(this.navigationOverrideManager && this.navigationOverrideManager.enabled);
     if (this.navigationOverrideManager) {
       this.navigationOverrideManager.destroy();
     }
@@ -258,6 +321,11 @@ class MindmapController {
       this.container
     );
 
+    // The overrides kept in the model (loaded from a document or set by the user) are applied on top of the layout
+    if (wasEnabled) {
+      this.navigationOverrideManager.setEnabled(true);
+    }
+
     console.log('Navigation override manager initialized');
   }
 
@@ -289,6 +357,21 @@ handleNodeEvent(nodeId, eventType) {
     // Start inline editing of the node
     this.startNodeEdit(nodeId);
   }
+  else if (eventType === 'check') {
+    // Toggle the task state of a task node
+    if (!this.model.toggleNodeTask(nodeId)) return;
+
+    // Reapply layout (progress badges may change width) and re-render
+    this.applyLayout();
+    this.renderer.render(this.container);
+
+    // Write the new state back to the markdown
+    if (typeof window !== 'undefined' && window.mindmapApp && window.mindmapApp.autoSaveToMarkdown) {
+      setTimeout(() => {
+        window.mindmapApp.autoSaveToMarkdown();
+      }, 100); // Small delay to ensure re-render is complete
+    }
+  }
 }
 
 /**
@@ -301,10 +384,11 @@ startNodeEdit(nodeId) {
     console.warn(`Node not found with ID: ${nodeId}`);
     return;
   }
+  if (this.editingNodeId) return;
 
   // Store the current editing state
   this.editingNodeId = nodeId;
-  this.originalText = node.text;
+  this.originalText = this.model.getNodeTextWithTags(node);
 
   // Create an inline editor overlaying the entire node
   this.createInlineEditor(node);
@@ -356,7 +440,7 @@ createInlineEditor(node) {
   // Create input element
   const input = document.createElement('textarea');
   input.id = `node-editor-${node.id}`;
-  input.value = node.text;
+  input.value = this.originalText;
   
   // Get node style for consistent appearance
   const levelStyle = this.styleManager.getLevelStyle(node.level);
@@ -426,8 +510,8 @@ finishNodeEdit(nodeId, save) {
   if (!node) return;
 
   if (save && input.value.trim() !== this.originalText) {
-    // Update the node text
-    node.text = input.value.trim();
+    // Update the node text and its trailing hashtags (undoable)
+    this.model.setNodeTextWithTags(nodeId, input.value.trim());
     
     // Reapply layout and re-render
     this.applyLayout();
@@ -557,192 +641,7 @@ logPropertyInheritanceChain(node, property) {
     }
 
     // Handle specialized layout configurations
-    if (layoutType === 'vertical-over-taproot') {
-      // Configure style system
-      this.styleManager.configure({
-        levelStyles: {
-          1: { 
-            layoutType: 'vertical', 
-            direction: 'down', 
-            parentConnectionPoints: 'distributeEvenly',
-            parentWidthPortionForConnectionPoints: 0.75
-          },
-          2: { 
-            layoutType: 'taproot',
-            parentConnectionPoints: 'distributeEvenly',
-            parentWidthPortionForConnectionPoints: 0.4
-          },
-          3: { layoutType: 'horizontal' },
-          4: { layoutType: 'horizontal' },
-          5: { layoutType: 'horizontal' },
-          6: { layoutType: 'horizontal' }
-        },
-        defaultStyle: { 
-          layoutType: 'horizontal' 
-        }
-      });
-      
-      // Set node overrides
-      if (rootNode) {
-        rootNode.setOverride('layoutType', 'vertical');
-        rootNode.setOverride('direction', 'down');
-        rootNode.setOverride('parentConnectionPoints', 'distributeEvenly');
-        rootNode.setOverride('parentWidthPortionForConnectionPoints', 0.75);
-      }
-    } else if (layoutType === 'taproot') {
-      // Configure style system
-      this.styleManager.configure({
-        levelStyles: {
-          1: { 
-            layoutType: 'taproot', 
-            parentConnectionPoints: 'distributeEvenly',
-            parentWidthPortionForConnectionPoints: 0.4 
-          },
-          2: { layoutType: 'horizontal', direction: null },
-          3: { layoutType: 'horizontal', direction: null },
-          4: { layoutType: 'horizontal', direction: null },
-          5: { layoutType: 'horizontal', direction: null },
-          6: { layoutType: 'horizontal', direction: null }
-        },
-        defaultStyle: { 
-          layoutType: 'horizontal' 
-        }
-      });
-    } else if (layoutType === 'classic') {
-      // Configure style system for classic mindmap layout
-      this.styleManager.configure({
-        levelStyles: {
-          1: { layoutType: 'classic', childPadding: 60 },
-          2: { layoutType: 'horizontal', direction: null },
-          3: { layoutType: 'horizontal', direction: null },
-          4: { layoutType: 'horizontal', direction: null },
-          5: { layoutType: 'horizontal', direction: null },
-          6: { layoutType: 'horizontal', direction: null }
-        },
-        defaultStyle: { 
-          layoutType: 'horizontal' 
-        }
-      });
-    } else if (layoutType === 'horizontal-left') {
-      // Configure style system
-      this.styleManager.setGlobalLayoutType('horizontal', { direction: 'left' });
-      
-      // Set node overrides
-      if (rootNode) {
-        rootNode.setOverride('direction', 'left');
-      }
-    } else if (layoutType === 'horizontal-right') {
-      // Configure style system
-      this.styleManager.setGlobalLayoutType('horizontal', { direction: 'right' });
-      
-      // Set node overrides
-      if (rootNode) {
-        rootNode.setOverride('direction', 'right');
-      }
-    } else if (layoutType === 'outline-left') {
-      // Configure style system for outline left layout
-      this.styleManager.configure({
-        levelStyles: {
-          1: { layoutType: 'outline', direction: 'left', horizontalShift: 50 },
-          2: { layoutType: 'outline', direction: 'left', horizontalShift: 50 },
-          3: { layoutType: 'outline', direction: 'left', horizontalShift: 50 },
-          4: { layoutType: 'outline', direction: 'left', horizontalShift: 50 },
-          5: { layoutType: 'outline', direction: 'left', horizontalShift: 50 },
-          6: { layoutType: 'outline', direction: 'left', horizontalShift: 50 }
-        },
-        defaultStyle: { 
-          layoutType: 'outline', 
-          direction: 'left', 
-          horizontalShift: 50 
-        }
-      });
-      
-      // Set node overrides
-      if (rootNode) {
-        rootNode.setOverride('layoutType', 'outline');
-        rootNode.setOverride('direction', 'left');
-        rootNode.setOverride('horizontalShift', 50);
-      }
-    } else if (layoutType === 'outline-right') {
-      // Configure style system for outline right layout
-      this.styleManager.configure({
-        levelStyles: {
-          1: { layoutType: 'outline', direction: 'right', horizontalShift: 50 },
-          2: { layoutType: 'outline', direction: 'right', horizontalShift: 50 },
-          3: { layoutType: 'outline', direction: 'right', horizontalShift: 50 },
-          4: { layoutType: 'outline', direction: 'right', horizontalShift: 50 },
-          5: { layoutType: 'outline', direction: 'right', horizontalShift: 50 },
-          6: { layoutType: 'outline', direction: 'right', horizontalShift: 50 }
-        },
-        defaultStyle: { 
-          layoutType: 'outline', 
-          direction: 'right', 
-          horizontalShift: 50 
-        }
-      });
-      
-      // Set node overrides
-      if (rootNode) {
-        rootNode.setOverride('layoutType', 'outline');
-        rootNode.setOverride('direction', 'right');
-        rootNode.setOverride('horizontalShift', 50);
-      }
-    } else if (layoutType === 'vertical-up') {
-      // Configure style system
-      this.styleManager.configure({
-        levelStyles: {
-          1: { layoutType: 'vertical', direction: 'up', parentConnectionPoints: 'distributeEvenly', parentWidthPortionForConnectionPoints: 0.75 },
-          2: { layoutType: 'vertical', direction: 'up', parentConnectionPoints: 'distributeEvenly', parentWidthPortionForConnectionPoints: 0.75 },
-          3: { layoutType: 'vertical', direction: 'up', parentConnectionPoints: 'distributeEvenly', parentWidthPortionForConnectionPoints: 0.75 },
-          4: { layoutType: 'vertical', direction: 'up', parentConnectionPoints: 'distributeEvenly', parentWidthPortionForConnectionPoints: 0.75 },
-          5: { layoutType: 'vertical', direction: 'up', parentConnectionPoints: 'distributeEvenly', parentWidthPortionForConnectionPoints: 0.75 },
-          6: { layoutType: 'vertical', direction: 'up', parentConnectionPoints: 'distributeEvenly', parentWidthPortionForConnectionPoints: 0.75 }
-        },
-        defaultStyle: { 
-          layoutType: 'vertical', 
-          direction: 'up', 
-          parentConnectionPoints: 'distributeEvenly', 
-          parentWidthPortionForConnectionPoints: 0.75 
-        }
-      });
-      
-      // Set node overrides
-      if (rootNode) {
-        rootNode.setOverride('layoutType', 'vertical');
-        rootNode.setOverride('direction', 'up');
-        rootNode.setOverride('parentConnectionPoints', 'distributeEvenly');
-        rootNode.setOverride('parentWidthPortionForConnectionPoints', 0.75);
-      }
-    } else if (layoutType === 'vertical' || layoutType === 'vertical-down') {
-      // Configure style system
-      this.styleManager.configure({
-        levelStyles: {
-          1: { layoutType: 'vertical', direction: 'down', parentConnectionPoints: 'distributeEvenly', parentWidthPortionForConnectionPoints: 0.75 },
-          2: { layoutType: 'vertical', direction: 'down', parentConnectionPoints: 'distributeEvenly', parentWidthPortionForConnectionPoints: 0.75 },
-          3: { layoutType: 'vertical', direction: 'down', parentConnectionPoints: 'distributeEvenly', parentWidthPortionForConnectionPoints: 0.75 },
-          4: { layoutType: 'vertical', direction: 'down', parentConnectionPoints: 'distributeEvenly', parentWidthPortionForConnectionPoints: 0.75 },
-          5: { layoutType: 'vertical', direction: 'down', parentConnectionPoints: 'distributeEvenly', parentWidthPortionForConnectionPoints: 0.75 },
-          6: { layoutType: 'vertical', direction: 'down', parentConnectionPoints: 'distributeEvenly', parentWidthPortionForConnectionPoints: 0.75 }
-        },
-        defaultStyle: { 
-          layoutType: 'vertical', 
-          direction: 'down', 
-          parentConnectionPoints: 'distributeEvenly', 
-          parentWidthPortionForConnectionPoints: 0.75 
-        }
-      });
-      
-      // Set node overrides
-      if (rootNode) {
-        rootNode.setOverride('layoutType', 'vertical');
-        rootNode.setOverride('direction', 'down');
-        rootNode.setOverride('parentConnectionPoints', 'distributeEvenly');
-        rootNode.setOverride('parentWidthPortionForConnectionPoints', 0.75);
-      }
-    } else {
-      // Default case - use whatever layout type was provided
-      this.styleManager.setGlobalLayoutType(layoutType);
-    }
+    LayoutConfigurations.apply(layoutType, this.styleManager, rootNode);
 
     // Apply the new layout
     this.applyLayout();
@@ -895,31 +794,45 @@ logPropertyInheritanceChain(node, property) {
       return;
     }
 
-    // Convert SVG to PNG using Image and Canvas
-    const img = new Image();
-    img.onload = () => {
-      const canvas = document.createElement('canvas');
-      canvas.width = img.width;
-      canvas.height = img.height;
-
-      const ctx = canvas.getContext('2d');
-      ctx.drawImage(img, 0, 0);
-
-      canvas.toBlob((blob) => {
-        const url = URL.createObjectURL(blob);
-        const a = document.createElement('a');
-        a.href = url;
-        a.download = filename || 'mindmap.png';
-        document.body.appendChild(a);
-        a.click();
-        document.body.removeChild(a);
+    this._svgToPngBlob(svgContent).then((blob) => {
+      const url = URL.createObjectURL(blob);
+      const a = document.createElement('a');
+      a.href = url;
+      a.download = filename || 'mindmap.png';
+      document.body.appendChild(a);
+      a.click();
+      document.body.removeChild(a);
+      URL.revokeObjectURL(url);
+    }).catch(error => console.error('PNG export failed:', error));
+  }
+
+  /**
+   * Convert SVG markup to a PNG image using Image and Canvas
+   * @private
+   * @param {string} svgContent - The SVG markup
+   * @returns {Promise<Blob>} The PNG image
+   */
+  _svgToPngBlob(svgContent) {
+    return new Promise((resolve, reject) => {
+      const img = new Image();
+      const url = URL.createObjectURL(new Blob([svgContent], { type: 'image/svg+xml' }));
+      img.onload = () => {
+        const canvas = document.createElement('canvas');
+        canvas.width = img.width;
+        canvas.height = img.height;
+
+        const ctx = canvas.getContext('2d');
+        ctx.drawImage(img, 0, 0);
         URL.revokeObjectURL(url);
-      });
-    };
 
-    const svgBlob = new Blob([svgContent], { type: 'image/svg+xml' });
-    const url = URL.createObjectURL(svgBlob);
-    img.src = url;
+        canvas.toBlob(blob => (blob ? resolve(blob) : reject(new Error('Canvas could not be converted to PNG'))), 'image/png');
+      };
+      img.onerror = () => {
+        URL.revokeObjectURL(url);
+        reject(new Error('SVG could not be loaded as an image'));
+      };
+      img.src = url;
+    });
   }
 
   /**
@@ -927,7 +840,7 @@ logPropertyInheritanceChain(node, property) {
    * @param {string} filename - The filename for the exported markdown file
    */
   exportToMarkdown(filename) {
-    const markdownContent = this.model.toMarkdown();
+    const markdownContent = this.model.toMarkdown(this.model.getHoistedNode());
     
     if (!markdownContent) {
       console.warn('No mindmap content available for markdown export');
@@ -948,6 +861,160 @@ logPropertyInheritanceChain(node, property) {
     console.log('Markdown exported successfully');
   }
 
+  /**
+   * Export the current mindmap as a Mermaid mindmap diagram
+   * @param {string} filename - The filename for the exported Mermaid file
+   */
+  exportToMermaid(filename) {
+    const mermaidContent = this.model.toMermaid(this.model.getHoistedNode());
+
+    if (!mermaidContent) {
+      console.warn('No mindmap content available for Mermaid export');
+      return;
+    }
+
+    // Create blob and trigger download
+    const blob = new Blob([mermaidContent], { type: MermaidFormat.MIME_TYPE });
+    const url = URL.createObjectURL(blob);
+    const a = document.createElement('a');
+    a.href = url;
+    a.download = filename || 'mindmap' + MermaidFormat.FILE_EXTENSION;
+    document.body.appendChild(a);
+    a.click();
+    document.body.removeChild(a);
+    URL.revokeObjectURL(url);
+
+    console.log('Mermaid mindmap exported successfully');
+  }
+
+  /**
+   * Export the current mindmap as an OPML outline
+   * @param {string} filename - The filename for the exported OPML file
+   */
+  exportToOPML(filename) {
+    const opmlContent = this.model.toOPML(this.model.getHoistedNode());
+
+    if (!opmlContent) {
+      console.warn('No mindmap content available for OPML export');
+      return;
+    }
+
+    // Create blob and trigger download
+    const blob = new Blob([opmlContent], { type: OpmlFormat.MIME_TYPE });
+    const url = URL.createObjectURL(blob);
+    const a = document.createElement('a');
+    a.href = url;
+    a.download = filename || 'mindmap' + OpmlFormat.FILE_EXTENSION;
+    document.body.appendChild(a);
+    a.click();
+    document.body.removeChild(a);
+    URL.revokeObjectURL(url);
+
+    console.log('OPML exported successfully');
+  }
+
+  /**
+   * Export the current mindmap as a FreeMind / Freeplane .mm file
+   * @param {string} filename - The filename for the exported .mm file
+   */
+  exportToFreeMind(filename) {
+    const xmlContent = this.model.toFreeMind(this.model.getHoistedNode());
+
+    if (!xmlContent) {
+      console.warn('No mindmap content available for FreeMind export');
+      return;
+    }
+
+    // Create blob and trigger download
+    const blob = new Blob([xmlContent], { type: FreeMindFormat.MIME_TYPE });
+    const url = URL.createObjectURL(blob);
+    const a = document.createElement('a');
+    a.href = url;
+    a.download = filename || 'mindmap' + FreeMindFormat.FILE_EXTENSION;
+    document.body.appendChild(a);
+    a.click();
+    document.body.removeChild(a);
+    URL.revokeObjectURL(url);
+
+    console.log('FreeMind map exported successfully');
+  }
+
+  /**
+   * Export the current mindmap as an XMind .xmind workbook
+   * @param {string} filename - The filename for the exported workbook
+   */
+  async exportToXMind(filename) {
+    const xmindContent = await this.model.toXMind(this.model.getHoistedNode());
+
+    if (!xmindContent) {
+      console.warn('No mindmap content available for XMind export');
+      return;
+    }
+
+    // Create blob and trigger download
+    const blob = new Blob([xmindContent], { type: XMindFormat.MIME_TYPE });
+    const url = URL.createObjectURL(blob);
+    const a = document.createElement('a');
+    a.href = url;
+    a.download = filename || 'mindmap' + XMindFormat.FILE_EXTENSION;
+    document.body.appendChild(a);
+    a.click();
+    document.body.removeChild(a);
+    URL.revokeObjectURL(url);
+
+    console.log('XMind workbook exported successfully');
+  }
+
+  /**
+   * Set navigation overrides to restore (from a .mindmap document)
+   * @param {Object|null} data - nodeId -> { up, down, left, right } with target node IDs
+   */
+  setNavigationOverrideData(data) {
+    this.model.setNavigationOverrides(data);
+  }
+
+  /**
+   * Get the current navigation overrides for saving in a .mindmap document
+   * @return {Object} nodeId -> { up, down, left, right } with target node IDs
+   */
+  getNavigationOverrideData() {
+    if (this.navigationOverrideManager) {
+      return this.navigationOverrideManager.getOverrideData();
+    }
+    return this.model.getNavigationOverrides();
+  }
+
+  /**
+   * Export the mindmap as a .mindmap document, keeping overrides, collapse state and settings
+   * @param {string} filename - The filename for the exported document
+   * @param {Object} settings - Presentation settings to store (preset, layout, YAML customizations)
+   */
+  exportToMindmapDocument(filename, settings = {}) {
+    if (!this.model.getRoot()) {
+      console.warn('No mindmap content available for document export');
+      return;
+    }
+
+    const mindmapDocument = this.model.toJSON({
+      settings,
+      navigationOverrides: this.getNavigationOverrideData()
+    });
+    const jsonContent = MindmapDocument.stringify(mindmapDocument);
+
+    // Create blob and trigger download
+    const blob = new Blob([jsonContent], { type: MindmapDocument.MIME_TYPE });
+    const url = URL.createObjectURL(blob);
+    const a = document.createElement('a');
+    a.href = url;
+    a.download = filename || 'mindmap' + MindmapDocument.FILE_EXTENSION;
+    document.body.appendChild(a);
+    a.click();
+    document.body.removeChild(a);
+    URL.revokeObjectURL(url);
+
+    console.log('Mindmap document exported successfully');
+  }
+
   /**
    * Export navigation test data
    * @param {string} filename - The filename for the exported test data
@@ -1063,7 +1130,7 @@ logPropertyInheritanceChain(node, property) {
       
       console.log(`MindmapController.expandNode: Node "${node.text}" before expansion at: [${nodeBeforePosition.x}, ${nodeBeforePosition.y}]`);
       
-      node.collapsed = false;
+      this.model.setNodeCollapsed(node.id, false);
       
       // Re-apply layout to get new positions after expansion
       this.applyLayout();
@@ -1083,7 +1150,7 @@ logPropertyInheritanceChain(node, property) {
       
       // Apply offset to entire tree to keep expanded node in same position
       if (layoutOffset.x !== 0 || layoutOffset.y !== 0) {
-        const rootNode = this.model.getRoot();
+        const rootNode = this.model.getViewRoot();
         if (rootNode) {
           this.applyOffsetToTree(rootNode, layoutOffset.x, layoutOffset.y);
           console.log(`MindmapController.expandNode: Applied offset [${layoutOffset.x}, ${layoutOffset.y}] to entire tree`);
@@ -1449,6 +1516,44 @@ logPropertyInheritanceChain(node, property) {
         return;
       }
       
+      // Undo with Ctrl+Z, redo with Ctrl+Shift+Z or Ctrl+Y (Cmd on macOS); text fields keep their own undo
+      const key = (e.key || '').toLowerCase();
+      if ((e.ctrlKey || e.metaKey) && (key === 'z' || key === 'y') && !this._isTextInput(e.target)) {
+        e.preventDefault();
+        if (key === 'y' || e.shiftKey) {
+          this.redo();
+        } else {
+          this.undo();
+        }
+        return;
+      }
+      
+      // Ctrl+F searches the map (text fields keep the browser's own search)
+      if ((e.ctrlKey || e.metaKey) && key === 'f' && !e.shiftKey && this.searchManager && !this._isTextInput(e.target)) {
+        e.preventDefault();
+        this.searchManager.focus();
+        return;
+      }
+      
+      // Copy or cut the selected branch with Ctrl+C / Ctrl+X, unless text on the page is selected
+      if ((e.ctrlKey || e.metaKey) && (key === 'c' || key === 'x') && !e.shiftKey && !this._isTextInput(e.target) &&
+          this.getSelectedNode() && !this._hasTextSelection()) {
+        e.preventDefault();
+        if (key === 'x') {
+          this.cutSelectedNode();
+        } else {
+          this.copySelectedNode();
+        }
+        return;
+      }
+      
+      // Editing keys act on the selected node (Tab, Enter, Delete, Alt+Arrow, F2)
+      if (!this._isTextInput(e.target) && this.handleEditingKey(e)) {
+        e.preventDefault();
+        e.stopPropagation();
+        return;
+      }
+      
       if (['ArrowUp', 'ArrowDown', 'ArrowLeft', 'ArrowRight'].includes(e.key)) {
         console.log(`Key event captured: ${e.key}`);
         e.preventDefault();
@@ -1458,9 +1563,412 @@ logPropertyInheritanceChain(node, property) {
     };
 
     document.addEventListener('keydown', this.keyboardNavigationHandler);
+
+    // Pasting (Ctrl+V) adds the clipboard text as children of the selected node
+    this.clipboardPasteHandler = (e) => {
+      if (this.editingNodeId || this._isTextInput(e.target) || !this.getSelectedNode()) return;
+      const text = e.clipboardData ? e.clipboardData.getData('text/plain') : '';
+      if (!text.trim()) return;
+      e.preventDefault();
+      this.pasteAsChildren(text);
+    };
+    document.addEventListener('paste', this.clipboardPasteHandler);
     this.keyboardNavigationInitialized = true;
   }
 
+  /**
+   * Check if a keyboard event target is a text field with its own keyboard handling
+   * @private
+   * @param {EventTarget} target - The event target
+   * @returns {boolean} True for inputs, textareas, selects and editable content
+   */
+  _isTextInput(target) {
+    if (!target || !target.tagName) return false;
+    return ['INPUT', 'TEXTAREA', 'SELECT'].includes(target.tagName) || !!target.isContentEditable;
+  }
+
+  /**
+   * Check if the user has selected text on the page, which Ctrl+C should copy instead of the selected node
+   * @private
+   * @returns {boolean} True if there is a text selection
+   */
+  _hasTextSelection() {
+    const selection = window.getSelection ? window.getSelection() : null;
+    return !!selection && selection.toString().length > 0;
+  }
+
+  /**
+   * Copy the selected branch to the system clipboard as markdown, with an image of the branch
+   * (PNG, and SVG where the browser accepts it) for pasting into documents and chats
+   * @returns {Promise<boolean>} True if the branch was copied
+   */
+  async copySelectedNode() {
+    const node = this.getSelectedNode();
+    if (!node) return false;
+
+    const markdown = this.model.toMarkdown(node);
+    try {
+      // The clipboard write has to start while handling the key press, so the images are passed as promises
+      const svgPromise = this._renderBranchSvg(markdown);
+      const flavors = {
+        'text/plain': new Blob([markdown], { type: 'text/plain' }),
+        'image/png': svgPromise.then(svg => this._svgToPngBlob(svg))
+      };
+      if (ClipboardItem.supports && ClipboardItem.supports('image/svg+xml')) {
+        flavors['image/svg+xml'] = svgPromise.then(svg => new Blob([svg], { type: 'image/svg+xml' }));
+      }
+      await navigator.clipboard.write([new ClipboardItem(flavors)]);
+    } catch (error) {
+      console.warn('MindmapController: Copying the branch with its image failed, copying the markdown only:', error);
+      try {
+        await navigator.clipboard.writeText(markdown);
+      } catch (textError) {
+        console.error('MindmapController: Copying to the clipboard failed:', textError);
+        return false;
+      }
+    }
+
+    console.log(`MindmapController: Copied "${node.text}" with its branch`);
+    return true;
+  }
+
+  /**
+   * Copy the selected branch to the clipboard and remove it from the map
+   * @returns {Promise<boolean>} True if the branch was cut
+   */
+  async cutSelectedNode() {
+    if (!(await this.copySelectedNode())) return false;
+    return this.deleteSelectedNode();
+  }
+
+  /**
+   * Add the topics of pasted markdown or indented text as children of the selected node
+   * @param {string} text - The clipboard text
+   * @returns {Promise<boolean>} True if nodes were added
+   */
+  async pasteAsChildren(text) {
+    const parent = this.getSelectedNode();
+    if (!parent) return false;
+
+    const added = await this.model.pasteMarkdown(parent.id, text);
+    if (added.length === 0) {
+      console.log('MindmapController: Nothing to paste');
+      return false;
+    }
+
+    console.log(`MindmapController: Pasted ${added.length} topic(s) under "${parent.text}"`);
+    this.showModelChange(added[0].id);
+    return true;
+  }
+
+  /**
+   * Render a branch on its own, with the current style, for the clipboard image
+   * @private
+   * @param {string} markdown - The branch as markdown (see MindmapModel.toMarkdown())
+   * @returns {Promise<string>} The SVG markup
+   */
+  async _renderBranchSvg(markdown) {
+    const branchModel = new MindmapModel();
+    await branchModel.parseFromMarkdown(markdown);
+    const rootNode = branchModel.getRoot();
+
+    // The top node keeps its level, so the branch looks as it does in the map
+    const layout = this.styleManager.getLevelStyle(rootNode.level).getLayout();
+    layout.applyLayout(rootNode, 0, 0, this.styleManager);
+    branchModel.regenerateAllIds();
+
+    return new MindmapRenderer(branchModel, this.styleManager).generateSVG();
+  }
+
+  /**
+   * Undo the last change to the map
+   * @returns {boolean} True if a change was undone
+   */
+  undo() {
+    const command = this.model.undo();
+    if (!command) {
+      console.log('MindmapController: Nothing to undo');
+      return false;
+    }
+    this.showModelChange();
+    return true;
+  }
+
+  /**
+   * Redo the last undone change to the map
+   * @returns {boolean} True if a change was redone
+   */
+  redo() {
+    const command = this.model.redo();
+    if (!command) {
+      console.log('MindmapController: Nothing to redo');
+      return false;
+    }
+    this.showModelChange();
+    return true;
+  }
+
+  /**
+   * Handle the editing keys for the selected node, in the style of XMind and FreeMind:
+   * Tab adds a child, Enter a sibling, Delete/Backspace removes the branch, F2 edits the text,
+   * Alt+Up/Down moves the node among its siblings and Alt+Left/Right promotes/demotes it.
+   * Alt+Enter focuses the view on the node, Escape leaves the focus one level at a time.
+   * @param {KeyboardEvent} event - The keyboard event
+   * @returns {boolean} True if the key was handled
+   */
+  handleEditingKey(event) {
+    const node = this.getSelectedNode();
+    if (event.ctrlKey || event.metaKey) return false;
+
+    // Leaving the focus does not need a selected node
+    if (event.key === 'Escape' && !event.altKey && !event.shiftKey) return this.leaveHoist();
+    if (!node) return false;
+
+    // Focused buttons and links keep Tab and Enter for themselves
+    if (event.target && ['BUTTON', 'A'].includes(event.target.tagName)) return false;
+
+    if (event.altKey) {
+      if (event.key === 'Enter') {
+        this.hoistNode(node.id);
+        return true;
+      }
+      if (!['ArrowUp', 'ArrowDown', 'ArrowLeft', 'ArrowRight'].includes(event.key)) return false;
+      this.moveSelectedNode(event.key);
+      return true;
+    }
+
+    switch (event.key) {
+      case 'Tab':
+        if (event.shiftKey) return false;
+        this.addChildNode();
+        return true;
+      case 'Enter':
+        if (event.shiftKey) return false;
+        this.addSiblingNode();
+        return true;
+      case 'Delete':
+      case 'Backspace':
+        this.deleteSelectedNode();
+        return true;
+      case 'F2':
+        this.startNodeEdit(node.id);
+        return true;
+      default:
+        return false;
+    }
+  }
+
+  /**
+   * Add a child to the selected node and start editing it
+   * @returns {boolean} True if a node was added
+   */
+  addChildNode() {
+    const parent = this.getSelectedNode();
+    if (!parent) return false;
+
+    let newNode = null;
+    this.model.history.group('Add child', () => {
+      this.model.setNodeCollapsed(parent.id, false);
+      newNode = this.model.addNode(parent.id, parent.children.length, MindmapController.NEW_NODE_TEXT);
+    });
+    if (!newNode) return false;
+
+    console.log(`MindmapController: Added child "${newNode.text}" to "${parent.text}"`);
+    this.showModelChange(newNode.id, true);
+    return true;
+  }
+
+  /**
+   * Add a sibling after the selected node and start editing it
+   * The single root topic has no siblings, so it gets a child instead; so does the node the view is focused on.
+   * @returns {boolean} True if a node was added
+   */
+  addSiblingNode() {
+    const node = this.getSelectedNode();
+    if (!node) return false;
+    const singleRoot = !node.parent || (node.parent.isForest() && node.parent.children.length === 1);
+    if (singleRoot || node === this.model.getHoistedNode()) return this.addChildNode();
+
+    const newNode = this.model.addNode(node.parent.id, node.parent.children.indexOf(node) + 1, MindmapController.NEW_NODE_TEXT);
+    if (!newNode) return false;
+
+    console.log(`MindmapController: Added sibling "${newNode.text}" after "${node.text}"`);
+    this.showModelChange(newNode.id, true);
+    return true;
+  }
+
+  /**
+   * Remove the selected node with its branch and select a neighbour
+   * @returns {boolean} True if the node was removed
+   */
+  deleteSelectedNode() {
+    const node = this.getSelectedNode();
+    if (!node || !node.parent) return false;
+
+    // Select the next sibling, the previous one, or else the parent
+    const siblings = node.parent.children;
+    const index = siblings.indexOf(node);
+    const nextNode = siblings[index + 1] || siblings[index - 1] || (node.parent.isForest() ? null : node.parent);
+
+    if (!this.model.removeNode(node.id)) {
+      console.log(`MindmapController: Cannot delete "${node.text}"`);
+      return false;
+    }
+
+    // Deleting the focused node shows the whole map again
+    if (node.id === this.model.hoistedNodeId) {
+      this.model.unhoist();
+    }
+
+    console.log(`MindmapController: Deleted "${node.text}" with its branch`);
+    this.showModelChange(nextNode ? nextNode.id : null);
+    return true;
+  }
+
+  /**
+   * Move the selected node: up/down among its siblings, left to become a sibling of its parent
+   * (promote), right to become the last child of its previous sibling (demote)
+   * @param {string} key - The arrow key pressed
+   * @returns {boolean} True if the node was moved
+   */
+  moveSelectedNode(key) {
+    const node = this.getSelectedNode();
+    // In focus mode, nodes stay within the focused branch and the focused node itself does not move
+    if (!node || !node.parent || node === this.model.getHoistedNode()) return false;
+
+    const parent = node.parent;
+    const index = parent.children.indexOf(node);
+    let moved = false;
+
+    if (key === 'ArrowUp' && index > 0) {
+      moved = this.model.moveNode(node.id, parent.id, index - 1);
+    } else if (key === 'ArrowDown' && index < parent.children.length - 1) {
+      moved = this.model.moveNode(node.id, parent.id, index + 1);
+    } else if (key === 'ArrowLeft' && parent.parent && this.model.isInView(parent.parent)) {
+      moved = this.model.moveNode(node.id, parent.parent.id, parent.parent.children.indexOf(parent) + 1);
+    } else if (key === 'ArrowRight' && index > 0) {
+      const newParent = parent.children[index - 1];
+      moved = this.model.history.group('Demote node', () => {
+        this.model.setNodeCollapsed(newParent.id, false);
+        this.model.moveNode(node.id, newParent.id, newParent.children.length);
+      });
+    }
+
+    if (!moved) {
+      console.log(`MindmapController: Cannot move "${node.text}" with ${key}`);
+      return false;
+    }
+
+    this.showModelChange(node.id);
+    return true;
+  }
+
+  /**
+   * Focus the view on a node: only its branch is laid out and shown, with the node as the root
+   * A collapsed node is expanded first. Focusing on the root topic shows the whole map.
+   * @param {string|null} nodeId - The ID of the node, or null for the whole map
+   * @param {string|null} selectId - The node to select afterwards (default: the focused node, or else the current selection)
+   * @returns {boolean} True if the view is focused on the node
+   */
+  hoistNode(nodeId, selectId = nodeId) {
+    const hoisted = this.model.hoist(nodeId);
+    if (hoisted) {
+      this.model.setNodeCollapsed(nodeId, false);
+      console.log(`MindmapController: Focused the view on "${this.model.getHoistedNode().text}"`);
+    } else {
+      console.log('MindmapController: Showing the whole map');
+    }
+
+    this.showModelChange(selectId || this.selectedNodeId);
+    return hoisted;
+  }
+
+  /**
+   * Move the focus of the view one level up: to the parent of the focused node, or to the whole map
+   * @returns {boolean} True if the view was focused
+   */
+  leaveHoist() {
+    const hoistedNode = this.model.getHoistedNode();
+    if (!hoistedNode) return false;
+
+    // Keep the node that was focused selected, so Alt+Enter goes back into it
+    const [parent] = this.model.getAncestors(hoistedNode).slice(-1);
+    this.hoistNode(parent ? parent.id : null, hoistedNode.id);
+    return true;
+  }
+
+  /**
+   * Show the breadcrumb trail of the focused node: its ancestors (click to focus on one of them) and the node itself
+   * The trail is hidden when the whole map is shown.
+   */
+  updateBreadcrumb() {
+    const breadcrumb = document.getElementById('breadcrumb');
+    if (!breadcrumb) return;
+
+    const hoistedNode = this.model.getHoistedNode();
+    breadcrumb.innerHTML = '';
+    breadcrumb.hidden = !hoistedNode;
+    if (!hoistedNode) return;
+
+    const addItem = (text, nodeId) => {
+      if (breadcrumb.childNodes.length > 0) {
+        const separator = document.createElement('span');
+        separator.className = 'breadcrumb-separator';
+        separator.textContent = '›';
+        breadcrumb.appendChild(separator);
+      }
+      const item = document.createElement(nodeId === undefined ? 'span' : 'button');
+      item.className = 'breadcrumb-item';
+      item.textContent = text;
+      if (nodeId !== undefined) {
+        item.type = 'button';
+        item.title = nodeId ? `Focus on "${text}"` : 'Show the whole map';
+        item.addEventListener('click', () => this.hoistNode(nodeId));
+      }
+      breadcrumb.appendChild(item);
+    };
+
+    // A map with several top-level topics has no root topic to go back to
+    if (this.model.getRoot().isForest()) {
+      addItem('Whole map', null);
+    }
+    for (const ancestor of this.model.getAncestors(hoistedNode)) {
+      addItem(markdownToText(ancestor.text), ancestor.id);
+    }
+    addItem(markdownToText(hoistedNode.text));
+  }
+
+  /**
+   * Re-render the map after a change to the model and write the result back to the markdown
+   * @param {string|null} nodeId - The node to select and scroll into view (default: the current selection)
+   * @param {boolean} edit - Start editing the text of the node
+   */
+  showModelChange(nodeId = this.selectedNodeId, edit = false) {
+    this.rerenderMindmap();
+
+    // Show the selection on the new SVG, unless the node no longer exists
+    const node = nodeId ? this.model.findNodeById(nodeId) : null;
+    if (node) {
+      this.selectedNodeId = node.id;
+      this.updateSelectionVisual();
+
+      // The inline editor is placed over the node, so it opens once the node is scrolled into view
+      const visible = this.isNodeFullyVisible(node);
+      this.scrollToMakeNodeVisible(node);
+      if (edit) {
+        setTimeout(() => this.startNodeEdit(node.id), visible ? 0 : 400);
+      }
+    } else if (this.selectedNodeId) {
+      this.clearSelection();
+    }
+
+    if (typeof window !== 'undefined' && window.mindmapApp && window.mindmapApp.autoSaveToMarkdown) {
+      setTimeout(() => {
+        window.mindmapApp.autoSaveToMarkdown();
+      }, 100); // Small delay to ensure re-render is complete
+    }
+  }
+
   /**
    * Handle arrow key navigation
    * @param {string} key - The arrow key pressed
@@ -1477,9 +1985,9 @@ logPropertyInheritanceChain(node, property) {
     console.log(`=== NAVIGATION START: ${key} ===`);
     
     const currentNode = this.getSelectedNode();
-    if (!currentNode) {
+    if (!currentNode || !this.model.isInView(currentNode)) {
       console.log('MindmapController: No node selected, selecting root node');
-      const rootNode = this.model.getRoot();
+      const [rootNode] = this.model.getHoistedNode() ? [this.model.getHoistedNode()] : this.model.getRoots();
       if (rootNode) {
         console.log(`MindmapController: Selected root node: ${rootNode.text}`);
         this.selectNodeAndMakeVisible(rootNode.id);
@@ -1501,7 +2009,8 @@ logPropertyInheritanceChain(node, property) {
 
     // Try layout-aware navigation first
     const layoutTargetNode = this.findNodeByLayoutLogic(currentNode, key);
-    if (layoutTargetNode) {
+    // In focus mode, navigation stays within the focused branch; hidden branches are skipped
+    if (layoutTargetNode && this.model.isInView(layoutTargetNode) && !this.renderer.isNodeHidden(layoutTargetNode)) {
       console.log(`MindmapController: Layout-aware navigation succeeded: ${key} -> "${layoutTargetNode.text}"`);
       this.selectNodeAndMakeVisible(layoutTargetNode.id);
       console.log(`=== NAVIGATION SUCCESS (layout-aware) ===`);
@@ -1545,8 +2054,26 @@ logPropertyInheritanceChain(node, property) {
     console.log(`MindmapController.findNodeByLayoutLogic: Created ${layout.constructor.name} instance`);
     console.log(`MindmapController.findNodeByLayoutLogic: Delegating to ${layout.constructor.name}.navigateByKey()`);
     
+    // The layout of the parent may arrange its children in a way their own layout does not know (e.g. a grid)
+    let result = null;
+    const parent = currentNode.parent;
+    if (parent && !parent.isForest()) {
+      const parentLevelStyle = this.styleManager.getLevelStyle(parent.level);
+      const parentLayout = LayoutFactory.createLayout(
+        this.styleManager.getEffectiveValue(parent, 'layoutType'),
+        parentLevelStyle.parentPadding,
+        parentLevelStyle.childPadding
+      );
+      result = parentLayout.navigateFromChild(currentNode, key, this.styleManager);
+    }
+
     // Delegate navigation to the layout
-    const result = layout.navigateByKey(currentNode, key, this.styleManager);
+    result = result || layout.navigateByKey(currentNode, key, this.styleManager);
+
+    // The container of a forest is not drawn; from a top-level topic, move on to the neighbouring top-level topic instead
+    if (!result || result.isForest()) {
+      result = new ForestLayout().navigateByKey(currentNode, key, this.styleManager);
+    }
     
     if (result) {
       console.log(`MindmapController.findNodeByLayoutLogic: ${layout.constructor.name}.navigateByKey() returned "${result.text}"`);
@@ -1698,7 +2225,7 @@ logPropertyInheritanceChain(node, property) {
    */
   getAllNodes() {
     const nodes = [];
-    this.collectNodesRecursive(this.model.getRoot(), nodes);
+    this.collectNodesRecursive(this.model.getViewRoot(), nodes);
     return nodes;
   }
 
@@ -1710,7 +2237,13 @@ logPropertyInheritanceChain(node, property) {
   collectNodesRecursive(node, nodes) {
     if (!node) return;
     
-    nodes.push(node);
+    // Branches left out of the drawing (hidden tags, search filter) cannot be selected
+    if (this.renderer.isNodeHidden(node)) return;
+
+    // The container of a forest is not drawn and cannot be selected
+    if (!node.isForest()) {
+      nodes.push(node);
+    }
     
     // Only collect children if the node is not collapsed
     if (!node.collapsed) {
@@ -0,0 +1,266 @@
+// src/controller/search-manager.js
+
+/**
+ * Manages the search panel of the preview: finds nodes by text, highlights them and filters the view
+ *
+ * Typing updates the highlights. Enter reveals the matches (their collapsed ancestors are expanded, as
+ * one undo step) and selects the next match, Shift+Enter the previous one; Escape ends the search.
+ */
+class SearchManager {
+  // Delay after the last key stroke before searching
+  static DEBOUNCE_MS = 200;
+
+  /**
+   * Create a new SearchManager
+   * @param {MindmapModel} model - The mindmap model
+   * @param {MindmapRenderer} renderer - The mindmap renderer
+   * @param {MindmapController} controller - The mindmap controller
+   * @param {HTMLElement} panel - The search panel element
+   */
+  constructor(model, renderer, controller, panel) {
+    this.model = model;
+    this.renderer = renderer;
+    this.controller = controller;
+    this.panel = panel;
+
+    this.input = panel.querySelector('#search-input');
+    this.caseCheckbox = panel.querySelector('#search-case');
+    this.regexCheckbox = panel.querySelector('#search-regex');
+    this.filterSelect = panel.querySelector('#search-filter');
+    this.countElement = panel.querySelector('#search-count');
+    this.previousButton = panel.querySelector('#search-previous');
+    this.nextButton = panel.querySelector('#search-next');
+
+    // Search state
+    this.matchIds = [];
+    this.currentIndex = -1;
+    this.revealed = false; // Whether the matches of the current search were revealed
+    this.filterApplied = false; // Whether the map is drawn filtered to the matches
+    this.error = null;
+    this.searchTimeout = null;
+
+    // Bind methods
+    this.handleInput = this.handleInput.bind(this);
+    this.handleKeydown = this.handleKeydown.bind(this);
+    this.search = this.search.bind(this);
+
+    this.initialize();
+  }
+
+  /**
+   * Attach the event listeners of the panel
+   */
+  initialize() {
+    this.input.addEventListener('input', this.handleInput);
+    this.input.addEventListener('keydown', this.handleKeydown);
+    [this.caseCheckbox, this.regexCheckbox, this.filterSelect].forEach(element => {
+      if (element) element.addEventListener('change', this.search);
+    });
+    if (this.previousButton) {
+      this.previousButton.addEventListener('click', () => this.goToMatch(-1));
+    }
+    if (this.nextButton) {
+      this.nextButton.addEventListener('click', () => this.goToMatch(1));
+    }
+  }
+
+  /**
+   * Move the focus to the search box
+   */
+  focus() {
+    this.input.focus();
+    this.input.select();
+  }
+
+  /**
+   * Search again shortly after typing stops
+   */
+  handleInput() {
+    clearTimeout(this.searchTimeout);
+    this.searchTimeout = setTimeout(this.search, SearchManager.DEBOUNCE_MS);
+  }
+
+  /**
+   * Handle keys in the search box
+   * @param {KeyboardEvent} event - The keyboard event
+   */
+  handleKeydown(event) {
+    // Keys typed here are not map navigation or editing keys
+    event.stopPropagation();
+
+    if (event.key === 'Enter') {
+      event.preventDefault();
+      // Run a search that is still waiting for the typing to stop
+      if (this.searchTimeout) {
+        this.search();
+      }
+      this.goToMatch(event.shiftKey ? -1 : 1);
+    } else if (event.key === 'Escape') {
+      event.preventDefault();
+      this.clear();
+      this.input.blur();
+    }
+  }
+
+  /**
+   * Get the search options from the panel
+   * @returns {{regex: boolean, caseSensitive: boolean}} Options for MindmapModel.searchNodes()
+   */
+  getOptions() {
+    return {
+      regex: !!(this.regexCheckbox && this.regexCheckbox.checked),
+      caseSensitive: !!(this.caseCheckbox && this.caseCheckbox.checked)
+    };
+  }
+
+  /**
+   * Get the filter mode from the panel
+   * @returns {string} 'none', 'dim' or 'hide'
+   */
+  getFilterMode() {
+    return this.filterSelect ? this.filterSelect.value : 'none';
+  }
+
+  /**
+   * Search the map for the text in the search box and show the matches
+   */
+  search() {
+    clearTimeout(this.searchTimeout);
+    this.searchTimeout = null;
+
+    this._findMatches();
+    this.currentIndex = -1;
+    this.revealed = false;
+    console.log(`SearchManager: ${this.matchIds.length} match(es) for "${this.input.value}"`);
+    this._show();
+  }
+
+  /**
+   * Search again after the map changed, without rendering (called before the map is rendered)
+   */
+  refresh() {
+    if (!this.input.value) return;
+
+    const currentId = this.matchIds[this.currentIndex];
+    this._findMatches();
+    this.currentIndex = this.matchIds.indexOf(currentId);
+    this.filterApplied = this._isFilterActive();
+    this._updateCount();
+  }
+
+  /**
+   * Select the next or previous match and scroll it into view
+   * The first time, the matches hidden in collapsed branches are revealed.
+   * A match outside the focused branch (see MindmapModel.hoist()) shows the whole map again.
+   * @param {number} step - 1 for the next match, -1 for the previous one
+   */
+  goToMatch(step) {
+    const count = this.matchIds.length;
+    if (count === 0) return;
+
+    let expanded = false;
+    if (!this.revealed) {
+      this.revealed = true;
+      expanded = this.model.revealNodes(this.matchIds);
+    }
+
+    this.currentIndex = this.currentIndex < 0 ?
+      (step > 0 ? 0 : count - 1) :
+      (this.currentIndex + step + count) % count;
+    const nodeId = this.matchIds[this.currentIndex];
+
+    const node = this.model.findNodeById(nodeId);
+    if (node && !this.model.isInView(node)) {
+      this.model.unhoist();
+      expanded = true;
+    }
+
+    if (expanded) {
+      // Re-render with the expanded branches (or the whole map) and write their state back to the markdown
+      this.controller.showModelChange(nodeId);
+    } else {
+      this.controller.selectNodeAndMakeVisible(nodeId);
+    }
+    this._updateCount();
+  }
+
+  /**
+   * End the search: remove the highlights and the filter
+   */
+  clear() {
+    this.input.value = '';
+    this._findMatches();
+    this.currentIndex = -1;
+    this.revealed = false;
+    this._show();
+  }
+
+  /**
+   * Show the matches: filtering changes what is drawn, highlights alone are updated in place
+   * @private
+   */
+  _show() {
+    const wasFiltered = this.filterApplied;
+    this.filterApplied = this._isFilterActive();
+    if (wasFiltered || this.filterApplied) {
+      this.controller.rerenderMindmap();
+    } else {
+      this.renderer.updateSearchHighlights();
+    }
+    this._updateCount();
+  }
+
+  /**
+   * Find the matches of the current query and pass them to the renderer
+   * @private
+   */
+  _findMatches() {
+    const query = this.input.value;
+    this.error = null;
+    try {
+      this.matchIds = this.model.searchNodes(query, this.getOptions()).map(node => node.id);
+    } catch (error) {
+      // Invalid regular expression, e.g. while it is being typed
+      this.error = error;
+      this.matchIds = [];
+    }
+    this.input.classList.toggle('invalid', !!this.error);
+    this.renderer.setSearchResults(query ? this.matchIds : null, this.getFilterMode());
+  }
+
+  /**
+   * Check if the view is filtered to the matching branches
+   * @private
+   * @returns {boolean} True if a filter mode is chosen and there are matches
+   */
+  _isFilterActive() {
+    return this.getFilterMode() !== 'none' && this.matchIds.length > 0;
+  }
+
+  /**
+   * Show the number of matches and the position of the selected one
+   * @private
+   */
+  _updateCount() {
+    if (!this.countElement) return;
+
+    if (this.error) {
+      this.countElement.textContent = 'Invalid expression';
+    } else if (!this.input.value) {
+      this.countElement.textContent = '';
+    } else if (this.matchIds.length === 0) {
+      this.countElement.textContent = 'No matches';
+    } else if (this.currentIndex >= 0) {
+      this.countElement.textContent = `${this.currentIndex + 1} of ${this.matchIds.length}`;
+    } else {
+      this.countElement.textContent = `${this.matchIds.length} match${this.matchIds.length === 1 ? '' : 'es'}`;
+    }
+  }
+}
+
+// For backward compatibility
+if (typeof window !== 'undefined') {
+  window.SearchManager = SearchManager;
+}
+
+export default SearchManager;
@@ -0,0 +1,102 @@
+// src/controller/tag-legend.js
+
+/**
+ * Manages the tag legend of the preview: lists the tags used in the map and shows or hides
+ * the branches of each tag
+ *
+ * A branch is hidden when its top node has a hidden tag. Hiding only changes what is drawn
+ * (see MindmapRenderer.setHiddenTags()), so the markdown and the undo history are not touched.
+ */
+class TagLegend {
+  /**
+   * Create a new TagLegend
+   * @param {MindmapModel} model - The mindmap model
+   * @param {MindmapRenderer} renderer - The mindmap renderer
+   * @param {MindmapController} controller - The mindmap controller
+   * @param {StyleManager} styleManager - The style manager, for the colors of the tags
+   * @param {HTMLElement} panel - The legend panel element
+   */
+  constructor(model, renderer, controller, styleManager, panel) {
+    this.model = model;
+    this.renderer = renderer;
+    this.controller = controller;
+    this.styleManager = styleManager;
+    this.panel = panel;
+    this.list = panel.querySelector('#tag-legend-list');
+
+    // Normalized tags whose branches are hidden
+    this.hiddenTags = new Set();
+  }
+
+  /**
+   * Update the list after the map changed, before it is rendered
+   * Tags that are no longer used are forgotten, so they show again when they come back.
+   */
+  refresh() {
+    const tags = this.model.getTags();
+    this.hiddenTags = new Set([...this.hiddenTags].filter(tag => tags.has(tag)));
+    this.renderer.setHiddenTags(this.hiddenTags);
+
+    this.panel.hidden = tags.size === 0;
+    this.list.innerHTML = '';
+    for (const [tag, count] of tags) {
+      this.list.appendChild(this._createItem(tag, count));
+    }
+  }
+
+  /**
+   * Show or hide the branches of a tag
+   * @param {string} tag - The normalized tag
+   * @param {boolean} visible - Whether the branches are shown
+   */
+  setTagVisible(tag, visible) {
+    if (visible) {
+      this.hiddenTags.delete(tag);
+    } else {
+      this.hiddenTags.add(tag);
+    }
+    console.log(`TagLegend: ${visible ? 'Showing' : 'Hiding'} branches tagged #${tag}`);
+    this.controller.rerenderMindmap();
+  }
+
+  /**
+   * Create the list item of a tag: a checkbox with the tag in its color and the number of tagged nodes
+   * @private
+   * @param {string} tag - The normalized tag
+   * @param {number} count - Number of nodes with the tag
+   * @returns {HTMLElement} The list item
+   */
+  _createItem(tag, count) {
+    const item = document.createElement('li');
+    const label = document.createElement('label');
+    const checkbox = document.createElement('input');
+    checkbox.type = 'checkbox';
+    checkbox.checked = !this.hiddenTags.has(tag);
+    checkbox.addEventListener('change', () => this.setTagVisible(tag, checkbox.checked));
+
+    const chip = document.createElement('span');
+    chip.className = 'tag-legend-chip';
+    chip.textContent = `#${tag}`;
+    const tagStyle = this.styleManager.getTagStyle(tag);
+    const color = tagStyle && (tagStyle.borderColor || tagStyle.backgroundColor);
+    if (color) {
+      chip.style.borderColor = color;
+      chip.style.color = color;
+    }
+
+    const countElement = document.createElement('span');
+    countElement.className = 'tag-legend-count';
+    countElement.textContent = count;
+
+    label.append(checkbox, chip, countElement);
+    item.appendChild(label);
+    return item;
+  }
+}
+
+// For backward compatibility
+if (typeof window !== 'undefined') {
+  window.TagLegend = TagLegend;
+}
+
+export default TagLegend;
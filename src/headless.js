@@ -0,0 +1,130 @@
+// src/headless.js - Entry point for rendering mindmaps without a browser (e.g. Node.js build pipelines)
+
+import MindmapModel from './model/mindmap-model.js';
+import MindmapRenderer from './renderer/mindmap-renderer.js';
+import StyleManager from './style/style-manager.js';
+import MindmapStylePresets from './style/style-presets.js';
+import LayoutConfigurations from './style/layout-configurations.js';
+import LayoutFactory from './layout/layout-factory.js';
+import YamlParser from './utils/yaml-parser.js';
+import textMetrics from './utils/text-metrics.js';
+import { DomFontMetrics, WidthTableFontMetrics } from './utils/font-metrics.js';
+
+/**
+ * Render a markdown mindmap to an SVG string without touching the DOM
+ * Uses the same parse → preset → layout → render pipeline as the web UI,
+ * with text measured by a font metrics backend instead of the browser.
+ * Markdown formatting inside nodes is rendered as plain text.
+ * Settings in the markdown's front matter (`mindmap:` block) are used where no option is given.
+ * @param {string} markdown - The markdown source (headings and/or bullet points)
+ * @param {Object} options - Rendering options
+ * @param {string} options.preset - Style preset name (see MindmapStylePresets.getPresets())
+ * @param {string} options.layout - Layout name (see LayoutConfigurations.getLayoutNames())
+ * @param {string} options.styleYaml - Custom style YAML (same format as the Custom YAML tab), applied on top of the preset
+ *   and of the front matter style
+ * @param {boolean} options.expandAll - Expand nodes that are collapsed by default
+ * @param {Object} options.fontMetrics - Font metrics backend (defaults to Helvetica width tables)
+ * @return {Promise<string>} The SVG markup
+ */
+async function renderMarkdownToSvg(markdown, options = {}) {
+  const model = new MindmapModel();
+  await model.parseFromMarkdown(markdown);
+  if (!model.getRoot()) {
+    throw new Error('No mindmap content found in markdown');
+  }
+  return renderModelToSvg(model, options);
+}
+
+/**
+ * Render an already loaded model (e.g. imported from a FreeMind .mm file) to an SVG string
+ * Per-node overrides in the model are kept; the layout's root overrides are applied on top.
+ * @param {MindmapModel} model - The model to render
+ * @param {Object} options - Rendering options, see renderMarkdownToSvg()
+ * @return {Promise<string>} The SVG markup
+ */
+async function renderModelToSvg(model, options = {}) {
+  const frontMatterSettings = model.getFrontMatterSettings() || {};
+  const {
+    preset = frontMatterSettings.preset || 'default',
+    layout = frontMatterSettings.layout || 'taproot',
+    styleYaml = null,
+    expandAll = false,
+    fontMetrics = null
+  } = options;
+
+  const frontMatterStyle = frontMatterSettings.styleYaml ? YamlParser.parse(frontMatterSettings.styleYaml) : null;
+  const customStyle = _validateOptions({ preset, layout, styleYaml });
+  const rootNode = model.getRoot();
+  if (!rootNode) {
+    throw new Error('No mindmap content to render');
+  }
+
+  const previousBackend = textMetrics.setBackend(fontMetrics || new WidthTableFontMetrics());
+  try {
+    if (expandAll) {
+      model.expandAll();
+    }
+
+    const styleManager = new StyleManager();
+    MindmapStylePresets.applyPreset(preset, styleManager);
+    LayoutConfigurations.apply(layout, styleManager, rootNode);
+    if (frontMatterStyle) {
+      styleManager.configure(frontMatterStyle);
+    }
+    if (customStyle) {
+      styleManager.configure(customStyle);
+    }
+
+    // Same steps as MindmapController.applyLayout(), for the branch the view is focused on if any
+    const viewRoot = model.getViewRoot();
+    const rootLayout = LayoutFactory.createRootLayout(viewRoot, styleManager);
+    rootLayout.applyLayout(viewRoot, 0, 0, styleManager);
+    model.regenerateAllIds();
+
+    const renderer = new MindmapRenderer(model, styleManager);
+    return await renderer.generateSVG();
+  } finally {
+    textMetrics.setBackend(previousBackend);
+  }
+}
+
+/**
+ * Validate rendering options
+ * @private
+ * @param {Object} options - Rendering options, see renderMarkdownToSvg()
+ * @return {Object|null} The parsed custom style YAML, if any
+ * @throws {Error} If the preset or layout is unknown or the style YAML is invalid
+ */
+function _validateOptions({ preset = 'default', layout = 'taproot', styleYaml = null }) {
+  if (!MindmapStylePresets.getPresets()[preset]) {
+    throw new Error(`Unknown style preset "${preset}". Available: ${Object.keys(MindmapStylePresets.getPresets()).join(', ')}`);
+  }
+  if (!LayoutConfigurations.getLayoutNames().includes(layout)) {
+    throw new Error(`Unknown layout "${layout}". Available: ${LayoutConfigurations.getLayoutNames().join(', ')}`);
+  }
+
+  if (!styleYaml) {
+    return null;
+  }
+  const customStyle = YamlParser.parse(styleYaml);
+  const validation = YamlParser.validateStylePreset(customStyle);
+  if (!validation.valid) {
+    throw new Error(`Invalid style YAML: ${validation.errors.join('; ')}`);
+  }
+  return customStyle;
+}
+
+export {
+  renderMarkdownToSvg,
+  renderModelToSvg,
+  MindmapModel,
+  MindmapRenderer,
+  StyleManager,
+  MindmapStylePresets,
+  LayoutConfigurations,
+  DomFontMetrics,
+  WidthTableFontMetrics,
+  textMetrics
+};
+
+export default renderMarkdownToSvg;
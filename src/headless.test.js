@@ -0,0 +1,66 @@
+/**
+ * Tests for headless (DOM-free) rendering
+ */
+
+import { useWidthTableMetrics } from '../tests/utils/layout-test-utils.js';
+import { renderMarkdownToSvg } from './headless.js';
+import textMetrics from './utils/text-metrics.js';
+import { WidthTableFontMetrics } from './utils/font-metrics.js';
+
+const markdown = `# Project **Plan**
+## Design & Research
+- Interviews
+- Prototypes
+## Build
+### Backend
+### Frontend`;
+
+describe('Headless rendering', () => {
+  useWidthTableMetrics();
+
+  test('width table backend measures without a DOM', () => {
+    const metrics = new WidthTableFontMetrics();
+
+    const narrow = metrics.measure('iiii', 'Arial', 20, 'normal');
+    const wide = metrics.measure('WWWW', 'Arial', 20, 'normal');
+    const bold = metrics.measure('iiii', 'Arial', 20, 'bold');
+
+    expect(metrics.requiresDom).toBe(false);
+    expect(narrow.width).toBe(18); // 4 * 222 / 1000 * 20
+    expect(wide.width).toBeGreaterThan(narrow.width);
+    expect(bold.width).toBeGreaterThan(narrow.width);
+    expect(narrow.height).toBe(24);
+  });
+
+  test('renders every node as plain SVG text', async () => {
+    const svg = await renderMarkdownToSvg(markdown, { preset: 'corporate', layout: 'horizontal-right' });
+
+    expect(svg.startsWith('<svg xmlns="http://www.w3.org/2000/svg"')).toBe(true);
+    expect(svg.trim().endsWith('</svg>')).toBe(true);
+    expect(svg).toContain('>Project Plan</text>');
+    expect(svg).toContain('>Design &amp; Research</text>');
+    expect(svg).toContain('>Frontend</text>');
+    expect(svg).not.toContain('foreignObject');
+  });
+
+  test('supports every layout configuration', async () => {
+    for (const layout of ['taproot', 'classic', 'vertical', 'vertical-up', 'outline-left', 'vertical-over-taproot']) {
+      const svg = await renderMarkdownToSvg(markdown, { layout });
+      expect(svg).toContain('>Backend</text>');
+    }
+  });
+
+  test('restores the previous font metrics backend', async () => {
+    const previous = textMetrics.getBackend();
+    const custom = new WidthTableFontMetrics({ lineHeight: 2 });
+
+    await renderMarkdownToSvg(markdown, { fontMetrics: custom });
+
+    expect(textMetrics.getBackend()).toBe(previous);
+  });
+
+  test('rejects unknown presets and layouts', async () => {
+    await expect(renderMarkdownToSvg(markdown, { preset: 'nope' })).rejects.toThrow('Unknown style preset "nope"');
+    await expect(renderMarkdownToSvg(markdown, { layout: 'nope' })).rejects.toThrow('Unknown layout "nope"');
+  });
+});
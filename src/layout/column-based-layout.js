@@ -60,7 +60,7 @@ class ColumnBasedLayout extends Layout {
     console.groupCollapsed(`ColumnBasedLayout.applyLayoutRelative(${node.text})`);
     console.log('node', node);
     const levelStyle = style.getLevelStyle(node.level);
-    const nodeSize = this.getNodeSize(node.text, levelStyle);
+    const nodeSize = this.getNodeDimensions(node, levelStyle, style);
 
     // Start by positioning node at (0, 0) by top-left corner
     node.x = 0;
@@ -159,7 +159,7 @@ class ColumnBasedLayout extends Layout {
     console.log('rightChildren:', rightChildren.map(c => c.text));
     
     const levelStyle = style.getLevelStyle(node.level);
-    const nodeSize = this.getNodeSize(node.text, levelStyle);
+    const nodeSize = this.getNodeDimensions(node, levelStyle, style);
     
     // Get positioning configuration (can be customized by subclasses)
     const config = this.getColumnPositioningConfig(node, nodeSize, childStartY);
@@ -206,6 +206,48 @@ class ColumnBasedLayout extends Layout {
     console.log('Column positioning complete. Left max width:', this.leftColumnMaxWidth, 'Right max width:', this.rightColumnMaxWidth);
   }
 
+  /**
+   * Position children in any number of columns side by side, with the rows aligned across the columns
+   * Each column is a RightColumn, so the branches of the children grow to the right. A row is as tall as its
+   * tallest branch, and each column starts columnGap right of the widest branch of the previous one.
+   * @param {Array<Array<Node>>} columns - The children of each column from top to bottom, columns from left to right
+   * @param {number} startX - Left edge of the first column
+   * @param {number} startY - Top of the first row
+   * @param {Object} nodeSize - The parent node size
+   * @param {Object} style - The style to apply
+   * @return {Array<RightColumn>} The column instances with their positioned children
+   */
+  positionChildrenInColumnGrid(columns, startX, startY, nodeSize, style) {
+    console.log('ColumnBasedLayout.positionChildrenInColumnGrid()', columns.map(column => column.map(c => c.text)));
+
+    const gridColumns = columns.map(() => new RightColumn(this.parentPadding, this.childPadding, nodeSize, style));
+    const rowCount = Math.max(0, ...columns.map(children => children.length));
+
+    let rowY = startY;
+    for (let row = 0; row < rowCount; row++) {
+      let rowHeight = 0;
+      columns.forEach((children, index) => {
+        if (row >= children.length) return;
+        const column = gridColumns[index];
+        column.childX = 0;
+        column.currentY = rowY;
+        rowHeight = Math.max(rowHeight, column.addNode(children[row]).height);
+      });
+      rowY += rowHeight + this.childPadding;
+    }
+
+    // Now that the widths are known, move each column right of the previous one
+    let columnX = startX;
+    gridColumns.forEach(column => {
+      column.childrenPositioned.forEach(child => this.adjustPositionRecursive(child, columnX - child.boundingBox.x, 0));
+      columnX += column.maxChildWidth + this.columnGap;
+    });
+
+    this.columnMinY = startY;
+    this.columnMaxY = rowY - this.childPadding;
+    return gridColumns;
+  }
+
   /**
    * Apply post-processing to columns - can be overridden by subclasses
    * @param {Node} node - The parent node
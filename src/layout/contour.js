@@ -0,0 +1,145 @@
+// src/layout/contour.js
+
+/**
+ * Contour of a laid out branch, used to pack sibling branches as closely as their nodes allow
+ * (the `layoutCompaction: contour` level style) instead of keeping their bounding boxes apart
+ *
+ * The contour splits the axis across the row of siblings into bands and keeps the smallest and largest
+ * coordinate of the branch's nodes in each band. Two branches only need to be apart in the bands they share,
+ * so a shallow branch can move into the room next to the deeper levels of its neighbour (Reingold–Tilford).
+ */
+class Contour {
+  /**
+   * Create a contour from its segments
+   * @param {Array<Object>} segments - Bands {start, end, min, max} in increasing order, not overlapping
+   */
+  constructor(segments) {
+    this.segments = segments;
+  }
+
+  /**
+   * Get the contour of a laid out branch
+   * Besides the nodes, the gap between each node and its children is covered, so that no node of another
+   * branch ends up on the connections.
+   * @param {MindmapNode} node - The top node of the branch
+   * @param {string} axis - 'x' for branches side by side (bands over y), 'y' for branches stacked (bands over x)
+   * @returns {Contour} The contour of the node and its visible descendants
+   */
+  static fromBranch(node, axis) {
+    const toRectangle = current => axis === 'x' ?
+      { start: current.y, end: current.y + current.height, min: current.x, max: current.x + current.width } :
+      { start: current.x, end: current.x + current.width, min: current.y, max: current.y + current.height };
+
+    const rectangles = [];
+    const visit = current => {
+      const rectangle = toRectangle(current);
+      rectangles.push(rectangle);
+      if (current.collapsed || current.children.length === 0) return;
+
+      const children = current.children.map(toRectangle);
+      const childrenStart = Math.min(...children.map(child => child.start));
+      const childrenEnd = Math.max(...children.map(child => child.end));
+      const gap = childrenStart >= rectangle.end ? { start: rectangle.end, end: childrenStart } :
+        childrenEnd <= rectangle.start ? { start: childrenEnd, end: rectangle.start } : null;
+      if (gap && gap.end > gap.start) {
+        rectangles.push({
+          ...gap,
+          min: Math.min(rectangle.min, ...children.map(child => child.min)),
+          max: Math.max(rectangle.max, ...children.map(child => child.max))
+        });
+      }
+      current.children.forEach(visit);
+    };
+    visit(node);
+
+    return this.fromRectangles(rectangles);
+  }
+
+  /**
+   * Get the contour of a set of rectangles
+   * @param {Array<Object>} rectangles - Rectangles {start, end, min, max} along and across the bands
+   * @returns {Contour} The contour
+   */
+  static fromRectangles(rectangles) {
+    const bounds = [...new Set(rectangles.flatMap(rectangle => [rectangle.start, rectangle.end]))].sort((a, b) => a - b);
+    const segments = [];
+    for (let i = 0; i < bounds.length - 1; i++) {
+      const start = bounds[i];
+      const end = bounds[i + 1];
+      const covering = rectangles.filter(rectangle => rectangle.start < end && rectangle.end > start);
+      if (covering.length > 0) {
+        segments.push({
+          start,
+          end,
+          min: Math.min(...covering.map(rectangle => rectangle.min)),
+          max: Math.max(...covering.map(rectangle => rectangle.max))
+        });
+      }
+    }
+    return new Contour(segments);
+  }
+
+  /**
+   * Get how far a branch has to be moved at least to stay clear of the branch before it
+   * @param {Contour} before - Contour of the branch that comes first
+   * @param {Contour} after - Contour of the branch that comes next
+   * @param {number} gap - Minimum distance between nodes of the two branches in the same band
+   * @returns {number} The smallest offset of `after`, or -Infinity if the branches share no band
+   */
+  static separation(before, after, gap) {
+    let required = -Infinity;
+    let i = 0;
+    let j = 0;
+    while (i < before.segments.length && j < after.segments.length) {
+      const a = before.segments[i];
+      const b = after.segments[j];
+      if (a.start < b.end && b.start < a.end) {
+        required = Math.max(required, a.max + gap - b.min);
+      }
+      if (a.end <= b.end) {
+        i++;
+      } else {
+        j++;
+      }
+    }
+    return required;
+  }
+
+  /**
+   * Compute the offsets that pack branches as closely as their contours allow, keeping their order
+   * Packing towards the first branch pushes small branches between large ones to one side, so the branches
+   * are packed from both ends and the offsets averaged. Both packings keep every pair of branches apart,
+   * so their average does as well.
+   * @param {Array<Contour>} contours - Contours of the branches in order, at their current positions
+   * @param {number} gap - Minimum distance between nodes of different branches
+   * @returns {Array<number>} How far to move each branch along the axis
+   */
+  static pack(contours, gap) {
+    const count = contours.length;
+    const distances = contours.map((before, i) => contours.map((after, j) => {
+      if (j <= i) return null;
+      const required = this.separation(before, after, gap);
+      // Neighbours that share no band keep their distance
+      return required === -Infinity && j === i + 1 ? 0 : required;
+    }));
+
+    const fromStart = new Array(count).fill(0);
+    for (let j = 1; j < count; j++) {
+      fromStart[j] = Math.max(...fromStart.slice(0, j).map((offset, i) => offset + distances[i][j]));
+    }
+
+    const fromEnd = new Array(count).fill(fromStart[count - 1]);
+    for (let i = count - 2; i >= 0; i--) {
+      fromEnd[i] = Math.min(...fromEnd.slice(i + 1).map((offset, k) => offset - distances[i][i + 1 + k]));
+    }
+
+    return fromStart.map((offset, i) => (offset + fromEnd[i]) / 2);
+  }
+}
+
+// For backward compatibility
+if (typeof window !== 'undefined') {
+  window.Contour = Contour;
+}
+
+export default Contour;
@@ -0,0 +1,397 @@
+// src/layout/fishbone-layout.js
+
+import Layout from './layout.js';
+import ConnectionPoint from './connection-point.js';
+
+/**
+ * Fishbone (Ishikawa) cause-and-effect layout
+ *
+ *   Category 1       Category 3
+ *        \  Cause 1       \
+ *     Cause 2 \            \
+ *   ------------+-----------+---- [ Effect ]
+ *              /           /
+ *    Cause 3 /            /
+ *          /            /
+ *   Category 2       Category 4
+ *
+ * The node the layout is applied to is the head on the right. Its children are the categories at the ends
+ * of diagonal ribs, alternately above and below the spine, the first ones nearest the head. Their children are
+ * causes on horizontal bones off the rib, the first one nearest the category; deeper levels branch off to the
+ * left of their cause. All connections are straight lines (see getConnectionRoute()).
+ */
+class FishboneLayout extends Layout {
+  // Horizontal run of a rib per unit of distance from the spine (the ribs lean towards the tail)
+  static RIB_SLANT = 0.6;
+
+  /**
+   * Create a new FishboneLayout
+   * @param {number} parentPadding - Gap between the head and the first rib
+   * @param {number} childPadding - Gap between neighbouring ribs
+   */
+  constructor(parentPadding = 80, childPadding = 20) {
+    super();
+    this.parentPadding = parentPadding;
+    this.childPadding = childPadding;
+  }
+
+  /**
+   * Navigate from current node based on keyboard input
+   * Left and right move along the spine from the head through the ribs in order; on a rib, the key towards
+   * the spine moves from the category along its causes and back. Deeper levels branch off to the left.
+   * @param {Object} currentNode - The currently selected node
+   * @param {string} key - The arrow key pressed
+   * @param {Object} styleManager - The style manager for getting node styles
+   * @returns {Object|null} The target node to navigate to
+   */
+  navigateByKey(currentNode, key, styleManager) {
+    const depth = this._getDepth(currentNode, styleManager);
+    console.log(`FishboneLayout.navigateByKey: Key "${key}" on "${currentNode.text}" at depth ${depth}`);
+
+    if (depth === 0) {
+      if (currentNode.collapsed) return null;
+      const categories = currentNode.children;
+      if (key === 'ArrowLeft') return categories[0] || null;
+      if (key === 'ArrowUp') return categories.find(category => this._isAboveSpine(category)) || null;
+      if (key === 'ArrowDown') return categories.find(category => !this._isAboveSpine(category)) || null;
+      return null;
+    }
+
+    if (depth === 1) {
+      const categories = currentNode.parent.children;
+      const index = categories.indexOf(currentNode);
+      if (key === 'ArrowLeft') return categories[index + 1] || null;
+      if (key === 'ArrowRight') return categories[index - 1] || currentNode.parent;
+      if (key === this._getSpineKey(currentNode) && !currentNode.collapsed) {
+        return currentNode.children[0] || null;
+      }
+      return null;
+    }
+
+    if (depth === 2) {
+      const spineKey = this._getSpineKey(currentNode.parent);
+      if (key === spineKey) return this.findSibling(currentNode, 'next');
+      if (key === 'ArrowUp' || key === 'ArrowDown') return this.findSibling(currentNode, 'prev') || currentNode.parent;
+    } else if (key === 'ArrowUp' || key === 'ArrowDown') {
+      return this.findSibling(currentNode, key === 'ArrowUp' ? 'prev' : 'next');
+    }
+
+    if (key === 'ArrowRight') return currentNode.parent;
+    if (key === 'ArrowLeft' && !currentNode.collapsed) return this._findClosestChild(currentNode);
+    return null;
+  }
+
+  /**
+   * Check if the key press should expand a collapsed node instead of navigating
+   * @param {string} key - The arrow key pressed
+   * @param {Object} currentNode - The currently selected node
+   * @param {Object} styleManager - The style manager for getting node styles
+   * @returns {boolean} True for the key that would move to the node's children
+   */
+  shouldExpandOnKey(key, currentNode, styleManager) {
+    if (!currentNode.collapsed || !currentNode.children || currentNode.children.length === 0) {
+      return false;
+    }
+    const childKey = this._getDepth(currentNode, styleManager) === 1 ? this._getSpineKey(currentNode) : 'ArrowLeft';
+    return key === childKey;
+  }
+
+  /**
+   * Apply fishbone layout to a node and its children
+   * @param {Node} node - The node to layout
+   * @param {number} x - The x coordinate
+   * @param {number} y - The y coordinate
+   * @param {Object} style - The style to apply (StyleManager)
+   * @return {Object} The size of the laid out subtree
+   */
+  applyLayout(node, x, y, style) {
+    return this.applyLayoutRelative(node, x, y, style);
+  }
+
+  /**
+   * Apply fishbone layout to a node and its children, with the node as the head
+   * @param {Node} node - The node to layout
+   * @param {number} x - The x coordinate of the bounding box
+   * @param {number} y - The y coordinate of the bounding box
+   * @param {Object} style - The style to apply (StyleManager)
+   * @return {Object} The size of the laid out subtree
+   */
+  applyLayoutRelative(node, x, y, style) {
+    console.groupCollapsed(`FishboneLayout.applyLayoutRelative(${node.text})`);
+    this._setNodeSize(node, style);
+
+    if (node.children.length === 0 || node.collapsed) {
+      node.x = x;
+      node.y = y;
+      node.boundingBox = { x, y, width: node.width, height: node.height };
+      console.groupEnd();
+      return node.boundingBox;
+    }
+
+    // The spine runs along y = 0 and ends at the head's left side at x = 0
+    node.x = 0;
+    node.y = -node.height / 2;
+
+    // Lay out each rib with its junction at the origin, then move the ribs along the spine in pairs
+    const ribs = node.children.map((category, index) => this._layoutRib(category, index % 2 === 0 ? -1 : 1, style));
+    let columnRight = -this.parentPadding;
+    for (let i = 0; i < ribs.length; i += 2) {
+      const column = ribs.slice(i, i + 2);
+      const junctionX = columnRight - Math.max(...column.map(rib => rib.right));
+      column.forEach((rib, k) => this.adjustPositionRecursive(node.children[i + k], junctionX, 0));
+      columnRight = junctionX - Math.max(...column.map(rib => rib.left)) - this.childPadding;
+    }
+
+    node.calculateBoundingBox();
+    node.adjustNodeTreeToPosition(x, y);
+
+    console.groupEnd();
+    return node.boundingBox;
+  }
+
+  /**
+   * Get the connection point for a parent node
+   * The head connects at the start of the spine, a category at the outer end of its rib, and the other
+   * nodes at their left side.
+   * @param {Node} node - The parent node
+   * @param {Object} levelStyle - The style for this node's level
+   * @param {Node} childNode - The specific child node being connected to (optional)
+   * @return {ConnectionPoint} The connection point
+   */
+  getParentConnectionPoint(node, levelStyle, childNode = null) {
+    if (this._getDepth(node, levelStyle.styleManager) === 1) {
+      return this._getRibEnd(node);
+    }
+    return new ConnectionPoint(node.x, node.y + node.height / 2, 'left');
+  }
+
+  /**
+   * Get the connection point for a child node
+   * A category connects at the outer end of its rib, the other nodes at their right side.
+   * @param {Node} node - The child node
+   * @param {Object} levelStyle - The style for this node's level
+   * @return {ConnectionPoint} The connection point
+   */
+  getChildConnectionPoint(node, levelStyle) {
+    if (this._getDepth(node, levelStyle.styleManager) === 1) {
+      return this._getRibEnd(node);
+    }
+    return new ConnectionPoint(node.x + node.width, node.y + node.height / 2, 'right');
+  }
+
+  /**
+   * Get the corners of the straight connection between a parent and a child
+   * The connections from the head run along the spine to the rib's junction and up or down the rib; those
+   * from a category run along the rib to the height of the cause. Deeper connections are elbows.
+   * @param {Node} parent - The parent node
+   * @param {Node} child - The child node
+   * @param {Object} levelStyle - The style for the parent's level
+   * @return {Array<Object>} Points {x, y} between the two connection points
+   */
+  getConnectionRoute(parent, child, levelStyle) {
+    const depth = this._getDepth(parent, levelStyle.styleManager);
+    const childY = child.y + child.height / 2;
+
+    if (depth === 0) {
+      return [this._getJunction(child)];
+    }
+    if (depth === 1) {
+      const junction = this._getJunction(parent);
+      return [{ x: junction.x - Math.abs(childY - junction.y) * FishboneLayout.RIB_SLANT, y: childY }];
+    }
+    const elbowX = (parent.x + child.x + child.width) / 2;
+    return [{ x: elbowX, y: parent.y + parent.height / 2 }, { x: elbowX, y: childY }];
+  }
+
+  /**
+   * Size a node and store its level's style for rendering
+   * @private
+   * @param {Node} node - The node
+   * @param {Object} style - The style manager
+   */
+  _setNodeSize(node, style) {
+    const levelStyle = style.getLevelStyle(node.level);
+    const nodeSize = this.getNodeDimensions(node, levelStyle, style);
+    node.width = nodeSize.width;
+    node.height = nodeSize.height;
+
+    node.style = {
+      fontSize: levelStyle.fontSize,
+      fontWeight: levelStyle.fontWeight,
+      fontFamily: levelStyle.fontFamily,
+      backgroundColor: levelStyle.backgroundColor,
+      textColor: levelStyle.textColor,
+      borderColor: levelStyle.borderColor,
+      borderWidth: levelStyle.borderWidth,
+      borderRadius: levelStyle.borderRadius
+    };
+  }
+
+  /**
+   * Lay out a category and its causes along a rib whose junction with the spine is at the origin
+   * The causes are stacked from the spine outwards, each to the left of the rib, and the category is placed
+   * at the outer end of the rib.
+   * @private
+   * @param {Node} category - The category node
+   * @param {number} side - -1 above the spine, 1 below it
+   * @param {Object} style - The style manager
+   * @return {{left: number, right: number}} How far the rib reaches left and right of its junction
+   */
+  _layoutRib(category, side, style) {
+    const levelStyle = style.getLevelStyle(category.level);
+    const slant = FishboneLayout.RIB_SLANT;
+    this._setNodeSize(category, style);
+
+    const causes = category.collapsed ? [] : category.children;
+    let left = 0;
+    let distance = levelStyle.childPadding;
+    [...causes].reverse().forEach(cause => {
+      const box = this._layoutCause(cause, style);
+      const outerDistance = distance + box.height;
+      // Right of the cause's branch: clear of the rib where it leans furthest left
+      const right = -outerDistance * slant - levelStyle.childPadding;
+      const top = side < 0 ? -outerDistance : distance;
+      this.adjustPositionRecursive(cause, right - (box.x + box.width), top - box.y);
+      left = Math.max(left, box.width - right);
+      distance = outerDistance + levelStyle.childPadding;
+    });
+
+    const length = Math.max(distance, levelStyle.parentPadding);
+    category.x = -length * slant - category.width / 2;
+    category.y = side < 0 ? -length - category.height : length;
+    if (causes.length > 0) {
+      category.calculateBoundingBox();
+    } else {
+      category.boundingBox = { x: category.x, y: category.y, width: category.width, height: category.height };
+    }
+
+    return {
+      left: Math.max(left, length * slant + category.width / 2),
+      right: Math.max(0, category.width / 2 - length * slant)
+    };
+  }
+
+  /**
+   * Lay out a cause and its descendants at the origin, each level to the left of its parent
+   * @private
+   * @param {Node} node - The cause node
+   * @param {Object} style - The style manager
+   * @return {Object} The bounding box of the branch
+   */
+  _layoutCause(node, style) {
+    this._setNodeSize(node, style);
+    node.x = 0;
+    node.y = 0;
+    if (node.children.length === 0 || node.collapsed) {
+      node.boundingBox = { x: 0, y: 0, width: node.width, height: node.height };
+      return node.boundingBox;
+    }
+
+    const levelStyle = style.getLevelStyle(node.level);
+    let top = 0;
+    node.children.forEach(child => {
+      const box = this._layoutCause(child, style);
+      this.adjustPositionRecursive(child, -levelStyle.parentPadding - (box.x + box.width), top - box.y);
+      top += box.height + levelStyle.childPadding;
+    });
+
+    // Center the node on its children, or the children on the node if it is taller
+    const childrenHeight = top - levelStyle.childPadding;
+    if (node.height > childrenHeight) {
+      node.children.forEach(child => this.adjustPositionRecursive(child, 0, (node.height - childrenHeight) / 2));
+    } else {
+      node.y = (childrenHeight - node.height) / 2;
+    }
+
+    node.calculateBoundingBox();
+    return node.boundingBox;
+  }
+
+  /**
+   * Get the depth of a node below the head of its fishbone
+   * @private
+   * @param {Node} node - The node
+   * @param {Object} styleManager - The style manager
+   * @return {number} 0 for the head, 1 for a category, 2 for a cause and so on
+   */
+  _getDepth(node, styleManager) {
+    let depth = 0;
+    for (let current = node; current.parent && !current.parent.isForest() &&
+      styleManager.getEffectiveValue(current.parent, 'layoutType') === 'fishbone'; current = current.parent) {
+      depth++;
+    }
+    return depth;
+  }
+
+  /**
+   * Check if a category is above the spine
+   * @private
+   * @param {Node} category - The category node
+   * @return {boolean} True if it is above its head's center
+   */
+  _isAboveSpine(category) {
+    const head = category.parent;
+    return category.y + category.height / 2 < head.y + head.height / 2;
+  }
+
+  /**
+   * Get the arrow key that moves from a category along its rib towards the spine
+   * @private
+   * @param {Node} category - The category node
+   * @return {string} 'ArrowDown' above the spine, 'ArrowUp' below it
+   */
+  _getSpineKey(category) {
+    return this._isAboveSpine(category) ? 'ArrowDown' : 'ArrowUp';
+  }
+
+  /**
+   * Get the outer end of a category's rib: the middle of the category's side facing the spine
+   * @private
+   * @param {Node} category - The category node
+   * @return {ConnectionPoint} The end of the rib
+   */
+  _getRibEnd(category) {
+    const x = category.x + category.width / 2;
+    return this._isAboveSpine(category) ?
+      new ConnectionPoint(x, category.y + category.height, 'bottom') :
+      new ConnectionPoint(x, category.y, 'top');
+  }
+
+  /**
+   * Get the point where a category's rib meets the spine
+   * @private
+   * @param {Node} category - The category node
+   * @return {Object} The junction {x, y}
+   */
+  _getJunction(category) {
+    const head = category.parent;
+    const spineY = head.y + head.height / 2;
+    const ribEnd = this._getRibEnd(category);
+    return { x: ribEnd.x + Math.abs(ribEnd.y - spineY) * FishboneLayout.RIB_SLANT, y: spineY };
+  }
+
+  /**
+   * Find the child closest to the height of a node
+   * @private
+   * @param {Node} node - The parent node
+   * @return {Node|null} The child, or null if the node has none
+   */
+  _findClosestChild(node) {
+    const centerY = node.y + node.height / 2;
+    let closest = null;
+    for (const child of node.children) {
+      const distance = Math.abs(child.y + child.height / 2 - centerY);
+      if (!closest || distance < closest.distance) {
+        closest = { child, distance };
+      }
+    }
+    return closest ? closest.child : null;
+  }
+}
+
+// For backward compatibility
+if (typeof window !== 'undefined') {
+  window.FishboneLayout = FishboneLayout;
+}
+
+export default FishboneLayout;
@@ -0,0 +1,161 @@
+/**
+ * Tests for the fishbone (Ishikawa) layout
+ */
+
+import { useWidthTableMetrics, layOut, center, allNodes, expectNoOverlaps } from '../../tests/utils/layout-test-utils.js';
+import MindmapModel from '../model/mindmap-model.js';
+import LayoutConfigurations from '../style/layout-configurations.js';
+import FishboneLayout from './fishbone-layout.js';
+import { renderModelToSvg } from '../headless.js';
+
+const DEFECTS = `# Late deliveries
+## People
+### Understaffed
+### Training
+#### New hires
+#### Handovers
+## Process
+### No checklist
+## Tools
+### Old scanners
+## Suppliers`;
+
+/**
+ * Get the full route of the connection from a node's parent to the node
+ * @param {MindmapNode} node - The child node
+ * @param {StyleManager} styleManager - The style manager
+ * @returns {Array<Object>} The points from the start to the end of the connection
+ */
+function connection(node, styleManager) {
+  const layout = new FishboneLayout();
+  const parentStyle = styleManager.getLevelStyle(node.parent.level);
+  return [
+    layout.getParentConnectionPoint(node.parent, parentStyle, node),
+    ...layout.getConnectionRoute(node.parent, node, parentStyle),
+    layout.getChildConnectionPoint(node, styleManager.getLevelStyle(node.level))
+  ];
+}
+
+describe('FishboneLayout', () => {
+  useWidthTableMetrics();
+
+  test('puts the head on the right and the categories alternately above and below the spine', async () => {
+    const { model } = await layOut(DEFECTS, 'fishbone');
+    const root = model.getRoot();
+    const [people, process, tools, suppliers] = root.children;
+    const spineY = center(root).y;
+
+    expect(root.x + root.width).toBeCloseTo(root.boundingBox.x + root.boundingBox.width);
+    expect(people.y + people.height).toBeLessThan(spineY);
+    expect(tools.y + tools.height).toBeLessThan(spineY);
+    expect(process.y).toBeGreaterThan(spineY);
+    expect(suppliers.y).toBeGreaterThan(spineY);
+
+    // Further categories are further from the head
+    expect(center(tools).x).toBeLessThan(center(people).x);
+    expect(center(suppliers).x).toBeLessThan(center(process).x);
+    expect([root.boundingBox.x, root.boundingBox.y]).toEqual([0, 0]);
+
+    expectNoOverlaps(root);
+  });
+
+  test('runs the connections from the head along the spine and up or down a diagonal rib', async () => {
+    const { model, styleManager } = await layOut(DEFECTS, 'fishbone');
+    const root = model.getRoot();
+    const [people, process] = root.children;
+    const spineY = center(root).y;
+
+    const [start, junction, end] = connection(people, styleManager);
+    expect([start.x, start.y]).toEqual([root.x, spineY]);
+    expect(junction.y).toBe(spineY);
+    expect(junction.x).toBeLessThan(start.x);
+    expect([end.x, end.y]).toEqual([center(people).x, people.y + people.height]);
+
+    // The rib leans towards the tail, at the same slant below the spine
+    const slant = (junction.x - end.x) / (junction.y - end.y);
+    expect(slant).toBeCloseTo(FishboneLayout.RIB_SLANT);
+    const [, lowerJunction, lowerEnd] = connection(process, styleManager);
+    expect((lowerJunction.x - lowerEnd.x) / (lowerEnd.y - lowerJunction.y)).toBeCloseTo(FishboneLayout.RIB_SLANT);
+  });
+
+  test('hangs the causes on horizontal bones off the rib, the first one nearest the category', async () => {
+    const { model, styleManager } = await layOut(DEFECTS, 'fishbone');
+    const [people] = model.getRoot().children;
+    const [understaffed, training] = people.children;
+    const [ribEnd, junction] = connection(people, styleManager).slice(1).reverse();
+
+    expect(center(understaffed).y).toBeLessThan(center(training).y);
+    for (const cause of people.children) {
+      const [start, ribPoint, end] = connection(cause, styleManager);
+      expect(start).toEqual(ribEnd);
+
+      // The bone meets the rib, and is horizontal up to the right side of the cause
+      const cross = (junction.x - ribEnd.x) * (ribPoint.y - ribEnd.y) - (junction.y - ribEnd.y) * (ribPoint.x - ribEnd.x);
+      expect(cross).toBeCloseTo(0);
+      expect(ribPoint.y).toBe(end.y);
+      expect(end.x).toBe(cause.x + cause.width);
+      expect(ribPoint.x).toBeGreaterThan(end.x);
+    }
+
+    // Deeper levels branch off to the left with elbows
+    const newHires = model.findNodeByText('New hires');
+    expect(newHires.x + newHires.width).toBeLessThan(training.x);
+    const elbow = connection(newHires, styleManager);
+    expect(elbow).toHaveLength(4);
+    expect(elbow[1].x).toBe(elbow[2].x);
+  });
+
+  test('moves along the spine and the ribs with the arrow keys', async () => {
+    const { model, styleManager } = await layOut(DEFECTS, 'fishbone');
+    const root = model.getRoot();
+    const [people, process, tools, suppliers] = root.children;
+    const [understaffed, training] = people.children;
+    const [noChecklist] = process.children;
+    const newHires = model.findNodeByText('New hires');
+    const layout = new FishboneLayout();
+
+    expect(layout.navigateByKey(root, 'ArrowLeft', styleManager)).toBe(people);
+    expect(layout.navigateByKey(root, 'ArrowDown', styleManager)).toBe(process);
+    expect(layout.navigateByKey(root, 'ArrowRight', styleManager)).toBeNull();
+
+    // Along the spine through the categories in order, and back to the head
+    expect(layout.navigateByKey(people, 'ArrowLeft', styleManager)).toBe(process);
+    expect(layout.navigateByKey(tools, 'ArrowLeft', styleManager)).toBe(suppliers);
+    expect(layout.navigateByKey(suppliers, 'ArrowLeft', styleManager)).toBeNull();
+    expect(layout.navigateByKey(process, 'ArrowRight', styleManager)).toBe(people);
+    expect(layout.navigateByKey(people, 'ArrowRight', styleManager)).toBe(root);
+
+    // Along a rib from the category towards the spine and back
+    expect(layout.navigateByKey(people, 'ArrowDown', styleManager)).toBe(understaffed);
+    expect(layout.navigateByKey(people, 'ArrowUp', styleManager)).toBeNull();
+    expect(layout.navigateByKey(understaffed, 'ArrowDown', styleManager)).toBe(training);
+    expect(layout.navigateByKey(training, 'ArrowUp', styleManager)).toBe(understaffed);
+    expect(layout.navigateByKey(understaffed, 'ArrowUp', styleManager)).toBe(people);
+    expect(layout.navigateByKey(process, 'ArrowUp', styleManager)).toBe(noChecklist);
+    expect(layout.navigateByKey(noChecklist, 'ArrowDown', styleManager)).toBe(process);
+
+    // Into and out of the branches of a cause
+    expect(layout.navigateByKey(training, 'ArrowLeft', styleManager)).toBe(newHires);
+    expect(layout.navigateByKey(training, 'ArrowRight', styleManager)).toBe(people);
+    expect(layout.navigateByKey(newHires, 'ArrowRight', styleManager)).toBe(training);
+
+    people.collapsed = true;
+    expect(layout.shouldExpandOnKey('ArrowDown', people, styleManager)).toBe(true);
+    expect(layout.shouldExpandOnKey('ArrowLeft', people, styleManager)).toBe(false);
+  });
+
+  test('is offered as a layout and renders straight connections', async () => {
+    expect(LayoutConfigurations.getLayoutNames()).toContain('fishbone');
+
+    const model = new MindmapModel();
+    await model.parseFromMarkdown(DEFECTS);
+    const svg = await renderModelToSvg(model, { layout: 'fishbone' });
+    for (const node of allNodes(model.getRoot())) {
+      expect(svg).toContain(`id="${node.id}_rect"`);
+    }
+
+    const people = model.findNodeByText('People');
+    const path = svg.match(new RegExp(`<path[^>]*id="connection_${model.getRoot().id}_${people.id}"[^>]*>`))[0];
+    expect(path).toMatch(/d="M [-\d.]+ [-\d.]+ L [-\d.]+ [-\d.]+ L [-\d.]+ [-\d.]+"/);
+  });
+});
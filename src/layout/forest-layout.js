@@ -0,0 +1,159 @@
+// src/layout/forest-layout.js
+
+import Layout from './layout.js';
+
+/**
+ * Layout of a forest: a document with several top-level topics (see MindmapNode.isForest())
+ *
+ * Each top-level topic is laid out as a tree of its own with the layout of level 1. The trees are
+ * placed side by side from left to right, `rootGap` apart (style YAML, default DEFAULT_GAP), with
+ * their top-level topics centered on one horizontal line. Floating topics (`{floating=true}`) are
+ * not part of that row: with `x` and `y` annotations they are placed at that offset from the first
+ * top-level topic, otherwise they are lined up below the trees.
+ */
+class ForestLayout extends Layout {
+  // Default horizontal space between neighbouring trees, and between the trees and the floating topics below them
+  static DEFAULT_GAP = 120;
+
+  /**
+   * Lay out the trees of a forest
+   * @param {MindmapNode} node - The forest container
+   * @param {number} x - The x coordinate of the top-left corner of the forest
+   * @param {number} y - The y coordinate of the top-left corner of the forest
+   * @param {Object} style - The style to apply (StyleManager)
+   * @return {Object} The bounding box of the forest
+   */
+  applyLayout(node, x, y, style) {
+    const rootLayout = style.getLevelStyle(1).getLayout();
+    const gap = style.getGlobalConfig('rootGap', ForestLayout.DEFAULT_GAP);
+    const trees = node.children.filter(root => !root.isFloating());
+    const floating = node.children.filter(root => root.isFloating());
+
+    node.children.forEach(root => rootLayout.applyLayout(root, 0, 0, style));
+
+    // Trees side by side, top-level topics on the line y = 0
+    let left = 0;
+    for (const root of trees) {
+      const bounds = this._getTreeBounds(root);
+      this.adjustPositionRecursive(root, left - bounds.x, -(root.y + root.height / 2));
+      left += bounds.width + gap;
+    }
+
+    // Floating topics at their offset from the first top-level topic, or in a row below the trees
+    const anchor = trees[0] || null;
+    const treesBounds = this._getUnion(trees.map(root => this._getTreeBounds(root)));
+    let rowLeft = treesBounds ? treesBounds.x : 0;
+    const rowTop = treesBounds ? treesBounds.y + treesBounds.height + gap : 0;
+    for (const root of floating) {
+      const { x: offsetX, y: offsetY } = root.annotations;
+      if (anchor && typeof offsetX === 'number' && typeof offsetY === 'number') {
+        this.adjustPositionRecursive(root, anchor.x + offsetX - root.x, anchor.y + offsetY - root.y);
+      } else {
+        const bounds = this._getTreeBounds(root);
+        this.adjustPositionRecursive(root, rowLeft - bounds.x, rowTop - bounds.y);
+        rowLeft += bounds.width + gap;
+      }
+    }
+
+    // Move the whole forest to (x, y); the container takes the size of the forest
+    const forestBounds = this._getUnion(node.children.map(root => this._getTreeBounds(root)));
+    node.children.forEach(root => this.adjustPositionRecursive(root, x - forestBounds.x, y - forestBounds.y));
+    node.x = x;
+    node.y = y;
+    node.width = forestBounds.width;
+    node.height = forestBounds.height;
+    node.boundingBox = { x, y, width: forestBounds.width, height: forestBounds.height };
+    console.log(`ForestLayout.applyLayout: ${trees.length} trees and ${floating.length} floating topics, ${gap}px apart`);
+
+    return { ...node.boundingBox };
+  }
+
+  /**
+   * Navigate between the top-level topics of a forest
+   * Only used when the layout of the topic itself has no target for the key (see MindmapController.findNodeByLayoutLogic()).
+   * @param {Object} currentNode - The currently selected node
+   * @param {string} key - The arrow key pressed ('ArrowUp', 'ArrowDown', 'ArrowLeft', 'ArrowRight')
+   * @param {Object} styleManager - The style manager for getting node styles
+   * @returns {Object|null} The nearest top-level topic in the direction of the key, or null if there is none
+   */
+  navigateByKey(currentNode, key, styleManager) {
+    if (!currentNode.parent || !currentNode.parent.isForest()) {
+      return null;
+    }
+
+    const center = node => ({ x: node.x + node.width / 2, y: node.y + node.height / 2 });
+    const from = center(currentNode);
+    const horizontal = key === 'ArrowLeft' || key === 'ArrowRight';
+    let best = null;
+    let bestScore = Infinity;
+
+    for (const root of currentNode.parent.children) {
+      if (root === currentNode) continue;
+      const to = center(root);
+      const distance = {
+        ArrowLeft: from.x - to.x,
+        ArrowRight: to.x - from.x,
+        ArrowUp: from.y - to.y,
+        ArrowDown: to.y - from.y
+      }[key];
+      if (!(distance > 0)) continue;
+
+      // Topics in line with the current one come first
+      const offset = horizontal ? Math.abs(to.y - from.y) : Math.abs(to.x - from.x);
+      const score = distance + offset * 2;
+      if (score < bestScore) {
+        best = root;
+        bestScore = score;
+      }
+    }
+
+    console.log(`ForestLayout.navigateByKey: ${key} from "${currentNode.text}" -> ${best ? `"${best.text}"` : 'none'}`);
+    return best;
+  }
+
+  /**
+   * Get the bounding box of the visible nodes of a tree
+   * @private
+   * @param {MindmapNode} root - The root of the tree
+   * @return {Object} The bounding box {x, y, width, height}
+   */
+  _getTreeBounds(root) {
+    let minX = Infinity;
+    let minY = Infinity;
+    let maxX = -Infinity;
+    let maxY = -Infinity;
+    const visit = node => {
+      minX = Math.min(minX, node.x);
+      minY = Math.min(minY, node.y);
+      maxX = Math.max(maxX, node.x + node.width);
+      maxY = Math.max(maxY, node.y + node.height);
+      if (!node.collapsed) {
+        node.children.forEach(visit);
+      }
+    };
+    visit(root);
+    return { x: minX, y: minY, width: maxX - minX, height: maxY - minY };
+  }
+
+  /**
+   * Get the bounding box around several bounding boxes
+   * @private
+   * @param {Array<Object>} boxes - The bounding boxes
+   * @return {Object|null} The bounding box around all of them, or null if there are none
+   */
+  _getUnion(boxes) {
+    if (boxes.length === 0) return null;
+    const minX = Math.min(...boxes.map(box => box.x));
+    const minY = Math.min(...boxes.map(box => box.y));
+    const maxX = Math.max(...boxes.map(box => box.x + box.width));
+    const maxY = Math.max(...boxes.map(box => box.y + box.height));
+    return { x: minX, y: minY, width: maxX - minX, height: maxY - minY };
+  }
+}
+
+// For backward compatibility
+if (typeof window !== 'undefined') {
+  window.ForestLayout = ForestLayout;
+}
+
+export default ForestLayout;
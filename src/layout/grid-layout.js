@@ -0,0 +1,290 @@
+// src/layout/grid-layout.js
+
+import ColumnBasedLayout from './column-based-layout.js';
+import ConnectionPoint from './connection-point.js';
+
+/**
+ * Grid layout: the children of a node are wrapped into columns below it
+ *
+ *             +--------+
+ *             | Parent |
+ *             +--------+
+ *                 |
+ *   +-------------+-------------+
+ *   |-- Child 1   |-- Child 4   |-- Child 7
+ *   |-- Child 2   |-- Child 5   |-- Child 8
+ *   |-- Child 3   |-- Child 6
+ *
+ * The children fill the columns from top to bottom, the columns from left to right, and the rows are aligned
+ * across the columns. The number of columns is set with `gridColumns`, or chosen so that the node and its grid
+ * come closest to `gridAspectRatio` (width / height). The connections share a bus: a line below the parent, and
+ * a lane left of each column from which the children branch off.
+ */
+class GridLayout extends ColumnBasedLayout {
+  // Width / height aimed at when the number of columns is chosen automatically
+  static DEFAULT_ASPECT_RATIO = 1.5;
+
+  /**
+   * Create a new GridLayout
+   * @param {number} parentPadding - Padding between parent and the first row
+   * @param {number} childPadding - Padding between rows
+   * @param {number} columnGap - Gap between columns, with the lane of the bus in the middle
+   */
+  constructor(parentPadding = 50, childPadding = 20, columnGap = 40) {
+    super(parentPadding, childPadding, columnGap);
+  }
+
+  /**
+   * Navigate from current node based on keyboard input
+   * Down moves to the first child, up to the parent. The children themselves navigate with their own layout.
+   * @param {Object} currentNode - The currently selected node
+   * @param {string} key - The arrow key pressed
+   * @param {Object} styleManager - The style manager for getting node styles
+   * @returns {Object|null} The target node to navigate to
+   */
+  navigateByKey(currentNode, key, styleManager) {
+    console.log(`GridLayout.navigateByKey: Processing key "${key}" for node "${currentNode.text}"`);
+
+    if (key === 'ArrowDown' && !currentNode.collapsed) {
+      return currentNode.children[0] || null;
+    }
+    if (key === 'ArrowUp' && currentNode.parent && !currentNode.parent.isForest()) {
+      return currentNode.parent;
+    }
+    return null;
+  }
+
+  /**
+   * Navigate from a child across the columns: left and right move to the same row in the neighbouring column
+   * Right first moves into the child's own branch if it is expanded, as it lies between the child and the
+   * next column. Up and down are left to the child's own layout.
+   * @param {Object} currentNode - The currently selected child
+   * @param {string} key - The arrow key pressed
+   * @param {Object} styleManager - The style manager for getting node styles
+   * @returns {Object|null} The target node to navigate to
+   */
+  navigateFromChild(currentNode, key, styleManager) {
+    if (key !== 'ArrowLeft' && key !== 'ArrowRight') return null;
+    if (key === 'ArrowRight' && !currentNode.collapsed && currentNode.children.length > 0) return null;
+
+    const columns = this._splitIntoColumns(currentNode.parent.children, this.getColumnCount(currentNode.parent, styleManager));
+    const column = columns.findIndex(nodes => nodes.includes(currentNode));
+    const row = columns[column].indexOf(currentNode);
+    const neighbour = columns[column + (key === 'ArrowLeft' ? -1 : 1)];
+    if (!neighbour) return null;
+
+    console.log(`GridLayout.navigateFromChild: ${key} from row ${row} of column ${column}`);
+    return neighbour[Math.min(row, neighbour.length - 1)];
+  }
+
+  /**
+   * Check if the key press should expand a collapsed node instead of navigating
+   * @param {string} key - The arrow key pressed
+   * @param {Object} currentNode - The currently selected node
+   * @param {Object} styleManager - The style manager for getting node styles
+   * @returns {boolean} True if the node should be expanded, false otherwise
+   */
+  shouldExpandOnKey(key, currentNode, styleManager) {
+    if (!currentNode.collapsed || !currentNode.children || currentNode.children.length === 0) {
+      return false;
+    }
+    return key === 'ArrowDown';
+  }
+
+  /**
+   * Apply grid layout to a node and its children
+   * @param {Node} node - The node to layout
+   * @param {number} x - The x coordinate of the bounding box
+   * @param {number} y - The y coordinate of the bounding box
+   * @param {Object} style - The style to apply
+   * @return {Object} The size of the laid out subtree
+   */
+  applyLayoutRelative(node, x, y, style) {
+    console.groupCollapsed(`GridLayout.applyLayoutRelative(${node.text})`);
+    const levelStyle = style.getLevelStyle(node.level);
+    const nodeSize = this.getNodeDimensions(node, levelStyle, style);
+
+    node.x = 0;
+    node.y = 0;
+    node.width = nodeSize.width;
+    node.height = nodeSize.height;
+
+    // Apply style properties to the node for rendering later
+    node.style = {
+      fontSize: levelStyle.fontSize,
+      fontWeight: levelStyle.fontWeight,
+      fontFamily: levelStyle.fontFamily,
+      backgroundColor: levelStyle.backgroundColor,
+      textColor: levelStyle.textColor,
+      borderColor: levelStyle.borderColor,
+      borderWidth: levelStyle.borderWidth,
+      borderRadius: levelStyle.borderRadius
+    };
+
+    if (node.children.length === 0 || node.collapsed) {
+      node.x = x;
+      node.y = y;
+      node.boundingBox = { x, y, width: nodeSize.width, height: nodeSize.height };
+      console.groupEnd();
+      return node.boundingBox;
+    }
+
+    // The lane of the first column is at x = 0
+    const columns = this.distributeChildrenIntoGrid(node, style);
+    this.positionChildrenInColumnGrid(columns, this.columnGap / 2, nodeSize.height + this.parentPadding, nodeSize, style);
+
+    // Center the node over the grid, or the grid under the node if it is wider
+    const gridWidth = Math.max(...node.children.map(child => child.boundingBox.x + child.boundingBox.width));
+    if (nodeSize.width > gridWidth) {
+      node.children.forEach(child => this.adjustPositionRecursive(child, (nodeSize.width - gridWidth) / 2, 0));
+    } else {
+      node.x = (gridWidth - nodeSize.width) / 2;
+    }
+
+    node.calculateBoundingBox();
+    node.adjustNodeTreeToPosition(x, y);
+
+    console.groupEnd();
+    return node.boundingBox;
+  }
+
+  /**
+   * Apply grid layout to a node and its children
+   * @param {Node} node - The node to layout
+   * @param {number} x - The x coordinate
+   * @param {number} y - The y coordinate
+   * @param {Object} style - The style to apply
+   * @return {Object} The size of the laid out subtree
+   */
+  applyLayout(node, x, y, style) {
+    return this.applyLayoutRelative(node, x, y, style);
+  }
+
+  /**
+   * Wrap the children into columns, top to bottom and then left to right
+   * The first columns get one child more if they cannot all have the same number.
+   * @param {Node} node - The parent node
+   * @param {Object} style - The style manager
+   * @return {Array<Array<Node>>} The children of each column
+   */
+  distributeChildrenIntoGrid(node, style) {
+    node.children.forEach(child => child.setOverride('direction', 'right'));
+    return this._splitIntoColumns(node.children, this.getColumnCount(node, style));
+  }
+
+  /**
+   * Get the number of columns for the children of a node
+   * @param {Node} node - The parent node
+   * @param {Object} style - The style manager
+   * @return {number} The `gridColumns` setting, or the count whose estimated size comes closest to `gridAspectRatio`
+   */
+  getColumnCount(node, style) {
+    const count = node.children.length;
+    const configured = Math.floor(Number(style.getEffectiveValue(node, 'gridColumns')));
+    if (configured >= 1) {
+      return Math.min(configured, count);
+    }
+
+    const aspectRatio = Number(style.getEffectiveValue(node, 'gridAspectRatio')) || GridLayout.DEFAULT_ASPECT_RATIO;
+    const nodeSize = this.getNodeDimensions(node, style.getLevelStyle(node.level), style);
+    const sizes = node.children.map(child => this.estimateBranchSize(child, style));
+
+    let best = null;
+    for (let columnCount = 1; columnCount <= count; columnCount++) {
+      const columns = this._splitIntoColumns(sizes, columnCount);
+      const rowHeights = columns[0].map((_, row) => Math.max(...columns.map(column => column[row] ? column[row].height : 0)));
+      const gridWidth = columns.reduce((sum, column) => sum + Math.max(...column.map(size => size.width)), 0) +
+        columnCount * this.columnGap;
+      const width = Math.max(nodeSize.width, gridWidth);
+      const height = nodeSize.height + this.parentPadding +
+        rowHeights.reduce((sum, rowHeight) => sum + rowHeight, 0) + (rowHeights.length - 1) * this.childPadding;
+
+      const distance = Math.abs(Math.log(width / height / aspectRatio));
+      if (!best || distance < best.distance) {
+        best = { columnCount, distance };
+      }
+    }
+    console.log(`GridLayout.getColumnCount: ${best.columnCount} columns for ${count} children of "${node.text}"`);
+    return best.columnCount;
+  }
+
+  /**
+   * Estimate the size of a branch as the horizontal layout would lay it out, from its node sizes alone
+   * @param {Node} node - The top node of the branch
+   * @param {Object} style - The style manager
+   * @return {{width: number, height: number}} The estimated size
+   */
+  estimateBranchSize(node, style) {
+    const levelStyle = style.getLevelStyle(node.level);
+    const size = this.getNodeDimensions(node, levelStyle, style);
+    if (node.collapsed || node.children.length === 0) {
+      return size;
+    }
+
+    const children = node.children.map(child => this.estimateBranchSize(child, style));
+    const childrenHeight = children.reduce((sum, child) => sum + child.height, 0) +
+      (children.length - 1) * levelStyle.childPadding;
+    return {
+      width: size.width + levelStyle.parentPadding + Math.max(...children.map(child => child.width)),
+      height: Math.max(size.height, childrenHeight)
+    };
+  }
+
+  /**
+   * Get the connection point for a parent node: the top of the bus
+   * @param {Node} node - The parent node
+   * @param {Object} levelStyle - The style for this node's level
+   * @param {Node} childNode - The specific child node being connected to (optional)
+   * @return {ConnectionPoint} The connection point
+   */
+  getParentConnectionPoint(node, levelStyle, childNode = null) {
+    return new ConnectionPoint(node.x + node.width / 2, node.y + node.height, 'bottom');
+  }
+
+  /**
+   * Get the corners of the connection to a child along the shared bus
+   * The connection drops from the parent to the bus line, follows it to the lane left of the child's column
+   * and runs down the lane to the height of the child.
+   * @param {Node} parent - The parent node
+   * @param {Node} child - The child node
+   * @param {Object} levelStyle - The style for the parent's level
+   * @return {Array<Object>} Points {x, y} between the two connection points
+   */
+  getConnectionRoute(parent, child, levelStyle) {
+    const parentX = parent.x + parent.width / 2;
+    const busY = parent.y + parent.height + this.parentPadding / 2;
+    const laneX = child.boundingBox.x - this.columnGap / 2;
+    return [
+      { x: parentX, y: busY },
+      { x: laneX, y: busY },
+      { x: laneX, y: child.y + child.height / 2 }
+    ];
+  }
+
+  /**
+   * Split items into columns, top to bottom and then left to right
+   * @private
+   * @param {Array} items - The items in order
+   * @param {number} columnCount - The number of columns
+   * @return {Array<Array>} The items of each column
+   */
+  _splitIntoColumns(items, columnCount) {
+    const rowCount = Math.floor(items.length / columnCount);
+    const longColumns = items.length % columnCount;
+    const columns = [];
+    let start = 0;
+    for (let index = 0; index < columnCount; index++) {
+      const length = rowCount + (index < longColumns ? 1 : 0);
+      columns.push(items.slice(start, start + length));
+      start += length;
+    }
+    return columns;
+  }
+}
+
+// For backward compatibility
+if (typeof window !== 'undefined') {
+  window.GridLayout = GridLayout;
+}
+
+export default GridLayout;
@@ -0,0 +1,148 @@
+/**
+ * Tests for the grid layout
+ */
+
+import { useWidthTableMetrics, layOut, allNodes, expectNoOverlaps } from '../../tests/utils/layout-test-utils.js';
+import MindmapModel from '../model/mindmap-model.js';
+import MindmapController from '../controller/mindmap-controller.js';
+import Layout from './layout.js';
+import LayoutConfigurations from '../style/layout-configurations.js';
+import GridLayout from './grid-layout.js';
+import { renderModelToSvg } from '../headless.js';
+
+/**
+ * Get the markdown of a node with many children
+ * @param {number} count - The number of children
+ * @returns {string} The markdown
+ */
+function features(count) {
+  return ['# Features', ...Array.from({ length: count }, (_, i) => `## Feature ${i + 1}`)].join('\n');
+}
+
+/**
+ * Get the distinct values of a list, sorted
+ * @param {Array<number>} values - The values
+ * @returns {Array<number>} The distinct values
+ */
+function distinct(values) {
+  return [...new Set(values.map(value => Math.round(value * 1000) / 1000))].sort((a, b) => a - b);
+}
+
+describe('GridLayout', () => {
+  useWidthTableMetrics();
+
+  test('wraps the children into the configured number of columns, top to bottom', async () => {
+    const { model } = await layOut(features(10), 'grid', { levelStyles: { 1: { gridColumns: 4 } } });
+    const root = model.getRoot();
+    const children = root.children;
+
+    // 10 children in 4 columns: 3, 3, 2 and 2 rows
+    const columns = distinct(children.map(child => child.boundingBox.x));
+    expect(columns).toHaveLength(4);
+    expect(columns.map(x => children.filter(child => Math.abs(child.boundingBox.x - x) < 1e-3).length)).toEqual([3, 3, 2, 2]);
+    expect(children[1].y).toBeGreaterThan(children[0].y);
+    expect(children[3].boundingBox.x).toBeGreaterThan(children[2].boundingBox.x);
+
+    // The rows are aligned across the columns, below the parent
+    expect(distinct(children.map(child => child.boundingBox.y))).toHaveLength(3);
+    expect(children[3].y).toBe(children[0].y);
+    expect(Math.min(...children.map(child => child.y))).toBeGreaterThan(root.y + root.height);
+
+    // The parent is centered over the grid, from the lane of the first column to the end of the last one
+    const gridLeft = children[0].boundingBox.x - new GridLayout().columnGap / 2;
+    const gridRight = Math.max(...children.map(child => child.boundingBox.x + child.boundingBox.width));
+    expect(root.x + root.width / 2).toBeCloseTo((gridLeft + gridRight) / 2);
+
+    expect([root.boundingBox.x, root.boundingBox.y]).toEqual([0, 0]);
+    expectNoOverlaps(root);
+  });
+
+  test('chooses the number of columns for the aspect ratio', async () => {
+    const { model } = await layOut(features(40), 'grid');
+    const box = model.getRoot().boundingBox;
+    expect(distinct(model.getRoot().children.map(child => child.boundingBox.x)).length).toBeGreaterThan(1);
+    expect(box.width / box.height).toBeGreaterThan(1.5 / 1.6);
+    expect(box.width / box.height).toBeLessThan(1.5 * 1.6);
+
+    const tall = await layOut(features(40), 'grid', { levelStyles: { 1: { gridAspectRatio: 0.5 } } });
+    const tallColumns = distinct(tall.model.getRoot().children.map(child => child.boundingBox.x)).length;
+    expect(tallColumns).toBeLessThan(distinct(model.getRoot().children.map(child => child.boundingBox.x)).length);
+  });
+
+  test('keeps the branches of the children growing to the right within their column', async () => {
+    const { model } = await layOut(`# Catalog
+## Tools
+### Hammer
+### Saw
+## Paint
+## Wood
+### Oak`, 'grid', { levelStyles: { 1: { gridColumns: 2 } } });
+    const tools = model.findNodeByText('Tools');
+    const wood = model.findNodeByText('Wood');
+
+    for (const child of tools.children) {
+      expect(child.x).toBeGreaterThan(tools.x + tools.width);
+    }
+    expect(wood.boundingBox.x).toBeGreaterThan(tools.boundingBox.x + tools.boundingBox.width);
+  });
+
+  test('connects the children through a shared bus', async () => {
+    const { model, styleManager } = await layOut(features(6), 'grid', { levelStyles: { 1: { gridColumns: 2 } } });
+    const root = model.getRoot();
+    const [first, second, , fourth] = root.children;
+    const layout = new GridLayout(styleManager.getLevelStyle(1).parentPadding, styleManager.getLevelStyle(1).childPadding);
+    const routes = root.children.map(child => layout.getConnectionRoute(root, child, styleManager.getLevelStyle(1)));
+
+    // The same bus line for all children, one lane per column between the bus and the child
+    expect(distinct(routes.map(route => route[0].y))).toHaveLength(1);
+    expect(routes[0][0].y).toBeGreaterThan(root.y + root.height);
+    expect(routes[0][0].y).toBeLessThan(first.y);
+    expect(routes[0][1].x).toBe(routes[1][1].x);
+    expect(routes[3][1].x).toBeGreaterThan(first.boundingBox.x + first.boundingBox.width);
+    expect(routes[3][1].x).toBeLessThan(fourth.x);
+    expect(routes[1][2]).toEqual({ x: routes[1][1].x, y: second.y + second.height / 2 });
+
+    expect(layout.navigateByKey(root, 'ArrowDown', styleManager)).toBe(first);
+    root.collapsed = true;
+    expect(layout.shouldExpandOnKey('ArrowDown', root, styleManager)).toBe(true);
+  });
+
+  test('moves to the same row of the neighbouring column with left and right', async () => {
+    const { model, styleManager } = await layOut(`${features(5)}\n### Detail`, 'grid', { levelStyles: { 1: { gridColumns: 2 } } });
+    const [first, second, third, fourth, fifth] = model.getRoot().children;
+    const layout = new GridLayout(styleManager.getLevelStyle(1).parentPadding, styleManager.getLevelStyle(1).childPadding);
+
+    // Columns of 3 and 2 children; a shorter column is entered at its last row
+    expect(layout.navigateFromChild(first, 'ArrowRight', styleManager)).toBe(fourth);
+    expect(layout.navigateFromChild(second, 'ArrowRight', styleManager)).toBe(fifth);
+    expect(layout.navigateFromChild(third, 'ArrowRight', styleManager)).toBe(fifth);
+    expect(layout.navigateFromChild(third, 'ArrowLeft', styleManager)).toBeNull();
+    expect(layout.navigateFromChild(fourth, 'ArrowLeft', styleManager)).toBe(first);
+    expect(layout.navigateFromChild(fourth, 'ArrowDown', styleManager)).toBeNull();
+
+    // Right moves into an expanded branch first, and ends at the last column
+    expect(layout.navigateFromChild(fifth, 'ArrowRight', styleManager)).toBeNull();
+    fifth.collapsed = true;
+    expect(layout.navigateFromChild(fifth, 'ArrowRight', styleManager)).toBeNull();
+    expect(new Layout().navigateFromChild(first, 'ArrowRight', styleManager)).toBeNull();
+
+    // The controller asks the grid before the children's own layout
+    const controller = new MindmapController(model, null, styleManager, null);
+    expect(controller.findNodeByLayoutLogic(fourth, 'ArrowLeft')).toBe(first);
+    expect(controller.findNodeByLayoutLogic(first, 'ArrowDown')).toBe(second);
+  });
+
+  test('is offered as a layout and renders straight connections', async () => {
+    expect(LayoutConfigurations.getLayoutNames()).toContain('grid');
+
+    const model = new MindmapModel();
+    await model.parseFromMarkdown(features(12));
+    const svg = await renderModelToSvg(model, { layout: 'grid' });
+    for (const node of allNodes(model.getRoot())) {
+      expect(svg).toContain(`id="${node.id}_rect"`);
+    }
+    const first = model.getRoot().children[0];
+    const path = svg.match(new RegExp(`<path[^>]*id="connection_${model.getRoot().id}_${first.id}"[^>]*>`))[0];
+    expect(path).toMatch(/d="M [-\d.]+ [-\d.]+( L [-\d.]+ [-\d.]+){4}"/);
+  });
+});
@@ -415,7 +415,7 @@ class HorizontalLayout extends Layout {
   applyLayoutRelative(node, x, y, style) {
     console.groupCollapsed(`HorizontalLayout.applyLayoutRelative(${node.text})`);
     const levelStyle = style.getLevelStyle(node.level);
-    const nodeSize = this.getNodeSize(node.text, levelStyle);
+    const nodeSize = this.getNodeDimensions(node, levelStyle, style);
 
     // Start by positioning node at (0, 0) by top-left corner
     node.x = 0;
@@ -466,6 +466,11 @@ class HorizontalLayout extends Layout {
     }
     const { totalHeight, maxChildWidth } = column.positionNodes(node.children, nodeSize, style);
 
+    // Let the branches overlap where their nodes leave room
+    if (style.getEffectiveValue(node, 'layoutCompaction') === 'contour') {
+      this.compactBranches(node.children, 'y', this.childPadding);
+    }
+
     // Center parent relative to children (while still at relative positions)
     this.centerParentAndChildren(node, nodeSize, totalHeight);
 
@@ -0,0 +1,72 @@
+/**
+ * Tests for packing sibling branches by their contours (layoutCompaction: contour)
+ */
+
+import { useWidthTableMetrics, layOut, expectNoOverlaps } from '../../tests/utils/layout-test-utils.js';
+import Contour from './contour.js';
+
+const ORG_CHART = `# CEO
+## Engineering
+### Platform
+### Product
+### Infrastructure
+## Legal
+## Finance
+### Accounting
+### Payroll
+### Tax`;
+
+describe('Contour compaction', () => {
+  useWidthTableMetrics();
+
+  test('tucks shallow branches under the overhang of their neighbours in the vertical layout', async () => {
+    const { model: boxes } = await layOut(ORG_CHART, 'vertical');
+    const { model: compact } = await layOut(ORG_CHART, 'vertical', { levelStyles: { 1: { layoutCompaction: 'contour' } } });
+    const root = compact.getRoot();
+    const [engineering, legal, finance] = root.children;
+
+    expect(root.boundingBox.width).toBeLessThan(boxes.getRoot().boundingBox.width - 50);
+    expectNoOverlaps(root);
+
+    // Legal sits above the children of its neighbours, which now reach past it
+    expect(engineering.boundingBox.x + engineering.boundingBox.width).toBeGreaterThan(legal.x);
+    expect(finance.boundingBox.x).toBeLessThan(legal.x + legal.width);
+    expect(engineering.x + engineering.width).toBeLessThan(legal.x);
+
+    // The parent stays centered over its first and last child
+    expect(root.x + root.width / 2).toBeCloseTo((engineering.x + finance.x + finance.width) / 2);
+  });
+
+  test('moves shallow branches up next to the children of their neighbours in the horizontal layout', async () => {
+    const { model: boxes } = await layOut(ORG_CHART, 'horizontal-right');
+    const { model: compact } = await layOut(ORG_CHART, 'horizontal-right', { levelStyles: { 1: { layoutCompaction: 'contour' } } });
+    const root = compact.getRoot();
+    const [engineering, legal] = root.children;
+
+    expect(root.boundingBox.height).toBeLessThan(boxes.getRoot().boundingBox.height - 30);
+    expectNoOverlaps(root);
+    expect(legal.y).toBeLessThan(engineering.boundingBox.y + engineering.boundingBox.height);
+    expect(legal.y).toBeGreaterThan(engineering.y + engineering.height);
+  });
+
+  test('applies to the branch of an annotated node', async () => {
+    const { model: annotated } = await layOut(ORG_CHART.replace('# CEO', '# CEO {layoutCompaction=contour}'), 'vertical');
+    const { model: byLevel } = await layOut(ORG_CHART, 'vertical', { levelStyles: { 1: { layoutCompaction: 'contour' } } });
+    const { model: plain } = await layOut(ORG_CHART, 'vertical');
+
+    expect(annotated.getRoot().boundingBox.width).toBeLessThan(plain.getRoot().boundingBox.width);
+    expect(annotated.getRoot().boundingBox.width).toBeCloseTo(byLevel.getRoot().boundingBox.width);
+  });
+
+  test('keeps branches apart only in the bands they share', () => {
+    // A tall branch with a wide lower part, and a leaf next to its top
+    const tall = Contour.fromRectangles([{ start: 0, end: 30, min: 0, max: 50 }, { start: 60, end: 90, min: -40, max: 140 }]);
+    const leaf = Contour.fromRectangles([{ start: 0, end: 30, min: 0, max: 60 }]);
+
+    expect(Contour.separation(tall, leaf, 10)).toBe(60);
+    expect(Contour.separation(leaf, tall, 10)).toBe(70);
+
+    // The two tall branches are kept apart by their lower parts; the leaf between them gets 40 on both sides
+    expect(Contour.pack([tall, leaf, tall], 10)).toEqual([0, 90, 190]);
+  });
+});
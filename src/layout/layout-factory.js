@@ -5,6 +5,11 @@ import VerticalLayout from './vertical-layout.js';
 import TaprootLayout from './taproot-layout.js';
 import ClassicMindmapLayout from './classic-mindmap-layout.js';
 import OutlineLayout from './outline-layout.js';
+import RadialLayout from './radial-layout.js';
+import FishboneLayout from './fishbone-layout.js';
+import TimelineLayout from './timeline-layout.js';
+import GridLayout from './grid-layout.js';
+import ForestLayout from './forest-layout.js';
 
 /**
  * Factory for creating appropriate layouts
@@ -12,7 +17,7 @@ import OutlineLayout from './outline-layout.js';
 class LayoutFactory {
   /**
    * Create a layout based on type and parameters
-   * @param {string} type - The layout type ('horizontal', 'vertical', 'taproot', 'classic', or 'outline')
+   * @param {string} type - The layout type ('horizontal', 'vertical', 'taproot', 'classic', 'outline', 'radial', 'fishbone', 'timeline', or 'grid')
    * @param {number} parentPadding - Padding between parent and children
    * @param {number} childPadding - Padding between siblings
    * @param {string} direction - Direction of layout ('right', 'left', 'down', or 'up')
@@ -50,6 +55,22 @@ class LayoutFactory {
         layout = new OutlineLayout(parentPadding, childPadding, outlineHorizontalShift, outlineDirection);
         break;
 
+      case 'radial':
+        layout = new RadialLayout(parentPadding, childPadding);
+        break;
+
+      case 'fishbone':
+        layout = new FishboneLayout(parentPadding, childPadding);
+        break;
+
+      case 'timeline':
+        layout = new TimelineLayout(parentPadding, childPadding);
+        break;
+
+      case 'grid':
+        layout = new GridLayout(parentPadding, childPadding);
+        break;
+
       case 'horizontal':
       default:
         // Default direction for horizontal layout is 'right'
@@ -61,6 +82,19 @@ class LayoutFactory {
     console.log(`Created layout: ${layout.constructor.name}`);
     return layout;
   }
+
+  /**
+   * Create the layout that lays out a whole mindmap, or the branch shown in focus mode
+   * @param {MindmapNode} rootNode - The root node of the model, or the node the view is focused on
+   * @param {StyleManager} styleManager - The style manager
+   * @return {Layout} A ForestLayout for a document with several top-level topics, otherwise the layout of the node's level
+   */
+  static createRootLayout(rootNode, styleManager) {
+    if (rootNode && rootNode.isForest()) {
+      return new ForestLayout();
+    }
+    return styleManager.getLevelStyle(Math.max(1, rootNode ? rootNode.level : 1)).getLayout();
+  }
 }
 
 // For backward compatibility
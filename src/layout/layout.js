@@ -1,8 +1,10 @@
 // src/layout/layout.js
 
 import ConnectionPoint from './connection-point.js';
+import Contour from './contour.js';
 import textMetrics from '../utils/text-metrics.js';
-import { markdownToSvg, markdownToSvgSync } from '../utils/markdown-to-svg.js';
+import TaskDecorations from '../utils/task-decorations.js';
+import { markdownToSvg, markdownToSvgSync, markdownToText } from '../utils/markdown-to-svg.js';
 
 /**
  * Base Layout class that handles common functionality
@@ -37,6 +39,19 @@ class Layout {
     return false;
   }
 
+  /**
+   * Navigate from a child of a node laid out by this layout, before the child's own layout is asked
+   * Layouts that arrange their children in a way the children's layouts do not know about (e.g. in columns)
+   * override this; by default the child's own layout navigates.
+   * @param {Object} currentNode - The currently selected node, a child of a node with this layout
+   * @param {string} key - The arrow key pressed ('ArrowUp', 'ArrowDown', 'ArrowLeft', 'ArrowRight')
+   * @param {Object} styleManager - The style manager for getting node styles
+   * @returns {Object|null} The target node to navigate to, or null to leave it to the child's layout
+   */
+  navigateFromChild(currentNode, key, styleManager) {
+    return null;
+  }
+
   /**
    * Helper: Find sibling node
    * @param {Object} node - The current node
@@ -79,16 +94,31 @@ class Layout {
     if (!node.parent) return [];
     return node.parent.children.filter(child => child.id !== node.id);
   }
+  /**
+   * Calculate own dimensions of a node, including room for its shape and task decorations
+   * @param {MindmapNode} node - The node
+   * @param {Object} levelStyle - The style for this node's level
+   * @param {Object} style - The style manager
+   * @return {Object} The calculated width and height
+   */
+  getNodeDimensions(node, levelStyle, style) {
+    const insets = TaskDecorations.getInsets(node, levelStyle);
+    return this.getNodeSize(node.text, levelStyle, style.getEffectiveValue(node, 'nodeType'), insets.left + insets.right);
+  }
+
   /**
    * Calculate own dimensions of a node based on text and level style
    * @param {string} text - The text content of the node
    * @param {Object} levelStyle - The style for this node's level
+   * @param {string} nodeType - The node's effective shape (defaults to the level style's nodeType)
+   * @param {number} extraWidth - Additional width next to the text (e.g. a task checkbox)
    * @return {Object} The calculated width and height
    */
-  getNodeSize(text, levelStyle) {
+  getNodeSize(text, levelStyle, nodeType = null, extraWidth = 0) {
     // Check if markdown is enabled
 //    const useMarkdown = levelStyle.enableMarkdown || false;
-    const useMarkdown = true;
+    // Markdown sizing needs a browser DOM; headless backends measure the plain text instead
+    const useMarkdown = textMetrics.isDomBacked();
 
     // Get text wrapping configuration
     const wrapConfig = levelStyle.getTextWrapConfig();
@@ -133,10 +163,11 @@ class Layout {
       }
     } else {
       // Regular text measurement for non-markdown content
+      const plainText = markdownToText(text);
       if (textWrap === 'none') {
         // Simple case - just measure without wrapping
         textDimensions = textMetrics.measureText(
-          text,
+          plainText,
           levelStyle.fontFamily,
           levelStyle.fontSize,
           levelStyle.fontWeight
@@ -144,7 +175,7 @@ class Layout {
       } else {
         // Use text wrapping measurement
         textDimensions = textMetrics.wrapText(
-          text,
+          plainText,
           maxWidth,
           levelStyle.fontFamily,
           levelStyle.fontSize,
@@ -156,10 +187,20 @@ class Layout {
     }
 
     // Apply padding to the calculated dimensions
-    return {
-      width: textDimensions.width + (levelStyle.horizontalPadding * 2),
-      height: textDimensions.height + (levelStyle.verticalPadding * 2)
-    };
+    const width = textDimensions.width + extraWidth + (levelStyle.horizontalPadding * 2);
+    const height = textDimensions.height + (levelStyle.verticalPadding * 2);
+
+    // Shapes narrower than their bounding box need extra room to keep the text inside
+    switch (nodeType || levelStyle.nodeType) {
+      case 'circle':
+        // The padded text box fits inside an ellipse scaled by sqrt(2)
+        return { width: Math.ceil(width * Math.SQRT2), height: Math.ceil(height * Math.SQRT2) };
+      case 'hexagon':
+        // The slanted sides take half the height on each side
+        return { width: width + height, height };
+      default:
+        return { width, height };
+    }
   }
 
   /**
@@ -180,6 +221,23 @@ class Layout {
     }
   }
 
+  /**
+   * Move laid out sibling branches as close together as their contours allow (`layoutCompaction: contour`)
+   * @param {Array<MindmapNode>} children - The sibling branches, in order
+   * @param {string} axis - 'x' for branches side by side, 'y' for branches stacked
+   * @param {number} gap - Minimum distance between nodes of different branches
+   */
+  compactBranches(children, axis, gap) {
+    const offsets = Contour.pack(children.map(child => Contour.fromBranch(child, axis)), gap);
+    children.forEach((child, index) => {
+      if (axis === 'x') {
+        this.adjustPositionRecursive(child, offsets[index], 0);
+      } else {
+        this.adjustPositionRecursive(child, 0, offsets[index]);
+      }
+    });
+  }
+
   /**
    * Apply layout to a node and its children.
    * x and y are only the initial position. The position may change after laying out children recursively
@@ -277,6 +335,18 @@ class Layout {
     throw new Error('Method getChildConnectionPoint must be implemented by subclasses');
   }
 
+  /**
+   * Get the corners of a straight-line connection between a parent and a child
+   * Layouts with their own connection geometry override this; by default connections are bezier curves.
+   * @param {MindmapNode} parent - The parent node
+   * @param {MindmapNode} child - The child node
+   * @param {Object} levelStyle - The style for the parent's level
+   * @return {Array<Object>|null} Points {x, y} between the two connection points, or null for a curve
+   */
+  getConnectionRoute(parent, child, levelStyle) {
+    return null;
+  }
+
   /**
    * Get the dimensions for the top parent drop zone (or left for vertical layouts)
    * @param {Object} node - The node to get drop zone dimensions for
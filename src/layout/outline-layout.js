@@ -412,7 +412,7 @@ class OutlineLayout extends Layout {
     console.log('node', node);
     
     const levelStyle = style.getLevelStyle(node.level);
-    const nodeSize = this.getNodeSize(node.text, levelStyle);
+    const nodeSize = this.getNodeDimensions(node, levelStyle, style);
 
     // Start by positioning node at (0, 0) by top-left corner
     node.x = 0;
@@ -0,0 +1,475 @@
+// src/layout/radial-layout.js
+
+import Layout from './layout.js';
+import ConnectionPoint from './connection-point.js';
+import LayoutFactory from './layout-factory.js';
+
+/**
+ * Radial layout: the children of a node are placed on a ring around it
+ *
+ * Every child gets an angular sector in proportion to the number of leaves of its branch. Children that use
+ * the radial layout too continue within their sector on the next ring, so each level of the branch lies on its
+ * own concentric ring around the node the layout was applied to (the center). Children with another layout are
+ * laid out by it and placed on the ring as a whole, turned away from the center where that layout has a direction.
+ */
+class RadialLayout extends Layout {
+  // The first sector starts at 12 o'clock, the others follow clockwise
+  static START_ANGLE = -Math.PI / 2;
+
+  // Screen direction of each arrow key (y grows downwards)
+  static KEY_VECTORS = {
+    ArrowRight: { x: 1, y: 0 },
+    ArrowLeft: { x: -1, y: 0 },
+    ArrowUp: { x: 0, y: -1 },
+    ArrowDown: { x: 0, y: 1 }
+  };
+
+  /**
+   * Create a new RadialLayout
+   * @param {number} parentPadding - Gap between a ring and the next one (or the center node)
+   * @param {number} childPadding - Minimum gap between neighbours on a ring
+   */
+  constructor(parentPadding = 80, childPadding = 20) {
+    super();
+    this.parentPadding = parentPadding;
+    this.childPadding = childPadding;
+  }
+
+  /**
+   * Navigate from current node based on keyboard input
+   * The key pointing away from the center goes to a child, the opposite key to the parent, and the two other
+   * keys go to the neighbours on the same ring in angular order.
+   * @param {Object} currentNode - The currently selected node
+   * @param {string} key - The arrow key pressed
+   * @param {Object} styleManager - The style manager for getting node styles
+   * @returns {Object|null} The target node to navigate to
+   */
+  navigateByKey(currentNode, key, styleManager) {
+    const movement = this._classifyKey(currentNode, key, styleManager);
+    console.log(`RadialLayout.navigateByKey: Key "${key}" on "${currentNode.text}" moves ${movement}`);
+
+    switch (movement) {
+      case 'inward':
+        return currentNode.parent;
+      case 'outward':
+        return currentNode.collapsed ? null : this._findChildInDirection(currentNode, RadialLayout.KEY_VECTORS[key]);
+      case 'clockwise':
+        return this._findRingNeighbour(currentNode, 1, styleManager);
+      case 'counterclockwise':
+        return this._findRingNeighbour(currentNode, -1, styleManager);
+      default:
+        return null;
+    }
+  }
+
+  /**
+   * Check if the key press should expand a collapsed node instead of navigating
+   * @param {string} key - The arrow key pressed
+   * @param {Object} currentNode - The currently selected node
+   * @param {Object} styleManager - The style manager for getting node styles
+   * @returns {boolean} True for the key pointing away from the center on a collapsed node with children
+   */
+  shouldExpandOnKey(key, currentNode, styleManager) {
+    if (!currentNode.collapsed || !currentNode.children || currentNode.children.length === 0) {
+      return false;
+    }
+    return this._classifyKey(currentNode, key, styleManager) === 'outward';
+  }
+
+  /**
+   * Apply radial layout to a node and its children
+   * @param {Node} node - The node to layout
+   * @param {number} x - The x coordinate
+   * @param {number} y - The y coordinate
+   * @param {Object} style - The style to apply (StyleManager)
+   * @return {Object} The size of the laid out subtree
+   */
+  applyLayout(node, x, y, style) {
+    return this.applyLayoutRelative(node, x, y, style);
+  }
+
+  /**
+   * Apply radial layout to a node and its children, with the node in the center of the rings
+   * @param {Node} node - The node to layout
+   * @param {number} x - The x coordinate of the bounding box
+   * @param {number} y - The y coordinate of the bounding box
+   * @param {Object} style - The style to apply (StyleManager)
+   * @return {Object} The size of the laid out subtree
+   */
+  applyLayoutRelative(node, x, y, style) {
+    console.groupCollapsed(`RadialLayout.applyLayoutRelative(${node.text})`);
+    this._setNodeSize(node, style);
+
+    if (node.children.length === 0 || node.collapsed) {
+      node.x = x;
+      node.y = y;
+      node.boundingBox = { x, y, width: node.width, height: node.height };
+      console.groupEnd();
+      return node.boundingBox;
+    }
+
+    // Lay out around the center of the node at (0, 0)
+    node.x = -node.width / 2;
+    node.y = -node.height / 2;
+
+    const rings = [];
+    this._collectRingItems(node, 0, RadialLayout.START_ANGLE, 2 * Math.PI, style, rings);
+    const radii = this._placeRings(node, rings);
+    console.log(`RadialLayout: ${rings.length} ring(s) with radii ${radii.map(radius => Math.round(radius)).join(', ')}`);
+
+    // Bounding boxes from the outermost ring inwards
+    for (let depth = rings.length - 1; depth >= 0; depth--) {
+      rings[depth].filter(item => item.hasRing).forEach(item => item.node.calculateBoundingBox());
+    }
+    node.calculateBoundingBox();
+    node.adjustNodeTreeToPosition(x, y);
+
+    console.groupEnd();
+    return node.boundingBox;
+  }
+
+  /**
+   * Get the connection point for a parent node: where the line to the child's center leaves the node
+   * @param {Node} node - The parent node
+   * @param {Object} levelStyle - The style for this node's level
+   * @param {Node} childNode - The specific child node being connected to (optional)
+   * @return {ConnectionPoint} The connection point
+   */
+  getParentConnectionPoint(node, levelStyle, childNode = null) {
+    if (!childNode) {
+      return new ConnectionPoint(node.x + node.width, node.y + node.height / 2, 'right');
+    }
+    return this._getPerimeterPoint(node, childNode.x + childNode.width / 2, childNode.y + childNode.height / 2);
+  }
+
+  /**
+   * Get the connection point for a child node: where the line to the parent's center enters the node
+   * @param {Node} node - The child node
+   * @param {Object} levelStyle - The style for this node's level
+   * @return {ConnectionPoint} The connection point
+   */
+  getChildConnectionPoint(node, levelStyle) {
+    const parent = node.parent;
+    if (!parent || parent.isForest()) {
+      return new ConnectionPoint(node.x, node.y + node.height / 2, 'left');
+    }
+    return this._getPerimeterPoint(node, parent.x + parent.width / 2, parent.y + parent.height / 2);
+  }
+
+  /**
+   * Size a node and store its level's style for rendering
+   * @private
+   * @param {Node} node - The node
+   * @param {Object} style - The style manager
+   */
+  _setNodeSize(node, style) {
+    const levelStyle = style.getLevelStyle(node.level);
+    const nodeSize = this.getNodeDimensions(node, levelStyle, style);
+    node.width = nodeSize.width;
+    node.height = nodeSize.height;
+
+    node.style = {
+      fontSize: levelStyle.fontSize,
+      fontWeight: levelStyle.fontWeight,
+      fontFamily: levelStyle.fontFamily,
+      backgroundColor: levelStyle.backgroundColor,
+      textColor: levelStyle.textColor,
+      borderColor: levelStyle.borderColor,
+      borderWidth: levelStyle.borderWidth,
+      borderRadius: levelStyle.borderRadius
+    };
+  }
+
+  /**
+   * Give the children of a node their sectors and collect them per ring, in angular order
+   * Children with another layout are laid out here, so their size is known when the rings are measured.
+   * @private
+   * @param {Node} parent - The center, or a radial node on a ring
+   * @param {number} depth - Index of the ring the children are placed on
+   * @param {number} startAngle - Start of the parent's sector
+   * @param {number} sweep - Angle of the parent's sector
+   * @param {Object} style - The style manager
+   * @param {Array<Array<Object>>} rings - Ring items per depth, filled in
+   */
+  _collectRingItems(parent, depth, startAngle, sweep, style, rings) {
+    const weights = parent.children.map(child => this._countLeaves(child));
+    const totalWeight = weights.reduce((sum, weight) => sum + weight, 0);
+    rings[depth] = rings[depth] || [];
+
+    let sectorStart = startAngle;
+    parent.children.forEach((child, index) => {
+      const sector = sweep * weights[index] / totalWeight;
+      const item = { node: child, angle: sectorStart + sector / 2, branch: false, hasRing: false };
+
+      if (style.getEffectiveValue(child, 'layoutType') === 'radial') {
+        this._setNodeSize(child, style);
+        item.width = child.width;
+        item.height = child.height;
+        if (child.children.length > 0 && !child.collapsed) {
+          item.hasRing = true;
+          this._collectRingItems(child, depth + 1, sectorStart, sector, style, rings);
+        }
+      } else {
+        const box = this._layoutBranch(child, item.angle, style);
+        item.branch = true;
+        item.width = box.width;
+        item.height = box.height;
+      }
+
+      rings[depth].push(item);
+      sectorStart += sector;
+    });
+  }
+
+  /**
+   * Lay out a child with another layout, facing away from the center
+   * @private
+   * @param {Node} child - The child
+   * @param {number} angle - Direction of the child from the center
+   * @param {Object} style - The style manager
+   * @return {Object} The bounding box of the child's branch
+   */
+  _layoutBranch(child, angle, style) {
+    const layoutType = style.getEffectiveValue(child, 'layoutType');
+    if (layoutType === 'horizontal' || layoutType === 'outline') {
+      child.setOverride('direction', Math.cos(angle) < 0 ? 'left' : 'right');
+    } else if (layoutType === 'vertical') {
+      child.setOverride('direction', Math.sin(angle) < 0 ? 'up' : 'down');
+    }
+
+    const childLevelStyle = style.getLevelStyle(child.level);
+    const childLayout = LayoutFactory.createLayout(
+      layoutType,
+      childLevelStyle.parentPadding,
+      childLevelStyle.childPadding
+    );
+    return childLayout.applyLayoutRelative(child, 0, 0, style);
+  }
+
+  /**
+   * Choose the radius of each ring and move the ring items into place around the center at (0, 0)
+   * A ring keeps parentPadding from the ring inside it and childPadding between neighbours.
+   * @private
+   * @param {Node} center - The center node
+   * @param {Array<Array<Object>>} rings - Ring items per depth, in angular order
+   * @return {Array<number>} The radius of each ring
+   */
+  _placeRings(center, rings) {
+    const radii = [];
+    let innerReach = 0;
+
+    rings.forEach((items, depth) => {
+      let radius = 0;
+      items.forEach(item => {
+        const inner = depth === 0 ? this._getEdgeDistance(center.width, center.height, item.angle) : innerReach;
+        radius = Math.max(radius, inner + this.parentPadding + this._getEdgeDistance(item.width, item.height, item.angle));
+      });
+
+      if (items.length > 1) {
+        items.forEach((item, index) => {
+          const next = items[(index + 1) % items.length];
+          const gap = ((next.angle - item.angle) % (2 * Math.PI) + 2 * Math.PI) % (2 * Math.PI) || 2 * Math.PI;
+          const spacing = this._getEdgeDistance(item.width, item.height, item.angle + Math.PI / 2) +
+            this._getEdgeDistance(next.width, next.height, next.angle + Math.PI / 2) + this.childPadding;
+          // Distance between the two centers on the ring: the chord of their angular gap
+          radius = Math.max(radius, spacing / (2 * Math.sin(Math.min(gap, Math.PI) / 2)));
+        });
+      }
+
+      items.forEach(item => {
+        const centerX = radius * Math.cos(item.angle);
+        const centerY = radius * Math.sin(item.angle);
+        const node = item.node;
+        if (item.branch) {
+          const box = node.boundingBox;
+          this.adjustPositionRecursive(node, centerX - (box.x + box.width / 2), centerY - (box.y + box.height / 2));
+        } else {
+          node.x = centerX - node.width / 2;
+          node.y = centerY - node.height / 2;
+          if (!item.hasRing) {
+            node.boundingBox = { x: node.x, y: node.y, width: node.width, height: node.height };
+          }
+        }
+      });
+
+      innerReach = Math.max(...items.map(item => radius + this._getEdgeDistance(item.width, item.height, item.angle)));
+      radii.push(radius);
+    });
+
+    return radii;
+  }
+
+  /**
+   * Count the visible leaves of a branch, which sets the size of its sector
+   * @private
+   * @param {Node} node - The top node of the branch
+   * @return {number} The number of leaves (a collapsed node counts as one)
+   */
+  _countLeaves(node) {
+    if (node.children.length === 0 || node.collapsed) {
+      return 1;
+    }
+    return node.children.reduce((sum, child) => sum + this._countLeaves(child), 0);
+  }
+
+  /**
+   * Get the distance from the center of a rectangle to its edge in a direction
+   * @private
+   * @param {number} width - Width of the rectangle
+   * @param {number} height - Height of the rectangle
+   * @param {number} angle - The direction
+   * @return {number} The distance
+   */
+  _getEdgeDistance(width, height, angle) {
+    const cos = Math.abs(Math.cos(angle));
+    const sin = Math.abs(Math.sin(angle));
+    const alongX = cos > 1e-9 ? width / 2 / cos : Infinity;
+    const alongY = sin > 1e-9 ? height / 2 / sin : Infinity;
+    return Math.min(alongX, alongY);
+  }
+
+  /**
+   * Get the point where the line from the center of a node to a target crosses the node's border
+   * @private
+   * @param {Node} node - The node
+   * @param {number} targetX - X coordinate of the target
+   * @param {number} targetY - Y coordinate of the target
+   * @return {ConnectionPoint} The point, with the side of the node it is on as direction
+   */
+  _getPerimeterPoint(node, targetX, targetY) {
+    const centerX = node.x + node.width / 2;
+    const centerY = node.y + node.height / 2;
+    const dx = targetX - centerX;
+    const dy = targetY - centerY;
+    if (dx === 0 && dy === 0) {
+      return new ConnectionPoint(node.x + node.width, centerY, 'right');
+    }
+
+    const scaleX = dx !== 0 ? (node.width / 2) / Math.abs(dx) : Infinity;
+    const scaleY = dy !== 0 ? (node.height / 2) / Math.abs(dy) : Infinity;
+    const scale = Math.min(scaleX, scaleY);
+    const direction = scaleX <= scaleY ? (dx > 0 ? 'right' : 'left') : (dy > 0 ? 'bottom' : 'top');
+    return new ConnectionPoint(centerX + dx * scale, centerY + dy * scale, direction);
+  }
+
+  /**
+   * Check if a node was placed on a ring by a radial parent
+   * @private
+   * @param {Node} node - The node
+   * @param {Object} styleManager - The style manager
+   * @return {boolean} True if the parent uses the radial layout
+   */
+  _isOnRing(node, styleManager) {
+    const parent = node.parent;
+    return !!parent && !parent.isForest() && styleManager.getEffectiveValue(parent, 'layoutType') === 'radial';
+  }
+
+  /**
+   * Tell how an arrow key moves relative to the rings
+   * On a ring, the key along the axis closest to the direction from the parent moves outward or inward, the
+   * other two move along the ring. On the center, every key moves outward except the one back to its parent.
+   * @private
+   * @param {Node} node - The current node
+   * @param {string} key - The arrow key
+   * @param {Object} styleManager - The style manager
+   * @return {string|null} 'outward', 'inward', 'clockwise', 'counterclockwise', or null for other keys
+   */
+  _classifyKey(node, key, styleManager) {
+    const keyVector = RadialLayout.KEY_VECTORS[key];
+    if (!keyVector) return null;
+
+    const parent = node.parent && !node.parent.isForest() ? node.parent : null;
+    const outward = parent && this._getUnitVector(parent, node);
+    if (!outward) return 'outward';
+
+    const alignment = keyVector.x * outward.x + keyVector.y * outward.y;
+    if (!this._isOnRing(node, styleManager)) {
+      return alignment < -Math.SQRT1_2 ? 'inward' : 'outward';
+    }
+
+    const radialAxis = Math.abs(outward.x) >= Math.abs(outward.y) ? 'x' : 'y';
+    if (keyVector[radialAxis] !== 0) {
+      return alignment > 0 ? 'outward' : 'inward';
+    }
+    // Angles grow clockwise on screen, so a key turning the direction from the parent clockwise has a positive cross product
+    return outward.x * keyVector.y - outward.y * keyVector.x > 0 ? 'clockwise' : 'counterclockwise';
+  }
+
+  /**
+   * Get the direction from the center of one node to the center of another
+   * @private
+   * @param {Node} from - The first node
+   * @param {Node} to - The second node
+   * @return {Object|null} Unit vector {x, y}, or null if the centers coincide
+   */
+  _getUnitVector(from, to) {
+    const dx = (to.x + to.width / 2) - (from.x + from.width / 2);
+    const dy = (to.y + to.height / 2) - (from.y + from.height / 2);
+    const length = Math.hypot(dx, dy);
+    return length > 0 ? { x: dx / length, y: dy / length } : null;
+  }
+
+  /**
+   * Find the child lying most in the direction of a key
+   * @private
+   * @param {Node} node - The parent node
+   * @param {Object} keyVector - Direction of the key
+   * @return {Node|null} The child, or null if no child lies in that direction
+   */
+  _findChildInDirection(node, keyVector) {
+    let bestChild = null;
+    let bestAlignment = 0;
+    for (const child of node.children) {
+      const direction = this._getUnitVector(node, child);
+      const alignment = direction ? direction.x * keyVector.x + direction.y * keyVector.y : 0;
+      if (alignment > bestAlignment) {
+        bestAlignment = alignment;
+        bestChild = child;
+      }
+    }
+    return bestChild;
+  }
+
+  /**
+   * Find the next node on the same ring in angular order, going round past the start of the circle
+   * @private
+   * @param {Node} node - The current node
+   * @param {number} step - 1 for clockwise, -1 for counterclockwise
+   * @param {Object} styleManager - The style manager
+   * @return {Node|null} The neighbour, or null if the node is alone on its ring
+   */
+  _findRingNeighbour(node, step, styleManager) {
+    let center = node;
+    let depth = 0;
+    while (this._isOnRing(center, styleManager)) {
+      center = center.parent;
+      depth++;
+    }
+
+    let ring = [center];
+    for (let i = 0; i < depth; i++) {
+      ring = ring
+        .filter(ringNode => !ringNode.collapsed && styleManager.getEffectiveValue(ringNode, 'layoutType') === 'radial')
+        .flatMap(ringNode => ringNode.children);
+    }
+    if (ring.length < 2) return null;
+
+    const centerX = center.x + center.width / 2;
+    const centerY = center.y + center.height / 2;
+    const angleOf = ringNode => {
+      const angle = Math.atan2(ringNode.y + ringNode.height / 2 - centerY, ringNode.x + ringNode.width / 2 - centerX);
+      return ((angle - RadialLayout.START_ANGLE) % (2 * Math.PI) + 2 * Math.PI) % (2 * Math.PI);
+    };
+    ring.sort((a, b) => angleOf(a) - angleOf(b));
+
+    const index = ring.indexOf(node);
+    return ring[(index + step + ring.length) % ring.length];
+  }
+}
+
+// For backward compatibility
+if (typeof window !== 'undefined') {
+  window.RadialLayout = RadialLayout;
+}
+
+export default RadialLayout;
@@ -0,0 +1,158 @@
+/**
+ * Tests for the radial layout
+ */
+
+import { useWidthTableMetrics, layOut, center, overlaps } from '../../tests/utils/layout-test-utils.js';
+import MindmapModel from '../model/mindmap-model.js';
+import LayoutConfigurations from '../style/layout-configurations.js';
+import RadialLayout from './radial-layout.js';
+import { renderModelToSvg } from '../headless.js';
+
+const COMPASS = `# Center
+## North
+## East
+## South
+## West`;
+
+const PROJECT = `# Project
+## Build
+### Frontend
+### Backend
+### Database
+## Test
+## Ship`;
+
+/**
+ * Get the distance and direction of a node from another one
+ * @param {MindmapNode} from - The node in the middle
+ * @param {MindmapNode} node - The node
+ * @returns {{radius: number, angle: number}} Distance between the centers, and angle in degrees (clockwise from 3 o'clock)
+ */
+function polar(from, node) {
+  const dx = center(node).x - center(from).x;
+  const dy = center(node).y - center(from).y;
+  return { radius: Math.hypot(dx, dy), angle: Math.atan2(dy, dx) * 180 / Math.PI };
+}
+
+describe('RadialLayout', () => {
+  useWidthTableMetrics();
+
+  test('places the children on a ring around the parent, clockwise from the top', async () => {
+    const { model } = await layOut(COMPASS, 'radial');
+    const root = model.getRoot();
+    const positions = root.children.map(child => polar(root, child));
+
+    positions.forEach(position => expect(position.radius).toBeCloseTo(positions[0].radius));
+    expect(positions.map(position => Math.round(position.angle))).toEqual([-45, 45, 135, -135]);
+    for (const child of root.children) {
+      expect(overlaps(child, root)).toBe(false);
+    }
+    expect([root.boundingBox.x, root.boundingBox.y]).toEqual([0, 0]);
+  });
+
+  test('gives each branch a sector in proportion to its leaves and puts deeper levels on outer rings', async () => {
+    const { model } = await layOut(PROJECT, 'radial');
+    const root = model.getRoot();
+    const build = model.findNodeByText('Build');
+
+    // Build has three of the five leaves, so three fifths of the circle from 12 o'clock on
+    expect(root.children.map(child => Math.round(polar(root, child).angle))).toEqual([18, 162, -126]);
+
+    const innerRadius = polar(root, build).radius;
+    const grandchildren = build.children.map(child => polar(root, child));
+    grandchildren.forEach(position => {
+      expect(position.radius).toBeCloseTo(grandchildren[0].radius);
+      expect(position.radius).toBeGreaterThan(innerRadius);
+      expect(position.angle).toBeGreaterThan(-90);
+      expect(position.angle).toBeLessThan(126);
+    });
+    expect(grandchildren.map(position => Math.round(position.angle))).toEqual([-54, 18, 90]);
+
+    const nodes = [root, ...root.children, ...build.children];
+    nodes.forEach((a, i) => nodes.slice(i + 1).forEach(b => expect(overlaps(a, b)).toBe(false)));
+  });
+
+  test('connects on the node borders along the line between the centers', async () => {
+    const { model, styleManager } = await layOut(PROJECT, 'radial');
+    const root = model.getRoot();
+    const build = model.findNodeByText('Build');
+    const layout = new RadialLayout();
+
+    const start = layout.getParentConnectionPoint(root, styleManager.getLevelStyle(1), build);
+    const end = layout.getChildConnectionPoint(build, styleManager.getLevelStyle(2));
+
+    // The start is on the border of the root, the end on the border of the child
+    const onBorder = (point, node) =>
+      (Math.abs(point.x - node.x) < 1e-6 || Math.abs(point.x - node.x - node.width) < 1e-6 ||
+       Math.abs(point.y - node.y) < 1e-6 || Math.abs(point.y - node.y - node.height) < 1e-6) &&
+      point.x >= node.x - 1e-6 && point.x <= node.x + node.width + 1e-6 &&
+      point.y >= node.y - 1e-6 && point.y <= node.y + node.height + 1e-6;
+    expect(onBorder(start, root)).toBe(true);
+    expect(onBorder(end, build)).toBe(true);
+
+    // Both lie on the line between the centers
+    const a = center(root);
+    const b = center(build);
+    const cross = point => (b.x - a.x) * (point.y - a.y) - (b.y - a.y) * (point.x - a.x);
+    expect(cross(start)).toBeCloseTo(0);
+    expect(cross(end)).toBeCloseTo(0);
+  });
+
+  test('moves outward, inward and around the ring with the arrow keys', async () => {
+    const { model, styleManager } = await layOut(PROJECT, 'radial');
+    const root = model.getRoot();
+    const [build, test, ship] = root.children;
+    const [frontend, backend, database] = build.children;
+    const layout = new RadialLayout();
+
+    // From the center, each key goes to the child lying most in its direction
+    expect(layout.navigateByKey(root, 'ArrowRight', styleManager)).toBe(build);
+    expect(layout.navigateByKey(root, 'ArrowLeft', styleManager)).toBe(test);
+    expect(layout.navigateByKey(root, 'ArrowUp', styleManager)).toBe(ship);
+
+    // Build lies right of the center: right goes outward, left back to the center
+    expect(layout.navigateByKey(build, 'ArrowLeft', styleManager)).toBe(root);
+    expect(layout.navigateByKey(build, 'ArrowRight', styleManager)).toBe(backend);
+
+    // Along the ring in angular order, going round past 12 o'clock
+    expect(layout.navigateByKey(build, 'ArrowDown', styleManager)).toBe(test);
+    expect(layout.navigateByKey(build, 'ArrowUp', styleManager)).toBe(ship);
+    expect(layout.navigateByKey(backend, 'ArrowDown', styleManager)).toBe(database);
+    expect(layout.navigateByKey(database, 'ArrowRight', styleManager)).toBe(backend);
+    expect(layout.navigateByKey(database, 'ArrowUp', styleManager)).toBe(build);
+    expect(layout.navigateByKey(frontend, 'ArrowLeft', styleManager)).toBe(database);
+
+    build.collapsed = true;
+    expect(layout.shouldExpandOnKey('ArrowRight', build, styleManager)).toBe(true);
+    expect(layout.shouldExpandOnKey('ArrowDown', build, styleManager)).toBe(false);
+  });
+
+  test('places branches with another layout on the ring, facing away from the center', async () => {
+    const { model } = await layOut(`# Center
+## Right
+### Right child
+## Left
+### Left child`, 'radial', { levelStyles: { 2: { layoutType: 'horizontal' } } });
+    const root = model.getRoot();
+    const right = model.findNodeByText('Right');
+    const left = model.findNodeByText('Left');
+
+    expect(center(right).x).toBeGreaterThan(center(root).x);
+    expect(center(left).x).toBeLessThan(center(root).x);
+    expect(right.children[0].x).toBeGreaterThan(right.x + right.width);
+    expect(left.children[0].x + left.children[0].width).toBeLessThan(left.x);
+    expect(overlaps(left.children[0], root)).toBe(false);
+    expect(overlaps(right.children[0], root)).toBe(false);
+  });
+
+  test('is offered as a layout and renders every node', async () => {
+    expect(LayoutConfigurations.getLayoutNames()).toContain('radial');
+
+    const model = new MindmapModel();
+    await model.parseFromMarkdown(PROJECT);
+    const svg = await renderModelToSvg(model, { layout: 'radial' });
+    for (const text of ['Project', 'Build', 'Frontend', 'Backend', 'Database', 'Test', 'Ship']) {
+      expect(svg).toContain(`id="${model.findNodeByText(text).id}_rect"`);
+    }
+  });
+});
@@ -0,0 +1,323 @@
+// src/layout/timeline-layout.js
+
+import Layout from './layout.js';
+import ConnectionPoint from './connection-point.js';
+import LayoutFactory from './layout-factory.js';
+
+/**
+ * Timeline layout: the children of a node are events along a horizontal axis
+ *
+ *                  +---------+              +---------+
+ *                  | Event 1 |--- ...       | Event 3 |
+ *               |--+---------+           |--+---------+
+ *   +------+    |                        |
+ *   | Node |----+-------------+----------+-------------+---
+ *   +------+                  |                        |
+ *                             |--+---------+           |--+---------+
+ *                                | Event 2 |              | Event 4 |
+ *                                +---------+              +---------+
+ *
+ * The axis starts at the node's right side, and the events are placed alternately above and below it, each
+ * connected to its tick on the axis. Each event's branch is laid out by its own layout (the horizontal layout
+ * in the timeline configuration) and grows to the right. By default the events follow each other in order;
+ * with `timelineScale: date` they are sorted and spaced by the date in their text (see parseDate()).
+ */
+class TimelineLayout extends Layout {
+  // Horizontal distance from an event's tick to the event
+  static STEM_RUN = 12;
+
+  // Length of the tick mark across the axis
+  static TICK_SIZE = 6;
+
+  // A timeline spaced by date is at most this many times as long as its events placed in order
+  static MAX_DATE_STRETCH = 4;
+
+  /**
+   * Create a new TimelineLayout
+   * @param {number} parentPadding - Gap between the node and the first event, twice the gap between the axis and the events
+   * @param {number} childPadding - Gap between neighbouring events
+   */
+  constructor(parentPadding = 80, childPadding = 20) {
+    super();
+    this.parentPadding = parentPadding;
+    this.childPadding = childPadding;
+  }
+
+  /**
+   * Get the date of an event from its text
+   * An `@2026-03-01` annotation takes precedence over other ISO dates in the text; the day may be left out.
+   * @param {string} text - The node text
+   * @return {number|null} The date as a UTC timestamp, or null if the text has none
+   */
+  static parseDate(text) {
+    const match = (text || '').match(/(?:^|\s)@(\d{4})-(\d{2})(?:-(\d{2}))?(?!\S)/) ||
+      (text || '').match(/\b(\d{4})-(\d{2})-(\d{2})\b/);
+    if (!match) return null;
+
+    const [year, month, day = 1] = match.slice(1).filter(part => part !== undefined).map(Number);
+    if (month < 1 || month > 12) return null;
+
+    // setUTCFullYear() keeps the years 0-99, which Date.UTC() takes for 1900-1999. Both roll days past the end
+    // of the month over (2026-02-31 would be March 3).
+    const time = new Date(0).setUTCFullYear(year, month - 1, day);
+    return new Date(time).getUTCDate() === day ? time : null;
+  }
+
+  /**
+   * Navigate from current node based on keyboard input
+   * Right moves to the first event, up and down to the first event above and below the axis.
+   * The events themselves navigate with their own layout.
+   * @param {Object} currentNode - The currently selected node
+   * @param {string} key - The arrow key pressed
+   * @param {Object} styleManager - The style manager for getting node styles
+   * @returns {Object|null} The target node to navigate to
+   */
+  navigateByKey(currentNode, key, styleManager) {
+    console.log(`TimelineLayout.navigateByKey: Processing key "${key}" for node "${currentNode.text}"`);
+
+    if (key === 'ArrowLeft') {
+      return currentNode.parent && !currentNode.parent.isForest() ? currentNode.parent : null;
+    }
+    if (currentNode.collapsed) return null;
+
+    const axisY = currentNode.y + currentNode.height / 2;
+    const events = [...currentNode.children].sort((a, b) => a.x - b.x);
+    if (key === 'ArrowRight') return events[0] || null;
+    if (key === 'ArrowUp') return events.find(event => event.y + event.height / 2 < axisY) || null;
+    if (key === 'ArrowDown') return events.find(event => event.y + event.height / 2 > axisY) || null;
+    return null;
+  }
+
+  /**
+   * Check if the key press should expand a collapsed node instead of navigating
+   * @param {string} key - The arrow key pressed
+   * @param {Object} currentNode - The currently selected node
+   * @param {Object} styleManager - The style manager for getting node styles
+   * @returns {boolean} True if the node should be expanded, false otherwise
+   */
+  shouldExpandOnKey(key, currentNode, styleManager) {
+    if (!currentNode.collapsed || !currentNode.children || currentNode.children.length === 0) {
+      return false;
+    }
+    return key === 'ArrowRight';
+  }
+
+  /**
+   * Apply timeline layout to a node and its children
+   * @param {Node} node - The node to layout
+   * @param {number} x - The x coordinate
+   * @param {number} y - The y coordinate
+   * @param {Object} style - The style to apply (StyleManager)
+   * @return {Object} The size of the laid out subtree
+   */
+  applyLayout(node, x, y, style) {
+    return this.applyLayoutRelative(node, x, y, style);
+  }
+
+  /**
+   * Apply timeline layout to a node and its children
+   * @param {Node} node - The node to layout
+   * @param {number} x - The x coordinate of the bounding box
+   * @param {number} y - The y coordinate of the bounding box
+   * @param {Object} style - The style to apply (StyleManager)
+   * @return {Object} The size of the laid out subtree
+   */
+  applyLayoutRelative(node, x, y, style) {
+    console.groupCollapsed(`TimelineLayout.applyLayoutRelative(${node.text})`);
+    const levelStyle = style.getLevelStyle(node.level);
+    const nodeSize = this.getNodeDimensions(node, levelStyle, style);
+    node.width = nodeSize.width;
+    node.height = nodeSize.height;
+
+    node.style = {
+      fontSize: levelStyle.fontSize,
+      fontWeight: levelStyle.fontWeight,
+      fontFamily: levelStyle.fontFamily,
+      backgroundColor: levelStyle.backgroundColor,
+      textColor: levelStyle.textColor,
+      borderColor: levelStyle.borderColor,
+      borderWidth: levelStyle.borderWidth,
+      borderRadius: levelStyle.borderRadius
+    };
+
+    if (node.children.length === 0 || node.collapsed) {
+      node.x = x;
+      node.y = y;
+      node.boundingBox = { x, y, width: node.width, height: node.height };
+      console.groupEnd();
+      return node.boundingBox;
+    }
+
+    // The axis runs along y = 0 from the node's right side
+    node.x = 0;
+    node.y = -node.height / 2;
+
+    const events = this._getEvents(node, style);
+    const ticks = this._placeTicks(events);
+
+    // The first event keeps parentPadding from the node
+    const originX = node.width + this.parentPadding - Math.min(...events.map((event, i) => ticks[i] + event.lead));
+    const axisGap = this.parentPadding / 2;
+    events.forEach((event, i) => {
+      const box = event.node.boundingBox;
+      const deltaX = originX + ticks[i] - (event.node.x - TimelineLayout.STEM_RUN);
+      const deltaY = i % 2 === 0 ? -axisGap - (box.y + box.height) : axisGap - box.y;
+      this.adjustPositionRecursive(event.node, deltaX, deltaY);
+    });
+
+    node.calculateBoundingBox();
+    node.adjustNodeTreeToPosition(x, y);
+
+    console.groupEnd();
+    return node.boundingBox;
+  }
+
+  /**
+   * Get the connection point for a parent node: the start of the axis
+   * @param {Node} node - The parent node
+   * @param {Object} levelStyle - The style for this node's level
+   * @param {Node} childNode - The specific child node being connected to (optional)
+   * @return {ConnectionPoint} The connection point
+   */
+  getParentConnectionPoint(node, levelStyle, childNode = null) {
+    return new ConnectionPoint(node.x + node.width, node.y + node.height / 2, 'right');
+  }
+
+  /**
+   * Get the connection point for a child node
+   * @param {Node} node - The child node
+   * @param {Object} levelStyle - The style for this node's level
+   * @return {ConnectionPoint} The connection point
+   */
+  getChildConnectionPoint(node, levelStyle) {
+    return new ConnectionPoint(node.x, node.y + node.height / 2, 'left');
+  }
+
+  /**
+   * Get the corners of the straight connection to an event
+   * The connection runs along the axis to the event's tick, marks the tick on the other side of the axis, and
+   * rises or drops to the height of the event.
+   * @param {Node} parent - The parent node
+   * @param {Node} child - The event node
+   * @param {Object} levelStyle - The style for the parent's level
+   * @return {Array<Object>} Points {x, y} between the two connection points
+   */
+  getConnectionRoute(parent, child, levelStyle) {
+    const axisY = parent.y + parent.height / 2;
+    const childY = child.y + child.height / 2;
+    const tickX = child.x - TimelineLayout.STEM_RUN;
+    const tickEnd = axisY + (childY < axisY ? TimelineLayout.TICK_SIZE : -TimelineLayout.TICK_SIZE);
+    return [
+      { x: tickX, y: axisY },
+      { x: tickX, y: tickEnd },
+      { x: tickX, y: axisY },
+      { x: tickX, y: childY }
+    ];
+  }
+
+  /**
+   * Lay out the branch of each event at the origin and put the events in timeline order
+   * @private
+   * @param {Node} node - The timeline node
+   * @param {Object} style - The style manager
+   * @return {Array<Object>} Events {node, time, lead, reach}: time is the date with `timelineScale: date` (else null),
+   *   lead and reach are how far the branch and its stem extend left and right of the tick
+   */
+  _getEvents(node, style) {
+    const byDate = style.getEffectiveValue(node, 'timelineScale') === 'date';
+    const events = node.children.map(child => {
+      const layoutType = style.getEffectiveValue(child, 'layoutType');
+      if (layoutType === 'horizontal' || layoutType === 'outline') {
+        child.setOverride('direction', 'right');
+      }
+
+      const childLevelStyle = style.getLevelStyle(child.level);
+      const childLayout = LayoutFactory.createLayout(
+        layoutType,
+        childLevelStyle.parentPadding,
+        childLevelStyle.childPadding
+      );
+      const box = childLayout.applyLayoutRelative(child, 0, 0, style);
+      const tickX = child.x - TimelineLayout.STEM_RUN;
+      return {
+        node: child,
+        time: byDate ? TimelineLayout.parseDate(child.text) : null,
+        lead: Math.min(box.x, tickX) - tickX,
+        reach: box.x + box.width - tickX
+      };
+    });
+
+    if (!byDate) {
+      return events;
+    }
+    if (events.some(event => event.time === null)) {
+      console.log(`TimelineLayout: Not every event of "${node.text}" has a date, keeping their order`);
+      return events;
+    }
+    return events.sort((a, b) => a.time - b.time);
+  }
+
+  /**
+   * Compute the position of each event's tick on the axis, relative to the first one
+   * Events on the same side of the axis keep childPadding between their branches, and so do the ticks of
+   * events with different dates. Dated events are spaced in proportion to their dates with the smallest
+   * scale that allows this, unless that makes the timeline longer than MAX_DATE_STRETCH times its length
+   * in order; then events with close dates are only kept apart.
+   * @private
+   * @param {Array<Object>} events - The events in timeline order (see _getEvents())
+   * @return {Array<number>} The tick positions
+   */
+  _placeTicks(events) {
+    const dated = events.every(event => event.time !== null);
+    const required = (i, j) => j === i + 1 ? this.childPadding : events[i].reach + this.childPadding - events[j].lead;
+
+    let scale = 0;
+    if (dated) {
+      events.forEach((event, j) => [j - 1, j - 2].filter(i => i >= 0).forEach(i => {
+        const elapsed = event.time - events[i].time;
+        if (elapsed > 0) {
+          scale = Math.max(scale, required(i, j) / elapsed);
+        }
+      }));
+    }
+
+    if (scale > 0) {
+      const span = events[events.length - 1].time - events[0].time;
+      const orderedLength = this._spreadTicks(events, 0, required).pop();
+      scale = Math.min(scale, TimelineLayout.MAX_DATE_STRETCH * orderedLength / span);
+    }
+    return this._spreadTicks(events, scale, required);
+  }
+
+  /**
+   * Place the ticks at their dates on a scale, and move them apart as far as required
+   * @private
+   * @param {Array<Object>} events - The events in timeline order (see _getEvents())
+   * @param {number} scale - Length per millisecond, or 0 to place the events in order
+   * @param {Function} required - (i, j) => the distance required between the ticks of events i and j
+   * @return {Array<number>} The tick positions
+   */
+  _spreadTicks(events, scale, required) {
+    const ticks = [];
+    events.forEach((event, j) => {
+      let tick = scale > 0 ? (event.time - events[0].time) * scale : 0;
+      if (j > 0) {
+        // Events with the same date share their tick
+        const sameDate = scale > 0 && event.time === events[j - 1].time;
+        tick = Math.max(tick, ticks[j - 1] + (sameDate ? 0 : required(j - 1, j)));
+      }
+      if (j > 1) {
+        tick = Math.max(tick, ticks[j - 2] + required(j - 2, j));
+      }
+      ticks.push(tick);
+    });
+    return ticks;
+  }
+}
+
+// For backward compatibility
+if (typeof window !== 'undefined') {
+  window.TimelineLayout = TimelineLayout;
+}
+
+export default TimelineLayout;
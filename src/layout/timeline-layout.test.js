@@ -0,0 +1,170 @@
+/**
+ * Tests for the timeline layout
+ */
+
+import { useWidthTableMetrics, layOut, allNodes, expectNoOverlaps } from '../../tests/utils/layout-test-utils.js';
+import MindmapModel from '../model/mindmap-model.js';
+import LayoutConfigurations from '../style/layout-configurations.js';
+import TimelineLayout from './timeline-layout.js';
+import { renderModelToSvg } from '../headless.js';
+
+const RELEASE = `# Release
+## Design
+### Wireframes
+### Review
+## Build
+## Test
+## Ship`;
+
+const ROADMAP = `# Roadmap
+## Beta @2026-03
+## Launch 2026-09-01
+## Kickoff @2026-01-01`;
+
+/**
+ * Get the position of an event's tick on the axis
+ * @param {MindmapNode} event - The event node
+ * @returns {number} The x coordinate of the tick
+ */
+function tick(event) {
+  return event.x - TimelineLayout.STEM_RUN;
+}
+
+/**
+ * Get the vertical center of a node
+ * @param {MindmapNode} node - The node
+ * @returns {number} The y coordinate of the center
+ */
+function centerY(node) {
+  return node.y + node.height / 2;
+}
+
+describe('TimelineLayout', () => {
+  useWidthTableMetrics();
+
+  test('places the events in order along the axis, alternately above and below it', async () => {
+    const { model } = await layOut(RELEASE, 'timeline');
+    const root = model.getRoot();
+    const [design, build, test, ship] = root.children;
+    const axisY = centerY(root);
+
+    expect(design.boundingBox.y + design.boundingBox.height).toBeLessThan(axisY);
+    expect(test.boundingBox.y + test.boundingBox.height).toBeLessThan(axisY);
+    expect(build.boundingBox.y).toBeGreaterThan(axisY);
+    expect(ship.boundingBox.y).toBeGreaterThan(axisY);
+
+    const ticks = root.children.map(tick);
+    expect(ticks[0]).toBeGreaterThan(root.x + root.width);
+    ticks.slice(1).forEach((position, i) => expect(position).toBeGreaterThan(ticks[i]));
+
+    // Events on the same side keep clear of each other, the ones on the other side may fit in between
+    expect(tick(test)).toBeGreaterThan(design.boundingBox.x + design.boundingBox.width);
+    expect(tick(build)).toBeLessThan(design.boundingBox.x + design.boundingBox.width);
+
+    // The branch of an event grows to the right as in the horizontal layout
+    for (const child of design.children) {
+      expect(child.x).toBeGreaterThan(design.x + design.width);
+    }
+    expect(centerY(design)).toBeCloseTo((centerY(design.children[0]) + centerY(design.children[1])) / 2);
+
+    expect([root.boundingBox.x, root.boundingBox.y]).toEqual([0, 0]);
+    expectNoOverlaps(root);
+  });
+
+  test('sorts and spaces the events by their dates with timelineScale: date', async () => {
+    const { model } = await layOut(ROADMAP, 'timeline', { levelStyles: { 1: { timelineScale: 'date' } } });
+    const [beta, launch, kickoff] = model.getRoot().children;
+    const axisY = centerY(model.getRoot());
+
+    expect(tick(kickoff)).toBeLessThan(tick(beta));
+    expect(tick(beta)).toBeLessThan(tick(launch));
+    expect(centerY(kickoff)).toBeLessThan(axisY);
+    expect(centerY(beta)).toBeGreaterThan(axisY);
+    expect(centerY(launch)).toBeLessThan(axisY);
+
+    // January to March is a third of March to September
+    expect((tick(beta) - tick(kickoff)) / (tick(launch) - tick(beta)))
+      .toBeCloseTo((Date.UTC(2026, 2, 1) - Date.UTC(2026, 0, 1)) / (Date.UTC(2026, 8, 1) - Date.UTC(2026, 2, 1)));
+
+    // The same with an annotation on the node
+    const annotated = await layOut(ROADMAP.replace('# Roadmap', '# Roadmap {timelineScale=date}'), 'timeline');
+    expect(annotated.model.getRoot().children.map(tick)).toEqual([beta, launch, kickoff].map(tick));
+  });
+
+  test('keeps close dates from stretching a long timeline', async () => {
+    const markdown = '# Plan\n## Kickoff @2026-01-01\n## Review @2026-01-02\n## Launch @2027-01-01';
+    const { model } = await layOut(markdown, 'timeline', { levelStyles: { 1: { timelineScale: 'date' } } });
+    const ordered = await layOut(markdown, 'timeline');
+    const [kickoff, review, launch] = model.getRoot().children;
+    const [orderedKickoff, , orderedLaunch] = ordered.model.getRoot().children;
+
+    // In order, Launch only keeps clear of Kickoff on the same side of the axis
+    expect(tick(orderedLaunch) - tick(orderedKickoff)).toBeLessThan(orderedKickoff.width + 2 * TimelineLayout.STEM_RUN + 20);
+    expect(tick(launch) - tick(kickoff))
+      .toBeCloseTo(TimelineLayout.MAX_DATE_STRETCH * (tick(orderedLaunch) - tick(orderedKickoff)));
+    expect(tick(review) - tick(kickoff)).toBeGreaterThan(0);
+    expect(tick(launch) - tick(review)).toBeGreaterThan(10 * (tick(review) - tick(kickoff)));
+    expectNoOverlaps(model.getRoot());
+  });
+
+  test('keeps the order when an event has no date or the scale is by order', async () => {
+    const undated = await layOut(`${ROADMAP}\n## Retrospective`, 'timeline', { levelStyles: { 1: { timelineScale: 'date' } } });
+    const ticks = undated.model.getRoot().children.map(tick);
+    ticks.slice(1).forEach((position, i) => expect(position).toBeGreaterThan(ticks[i]));
+
+    const ordered = await layOut(ROADMAP, 'timeline');
+    const [beta, launch, kickoff] = ordered.model.getRoot().children;
+    expect(tick(beta)).toBeLessThan(tick(launch));
+    expect(tick(launch)).toBeLessThan(tick(kickoff));
+  });
+
+  test('parses dates from annotations and ISO dates in the text', () => {
+    expect(TimelineLayout.parseDate('Beta @2026-03')).toBe(Date.UTC(2026, 2, 1));
+    expect(TimelineLayout.parseDate('Launch on 2026-09-15 (tentative)')).toBe(Date.UTC(2026, 8, 15));
+    expect(TimelineLayout.parseDate('Moved from 2026-01-05 @2026-02-10')).toBe(Date.UTC(2026, 1, 10));
+    expect(TimelineLayout.parseDate('Release 2.0')).toBeNull();
+    expect(TimelineLayout.parseDate('Budget 2026-13-01')).toBeNull();
+    expect(TimelineLayout.parseDate('Review 2026-02-31')).toBeNull();
+    expect(TimelineLayout.parseDate('Leap day @2026-02-29')).toBeNull();
+    expect(TimelineLayout.parseDate('Leap day @2028-02-29')).toBe(Date.UTC(2028, 1, 29));
+    expect(TimelineLayout.parseDate('Founded @0050-06-01')).toBeLessThan(TimelineLayout.parseDate('@0150-01-01'));
+    expect(new Date(TimelineLayout.parseDate('Founded @0050-06-01')).getUTCFullYear()).toBe(50);
+    expect(TimelineLayout.parseDate('')).toBeNull();
+  });
+
+  test('connects each event to its tick with straight lines and navigates from the axis', async () => {
+    const { model, styleManager } = await layOut(RELEASE, 'timeline');
+    const root = model.getRoot();
+    const [design, build] = root.children;
+    const layout = new TimelineLayout();
+    const axisY = centerY(root);
+
+    const route = layout.getConnectionRoute(root, design, styleManager.getLevelStyle(1));
+    expect(route).toEqual([
+      { x: tick(design), y: axisY },
+      { x: tick(design), y: axisY + TimelineLayout.TICK_SIZE },
+      { x: tick(design), y: axisY },
+      { x: tick(design), y: centerY(design) }
+    ]);
+    expect(layout.getConnectionRoute(root, build, styleManager.getLevelStyle(1))[1].y).toBe(axisY - TimelineLayout.TICK_SIZE);
+
+    expect(layout.navigateByKey(root, 'ArrowRight', styleManager)).toBe(design);
+    expect(layout.navigateByKey(root, 'ArrowDown', styleManager)).toBe(build);
+    expect(layout.navigateByKey(root, 'ArrowUp', styleManager)).toBe(design);
+    expect(layout.navigateByKey(root, 'ArrowLeft', styleManager)).toBeNull();
+  });
+
+  test('is offered as a layout and renders every node', async () => {
+    expect(LayoutConfigurations.getLayoutNames()).toContain('timeline');
+
+    const model = new MindmapModel();
+    await model.parseFromMarkdown(RELEASE);
+    const svg = await renderModelToSvg(model, { layout: 'timeline' });
+    for (const node of allNodes(model.getRoot())) {
+      expect(svg).toContain(`id="${node.id}_rect"`);
+    }
+    const design = model.findNodeByText('Design');
+    const path = svg.match(new RegExp(`<path[^>]*id="connection_${model.getRoot().id}_${design.id}"[^>]*>`))[0];
+    expect(path).toMatch(/d="M [-\d.]+ [-\d.]+( L [-\d.]+ [-\d.]+){5}"/);
+  });
+});
@@ -336,7 +336,7 @@ class VerticalLayout extends Layout {
     console.log('node', node);
     
     const levelStyle = style.getLevelStyle(node.level);
-    const nodeSize = this.getNodeSize(node.text, levelStyle);
+    const nodeSize = this.getNodeDimensions(node, levelStyle, style);
 
     // Start by positioning node at (0, 0) by top-left corner
     node.x = 0;
@@ -362,9 +362,13 @@ class VerticalLayout extends Layout {
 
     // If the node has no children or is collapsed, adjust to final position and return
     if (node.children.length === 0 || node.collapsed) {
+      // Adjust node position to (x, y) by top-left corner
+      node.x = x;
+      node.y = y;
+
       node.boundingBox = {
-        x: 0,
-        y: 0,
+        x: x,
+        y: y,
         width: nodeSize.width,
         height: nodeSize.height
       };
@@ -399,11 +403,22 @@ class VerticalLayout extends Layout {
       maxChildHeight = upRow.maxChildHeight;
     }
 
-    // Center parent and children horizontally
-    this.centerParentAndChildren(node, totalWidth, nodeSize);
+    if (style.getEffectiveValue(node, 'layoutCompaction') === 'contour') {
+      // Let the branches overlap where their nodes leave room, then center the parent over its first and last child
+      this.compactBranches(node.children, 'x', this.childPadding);
+      const firstChild = node.children[0];
+      const lastChild = node.children[node.children.length - 1];
+      node.x = (firstChild.x + lastChild.x + lastChild.width - nodeSize.width) / 2;
+    } else {
+      // Center parent and children horizontally
+      this.centerParentAndChildren(node, totalWidth, nodeSize);
+    }
 
     // Calculate bounding box at relative positions
     node.calculateBoundingBox();
+
+    // Final adjustment: move the subtree to (x, y), so that vertical branches can be nested in other layouts
+    node.adjustNodeTreeToPosition(x, y);
     
     console.groupEnd();
     return node.boundingBox;
@@ -0,0 +1,119 @@
+/**
+ * Tests for documents with several top-level topics
+ */
+
+import { useWidthTableMetrics } from '../../tests/utils/layout-test-utils.js';
+import MindmapModel from './mindmap-model.js';
+import StyleManager from '../style/style-manager.js';
+import MindmapStylePresets from '../style/style-presets.js';
+import LayoutConfigurations from '../style/layout-configurations.js';
+import LayoutFactory from '../layout/layout-factory.js';
+import ForestLayout from '../layout/forest-layout.js';
+import { renderModelToSvg } from '../headless.js';
+
+const PLAN = `# Launch
+## Build
+## Ship
+# Hiring
+## Designer
+# Remember {floating=true}
+## Call the venue
+# Pinned {floating=true x=0 y=-100}`;
+
+/**
+ * Parse markdown and lay it out like MindmapController.applyLayout()
+ * @param {string} markdown - The markdown
+ * @param {Object} options - Style YAML options passed to StyleManager.configure()
+ * @returns {Promise<MindmapModel>} The laid out model
+ */
+async function layOut(markdown, options = {}) {
+  const model = new MindmapModel();
+  await model.parseFromMarkdown(markdown);
+  const styleManager = new StyleManager();
+  MindmapStylePresets.applyPreset('default', styleManager);
+  LayoutConfigurations.apply('horizontal-right', styleManager, model.getRoot());
+  styleManager.configure(options);
+  LayoutFactory.createRootLayout(model.getRoot(), styleManager).applyLayout(model.getRoot(), 0, 0, styleManager);
+  return model;
+}
+
+/**
+ * Get the right edge of the visible nodes of a tree
+ * @param {MindmapNode} node - The root of the tree
+ * @returns {number} The largest x + width
+ */
+function rightEdge(node) {
+  return Math.max(node.x + node.width, ...node.children.map(rightEdge));
+}
+
+describe('Forests', () => {
+  useWidthTableMetrics();
+
+  test('keeps every top-level heading', async () => {
+    const model = new MindmapModel();
+    const root = await model.parseFromMarkdown(PLAN);
+
+    expect(root.isForest()).toBe(true);
+    expect(model.getRoots().map(node => node.text)).toEqual(['Launch', 'Hiring', 'Remember', 'Pinned']);
+    expect(model.getRoots().map(node => node.isFloating())).toEqual([false, false, true, true]);
+    expect(model.findNodeByText('Call the venue').parent.text).toBe('Remember');
+
+    await model.parseFromMarkdown('# Launch\n## Build');
+    expect(model.getRoot().isForest()).toBe(false);
+    expect(model.getRoots()).toEqual([model.getRoot()]);
+  });
+
+  test('writes the top-level topics back as headings', async () => {
+    const model = new MindmapModel();
+    await model.parseFromMarkdown(PLAN);
+
+    expect(model.toMarkdown()).toBe(PLAN);
+    expect(model.toOPML().match(/^ {4}<outline /gm)).toHaveLength(4);
+    expect(model.toMermaid()).toContain('Mindmap');
+
+    const restored = new MindmapModel();
+    restored.fromJSON(JSON.stringify(model.toJSON()));
+    expect(restored.getRoot().isForest()).toBe(true);
+    expect(restored.toMarkdown()).toBe(PLAN);
+  });
+
+  test('places the trees side by side and the floating topics apart', async () => {
+    const model = await layOut(PLAN, { rootGap: 50 });
+    const [launch, hiring, remember, pinned] = model.getRoots();
+
+    expect(hiring.x - rightEdge(launch)).toBeCloseTo(50);
+    expect(hiring.y + hiring.height / 2).toBeCloseTo(launch.y + launch.height / 2);
+    expect([pinned.x, pinned.y]).toEqual([launch.x, launch.y - 100]);
+
+    const treeBottom = Math.max(...[launch, hiring, ...launch.children, ...hiring.children].map(node => node.y + node.height));
+    const rememberTop = Math.min(remember.y, remember.children[0].y);
+    expect(rememberTop - treeBottom).toBeCloseTo(50);
+
+    // The container spans the whole forest
+    const forest = model.getRoot();
+    expect([forest.x, forest.y]).toEqual([0, 0]);
+    expect(forest.width).toBeGreaterThanOrEqual(rightEdge(hiring));
+  });
+
+  test('moves between top-level topics with the arrow keys', async () => {
+    const model = await layOut(PLAN);
+    const [launch, hiring, remember] = model.getRoots();
+    const layout = new ForestLayout();
+
+    expect(layout.navigateByKey(launch, 'ArrowRight')).toBe(hiring);
+    expect(layout.navigateByKey(hiring, 'ArrowLeft')).toBe(launch);
+    expect(layout.navigateByKey(launch, 'ArrowDown')).toBe(remember);
+    expect(layout.navigateByKey(launch.children[0], 'ArrowRight')).toBeNull();
+  });
+
+  test('draws each top-level topic without the container', async () => {
+    const model = new MindmapModel();
+    await model.parseFromMarkdown(PLAN);
+    const svg = await renderModelToSvg(model, { layout: 'taproot' });
+
+    for (const root of model.getRoots()) {
+      expect(svg).toContain(`id="${root.id}_rect"`);
+    }
+    expect(svg).not.toContain(`id="${model.getRoot().id}_rect"`);
+  });
+});
@@ -0,0 +1,226 @@
+// src/model/freemind-format.js
+
+import { marked } from 'marked';
+import MindmapNode from './node.js';
+import XmlParser from '../utils/xml-parser.js';
+import NodeTags from './node-tags.js';
+
+/**
+ * Import and export of FreeMind / Freeplane .mm files
+ *
+ * Mapping between .mm and the model:
+ *   <node TEXT="...">              -> node.text
+ *   <richcontent TYPE="NODE">      -> node.text (HTML converted to inline markdown)
+ *   <font BOLD/ITALIC="true">      -> **text** / *text*
+ *   trailing hashtags              -> node.tags
+ *   FOLDED="true"                  -> node.collapsed
+ *   COLOR                          -> textColor annotation
+ *   BACKGROUND_COLOR               -> backgroundColor annotation
+ *
+ * Notes, icons, clouds, arrow links and attributes are not imported.
+ */
+class FreeMindFormat {
+  static FILE_EXTENSION = '.mm';
+  static MIME_TYPE = 'application/x-freemind';
+  static MAP_VERSION = '1.0.1';
+
+  // HTML inline elements -> markdown delimiters
+  static INLINE_MARKERS = {
+    b: '**',
+    strong: '**',
+    i: '*',
+    em: '*',
+    s: '~~',
+    strike: '~~',
+    del: '~~',
+    code: '`'
+  };
+
+  /**
+   * Parse a .mm file into a node tree
+   * @param {string} xml - The .mm file content
+   * @returns {MindmapNode} The root node (level 1)
+   * @throws {Error} If the content is not a FreeMind map
+   */
+  static parse(xml) {
+    const map = XmlParser.parse(xml);
+    if (map.name !== 'map') {
+      throw new Error('Not a FreeMind map: missing <map> element');
+    }
+
+    const rootElement = XmlParser.childElement(map, 'node');
+    if (!rootElement) {
+      throw new Error('Not a FreeMind map: no root <node>');
+    }
+
+    return this._parseNode(rootElement, 1, null);
+  }
+
+  /**
+   * Convert a node tree to .mm file content
+   * @param {MindmapNode} rootNode - The root node
+   * @returns {string} The .mm XML
+   */
+  static stringify(rootNode) {
+    const lines = [`<map version="${this.MAP_VERSION}">`];
+    this._stringifyNode(rootNode, lines, 1);
+    lines.push('</map>');
+    return lines.join('\n') + '\n';
+  }
+
+  /**
+   * Recursively convert a <node> element
+   * @private
+   * @param {Object} element - The <node> element
+   * @param {number} level - Hierarchy level of the node
+   * @param {MindmapNode} parent - The parent node
+   * @returns {MindmapNode} The created node
+   */
+  static _parseNode(element, level, parent) {
+    const attributes = element.attributes;
+    const { text, tags } = NodeTags.parse(this._nodeText(element));
+    const node = new MindmapNode(text, level, attributes.FOLDED === 'true', parent);
+    node.tags = new Set(tags);
+
+    if (attributes.COLOR) {
+      node.setAnnotation('textColor', attributes.COLOR.toLowerCase());
+    }
+    if (attributes.BACKGROUND_COLOR) {
+      node.setAnnotation('backgroundColor', attributes.BACKGROUND_COLOR.toLowerCase());
+    }
+
+    for (const childElement of XmlParser.childElements(element, 'node')) {
+      node.children.push(this._parseNode(childElement, level + 1, node));
+    }
+    return node;
+  }
+
+  /**
+   * Get the text of a <node>, preferring rich content over the TEXT attribute
+   * @private
+   * @param {Object} element - The <node> element
+   * @returns {string} Node text as inline markdown
+   */
+  static _nodeText(element) {
+    const richContent = XmlParser.childElements(element, 'richcontent')
+      .find(content => (content.attributes.TYPE || 'NODE') === 'NODE');
+
+    let text;
+    if (richContent) {
+      const body = this._findElement(richContent, 'body') || richContent;
+      text = this._htmlToMarkdown(body);
+    } else {
+      // FreeMind stores line breaks in TEXT as &#10;; node text is a single line
+      text = (element.attributes.TEXT || '').replace(/\s*\n\s*/g, ' ').trim();
+    }
+
+    const font = XmlParser.childElement(element, 'font');
+    if (font && text) {
+      if (font.attributes.ITALIC === 'true') text = `*${text}*`;
+      if (font.attributes.BOLD === 'true') text = `**${text}**`;
+    }
+    return text;
+  }
+
+  /**
+   * Find the first descendant element with a name
+   * @private
+   * @param {Object} element - The element to search
+   * @param {string} name - Element name (case-insensitive)
+   * @returns {Object|null} The element, or null
+   */
+  static _findElement(element, name) {
+    for (const child of XmlParser.childElements(element)) {
+      if (child.name.toLowerCase() === name) return child;
+      const found = this._findElement(child, name);
+      if (found) return found;
+    }
+    return null;
+  }
+
+  /**
+   * Convert rich content HTML to single-line inline markdown
+   * @private
+   * @param {Object} element - The HTML element
+   * @returns {string} Markdown text
+   */
+  static _htmlToMarkdown(element) {
+    const parts = element.children.map(child => {
+      if (typeof child === 'string') {
+        return child;
+      }
+
+      const name = child.name.toLowerCase();
+      const inner = this._htmlToMarkdown(child);
+      if (name === 'br') {
+        return ' ';
+      }
+      if (name === 'a' && child.attributes.href) {
+        return `[${inner}](${child.attributes.href})`;
+      }
+      const marker = this.INLINE_MARKERS[name];
+      if (marker && inner) {
+        return `${marker}${inner}${marker}`;
+      }
+      // Block elements (p, div, li, ...) are joined into one line
+      return ` ${inner} `;
+    });
+
+    return parts.join('').replace(/\s+/g, ' ').trim();
+  }
+
+  /**
+   * Recursively append the XML lines of a node
+   * @private
+   * @param {MindmapNode} node - The node to convert
+   * @param {Array<string>} lines - Accumulator for output lines
+   * @param {number} depth - Indentation depth
+   */
+  static _stringifyNode(node, lines, depth) {
+    const indent = '  '.repeat(depth);
+    const overrides = node.configOverrides || {};
+
+    let attributes = '';
+    // Raw '<' is escaped first so that only markdown formatting produces tags
+    const text = (node.text || '') + NodeTags.format(node.tags);
+    const html = marked.parseInline(text.replace(/</g, '&lt;'));
+    const isRichText = /<[a-z]/i.test(html);
+    if (!isRichText) {
+      attributes += ` TEXT="${XmlParser.escape(text)}"`;
+    }
+    if (node.collapsed && node.children.length > 0) {
+      attributes += ' FOLDED="true"';
+    }
+    if (overrides.textColor) {
+      attributes += ` COLOR="${XmlParser.escape(overrides.textColor)}"`;
+    }
+    if (overrides.backgroundColor) {
+      attributes += ` BACKGROUND_COLOR="${XmlParser.escape(overrides.backgroundColor)}"`;
+    }
+    // FreeMind places first-level children on the side given by POSITION
+    if (depth === 2 && (overrides.direction === 'left' || overrides.direction === 'right')) {
+      attributes += ` POSITION="${overrides.direction}"`;
+    }
+
+    if (!isRichText && node.children.length === 0) {
+      lines.push(`${indent}<node${attributes}/>`);
+      return;
+    }
+
+    lines.push(`${indent}<node${attributes}>`);
+    if (isRichText) {
+      lines.push(`${indent}  <richcontent TYPE="NODE"><html><head></head><body><p>${html}</p></body></html></richcontent>`);
+    }
+    for (const child of node.children) {
+      this._stringifyNode(child, lines, depth + 1);
+    }
+    lines.push(`${indent}</node>`);
+  }
+}
+
+// For backward compatibility
+if (typeof window !== 'undefined') {
+  window.FreeMindFormat = FreeMindFormat;
+}
+
+export default FreeMindFormat;
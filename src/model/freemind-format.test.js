@@ -0,0 +1,113 @@
+/**
+ * Tests for FreeMind / Freeplane .mm import and export
+ */
+
+import MindmapModel from './mindmap-model.js';
+import FreeMindFormat from './freemind-format.js';
+
+const FREEMIND_MAP = `<?xml version="1.0" encoding="UTF-8"?>
+<!-- Exported from FreeMind -->
+<map version="1.0.1">
+<node CREATED="1700000000000" ID="ID_1" TEXT="Project &amp; Plan">
+<node FOLDED="true" ID="ID_2" POSITION="right" TEXT="Research" COLOR="#FF0000">
+<node ID="ID_3" TEXT="Interviews"/>
+</node>
+<node ID="ID_4" POSITION="left" BACKGROUND_COLOR="#ccffcc">
+<richcontent TYPE="NODE"><html>
+  <head>
+  </head>
+  <body>
+    <p>Build <b>fast</b> and<br>
+    <i>ship</i></p>
+  </body>
+</html></richcontent>
+<richcontent TYPE="NOTE"><html><body><p>Ignored note</p></body></html></richcontent>
+<icon BUILTIN="yes"/>
+</node>
+<node ID="ID_5" TEXT="Launch">
+<font BOLD="true" NAME="SansSerif" SIZE="12"/>
+</node>
+</node>
+</map>`;
+
+describe('FreeMind format', () => {
+  let logSpy;
+
+  beforeEach(() => {
+    logSpy = jest.spyOn(console, 'log').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    logSpy.mockRestore();
+  });
+
+  test('imports nodes, folding, colors and rich content', () => {
+    const model = new MindmapModel();
+    const root = model.parseFromFreeMind(FREEMIND_MAP);
+    const [research, build, launch] = root.children;
+
+    expect(root.text).toBe('Project & Plan');
+    expect(root.level).toBe(1);
+    expect(research.collapsed).toBe(true);
+    expect(research.configOverrides).toEqual({ textColor: '#ff0000' });
+    expect(research.children[0].text).toBe('Interviews');
+    expect(research.children[0].level).toBe(3);
+    expect(research.children[0].parent).toBe(research);
+    expect(build.text).toBe('Build **fast** and *ship*');
+    expect(build.configOverrides).toEqual({ backgroundColor: '#ccffcc' });
+    expect(launch.text).toBe('**Launch**');
+    expect(model.findNodeById(research.id)).toBe(research);
+  });
+
+  test('round-trips through the .mm exporter', () => {
+    const model = new MindmapModel();
+    model.parseFromFreeMind(FREEMIND_MAP);
+
+    const xml = model.toFreeMind();
+    expect(xml).toContain('<map version="1.0.1">');
+    expect(xml).toContain('TEXT="Project &amp; Plan"');
+    expect(xml).toContain('FOLDED="true" COLOR="#ff0000"');
+    expect(xml).toContain('<richcontent TYPE="NODE">');
+
+    const reloaded = new MindmapModel();
+    reloaded.parseFromFreeMind(xml);
+    expect(reloaded.toMarkdown()).toBe(model.toMarkdown());
+    expect(reloaded.getRoot().children[0].collapsed).toBe(true);
+    expect(reloaded.getRoot().children[1].configOverrides.backgroundColor).toBe('#ccffcc');
+  });
+
+  test('exports markdown-parsed maps', async () => {
+    const model = new MindmapModel();
+    await model.parseFromMarkdown('# Root\n## "Quoted" <child>\n- Item');
+
+    const xml = model.toFreeMind();
+    expect(xml).toContain('<node TEXT="Root">');
+    expect(xml).toContain('<node TEXT="&quot;Quoted&quot; &lt;child&gt;">');
+    expect(FreeMindFormat.parse(xml).children[0].text).toBe('"Quoted" <child>');
+  });
+
+  test('writes tags as hashtags after the text', async () => {
+    const model = new MindmapModel();
+    await model.parseFromMarkdown('# Root\n## Vendor lock-in #risk #blocked\n## **Bold** move #idea');
+
+    const xml = model.toFreeMind();
+    expect(xml).toContain('<node TEXT="Vendor lock-in #risk #blocked"/>');
+    expect(xml).toContain('<p><strong>Bold</strong> move #idea</p>');
+
+    const [lockIn, bold] = FreeMindFormat.parse(xml).children;
+    expect(lockIn.text).toBe('Vendor lock-in');
+    expect([...lockIn.tags]).toEqual(['risk', 'blocked']);
+    expect([...bold.tags]).toEqual(['idea']);
+  });
+
+  test('keeps importing past invalid character references', () => {
+    const root = FreeMindFormat.parse('<map><node TEXT="A &#x110000; B &#xD800; C &#0; &#65;&#x1F600;"/></map>');
+    expect(root.text).toBe('A \uFFFD B \uFFFD C \uFFFD A\u{1F600}');
+  });
+
+  test('rejects files that are not FreeMind maps', () => {
+    expect(() => FreeMindFormat.parse('<opml><body/></opml>')).toThrow('Not a FreeMind map');
+    expect(() => FreeMindFormat.parse('<map version="1.0.1"></map>')).toThrow('no root <node>');
+    expect(() => FreeMindFormat.parse('<map><node TEXT="x"')).toThrow('XML parsing error');
+  });
+});
@@ -0,0 +1,138 @@
+// src/model/front-matter.js
+
+import YamlParser from '../utils/yaml-parser.js';
+
+/**
+ * YAML front matter of markdown documents and the mindmap settings it can carry
+ *
+ *   ---
+ *   title: Release notes
+ *   mindmap: { layout: taproot, preset: nature, levelStyles: { 1: { fontSize: 24 } } }
+ *   ---
+ *
+ * `layout` and `preset` select the layout and style preset; all other keys of the `mindmap`
+ * block are style configuration (as in the Custom YAML tab) applied on top of the preset.
+ * Front matter is handled as text so that everything except the `mindmap` block stays verbatim.
+ */
+class FrontMatter {
+  static KEY = 'mindmap';
+
+  /**
+   * Separate YAML front matter from the markdown content
+   * @param {string} markdown - The markdown text
+   * @returns {{frontMatter: string|null, content: string}} The front matter block including the --- delimiters (or null) and the remaining markdown
+   */
+  static split(markdown) {
+    const match = markdown.match(/^---[ \t]*\r?\n(?:[\s\S]*?\r?\n)?(?:---|\.\.\.)[ \t]*(?:\r?\n|$)/);
+    if (!match) {
+      return { frontMatter: null, content: markdown };
+    }
+    return {
+      frontMatter: match[0].replace(/\r?\n$/, ''),
+      content: markdown.slice(match[0].length)
+    };
+  }
+
+  /**
+   * Parse the YAML of a front matter block
+   * @param {string|null} frontMatter - The front matter block including delimiters
+   * @returns {Object} The parsed front matter (empty if there is none)
+   */
+  static parse(frontMatter) {
+    if (!frontMatter) return {};
+    return YamlParser.parse(this._bodyLines(frontMatter).join('\n'));
+  }
+
+  /**
+   * Get the mindmap settings of a front matter block
+   * @param {string|null} frontMatter - The front matter block including delimiters
+   * @returns {{preset: string|null, layout: string|null, styleYaml: string|null}|null} Settings in the format of
+   *   .mindmap documents, or null if the front matter has no mindmap block
+   */
+  static getSettings(frontMatter) {
+    const config = this.parse(frontMatter)[this.KEY];
+    if (!config || typeof config !== 'object' || Array.isArray(config)) {
+      return null;
+    }
+
+    const { preset = null, layout = null, ...style } = config;
+    return {
+      preset,
+      layout,
+      styleYaml: Object.keys(style).length > 0 ? YamlParser.stringify(style) : null
+    };
+  }
+
+  /**
+   * Write mindmap settings into a front matter block, replacing an existing mindmap block
+   * @param {string|null} frontMatter - The front matter block including delimiters, or null to create one
+   * @param {Object} settings - Settings in the format of .mindmap documents (preset, layout, styleYaml, layoutYaml)
+   * @returns {string|null} The updated front matter block
+   */
+  static setSettings(frontMatter, settings) {
+    const config = {};
+    if (settings.layout) config.layout = settings.layout;
+    if (settings.preset) config.preset = settings.preset;
+    for (const yaml of [settings.styleYaml, settings.layoutYaml]) {
+      if (yaml) {
+        this._mergeInto(config, YamlParser.parse(yaml));
+      }
+    }
+    if (Object.keys(config).length === 0) {
+      return frontMatter;
+    }
+
+    const block = YamlParser.stringify({ [this.KEY]: config }).replace(/\n$/, '').split('\n');
+    if (!frontMatter) {
+      return ['---', ...block, '---'].join('\n');
+    }
+
+    const lines = frontMatter.split('\n');
+    const body = this._bodyLines(frontMatter);
+    const start = body.findIndex(line => new RegExp(`^${this.KEY}\\s*:`).test(line));
+    if (start === -1) {
+      body.push(...block);
+    } else {
+      // The block ends at the next top-level key; blank lines before that key are kept
+      let end = start + 1;
+      while (end < body.length && (/^\s/.test(body[end]) || body[end] === '')) end++;
+      while (end > start + 1 && body[end - 1].trim() === '') end--;
+      body.splice(start, end - start, ...block);
+    }
+    return [lines[0], ...body, lines[lines.length - 1]].join('\n');
+  }
+
+  /**
+   * Lines between the opening and closing delimiters
+   * @private
+   * @param {string} frontMatter - The front matter block including delimiters
+   * @returns {Array<string>} The YAML lines
+   */
+  static _bodyLines(frontMatter) {
+    return frontMatter.split('\n').slice(1, -1);
+  }
+
+  /**
+   * Deep-merge style configuration objects
+   * @private
+   * @param {Object} target - Object to merge into
+   * @param {Object} source - Object whose values take precedence
+   */
+  static _mergeInto(target, source) {
+    for (const [key, value] of Object.entries(source || {})) {
+      if (value && typeof value === 'object' && !Array.isArray(value) &&
+          target[key] && typeof target[key] === 'object' && !Array.isArray(target[key])) {
+        this._mergeInto(target[key], value);
+      } else {
+        target[key] = value;
+      }
+    }
+  }
+}
+
+// For backward compatibility
+if (typeof window !== 'undefined') {
+  window.FrontMatter = FrontMatter;
+}
+
+export default FrontMatter;
@@ -0,0 +1,90 @@
+/**
+ * Tests for front matter mindmap settings
+ */
+
+import { useWidthTableMetrics } from '../../tests/utils/layout-test-utils.js';
+import MindmapModel from './mindmap-model.js';
+import FrontMatter from './front-matter.js';
+import YamlParser from '../utils/yaml-parser.js';
+import { renderMarkdownToSvg } from '../headless.js';
+
+const NOTE = `---
+title: Shared note
+mindmap: { layout: vertical, preset: nature, levelStyles: { 1: { fontSize: 30 } } }
+tags: [team, "q3, q4"]
+---
+# Roadmap
+## Build
+## Ship`;
+
+describe('Front matter settings', () => {
+  useWidthTableMetrics();
+
+  test('reads layout, preset and style from a flow mapping', async () => {
+    const model = new MindmapModel();
+    await model.parseFromMarkdown(NOTE);
+
+    expect(FrontMatter.parse(model.frontMatter).tags).toEqual(['team', 'q3, q4']);
+
+    const settings = model.getFrontMatterSettings();
+    expect(settings.layout).toBe('vertical');
+    expect(settings.preset).toBe('nature');
+    expect(YamlParser.parse(settings.styleYaml)).toEqual({ levelStyles: { 1: { fontSize: 30 } } });
+  });
+
+  test('has no settings without a mindmap block', () => {
+    expect(FrontMatter.getSettings(null)).toBeNull();
+    expect(FrontMatter.getSettings('---\ntitle: Plain\n---')).toBeNull();
+  });
+
+  test('writes the current settings back, keeping other keys verbatim', async () => {
+    const model = new MindmapModel();
+    await model.parseFromMarkdown(NOTE);
+    model.setFrontMatterSettings({
+      preset: 'tech',
+      layout: 'taproot',
+      styleYaml: 'levelStyles:\n  1:\n    fontSize: 24\n',
+      layoutYaml: 'levelStyles:\n  2:\n    layoutType: horizontal\n'
+    });
+
+    const markdown = model.toMarkdown();
+    expect(markdown).toBe([
+      '---',
+      'title: Shared note',
+      'mindmap:',
+      '  layout: taproot',
+      '  preset: tech',
+      '  levelStyles:',
+      '    1:',
+      '      fontSize: 24',
+      '    2:',
+      '      layoutType: horizontal',
+      'tags: [team, "q3, q4"]',
+      '---',
+      '# Roadmap',
+      '## Build',
+      '## Ship'
+    ].join('\n'));
+
+    const reloaded = new MindmapModel();
+    await reloaded.parseFromMarkdown(markdown);
+    expect(reloaded.getFrontMatterSettings().preset).toBe('tech');
+  });
+
+  test('creates front matter for documents without one', async () => {
+    const model = new MindmapModel();
+    await model.parseFromMarkdown('# Root\n## Child');
+    model.setFrontMatterSettings({ preset: 'default', layout: 'classic', styleYaml: null, layoutYaml: null });
+
+    expect(model.toMarkdown()).toBe('---\nmindmap:\n  layout: classic\n  preset: default\n---\n# Root\n## Child');
+  });
+
+  test('renders with the front matter settings unless options are given', async () => {
+    const fromFrontMatter = await renderMarkdownToSvg(NOTE);
+    const fromOptions = await renderMarkdownToSvg(NOTE, { preset: 'default', layout: 'taproot' });
+
+    expect(fromFrontMatter).toContain('font-size="30px"');
+    expect(fromFrontMatter).toBe(await renderMarkdownToSvg(NOTE.replace('layout: vertical, preset: nature, ', ''), { preset: 'nature', layout: 'vertical' }));
+    expect(fromOptions).not.toBe(fromFrontMatter);
+  });
+});
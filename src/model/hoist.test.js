@@ -0,0 +1,90 @@
+/**
+ * Tests for focusing the view on a branch (hoisting)
+ */
+
+import { useWidthTableMetrics } from '../../tests/utils/layout-test-utils.js';
+import MindmapModel from './mindmap-model.js';
+import { renderModelToSvg } from '../headless.js';
+
+const PLAN = `# Launch
+## Build
+### Backend
+#### Database
+### Frontend
+## Ship
+### Release notes`;
+
+describe('Focus mode', () => {
+  useWidthTableMetrics();
+
+  test('makes a node the root of the view', async () => {
+    const model = new MindmapModel();
+    const root = await model.parseFromMarkdown(PLAN);
+    const build = model.findNodeByText('Build');
+    const database = model.findNodeByText('Database');
+
+    expect(model.getViewRoot()).toBe(root);
+    expect(model.hoist(build.id)).toBe(true);
+    expect(model.getViewRoot()).toBe(build);
+    expect(model.isInView(database)).toBe(true);
+    expect(model.isInView(model.findNodeByText('Ship'))).toBe(false);
+    expect(model.getAncestors(database).map(node => node.text)).toEqual(['Launch', 'Build', 'Backend']);
+
+    // Focusing on the root topic, or on a node that does not exist, shows the whole map
+    expect(model.hoist(root.id)).toBe(false);
+    expect(model.getHoistedNode()).toBeNull();
+    model.hoist(build.id);
+    expect(model.hoist('missing')).toBe(false);
+    expect(model.getViewRoot()).toBe(root);
+  });
+
+  test('keeps the focus when the markdown is parsed again, unless the node is gone', async () => {
+    const model = new MindmapModel();
+    await model.parseFromMarkdown(PLAN);
+    model.hoist(model.findNodeByText('Ship').id);
+
+    await model.parseFromMarkdown(model.toMarkdown());
+    expect(model.getViewRoot().text).toBe('Ship');
+
+    await model.parseFromMarkdown('# Launch\n## Build');
+    expect(model.getHoistedNode()).toBeNull();
+
+    model.hoist(model.findNodeByText('Build').id);
+    model.fromJSON(model.toJSON());
+    expect(model.getHoistedNode()).toBeNull();
+  });
+
+  test('lays out and renders only the focused branch', async () => {
+    const model = new MindmapModel();
+    await model.parseFromMarkdown(PLAN);
+    const build = model.findNodeByText('Build');
+    model.hoist(build.id);
+
+    const svg = await renderModelToSvg(model, { layout: 'horizontal-right' });
+    expect(svg).toContain(`id="${build.id}_rect"`);
+    expect(svg).toContain(`id="${model.findNodeByText('Database').id}_rect"`);
+    expect(svg).not.toContain(`id="${model.findNodeByText('Release notes').id}_rect"`);
+    expect(svg).not.toContain(`id="${model.getRoot().id}_rect"`);
+
+    // The focused node is placed where the layout puts a root
+    expect(build.x).toBe(0);
+  });
+
+  test('exports the focused branch', async () => {
+    const model = new MindmapModel();
+    await model.parseFromMarkdown(PLAN);
+    const ship = model.findNodeByText('Ship');
+    model.hoist(ship.id);
+    const hoisted = model.getHoistedNode();
+
+    expect(model.toMarkdown(hoisted)).not.toContain('Build');
+    expect(model.toOPML(hoisted)).toContain('Release notes');
+    expect(model.toOPML(hoisted)).not.toContain('Launch');
+    expect(model.toMermaid(hoisted)).not.toContain('Launch');
+    expect(model.toFreeMind(hoisted)).not.toContain('Backend');
+
+    // Without a node, exports still cover the whole map
+    expect(model.toOPML()).toContain('Launch');
+    expect(model.toFreeMind(null)).toContain('Backend');
+  });
+});
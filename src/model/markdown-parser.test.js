@@ -447,4 +447,100 @@ Implementation status:
     expect(inProgress.children[0].text).toBe('Enhanced styling options');
     expect(inProgress.children[1].text).toBe('Mobile responsiveness');
   });
-});
\ No newline at end of file
+});
+describe('Markdown round trip', () => {
+  const NOTE = `---
+title: Release notes
+tags: [project]
+---
+Intro before the first heading.
+
+# Release
+> Reviewed by the team
+
+## Setup
+\`\`\`bash
+npm install
+\`\`\`
+
+| Step | Owner |
+|------|-------|
+| Build | CI |
+
+---
+
+## Tasks
+- Write docs
+  \`\`\`js
+  build();
+  \`\`\`
+- Ship`;
+
+  let model;
+  let logSpy;
+
+  beforeEach(() => {
+    model = new MindmapModel();
+    logSpy = jest.spyOn(console, 'log').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    logSpy.mockRestore();
+  });
+
+  test('keeps front matter and non-heading blocks out of the node tree', async () => {
+    const root = await model.parseFromMarkdown(NOTE);
+    const [setup, tasks] = root.children;
+
+    expect(model.frontMatter).toBe('---\ntitle: Release notes\ntags: [project]\n---');
+    expect(model.preamble).toBe('Intro before the first heading.');
+    expect(root.text).toBe('Release');
+    expect(root.body).toBe('> Reviewed by the team');
+    expect(setup.children).toHaveLength(0);
+    expect(setup.body).toBe('```bash\nnpm install\n```\n\n| Step | Owner |\n|------|-------|\n| Build | CI |\n\n---');
+    expect(tasks.children.map(child => child.text)).toEqual(['Write docs', 'Ship']);
+    expect(tasks.children[0].body).toBe('```js\nbuild();\n```');
+  });
+
+  test('writes front matter and blocks back in place', async () => {
+    await model.parseFromMarkdown(NOTE);
+    const markdown = model.toMarkdown();
+
+    expect(markdown.startsWith('---\ntitle: Release notes\ntags: [project]\n---\nIntro before the first heading.\n\n# Release\n\n> Reviewed by the team\n\n## Setup\n\n```bash')).toBe(true);
+    expect(markdown).toContain('| Build | CI |\n\n---\n\n## Tasks');
+
+    // A second round trip is stable
+    const reloaded = new MindmapModel();
+    await reloaded.parseFromMarkdown(markdown);
+    expect(reloaded.toMarkdown()).toBe(markdown);
+    expect(reloaded.frontMatter).toBe(model.frontMatter);
+  });
+
+  test('indents body content of deep list items', async () => {
+    await model.parseFromMarkdown('# Root\n## A\n### B\n#### C\n##### D\n###### E\n- Deep\n  ```\n  code\n  ```');
+    const markdown = model.toMarkdown();
+
+    expect(markdown).toContain('- Deep\n\n  ```\n  code\n  ```');
+
+    const reloaded = new MindmapModel();
+    await reloaded.parseFromMarkdown(markdown);
+    expect(reloaded.toMarkdown()).toBe(markdown);
+  });
+
+  test('writes blocks that follow child items back after them', async () => {
+    const root = await model.parseFromMarkdown('# Root\n## A\n- item 1\n- item 2\n\n```js\ncode()\n```\n\n> quote\n\n## B\n- Task\n  - Step\n\n  ```\n  done\n  ```');
+    const [a, b] = root.children;
+    expect(a.body).toBe('```js\ncode()\n```\n\n> quote');
+
+    const markdown = model.toMarkdown();
+    expect(markdown).toContain('## A\n- item 1\n- item 2\n\n```js\ncode()\n```\n\n> quote\n\n## B');
+    expect(markdown).toContain('### Task\n- Step\n\n```\ndone\n```');
+
+    const reloaded = new MindmapModel();
+    const reloadedRoot = await reloaded.parseFromMarkdown(markdown);
+    expect(reloadedRoot.children[0].children.map(child => child.text)).toEqual(['item 1', 'item 2']);
+    expect(reloadedRoot.children[0].body).toBe(a.body);
+    expect(reloadedRoot.children[1].children[0].body).toBe(b.children[0].body);
+    expect(reloaded.toMarkdown()).toBe(markdown);
+  });
+});
@@ -0,0 +1,279 @@
+// src/model/mermaid-format.js
+
+import { marked } from 'marked';
+import MindmapNode from './node.js';
+import NodeTags from './node-tags.js';
+
+/**
+ * Import and export of Mermaid `mindmap` diagrams (as rendered by GitHub and GitLab)
+ *
+ *   mindmap
+ *     root((Project))
+ *       Research
+ *         ::icon(fa fa-book)
+ *       id[Build]
+ *
+ * The hierarchy comes from indentation. Node shapes map to the `nodeType` override:
+ *   [square] -> square, (round) -> rounded, ((circle)) -> circle,
+ *   )cloud( -> cloud, ))bang(( -> bang, {{hexagon}} -> hexagon
+ * `::icon(...)` is kept in node.icon, trailing hashtags in node.tags. Node ids and `:::class` lines are not kept.
+ */
+class MermaidFormat {
+  static FILE_EXTENSION = '.mmd';
+  static MIME_TYPE = 'text/vnd.mermaid';
+
+  // Longer delimiters first so that '((' is not read as '('
+  static SHAPES = [
+    { open: '((', close: '))', nodeType: 'circle' },
+    { open: '))', close: '((', nodeType: 'bang' },
+    { open: '{{', close: '}}', nodeType: 'hexagon' },
+    { open: '(', close: ')', nodeType: 'rounded' },
+    { open: ')', close: '(', nodeType: 'cloud' },
+    { open: '[', close: ']', nodeType: 'square' }
+  ];
+
+  /**
+   * Check whether text contains a Mermaid mindmap (bare or in a ```mermaid fence)
+   * @param {string} text - The text to check
+   * @returns {boolean} True if a mindmap diagram was found
+   */
+  static isMermaidMindmap(text) {
+    return this._extractDiagram(text) !== null;
+  }
+
+  /**
+   * Parse a Mermaid mindmap into a node tree
+   * Markdown containing a ```mermaid fenced mindmap (e.g. a README) is accepted as well.
+   * @param {string} text - The Mermaid source
+   * @returns {MindmapNode} The root node (level 1)
+   * @throws {Error} If no mindmap diagram is found or it has several roots
+   */
+  static parse(text) {
+    const lines = this._extractDiagram(text);
+    if (!lines) {
+      throw new Error('Not a Mermaid mindmap: missing "mindmap" declaration');
+    }
+
+    let root = null;
+    let lastNode = null;
+    const stack = [];
+
+    for (const line of lines) {
+      const content = line.trim();
+      if (!content || content.startsWith('%%')) continue;
+
+      if (content.startsWith('::icon(')) {
+        if (lastNode) {
+          lastNode.icon = content.slice(7, content.lastIndexOf(')')).trim();
+        }
+        continue;
+      }
+      if (content.startsWith(':::')) {
+        continue;
+      }
+
+      const indent = this._indentWidth(line);
+      while (stack.length > 0 && stack[stack.length - 1].indent >= indent) {
+        stack.pop();
+      }
+
+      const { text: description, nodeType } = this._parseNodeText(content);
+      const { text: nodeText, tags } = NodeTags.parse(description);
+      let node;
+      if (stack.length === 0) {
+        if (root) {
+          throw new Error(`Mermaid mindmap can only have one root (found "${nodeText}")`);
+        }
+        node = root = new MindmapNode(nodeText, 1);
+      } else {
+        const parent = stack[stack.length - 1].node;
+        node = new MindmapNode(nodeText, parent.level + 1, false, parent);
+        parent.children.push(node);
+      }
+      node.tags = new Set(tags);
+      if (nodeType) {
+        node.setAnnotation('nodeType', nodeType);
+      }
+
+      stack.push({ indent, node });
+      lastNode = node;
+    }
+
+    if (!root) {
+      throw new Error('Mermaid mindmap contains no nodes');
+    }
+    return root;
+  }
+
+  /**
+   * Convert a node tree to a Mermaid mindmap
+   * @param {MindmapNode} rootNode - The root node
+   * @returns {string} The Mermaid source (without a ```mermaid fence)
+   */
+  static stringify(rootNode) {
+    const lines = ['mindmap'];
+    this._stringifyNode(rootNode, lines, 1, { index: 0 });
+    return lines.join('\n') + '\n';
+  }
+
+  /**
+   * Find the lines of the mindmap diagram, after the "mindmap" declaration
+   * @private
+   * @param {string} text - Mermaid source or markdown with a ```mermaid fence
+   * @returns {Array<string>|null} Diagram lines, or null if there is no mindmap
+   */
+  static _extractDiagram(text) {
+    if (!text || typeof text !== 'string') return null;
+
+    let lines = text.replace(/\r\n?/g, '\n').split('\n');
+
+    // Prefer a fenced block so that a whole README can be pasted
+    const fenceStart = lines.findIndex((line, index) =>
+      /^\s*(```|~~~)\s*mermaid\s*$/.test(line) && this._declarationIndex(lines.slice(index + 1)) !== -1
+    );
+    if (fenceStart !== -1) {
+      const fence = lines[fenceStart].trim().slice(0, 3);
+      const fenceEnd = lines.findIndex((line, index) => index > fenceStart && line.trim() === fence);
+      lines = lines.slice(fenceStart + 1, fenceEnd === -1 ? undefined : fenceEnd);
+    }
+
+    const declaration = this._declarationIndex(lines);
+    return declaration === -1 ? null : lines.slice(declaration + 1);
+  }
+
+  /**
+   * Find the "mindmap" declaration, skipping comments, directives and front matter
+   * @private
+   * @param {Array<string>} lines - Source lines
+   * @returns {number} Index of the declaration line, or -1
+   */
+  static _declarationIndex(lines) {
+    let inFrontMatter = false;
+    for (let i = 0; i < lines.length; i++) {
+      const content = lines[i].trim();
+      if (content === '---') {
+        inFrontMatter = !inFrontMatter;
+        continue;
+      }
+      if (inFrontMatter || !content || content.startsWith('%%')) continue;
+      return content === 'mindmap' ? i : -1;
+    }
+    return -1;
+  }
+
+  /**
+   * Width of the leading whitespace of a line (tabs count as four spaces)
+   * @private
+   * @param {string} line - The line
+   * @returns {number} Indentation width
+   */
+  static _indentWidth(line) {
+    const whitespace = line.match(/^\s*/)[0];
+    return whitespace.replace(/\t/g, '    ').length;
+  }
+
+  /**
+   * Split a node definition into its text and shape
+   * @private
+   * @param {string} content - The trimmed node line, e.g. 'id((text))' or 'plain text'
+   * @returns {{text: string, nodeType: string|null}} Node text and nodeType (null for the default shape)
+   */
+  static _parseNodeText(content) {
+    const shapeStart = content.search(/[([{)]/);
+    if (shapeStart !== -1) {
+      const definition = content.slice(shapeStart);
+      const shape = this.SHAPES.find(candidate =>
+        definition.length >= candidate.open.length + candidate.close.length &&
+        definition.startsWith(candidate.open) &&
+        definition.endsWith(candidate.close)
+      );
+      if (shape) {
+        const description = definition.slice(shape.open.length, definition.length - shape.close.length);
+        return { text: this._parseDescription(description), nodeType: shape.nodeType };
+      }
+    }
+    return { text: this._parseDescription(content), nodeType: null };
+  }
+
+  /**
+   * Unwrap quoted and markdown strings and decode entity codes
+   * @private
+   * @param {string} description - The raw node description
+   * @returns {string} Single-line node text
+   */
+  static _parseDescription(description) {
+    let text = description.trim();
+    if (text.length >= 2 && text.startsWith('"') && text.endsWith('"')) {
+      text = text.slice(1, -1);
+      // Markdown strings: "`**bold** text`"
+      if (text.length >= 2 && text.startsWith('`') && text.endsWith('`')) {
+        text = text.slice(1, -1);
+      }
+    }
+
+    return text
+      .replace(/<br\s*\/?>/gi, ' ')
+      .replace(/#quot;/g, '"')
+      .replace(/#(\d+);/g, (match, code) => {
+        // A code of no valid character (e.g. #99999999; or a lone surrogate) becomes the replacement character
+        const value = Number(code);
+        const valid = value > 0 && value <= 0x10FFFF && (value < 0xD800 || value > 0xDFFF);
+        return valid ? String.fromCodePoint(value) : '\uFFFD';
+      })
+      .replace(/\s+/g, ' ')
+      .trim();
+  }
+
+  /**
+   * Recursively append the lines of a node
+   * @private
+   * @param {MindmapNode} node - The node to convert
+   * @param {Array<string>} lines - Accumulator for output lines
+   * @param {number} depth - Indentation depth
+   * @param {Object} context - Running index used for generated node ids
+   */
+  static _stringifyNode(node, lines, depth, context) {
+    const indent = '  '.repeat(depth);
+    lines.push(indent + this._formatNode(node, context.index++));
+    if (node.icon) {
+      lines.push(`${indent}  ::icon(${node.icon})`);
+    }
+    for (const child of node.children) {
+      this._stringifyNode(child, lines, depth + 1, context);
+    }
+  }
+
+  /**
+   * Format a node definition
+   * Text that Mermaid cannot take as-is (brackets, quotes, markdown) is written as a quoted or
+   * markdown string, which requires a shape; the square shape is used when the node has none.
+   * @private
+   * @param {MindmapNode} node - The node
+   * @param {number} index - Index used for the node id
+   * @returns {string} The node definition
+   */
+  static _formatNode(node, index) {
+    const text = ((node.text || '') + NodeTags.format(node.tags)).trim();
+    const nodeType = node.configOverrides && node.configOverrides.nodeType;
+    let shape = this.SHAPES.find(candidate => candidate.nodeType === (nodeType === 'box' ? 'square' : nodeType));
+
+    const isMarkdown = /<[a-z]/i.test(marked.parseInline(text.replace(/</g, '&lt;')));
+    const needsQuotes = isMarkdown || !text || /[()[\]{}"]/.test(text) || text.startsWith('::') || text.startsWith('%%');
+
+    if (!shape && !needsQuotes) {
+      return text;
+    }
+    shape = shape || this.SHAPES.find(candidate => candidate.nodeType === 'square');
+
+    const escaped = text.replace(/"/g, '#quot;');
+    const description = isMarkdown ? `"\`${escaped}\`"` : (needsQuotes ? `"${escaped}"` : escaped);
+    return `n${index}${shape.open}${description}${shape.close}`;
+  }
+}
+
+// For backward compatibility
+if (typeof window !== 'undefined') {
+  window.MermaidFormat = MermaidFormat;
+}
+
+export default MermaidFormat;
@@ -0,0 +1,133 @@
+/**
+ * Tests for Mermaid mindmap import and export
+ */
+
+import { useWidthTableMetrics } from '../../tests/utils/layout-test-utils.js';
+import MindmapModel from './mindmap-model.js';
+import MermaidFormat from './mermaid-format.js';
+import { renderMarkdownToSvg, renderModelToSvg } from '../headless.js';
+
+const MERMAID_MINDMAP = `%%{init: {'theme': 'forest'}}%%
+mindmap
+  root((mindmap))
+    Origins
+      Long history
+      ::icon(fa fa-book)
+      Popularisation
+        British popular psychology author Tony Buzan
+    id1[Research]
+      ::: urgent
+      id2(On effectiveness<br/>and features)
+      id3)Cloudy(
+      id4))Bang((
+    Tools
+      id5{{"Pen #quot;and#quot; paper"}}
+      id6["\`**Mermaid** docs\`"]
+`;
+
+describe('Mermaid format', () => {
+  useWidthTableMetrics();
+
+  test('imports indentation, shapes, icons and strings', () => {
+    const model = new MindmapModel();
+    const root = model.parseFromMermaid(MERMAID_MINDMAP);
+    const [origins, research, tools] = root.children;
+
+    expect(root.text).toBe('mindmap');
+    expect(root.configOverrides.nodeType).toBe('circle');
+    expect(origins.configOverrides.nodeType).toBeUndefined();
+    expect(origins.children.map(child => child.text)).toEqual(['Long history', 'Popularisation']);
+    expect(origins.children[0].icon).toBe('fa fa-book');
+    expect(origins.children[1].children[0].level).toBe(4);
+    expect(research.text).toBe('Research');
+    expect(research.configOverrides.nodeType).toBe('square');
+    expect(research.children.map(child => [child.text, child.configOverrides.nodeType])).toEqual([
+      ['On effectiveness and features', 'rounded'],
+      ['Cloudy', 'cloud'],
+      ['Bang', 'bang']
+    ]);
+    expect(tools.children[0].text).toBe('Pen "and" paper');
+    expect(tools.children[0].configOverrides.nodeType).toBe('hexagon');
+    expect(tools.children[1].text).toBe('**Mermaid** docs');
+  });
+
+  test('replaces character codes of no valid character', () => {
+    const model = new MindmapModel();
+    const root = model.parseFromMermaid('mindmap\n  root((A #99999999; B))\n    Child #55357; #128512; #35;1');
+
+    expect(root.text).toBe('A \uFFFD B');
+    expect(root.children[0].text).toBe('Child \uFFFD \u{1F600} #1');
+  });
+
+  test('finds the mindmap in a README code fence', () => {
+    const readme = '# Project\n\nSome text.\n\n```mermaid\ngraph TD\n  A-->B\n```\n\n```mermaid\nmindmap\n  Root\n    Child\n```\n';
+
+    expect(MermaidFormat.isMermaidMindmap(readme)).toBe(true);
+    expect(MermaidFormat.isMermaidMindmap('# Just markdown')).toBe(false);
+    expect(MermaidFormat.parse(readme).children[0].text).toBe('Child');
+  });
+
+  test('round-trips through the Mermaid exporter', () => {
+    const model = new MindmapModel();
+    model.parseFromMermaid(MERMAID_MINDMAP);
+
+    const mermaid = model.toMermaid();
+    expect(mermaid.split('\n').slice(0, 4)).toEqual([
+      'mindmap',
+      '  n0((mindmap))',
+      '    Origins',
+      '      Long history'
+    ]);
+    expect(mermaid).toContain('        ::icon(fa fa-book)');
+    expect(mermaid).toContain('n11["`**Mermaid** docs`"]');
+
+    const reloaded = new MindmapModel();
+    reloaded.parseFromMermaid(mermaid);
+    expect(reloaded.toMarkdown()).toBe(model.toMarkdown());
+    expect(reloaded.toMermaid()).toBe(mermaid);
+  });
+
+  test('quotes text that Mermaid cannot take as-is', async () => {
+    const model = new MindmapModel();
+    await model.parseFromMarkdown('# Root\n## Call (maybe)\n## Plain');
+
+    const mermaid = model.toMermaid();
+    expect(mermaid).toContain('    n1["Call (maybe)"]');
+    expect(MermaidFormat.parse(mermaid).children[0].text).toBe('Call (maybe)');
+  });
+
+  test('writes tags as hashtags after the text', async () => {
+    const model = new MindmapModel();
+    await model.parseFromMarkdown('# Root\n## Vendor lock-in #risk #blocked\n## Call (maybe) #idea');
+
+    const mermaid = model.toMermaid();
+    expect(mermaid).toContain('    Vendor lock-in #risk #blocked\n');
+    expect(mermaid).toContain('    n2["Call (maybe) #idea"]');
+
+    const [lockIn, call] = MermaidFormat.parse(mermaid).children;
+    expect(lockIn.text).toBe('Vendor lock-in');
+    expect([...lockIn.tags]).toEqual(['risk', 'blocked']);
+    expect(call.text).toBe('Call (maybe)');
+    expect([...call.tags]).toEqual(['idea']);
+  });
+
+  test('renders shapes with room for the text', async () => {
+    const model = new MindmapModel();
+    model.parseFromMermaid('mindmap\n  root((Circle))\n    Plain\n    id{{Hexagon}}');
+    const svg = await renderModelToSvg(model, { layout: 'vertical' });
+    const [plain, hexagon] = model.getRoot().children;
+
+    expect(svg).toContain(`rx="${model.getRoot().width / 2}"`);
+    expect(svg).toMatch(new RegExp(`<path d="M [^"]+ Z" id="${hexagon.id}_rect"`));
+    expect(hexagon.width - hexagon.height).toBeGreaterThan(plain.width - plain.height);
+
+    // Plain markdown still renders without shape overrides
+    expect(await renderMarkdownToSvg('# Root\n## Child')).toContain('>Child</text>');
+  });
+
+  test('rejects text without a mindmap', () => {
+    expect(() => MermaidFormat.parse('graph TD\n  A-->B')).toThrow('Not a Mermaid mindmap');
+    expect(() => MermaidFormat.parse('mindmap\n')).toThrow('contains no nodes');
+    expect(() => MermaidFormat.parse('mindmap\n  One\n  Two')).toThrow('can only have one root');
+  });
+});
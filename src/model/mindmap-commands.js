@@ -0,0 +1,417 @@
+// src/model/mindmap-commands.js
+
+import MindmapNode from './node.js';
+
+/**
+ * Undoable changes to a mindmap model, executed through MindmapHistory (see MindmapModel.execute())
+ *
+ * Commands refer to nodes by ID and look them up each time they run, so they stay valid when the
+ * map is laid out, rendered or parsed again (node IDs are stable, see NodeIdentity). A command that
+ * finds its node gone, or changed since, does nothing and returns false.
+ */
+class MindmapCommand {
+  /**
+   * Create a command
+   * @param {string} label - Short description for logs and menus, e.g. "Move node"
+   */
+  constructor(label) {
+    this.label = label;
+  }
+
+  /**
+   * Apply the change
+   * @param {MindmapModel} model - The model to change
+   * @returns {boolean} True if the change was applied
+   */
+  execute(model) {
+    throw new Error('Method execute must be implemented by subclasses');
+  }
+
+  /**
+   * Revert the change made by execute()
+   * @param {MindmapModel} model - The model to change
+   * @returns {boolean} True if the change was reverted
+   */
+  undo(model) {
+    throw new Error('Method undo must be implemented by subclasses');
+  }
+}
+
+/**
+ * Set a property of a node (text, collapse state, task state, tags)
+ */
+class SetNodePropertyCommand extends MindmapCommand {
+  // Properties this command may change
+  static PROPERTIES = ['text', 'collapsed', 'checked', 'tags'];
+
+  /**
+   * @param {string} nodeId - ID of the node
+   * @param {string} property - One of PROPERTIES
+   * @param {*} value - The new value
+   * @param {string} label - Description of the change
+   */
+  constructor(nodeId, property, value, label = `Change ${property}`) {
+    super(label);
+    if (!SetNodePropertyCommand.PROPERTIES.includes(property)) {
+      throw new Error(`Unsupported node property "${property}"`);
+    }
+    this.nodeId = nodeId;
+    this.property = property;
+    this.value = value;
+    this.previousValue = undefined;
+  }
+
+  execute(model) {
+    const node = model.findNodeById(this.nodeId);
+    if (!node || sameValue(node[this.property], this.value)) return false;
+    this.previousValue = node[this.property];
+    node[this.property] = this.value;
+    return true;
+  }
+
+  undo(model) {
+    const node = model.findNodeById(this.nodeId);
+    if (!node || !sameValue(node[this.property], this.value)) return false;
+    node[this.property] = this.previousValue;
+    return true;
+  }
+}
+
+/**
+ * Set or clear a configuration override of a node
+ */
+class SetOverrideCommand extends MindmapCommand {
+  /**
+   * @param {string} nodeId - ID of the node
+   * @param {string} property - The style property
+   * @param {*} value - The override value, or undefined to clear the override
+   * @param {string} label - Description of the change
+   */
+  constructor(nodeId, property, value, label = `Change ${property}`) {
+    super(label);
+    this.nodeId = nodeId;
+    this.property = property;
+    this.value = value;
+    this.previousValue = undefined;
+  }
+
+  execute(model) {
+    const node = model.findNodeById(this.nodeId);
+    if (!node || node.configOverrides[this.property] === this.value) return false;
+    this.previousValue = node.configOverrides[this.property];
+    this._apply(node, this.value);
+    return true;
+  }
+
+  undo(model) {
+    const node = model.findNodeById(this.nodeId);
+    if (!node || node.configOverrides[this.property] !== this.value) return false;
+    this._apply(node, this.previousValue);
+    return true;
+  }
+
+  /**
+   * Set the override, or clear it for an undefined value
+   * @private
+   * @param {MindmapNode} node - The node
+   * @param {*} value - The value
+   */
+  _apply(node, value) {
+    if (value === undefined) {
+      node.clearOverride(this.property);
+    } else {
+      node.setOverride(this.property, value);
+    }
+  }
+}
+
+/**
+ * Move a node (with its branch) to another parent or position
+ */
+class MoveNodeCommand extends MindmapCommand {
+  /**
+   * @param {string} nodeId - ID of the node to move
+   * @param {string} parentId - ID of the new parent
+   * @param {number} index - Position among the new parent's children, counted without the moved node
+   * @param {string} label - Description of the change
+   */
+  constructor(nodeId, parentId, index, label = 'Move node') {
+    super(label);
+    this.nodeId = nodeId;
+    this.parentId = parentId;
+    this.index = index;
+    this.previousParentId = null;
+    this.previousIndex = -1;
+  }
+
+  execute(model) {
+    const node = model.findNodeById(this.nodeId);
+    const parent = model.findNodeById(this.parentId);
+    if (!node || !node.parent || !parent || this._contains(node, parent)) return false;
+    if (node.parent === parent && Math.min(this.index, parent.children.length - 1) === parent.children.indexOf(node)) return false;
+
+    this.previousParentId = node.parent.id;
+    this.previousIndex = node.parent.children.indexOf(node);
+    this._move(node, parent, this.index);
+    return true;
+  }
+
+  undo(model) {
+    const node = model.findNodeById(this.nodeId);
+    const previousParent = model.findNodeById(this.previousParentId);
+    if (!node || !previousParent || !node.parent || node.parent.id !== this.parentId) return false;
+
+    this._move(node, previousParent, this.previousIndex);
+    return true;
+  }
+
+  /**
+   * Move a node under a parent and update the levels of its branch
+   * @private
+   * @param {MindmapNode} node - The node to move
+   * @param {MindmapNode} parent - The new parent
+   * @param {number} index - Position among the parent's other children
+   */
+  _move(node, parent, index) {
+    node.parent.children.splice(node.parent.children.indexOf(node), 1);
+    parent.children.splice(Math.max(0, Math.min(index, parent.children.length)), 0, node);
+    node.parent = parent;
+    setBranchLevel(node, parent.level + 1);
+  }
+
+  /**
+   * Check if a node is another node or one of its descendants
+   * @private
+   * @param {MindmapNode} ancestor - The possible ancestor
+   * @param {MindmapNode} node - The node to look for
+   * @returns {boolean} True if node is ancestor or below it
+   */
+  _contains(ancestor, node) {
+    return node === ancestor || ancestor.children.some(child => this._contains(child, node));
+  }
+}
+
+/**
+ * Add a new node, or a branch of nodes, under a parent
+ * A new node is created on the first execute(); on redo the same node is re-inserted with its ID.
+ */
+class AddNodeCommand extends MindmapCommand {
+  /**
+   * @param {string} parentId - ID of the parent
+   * @param {number} index - Position among the parent's children
+   * @param {string|MindmapNode} content - Text of the new node, or a branch that is not in a tree (e.g. pasted nodes)
+   * @param {string} label - Description of the change
+   */
+  constructor(parentId, index, content, label = 'Add node') {
+    super(label);
+    this.parentId = parentId;
+    this.index = index;
+    this.text = typeof content === 'string' ? content : content.text;
+    this.node = typeof content === 'string' ? null : content;
+  }
+
+  /**
+   * Get the ID of the added node
+   * @returns {string|null} The ID, or null before the first execute()
+   */
+  get nodeId() {
+    return this.node ? this.node.id : null;
+  }
+
+  execute(model) {
+    const parent = model.findNodeById(this.parentId);
+    if (!parent) return false;
+
+    if (!this.node) {
+      this.node = new MindmapNode(this.text, parent.level + 1);
+    }
+    parent.children.splice(Math.max(0, Math.min(this.index, parent.children.length)), 0, this.node);
+    this.node.parent = parent;
+    setBranchLevel(this.node, parent.level + 1);
+
+    // Gives the new node its ID and adds it to the node map
+    model.regenerateAllIds();
+    return true;
+  }
+
+  undo(model) {
+    const node = model.findNodeById(this.nodeId);
+    if (!node || !node.parent || node.parent.id !== this.parentId) return false;
+
+    // Keep the current version of the node (e.g. with edited text) for redo
+    this.node = node;
+    node.parent.removeChild(node);
+    model.regenerateAllIds();
+    return true;
+  }
+}
+
+/**
+ * Remove a node with its branch
+ */
+class RemoveNodeCommand extends MindmapCommand {
+  /**
+   * @param {string} nodeId - ID of the node to remove
+   * @param {string} label - Description of the change
+   */
+  constructor(nodeId, label = 'Delete node') {
+    super(label);
+    this.nodeId = nodeId;
+    this.node = null;
+    this.parentId = null;
+    this.index = -1;
+  }
+
+  execute(model) {
+    const node = model.findNodeById(this.nodeId);
+    // The last topic of the map cannot be removed
+    if (!node || !node.parent || (node.parent.isForest() && node.parent.children.length === 1)) return false;
+
+    this.node = node;
+    this.parentId = node.parent.id;
+    this.index = node.parent.children.indexOf(node);
+    node.parent.removeChild(node);
+
+    // Drops the branch from the node map and the links pointing into it
+    model.regenerateAllIds();
+    return true;
+  }
+
+  undo(model) {
+    const parent = model.findNodeById(this.parentId);
+    if (!parent || !this.node || model.findNodeById(this.nodeId)) return false;
+
+    parent.children.splice(Math.min(this.index, parent.children.length), 0, this.node);
+    this.node.parent = parent;
+    setBranchLevel(this.node, parent.level + 1);
+    model.regenerateAllIds();
+    return true;
+  }
+}
+
+/**
+ * Set the keyboard navigation targets of a node (see MindmapModel.getNavigationOverrides())
+ */
+class SetNavigationOverrideCommand extends MindmapCommand {
+  /**
+   * @param {string} nodeId - ID of the source node
+   * @param {Object|undefined} targets - { up, down, left, right } with target node IDs (or null), or undefined to remove the override
+   * @param {string} label - Description of the change
+   */
+  constructor(nodeId, targets, label = 'Change navigation') {
+    super(label);
+    this.nodeId = nodeId;
+    this.targets = targets ? { ...targets } : undefined;
+    this.previousTargets = undefined;
+  }
+
+  execute(model) {
+    const previousTargets = model.navigationOverrides[this.nodeId];
+    if (sameTargets(previousTargets, this.targets)) return false;
+    this.previousTargets = previousTargets;
+    this._apply(model, this.targets);
+    return true;
+  }
+
+  undo(model) {
+    this._apply(model, this.previousTargets);
+    return true;
+  }
+
+  /**
+   * Store or remove the targets of the node
+   * @private
+   * @param {MindmapModel} model - The model
+   * @param {Object|undefined} targets - The targets
+   */
+  _apply(model, targets) {
+    if (targets === undefined) {
+      delete model.navigationOverrides[this.nodeId];
+    } else {
+      model.navigationOverrides[this.nodeId] = targets;
+    }
+  }
+}
+
+/**
+ * Several commands that are undone and redone as one step (see MindmapHistory.beginGroup())
+ */
+class CompositeCommand extends MindmapCommand {
+  /**
+   * @param {string} label - Description of the change
+   * @param {Array<MindmapCommand>} commands - Commands that were already executed, in order
+   */
+  constructor(label, commands = []) {
+    super(label);
+    this.commands = commands;
+  }
+
+  execute(model) {
+    // Run all commands, also after one of them found nothing to do
+    return this.commands.reduce((applied, command) => command.execute(model) || applied, false);
+  }
+
+  undo(model) {
+    return [...this.commands].reverse().reduce((reverted, command) => command.undo(model) || reverted, false);
+  }
+}
+
+/**
+ * Compare two property values; sets (tags) are equal if they have the same entries in the same order
+ * @param {*} a - A value
+ * @param {*} b - Another value
+ * @returns {boolean} True if the values are the same
+ */
+function sameValue(a, b) {
+  if (a instanceof Set && b instanceof Set) {
+    const entries = [...b];
+    return a.size === b.size && [...a].every((entry, index) => entry === entries[index]);
+  }
+  return a === b;
+}
+
+/**
+ * Compare two sets of navigation targets
+ * A direction set to null (no navigation) differs from a direction that is not set (navigation follows the layout).
+ * @param {Object|undefined} a - { up, down, left, right } with target node IDs, or undefined for no override
+ * @param {Object|undefined} b - Other targets
+ * @returns {boolean} True if both are undefined or set the same directions to the same targets
+ */
+function sameTargets(a, b) {
+  if (!a || !b) return a === b;
+  const directions = new Set([...Object.keys(a), ...Object.keys(b)]);
+  return [...directions].every(direction => direction in a && direction in b && a[direction] === b[direction]);
+}
+
+/**
+ * Set the level of a node and its descendants below a parent of the given level
+ * @param {MindmapNode} node - The top node of the branch
+ * @param {number} level - The new level of the node
+ */
+function setBranchLevel(node, level) {
+  node.level = level;
+  node.children.forEach(child => setBranchLevel(child, level + 1));
+}
+
+// For backward compatibility
+if (typeof window !== 'undefined') {
+  window.MindmapCommand = MindmapCommand;
+  window.SetNodePropertyCommand = SetNodePropertyCommand;
+  window.SetOverrideCommand = SetOverrideCommand;
+  window.MoveNodeCommand = MoveNodeCommand;
+  window.AddNodeCommand = AddNodeCommand;
+  window.RemoveNodeCommand = RemoveNodeCommand;
+  window.SetNavigationOverrideCommand = SetNavigationOverrideCommand;
+  window.CompositeCommand = CompositeCommand;
+}
+
+export {
+  MindmapCommand,
+  SetNodePropertyCommand,
+  SetOverrideCommand,
+  MoveNodeCommand,
+  AddNodeCommand,
+  RemoveNodeCommand,
+  SetNavigationOverrideCommand,
+  CompositeCommand
+};
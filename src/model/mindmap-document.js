@@ -0,0 +1,121 @@
+// src/model/mindmap-document.js
+
+/**
+ * The native .mindmap document format
+ *
+ * A document is JSON with this shape:
+ *   {
+ *     format: 'mindmap-exporter',
+ *     version: 1,
+ *     root: { id, text, level, collapsed, configOverrides, annotations, note, labels, icon, body, checked, anchor, children: [...] },
+ *     settings: { preset, layout, styleYaml, layoutYaml },
+ *     navigationOverrides: { [nodeId]: { up, down, left, right } }  // target node IDs or null, for the directions set by the user
+ *   }
+ *
+ * Older documents are upgraded one version at a time by registered migrations.
+ */
+class MindmapDocument {
+  static FORMAT = 'mindmap-exporter';
+  static VERSION = 1;
+  static FILE_EXTENSION = '.mindmap';
+  static MIME_TYPE = 'application/json';
+
+  // fromVersion -> function(document) returning the document at fromVersion + 1
+  static migrations = new Map();
+
+  /**
+   * Register a migration that upgrades documents from one schema version to the next
+   * @param {number} fromVersion - The version the migration upgrades from
+   * @param {function(Object): Object} migrate - Returns the document at fromVersion + 1
+   */
+  static registerMigration(fromVersion, migrate) {
+    MindmapDocument.migrations.set(fromVersion, migrate);
+  }
+
+  /**
+   * Create a document object at the current version
+   * @param {Object} root - Serialized root node
+   * @param {Object} settings - Presentation settings (preset, layout, YAML customizations)
+   * @param {Object} navigationOverrides - Navigation overrides by node ID
+   * @returns {Object} The document
+   */
+  static create(root, settings = {}, navigationOverrides = {}) {
+    return {
+      format: MindmapDocument.FORMAT,
+      version: MindmapDocument.VERSION,
+      root,
+      settings: { ...settings },
+      navigationOverrides: { ...navigationOverrides }
+    };
+  }
+
+  /**
+   * Bring a document up to the current version
+   * @param {Object} document - The parsed document
+   * @returns {Object} The document at the current version
+   * @throws {Error} If the document is not a mindmap document, is newer than supported, or cannot be migrated
+   */
+  static migrate(document) {
+    if (!document || typeof document !== 'object' || document.format !== MindmapDocument.FORMAT) {
+      throw new Error('Not a mindmap document');
+    }
+
+    let current = document;
+    let version = Number.isInteger(current.version) ? current.version : 0;
+
+    if (version > MindmapDocument.VERSION) {
+      throw new Error(`Mindmap document version ${version} is newer than the supported version ${MindmapDocument.VERSION}`);
+    }
+
+    while (version < MindmapDocument.VERSION) {
+      const migrate = MindmapDocument.migrations.get(version);
+      if (!migrate) {
+        throw new Error(`No migration from mindmap document version ${version}`);
+      }
+      current = { ...migrate(current), version: version + 1 };
+      version++;
+    }
+
+    if (!current.root || typeof current.root !== 'object') {
+      throw new Error('Mindmap document has no root node');
+    }
+
+    return {
+      ...current,
+      settings: current.settings || {},
+      navigationOverrides: current.navigationOverrides || {}
+    };
+  }
+
+  /**
+   * Parse and migrate a .mindmap file
+   * @param {string} json - The file content
+   * @returns {Object} The document at the current version
+   * @throws {Error} If the content is not valid JSON or not a supported document
+   */
+  static parse(json) {
+    let document;
+    try {
+      document = JSON.parse(json);
+    } catch (error) {
+      throw new Error(`Invalid mindmap document: ${error.message}`);
+    }
+    return MindmapDocument.migrate(document);
+  }
+
+  /**
+   * Convert a document to the text stored in a .mindmap file
+   * @param {Object} document - The document
+   * @returns {string} Pretty-printed JSON
+   */
+  static stringify(document) {
+    return JSON.stringify(document, null, 2);
+  }
+}
+
+// For backward compatibility
+if (typeof window !== 'undefined') {
+  window.MindmapDocument = MindmapDocument;
+}
+
+export default MindmapDocument;
@@ -0,0 +1,89 @@
+/**
+ * Tests for the .mindmap document format
+ */
+
+import MindmapModel from './mindmap-model.js';
+import MindmapDocument from './mindmap-document.js';
+
+describe('Mindmap documents', () => {
+  let model;
+  let logSpy;
+
+  beforeEach(async () => {
+    logSpy = jest.spyOn(console, 'log').mockImplementation(() => {});
+    model = new MindmapModel();
+    await model.parseFromMarkdown(`# Root
+## Branch A
+### Leaf A1
+## Branch B`);
+  });
+
+  afterEach(() => {
+    logSpy.mockRestore();
+  });
+
+  test('round-trips structure, state, settings and navigation overrides', () => {
+    const root = model.getRoot();
+    const branchA = root.children[0];
+    const branchB = root.children[1];
+    branchA.collapsed = true;
+    branchB.configOverrides.fillColor = '#ff0000';
+
+    const text = MindmapDocument.stringify(model.toJSON({
+      settings: { preset: 'corporate', layout: 'vertical', styleYaml: 'levels: {}', layoutYaml: null },
+      navigationOverrides: { [branchA.id]: { up: null, down: branchB.id, left: null, right: null } }
+    }));
+
+    const loaded = new MindmapModel();
+    const loadedRoot = loaded.fromJSON(text);
+    const document = MindmapDocument.parse(text);
+
+    expect(loaded.toMarkdown()).toBe(model.toMarkdown());
+    expect(loadedRoot.children[0].collapsed).toBe(true);
+    expect(loadedRoot.children[0].id).toBe(branchA.id);
+    expect(loadedRoot.children[0].children[0].parent).toBe(loadedRoot.children[0]);
+    expect(loadedRoot.children[1].configOverrides).toEqual({ fillColor: '#ff0000' });
+    expect(loaded.findNodeById(branchB.id)).toBe(loadedRoot.children[1]);
+    expect(document.settings.preset).toBe('corporate');
+    expect(document.navigationOverrides[branchA.id].down).toBe(branchB.id);
+  });
+
+  test('JSON.stringify produces a current-version document', () => {
+    const document = JSON.parse(JSON.stringify(model));
+
+    expect(document.format).toBe(MindmapDocument.FORMAT);
+    expect(document.version).toBe(MindmapDocument.VERSION);
+    expect(document.root.text).toBe('Root');
+    expect(document.settings).toEqual({});
+  });
+
+  test('upgrades older documents through registered migrations', () => {
+    const original = MindmapDocument.migrations.get(0);
+    MindmapDocument.registerMigration(0, (old) => ({
+      format: old.format,
+      root: old.tree
+    }));
+
+    try {
+      const legacy = { format: MindmapDocument.FORMAT, tree: model.toJSON().root };
+      const loadedRoot = new MindmapModel().fromJSON(legacy);
+      expect(loadedRoot.text).toBe('Root');
+      expect(loadedRoot.children).toHaveLength(2);
+    } finally {
+      if (original) {
+        MindmapDocument.registerMigration(0, original);
+      } else {
+        MindmapDocument.migrations.delete(0);
+      }
+    }
+  });
+
+  test('rejects invalid and unsupported documents', () => {
+    const newer = { ...model.toJSON(), version: MindmapDocument.VERSION + 1 };
+
+    expect(() => MindmapDocument.parse('{not json')).toThrow('Invalid mindmap document');
+    expect(() => MindmapDocument.parse('{"format":"other"}')).toThrow('Not a mindmap document');
+    expect(() => new MindmapModel().fromJSON(newer)).toThrow('is newer than the supported version');
+    expect(() => MindmapDocument.migrate({ format: MindmapDocument.FORMAT })).toThrow('No migration from mindmap document version 0');
+  });
+});
@@ -0,0 +1,176 @@
+// src/model/mindmap-history.js
+
+import { CompositeCommand } from './mindmap-commands.js';
+
+/**
+ * Undo/redo history of a mindmap model
+ *
+ * Changes are executed as commands (see mindmap-commands.js). Commands executed between beginGroup()
+ * and the matching endGroup() are recorded as one step, e.g. a drop that expands the target node
+ * and moves the dragged node. Executing a new change clears the redo stack.
+ */
+class MindmapHistory {
+  // Number of steps kept on the undo stack
+  static DEFAULT_LIMIT = 100;
+
+  /**
+   * Create a history
+   * @param {MindmapModel} model - The model the commands change
+   * @param {number} limit - Maximum number of undo steps
+   */
+  constructor(model, limit = MindmapHistory.DEFAULT_LIMIT) {
+    this.model = model;
+    this.limit = limit;
+    this.undoStack = [];
+    this.redoStack = [];
+    this.openGroups = []; // Stack of { label, commands } for nested groups
+  }
+
+  /**
+   * Execute a command and record it
+   * @param {MindmapCommand} command - The command
+   * @returns {boolean} True if the command changed the model (commands that change nothing are not recorded)
+   */
+  execute(command) {
+    if (!command.execute(this.model)) {
+      console.log(`MindmapHistory: "${command.label}" changed nothing`);
+      return false;
+    }
+
+    if (this.openGroups.length > 0) {
+      this.openGroups[this.openGroups.length - 1].commands.push(command);
+    } else {
+      this._push(command);
+    }
+    return true;
+  }
+
+  /**
+   * Start recording a group of commands that is undone as one step
+   * Groups can be nested; the outermost group becomes the step.
+   * @param {string} label - Description of the whole change
+   */
+  beginGroup(label) {
+    this.openGroups.push({ label, commands: [] });
+  }
+
+  /**
+   * Finish the group started by the last beginGroup()
+   * @returns {boolean} True if commands of the group changed the model
+   */
+  endGroup() {
+    const group = this.openGroups.pop();
+    if (!group) {
+      throw new Error('endGroup() called without beginGroup()');
+    }
+    if (group.commands.length === 0) {
+      return false;
+    }
+
+    const command = group.commands.length === 1 ? group.commands[0] : new CompositeCommand(group.label, group.commands);
+    if (this.openGroups.length > 0) {
+      this.openGroups[this.openGroups.length - 1].commands.push(command);
+    } else {
+      this._push(command);
+    }
+    return true;
+  }
+
+  /**
+   * Run a function that executes several commands, recording them as one step
+   * @param {string} label - Description of the whole change
+   * @param {Function} fn - Function executing the commands
+   * @returns {boolean} True if commands run by fn changed the model
+   */
+  group(label, fn) {
+    this.beginGroup(label);
+    try {
+      fn();
+    } catch (error) {
+      // Keep what was changed before the error undoable
+      this.endGroup();
+      throw error;
+    }
+    return this.endGroup();
+  }
+
+  /**
+   * Undo the last step
+   * A step whose nodes were removed or changed since (e.g. by editing the markdown) is dropped.
+   * @returns {MindmapCommand|null} The undone command, or null if there was nothing to undo
+   */
+  undo() {
+    while (this.undoStack.length > 0) {
+      const command = this.undoStack.pop();
+      if (command.undo(this.model)) {
+        this.redoStack.push(command);
+        console.log(`MindmapHistory: undid "${command.label}"`);
+        return command;
+      }
+      console.warn(`MindmapHistory: cannot undo "${command.label}" any more, dropping it`);
+    }
+    return null;
+  }
+
+  /**
+   * Redo the last undone step
+   * @returns {MindmapCommand|null} The redone command, or null if there was nothing to redo
+   */
+  redo() {
+    while (this.redoStack.length > 0) {
+      const command = this.redoStack.pop();
+      if (command.execute(this.model)) {
+        this.undoStack.push(command);
+        console.log(`MindmapHistory: redid "${command.label}"`);
+        return command;
+      }
+      console.warn(`MindmapHistory: cannot redo "${command.label}" any more, dropping it`);
+    }
+    return null;
+  }
+
+  /**
+   * Check if there is a step to undo
+   * @returns {boolean} True if undo() has something to undo
+   */
+  canUndo() {
+    return this.undoStack.length > 0;
+  }
+
+  /**
+   * Check if there is a step to redo
+   * @returns {boolean} True if redo() has something to redo
+   */
+  canRedo() {
+    return this.redoStack.length > 0;
+  }
+
+  /**
+   * Forget all steps, e.g. when another document is opened
+   */
+  clear() {
+    this.undoStack = [];
+    this.redoStack = [];
+    this.openGroups = [];
+  }
+
+  /**
+   * Record an executed step
+   * @private
+   * @param {MindmapCommand} command - The command
+   */
+  _push(command) {
+    this.undoStack.push(command);
+    if (this.undoStack.length > this.limit) {
+      this.undoStack.shift();
+    }
+    this.redoStack = [];
+  }
+}
+
+// For backward compatibility
+if (typeof window !== 'undefined') {
+  window.MindmapHistory = MindmapHistory;
+}
+
+export default MindmapHistory;
@@ -0,0 +1,215 @@
+/**
+ * Tests for undo/redo of model changes
+ */
+
+import MindmapModel from './mindmap-model.js';
+import MindmapHistory from './mindmap-history.js';
+
+const PLAN = `# Launch
+## Build
+### Backend
+### Frontend
+## Ship
+### Release notes`;
+
+/**
+ * Get the outline of a model as text, for comparing states
+ * @param {MindmapModel} model - The model
+ * @returns {string} One line per node with level, text and collapse state
+ */
+function outline(model) {
+  const lines = [];
+  const visit = node => {
+    lines.push(`${node.level} ${node.text}${node.collapsed ? ' (collapsed)' : ''}`);
+    node.children.forEach(visit);
+  };
+  visit(model.getRoot());
+  return lines.join('\n');
+}
+
+describe('Undo/redo history', () => {
+  let logSpy;
+  let warnSpy;
+
+  beforeEach(() => {
+    logSpy = jest.spyOn(console, 'log').mockImplementation(() => {});
+    warnSpy = jest.spyOn(console, 'warn').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    logSpy.mockRestore();
+    warnSpy.mockRestore();
+  });
+
+  test('undoes and redoes text edits, collapse toggles and task changes', async () => {
+    const model = new MindmapModel();
+    await model.parseFromMarkdown(`${PLAN}\n- [ ] Announce`);
+    const build = model.findNodeByText('Build');
+    const announce = model.findNodeByText('Announce');
+    const before = outline(model);
+
+    expect(model.setNodeText(build.id, 'Build it')).toBe(true);
+    expect(model.toggleNodeCollapse(build.id)).toBe(true);
+    expect(model.toggleNodeTask(announce.id)).toBe(true);
+    expect(model.setNodeText(build.id, 'Build it')).toBe(false); // no change, no step
+
+    expect(model.undo().label).toBe('Check task');
+    expect(announce.checked).toBe(false);
+    expect(model.undo().label).toBe('Collapse node');
+    expect(model.undo().label).toBe('Edit text');
+    expect(outline(model)).toBe(before);
+    expect(model.undo()).toBeNull();
+
+    model.redo();
+    model.redo();
+    expect(build.text).toBe('Build it');
+    expect(build.collapsed).toBe(true);
+    expect(model.history.canRedo()).toBe(true);
+
+    // A new change clears the redo stack
+    model.setNodeText(build.id, 'Build all');
+    expect(model.history.canRedo()).toBe(false);
+  });
+
+  test('moves nodes with their branch and moves them back', async () => {
+    const model = new MindmapModel();
+    const root = await model.parseFromMarkdown(PLAN);
+    const [build, ship] = root.children;
+    const frontend = model.findNodeByText('Frontend');
+    const before = outline(model);
+
+    expect(model.moveNode(frontend.id, ship.id, 0)).toBe(true);
+    expect(ship.children.map(node => node.text)).toEqual(['Frontend', 'Release notes']);
+    expect(model.moveNode(build.id, ship.id, 1)).toBe(true);
+    expect(build.level).toBe(3);
+    expect(build.children[0].level).toBe(4);
+
+    // A node cannot go into its own branch, and staying in place is not a step
+    expect(model.moveNode(ship.id, build.id, 0)).toBe(false);
+    expect(model.moveNode(build.id, ship.id, 1)).toBe(false);
+
+    model.undo();
+    model.undo();
+    expect(outline(model)).toBe(before);
+    expect(frontend.parent).toBe(build);
+  });
+
+  test('adds and removes nodes', async () => {
+    const model = new MindmapModel();
+    const root = await model.parseFromMarkdown(PLAN);
+    const [build, ship] = root.children;
+    const before = outline(model);
+
+    const added = model.addNode(build.id, 1, 'Database');
+    expect(added.parent).toBe(build);
+    expect(added.level).toBe(3);
+    expect(build.children.map(node => node.text)).toEqual(['Backend', 'Database', 'Frontend']);
+    expect(model.findNodeById(added.id)).toBe(added);
+
+    expect(model.removeNode(build.id)).toBe(true);
+    expect(model.findNodeById(added.id)).toBeNull();
+    expect(model.toMarkdown()).toBe('# Launch\n## Ship\n### Release notes');
+
+    // The root topic stays
+    expect(model.removeNode(root.id)).toBe(false);
+
+    model.undo();
+    expect(model.findNodeById(added.id)).toBe(added);
+    model.undo();
+    expect(outline(model)).toBe(before);
+
+    // Redo brings the node back with the same ID, so later steps still find it
+    model.redo();
+    model.setNodeText(added.id, 'Storage');
+    model.undo();
+    model.undo();
+    model.redo();
+    expect(model.findNodeById(added.id).text).toBe('Database');
+    expect(ship.children).toHaveLength(1);
+  });
+
+  test('groups compound changes into one step', async () => {
+    const model = new MindmapModel();
+    const root = await model.parseFromMarkdown(PLAN);
+    const [build, ship] = root.children;
+    ship.collapse();
+    build.setOverride('direction', 'left');
+    const before = outline(model);
+
+    const changed = model.history.group('Move node', () => {
+      model.setNodeOverride(build.id, 'direction', undefined);
+      model.setNodeCollapsed(ship.id, false);
+      model.moveNode(build.id, ship.id, 1);
+    });
+
+    expect(changed).toBe(true);
+    expect(model.history.undoStack).toHaveLength(1);
+    expect(model.undo().label).toBe('Move node');
+    expect(outline(model)).toBe(before);
+    expect(build.configOverrides.direction).toBe('left');
+
+    model.redo();
+    expect(build.parent).toBe(ship);
+    expect(ship.collapsed).toBe(false);
+    expect('direction' in build.configOverrides).toBe(false);
+
+    // Empty groups leave no step behind
+    expect(model.history.group('Nothing', () => {})).toBe(false);
+    expect(model.history.undoStack).toHaveLength(1);
+  });
+
+  test('keeps the history when the markdown is parsed again', async () => {
+    const model = new MindmapModel();
+    await model.parseFromMarkdown(PLAN);
+    const backend = model.findNodeByText('Backend');
+    model.setNodeText(backend.id, 'Backend services');
+    model.setNavigationOverride(backend.id, { up: null, down: model.findNodeByText('Frontend').id, left: null, right: null });
+
+    // Re-generate from the autosaved markdown: the new nodes have the same IDs
+    await model.parseFromMarkdown(model.toMarkdown());
+    expect(model.findNodeById(backend.id)).not.toBe(backend);
+
+    model.undo();
+    expect(model.getNavigationOverrides()).toEqual({});
+    model.undo();
+    expect(model.findNodeById(backend.id).text).toBe('Backend');
+    expect(model.toJSON().navigationOverrides).toEqual({});
+
+    // Steps whose node is gone are dropped
+    model.redo();
+    await model.parseFromMarkdown('# Launch\n## Ship');
+    expect(model.undo()).toBeNull();
+  });
+
+  test('records no step for navigation targets that are already set', async () => {
+    const model = new MindmapModel();
+    await model.parseFromMarkdown(PLAN);
+    const backend = model.findNodeByText('Backend');
+    const frontend = model.findNodeByText('Frontend');
+
+    expect(model.setNavigationOverride(backend.id, undefined)).toBe(false);
+    expect(model.setNavigationOverride(backend.id, { up: null, down: frontend.id, left: null, right: null })).toBe(true);
+    expect(model.setNavigationOverride(backend.id, { down: frontend.id, up: null, left: null, right: null })).toBe(false);
+    expect(model.history.undoStack).toHaveLength(1);
+
+    expect(model.setNavigationOverride(backend.id, { up: null, down: null, left: null, right: frontend.id })).toBe(true);
+    expect(model.setNavigationOverride(backend.id, undefined)).toBe(true);
+    expect(model.history.undoStack).toHaveLength(3);
+  });
+
+  test('keeps at most the configured number of steps', async () => {
+    const model = new MindmapModel();
+    await model.parseFromMarkdown(PLAN);
+    model.history = new MindmapHistory(model, 3);
+    const build = model.findNodeByText('Build');
+
+    for (let i = 1; i <= 5; i++) {
+      model.setNodeText(build.id, `Build ${i}`);
+    }
+    while (model.undo()) {}
+    expect(build.text).toBe('Build 2');
+
+    model.fromJSON(model.toJSON());
+    expect(model.history.canRedo()).toBe(false);
+  });
+});
@@ -1,12 +1,34 @@
 // src/model/mindmap-model.js
 
 import MindmapNode from './node.js';
+import MindmapDocument from './mindmap-document.js';
+import FreeMindFormat from './freemind-format.js';
+import XMindFormat from './xmind-format.js';
+import OpmlFormat from './opml-format.js';
+import MermaidFormat from './mermaid-format.js';
+import FrontMatter from './front-matter.js';
+import NodeAnnotations from './node-annotations.js';
+import NodeTags from './node-tags.js';
+import WikiLinks from '../utils/wiki-links.js';
+import NodeIdentity from './node-identity.js';
+import NodeSearch from './node-search.js';
+import MindmapHistory from './mindmap-history.js';
+import { SetNodePropertyCommand, SetOverrideCommand, MoveNodeCommand, AddNodeCommand, RemoveNodeCommand, SetNavigationOverrideCommand } from './mindmap-commands.js';
 // We'll use dynamic import for marked to avoid issues with SSR or initial load
 
 /**
  * MindmapModel class for managing mindmap data structure
  */
 class MindmapModel {
+  // Markdown blocks that do not create nodes; they are kept as node body content
+  static BODY_TOKEN_TYPES = ['code', 'table', 'blockquote', 'hr', 'html'];
+
+  // Task marker at the start of a heading, e.g. `## [x] Done`
+  static TASK_MARKER_PATTERN = /^\[([ xX])\]\s+/;
+
+  // Text of the central topic that holds the top-level topics of a forest in single-root export formats
+  static FOREST_EXPORT_TITLE = 'Mindmap';
+
   /**
    * Create a new MindmapModel
    */
@@ -14,6 +36,22 @@ class MindmapModel {
     this.rootNode = new MindmapNode();
     this.nodeMap = new Map(); // Map of node ID to node instance
     this.selectedNode = null; // Currently selected node
+
+    // Markdown content outside the node tree, written back by toMarkdown()
+    this.frontMatter = null; // YAML front matter, verbatim including the --- delimiters
+    this.preamble = null; // Blocks before the first heading
+
+    // Cross-links between nodes ([[Node text]] or [[#^anchor]] in node text), see updateRelationships()
+    this.relationships = [];
+
+    // Keyboard navigation targets set by the user: node ID -> { up, down, left, right } with target node IDs (or null)
+    this.navigationOverrides = {};
+
+    // Undo/redo of the changes made through execute(); kept when the markdown is parsed again, as node IDs are stable
+    this.history = new MindmapHistory(this);
+
+    // Node shown as the root of the view in focus mode (see hoist()), kept when the markdown is parsed again
+    this.hoistedNodeId = null;
   }
 
   /**
@@ -55,13 +93,25 @@ class MindmapModel {
         smartLists: true // Use smarter list behavior
       });
       
+      // Front matter is not markdown; keep it verbatim and tokenize the rest
+      const { frontMatter, content } = FrontMatter.split(markdown);
+      this.frontMatter = frontMatter;
+
       // Create a lexer to tokenize the markdown
-      const tokens = marked.lexer(markdown);
+      let tokens = marked.lexer(content);
       
       if (!tokens || !Array.isArray(tokens)) {
         console.warn('Marked lexer returned invalid tokens:', tokens);
         throw new Error('Invalid tokens from marked lexer');
       }
+
+      // Content before the first heading is kept verbatim instead of becoming nodes
+      const firstHeading = tokens.findIndex(token => token && token.type === 'heading');
+      this.preamble = null;
+      if (firstHeading > 0) {
+        this.preamble = tokens.slice(0, firstHeading).map(token => token.raw || '').join('').trim() || null;
+        tokens = tokens.slice(firstHeading);
+      }
       
       // Output debug information if requested
       if (debug) {
@@ -72,8 +122,9 @@ class MindmapModel {
       const root = new MindmapNode('', 0);
       this._processTokens(tokens, root);
       
-      // Set the root node
-      this.rootNode = root.hasChildren() ? root.children[0] : null;
+      // Set the root node; several top-level topics are kept together as a forest under the container
+      const previousRoot = this.rootNode;
+      this.rootNode = root.children.length > 1 ? root : (root.hasChildren() ? root.children[0] : null);
       
       // Check if we actually created a valid tree
       if (!this.rootNode && root.text) {
@@ -84,7 +135,13 @@ class MindmapModel {
         throw new Error('Failed to create a valid node tree');
       }
       
-      // Regenerate all IDs to ensure they're deterministic
+      // Nodes that were there before the markdown was edited keep their IDs
+      if (previousRoot && previousRoot !== this.rootNode) {
+        const carried = NodeIdentity.carryOver(previousRoot, this.rootNode);
+        console.log(`MindmapModel: carried over ${carried} node IDs from the previous version`);
+      }
+
+      // Give the remaining nodes deterministic IDs
       this.regenerateAllIds();
       
       // Print the tree structure if in debug mode
@@ -99,6 +156,88 @@ class MindmapModel {
     }
   }
   
+  /**
+   * Move a trailing `{key=value ...}` annotation block, `^anchor` block id and `#tag` hashtags from the node text to the node
+   * @private
+   * @param {MindmapNode} node - A node created from a heading, paragraph or list item
+   */
+  _applyAnnotations(node) {
+    // The block id may come before or after the annotation block
+    let { text: remainingText, anchor } = WikiLinks.parseAnchor(node.text);
+    const { text, overrides, collapsed } = NodeAnnotations.parse(remainingText);
+    if (!anchor) {
+      ({ text: remainingText, anchor } = WikiLinks.parseAnchor(text));
+    } else {
+      remainingText = text;
+    }
+    const { text: untaggedText, tags } = NodeTags.parse(remainingText);
+    node.text = untaggedText;
+    node.anchor = anchor;
+    node.tags = new Set(tags);
+    for (const [property, value] of Object.entries(overrides)) {
+      node.setAnnotation(property, value);
+    }
+    if (collapsed !== null) {
+      node.collapsed = collapsed;
+    }
+  }
+
+  /**
+   * Move a leading `[ ]` / `[x]` task marker from heading text to the node's task state
+   * List items get their task state from the markdown lexer instead.
+   * @private
+   * @param {MindmapNode} node - A node created from a heading
+   */
+  _applyTaskMarker(node) {
+    const match = node.text.match(MindmapModel.TASK_MARKER_PATTERN);
+    if (match && node.text.length > match[0].length) {
+      node.text = node.text.slice(match[0].length);
+      node.checked = match[1] !== ' ';
+    }
+  }
+
+  /**
+   * Append a raw markdown block to a node's body content
+   * @private
+   * @param {MindmapNode} node - The node the block belongs to
+   * @param {string} raw - The raw markdown of the block
+   */
+  _appendBody(node, raw) {
+    const block = (raw || '').replace(/\s+$/, '');
+    if (!block) return;
+
+    // Remember the children the block follows, so that it is written back after them
+    const positions = node.bodyPositions;
+    const after = node.children.length;
+    if (after !== (positions.length > 0 ? positions[positions.length - 1].after : 0)) {
+      positions.push({ offset: node.body ? node.body.length + 2 : 0, after });
+    }
+    node.body = node.body ? `${node.body}\n\n${block}` : block;
+  }
+
+  /**
+   * Split a node's body into the parts that go before each child
+   * @private
+   * @param {MindmapNode} node - The node
+   * @return {Array<string|null>} For each child index, and the index after the last child, the body written there
+   */
+  _bodyByPosition(node) {
+    const parts = new Array(node.children.length + 1).fill(null);
+    if (!node.body) return parts;
+
+    const positions = node.bodyPositions || [];
+    const starts = [{ offset: 0, after: 0 }, ...positions];
+    starts.forEach((start, i) => {
+      const end = i + 1 < starts.length ? starts[i + 1].offset : node.body.length;
+      const text = node.body.slice(start.offset, end).replace(/\s+$/, '');
+      if (!text) return;
+      // Children may have been removed since the body was read
+      const index = Math.min(start.after, node.children.length);
+      parts[index] = parts[index] ? `${parts[index]}\n\n${text}` : text;
+    });
+    return parts;
+  }
+
   /**
    * Helper method to debug token structure
    * @private
@@ -252,6 +391,8 @@ class MindmapModel {
         
         // Create a new node for this heading
         const node = new MindmapNode(text, level, level >= 4);
+        this._applyTaskMarker(node);
+        this._applyAnnotations(node);
         currentNode.addChild(node);
         
         // Add to node map
@@ -270,6 +411,9 @@ class MindmapModel {
         } else {
           console.warn('List token without valid items:', token);
         }
+      } else if (MindmapModel.BODY_TOKEN_TYPES.includes(token.type)) {
+        // Code blocks, tables, quotes, rules and HTML stay with the section they appear in
+        this._appendBody(currentNode, token.raw);
       } else if (token.type === 'paragraph') {
         // For paragraphs at the root level, treat them as the root node text
         if (parentNode === currentNode && parentNode.text === '') {
@@ -277,6 +421,7 @@ class MindmapModel {
         } else {
           // Create a new node for this paragraph
           const paragraphNode = new MindmapNode(token.text || '', currentLevel + 1, (currentLevel + 1) >= 4);
+          this._applyAnnotations(paragraphNode);
           currentNode.addChild(paragraphNode);
           
           // Keep track of this paragraph node
@@ -334,7 +479,7 @@ class MindmapModel {
       // First, check if the item has direct text (but be careful as this might include nested content)
       if (item.text) {
         // Check if this is plain text or might contain nested content
-        if (!item.tokens || !item.tokens.some(t => t.type === 'list')) {
+        if (!item.tokens || !item.tokens.some(t => t.type === 'list' || MindmapModel.BODY_TOKEN_TYPES.includes(t.type))) {
           text = item.text;
           hasFoundText = true;
         }
@@ -349,6 +494,8 @@ class MindmapModel {
         for (const token of item.tokens) {
           // Skip list tokens - we'll handle them separately
           if (token.type === 'list') continue;
+          // Body blocks are attached once the node exists
+          if (MindmapModel.BODY_TOKEN_TYPES.includes(token.type)) continue;
           
           if (token.type === 'text') {
             textFragments.push(token.text || token.raw || '');
@@ -387,11 +534,15 @@ class MindmapModel {
       
       // Create a new node for this list item
       const node = new MindmapNode(text, level, level >= 4);
+      this._applyAnnotations(node);
+      if (item.task) {
+        node.checked = !!item.checked;
+      }
       parentNode.addChild(node);
       
       // Add to node map
       this.nodeMap.set(node.id, node);
-      
+
       // Process nested lists from two possible sources:
       
       // 1. Direct nested items (common in marked)
@@ -399,11 +550,13 @@ class MindmapModel {
         this._processListItems(item.items, node, level + 1);
       }
       
-      // 2. Lists nested in tokens
+      // 2. Lists nested in tokens, in order with the code blocks, tables etc. kept as the item's body content
       if (item.tokens) {
         for (const token of item.tokens) {
           if (token.type === 'list') {
             this._processListItems(token.items, node, level + 1);
+          } else if (MindmapModel.BODY_TOKEN_TYPES.includes(token.type)) {
+            this._appendBody(node, token.raw);
           }
         }
       }
@@ -412,8 +565,9 @@ class MindmapModel {
   
   
   /**
-   * Regenerate deterministic IDs for all nodes in the tree
-   * This ensures consistent IDs based on node content and position in the tree
+   * Assign IDs to nodes that do not have one yet and rebuild the node map
+   * Existing IDs are kept, so that edits and moves do not change them (see MindmapNode.assignIds());
+   * new nodes get deterministic IDs based on their content and position in the tree.
    */
   regenerateAllIds() {
     if (!this.rootNode) return;
@@ -421,11 +575,64 @@ class MindmapModel {
     // Clear the existing node map
     this.nodeMap.clear();
     
-    // Regenerate IDs for the entire tree, starting from the root
-    this.rootNode.regenerateAllIds();
+    // Assign IDs for the entire tree, starting from the root
+    this.rootNode.assignIds();
     
     // Rebuild the node map with the new IDs
     this._rebuildNodeMap(this.rootNode);
+
+    // Links are resolved against the current tree, so that edits and moves are picked up
+    this.updateRelationships();
+  }
+
+  /**
+   * Resolve the links in node text into relationships between nodes
+   * `[[#^anchor]]` links to the node with that block id; `[[Node text]]` to the first node with
+   * that text (case-insensitive). Links that do not resolve, or resolve to their own node, are ignored.
+   * @return {Array<{source: MindmapNode, target: MindmapNode}>} The relationships
+   */
+  updateRelationships() {
+    this.relationships = [];
+    if (!this.rootNode) return this.relationships;
+
+    const nodes = [];
+    const collect = node => {
+      nodes.push(node);
+      node.children.forEach(collect);
+    };
+    collect(this.rootNode);
+
+    const byAnchor = new Map();
+    const byText = new Map();
+    for (const node of nodes) {
+      if (node.anchor && !byAnchor.has(node.anchor)) {
+        byAnchor.set(node.anchor, node);
+      }
+      const key = WikiLinks.toText(node.text).trim().toLowerCase();
+      if (!byText.has(key)) {
+        byText.set(key, node);
+      }
+    }
+
+    for (const source of nodes) {
+      for (const link of WikiLinks.getTargets(source.text)) {
+        const target = link.anchor ? byAnchor.get(link.anchor) : byText.get(link.text.trim().toLowerCase());
+        if (!target) {
+          console.log(`MindmapModel.updateRelationships: unresolved link in "${source.text}"`, link);
+        } else if (target !== source && !this.relationships.some(r => r.source === source && r.target === target)) {
+          this.relationships.push({ source, target });
+        }
+      }
+    }
+    return this.relationships;
+  }
+
+  /**
+   * Get the relationships between nodes (cross-links)
+   * @return {Array<{source: MindmapNode, target: MindmapNode}>} The relationships
+   */
+  getRelationships() {
+    return this.relationships;
   }
   
   /**
@@ -453,6 +660,78 @@ class MindmapModel {
     return this.rootNode;
   }
 
+  /**
+   * Get the top-level topics of the mindmap
+   * A document with several top-level headings has several; the root node is then their container (see MindmapNode.isForest()).
+   * @return {Array<MindmapNode>} The top-level topics, including floating topics
+   */
+  getRoots() {
+    if (!this.rootNode) return [];
+    return this.rootNode.isForest() ? [...this.rootNode.children] : [this.rootNode];
+  }
+
+  /**
+   * Focus the view on a node: it is laid out and rendered as the root, with only its branch
+   * Focusing on the root node (or a node that does not exist) shows the whole map again.
+   * @param {string} id - The ID of the node
+   * @return {boolean} True if the view is focused on the node
+   */
+  hoist(id) {
+    const node = this.findNodeById(id);
+    this.hoistedNodeId = node && node !== this.rootNode && !node.isForest() ? node.id : null;
+    return this.hoistedNodeId !== null;
+  }
+
+  /**
+   * Show the whole map again after hoist()
+   */
+  unhoist() {
+    this.hoistedNodeId = null;
+  }
+
+  /**
+   * Get the node the view is focused on
+   * @return {MindmapNode|null} The node, or null if the whole map is shown (also when the node was removed)
+   */
+  getHoistedNode() {
+    return this.hoistedNodeId ? this.findNodeById(this.hoistedNodeId) : null;
+  }
+
+  /**
+   * Get the node the view starts at: layouts, rendering and keyboard navigation only cover its branch
+   * @return {MindmapNode|null} The node the view is focused on, or the root node
+   */
+  getViewRoot() {
+    return this.getHoistedNode() || this.rootNode;
+  }
+
+  /**
+   * Check if a node is shown in the current view (not counting collapsed branches)
+   * @param {MindmapNode} node - The node
+   * @return {boolean} True if the node is the view root or one of its descendants
+   */
+  isInView(node) {
+    const viewRoot = this.getViewRoot();
+    for (let current = node; current; current = current.parent) {
+      if (current === viewRoot) return true;
+    }
+    return false;
+  }
+
+  /**
+   * Get the ancestors of a node, e.g. for a breadcrumb trail
+   * @param {MindmapNode} node - The node
+   * @return {Array<MindmapNode>} The ancestors from the top-level topic down to the parent (the container of a forest is left out)
+   */
+  getAncestors(node) {
+    const ancestors = [];
+    for (let ancestor = node ? node.parent : null; ancestor && !ancestor.isForest(); ancestor = ancestor.parent) {
+      ancestors.unshift(ancestor);
+      if (ancestor === this.rootNode) break;
+    }
+    return ancestors;
+  }
+
   /**
    * Find a node by its ID
    * @param {string} id - The ID of the node to find
@@ -476,6 +755,53 @@ class MindmapModel {
     return null;
   }
 
+  /**
+   * Find the nodes whose text matches a search, including nodes in collapsed branches (see NodeSearch)
+   * @param {string} query - The search text, or a regular expression
+   * @param {Object} options - { regex, caseSensitive }
+   * @return {Array<MindmapNode>} The matching nodes, in document order
+   * @throws {SyntaxError} If the query is not a valid regular expression
+   */
+  searchNodes(query, options = {}) {
+    return NodeSearch.find(this.rootNode, NodeSearch.createMatcher(query, options));
+  }
+
+  /**
+   * Get the tags used in the mindmap, including those in collapsed branches
+   * @return {Map<string, number>} Number of tagged nodes by tag (normalized, see NodeTags.normalize()), in order of first use
+   */
+  getTags() {
+    const counts = new Map();
+    const visit = node => {
+      new Set([...node.tags].map(tag => NodeTags.normalize(tag))).forEach(tag => {
+        counts.set(tag, (counts.get(tag) || 0) + 1);
+      });
+      node.children.forEach(visit);
+    };
+    if (this.rootNode) {
+      visit(this.rootNode);
+    }
+    return counts;
+  }
+
+  /**
+   * Expand the collapsed ancestors of nodes so that they are shown (undoable, as one step)
+   * @param {Array<string>} ids - The IDs of the nodes
+   * @return {boolean} True if a node was expanded
+   */
+  revealNodes(ids) {
+    return this.history.group('Reveal nodes', () => {
+      for (const id of ids) {
+        const node = this.findNodeById(id);
+        for (let ancestor = node ? node.parent : null; ancestor; ancestor = ancestor.parent) {
+          if (ancestor.collapsed) {
+            this.setNodeCollapsed(ancestor.id, false);
+          }
+        }
+      }
+    });
+  }
+
   /**
    * Toggle the collapsed state of a node by its ID
    * @param {string} id - The ID of the node to toggle
@@ -483,11 +809,275 @@ class MindmapModel {
    */
   toggleNodeCollapse(id) {
     const node = this.findNodeById(id);
-    if (node) {
-      node.toggleCollapse();
-      return true;
+    return node ? this.setNodeCollapsed(id, !node.collapsed) : false;
+  }
+
+  /**
+   * Toggle the task state of a task node by its ID
+   * @param {string} id - The ID of the node to toggle
+   * @return {boolean} True if the node was found and is a task, false otherwise
+   */
+  toggleNodeTask(id) {
+    const node = this.findNodeById(id);
+    if (!node || !node.isTask()) return false;
+    return this.execute(new SetNodePropertyCommand(id, 'checked', !node.checked, node.checked ? 'Uncheck task' : 'Check task'));
+  }
+
+  /**
+   * Collapse or expand a node (undoable)
+   * @param {string} id - The ID of the node
+   * @param {boolean} collapsed - The new collapse state
+   * @return {boolean} True if the state changed
+   */
+  setNodeCollapsed(id, collapsed) {
+    return this.execute(new SetNodePropertyCommand(id, 'collapsed', collapsed, collapsed ? 'Collapse node' : 'Expand node'));
+  }
+
+  /**
+   * Change the text of a node (undoable)
+   * @param {string} id - The ID of the node
+   * @param {string} text - The new text
+   * @return {boolean} True if the text changed
+   */
+  setNodeText(id, text) {
+    return this.execute(new SetNodePropertyCommand(id, 'text', text, 'Edit text'));
+  }
+
+  /**
+   * Change the tags of a node (undoable)
+   * @param {string} id - The ID of the node
+   * @param {Iterable<string>} tags - The new tags, without '#'
+   * @return {boolean} True if the tags changed
+   */
+  setNodeTags(id, tags) {
+    return this.execute(new SetNodePropertyCommand(id, 'tags', new Set(tags), 'Edit tags'));
+  }
+
+  /**
+   * Change the text of a node as typed in the editor: trailing hashtags become the node's tags (undoable, as one step)
+   * @param {string} id - The ID of the node
+   * @param {string} input - The text with the hashtags, e.g. "Vendor lock-in #risk"
+   * @return {boolean} True if the text or the tags changed
+   */
+  setNodeTextWithTags(id, input) {
+    const { text, tags } = NodeTags.parse(input);
+    return this.history.group('Edit text', () => {
+      this.setNodeText(id, text);
+      this.setNodeTags(id, tags);
+    });
+  }
+
+  /**
+   * Get the text of a node as shown in the editor, with its tags as hashtags
+   * @param {MindmapNode} node - The node
+   * @return {string} The text followed by the hashtags
+   */
+  getNodeTextWithTags(node) {
+    return node.text + NodeTags.format(node.tags);
+  }
+
+  /**
+   * Set or clear a configuration override of a node (undoable)
+   * @param {string} id - The ID of the node
+   * @param {string} property - The style property
+   * @param {*} value - The override value, or undefined to clear the override
+   * @return {boolean} True if the override changed
+   */
+  setNodeOverride(id, property, value) {
+    return this.execute(new SetOverrideCommand(id, property, value));
+  }
+
+  /**
+   * Move a node with its branch to another parent or position (undoable)
+   * @param {string} id - The ID of the node to move
+   * @param {string} parentId - The ID of the new parent
+   * @param {number} index - Position among the new parent's other children
+   * @return {boolean} True if the node was moved (a node cannot be moved into its own branch)
+   */
+  moveNode(id, parentId, index) {
+    return this.execute(new MoveNodeCommand(id, parentId, index));
+  }
+
+  /**
+   * Add a new node under a parent (undoable)
+   * @param {string} parentId - The ID of the parent
+   * @param {number} index - Position among the parent's children
+   * @param {string|MindmapNode} content - Text of the new node, or a branch that is not in a tree
+   * @return {MindmapNode|null} The new node, or null if the parent was not found
+   */
+  addNode(parentId, index, content) {
+    const command = new AddNodeCommand(parentId, index, content);
+    return this.execute(command) ? this.findNodeById(command.nodeId) : null;
+  }
+
+  /**
+   * Remove a node with its branch (undoable)
+   * @param {string} id - The ID of the node
+   * @return {boolean} True if the node was removed (the last top-level topic cannot be removed)
+   */
+  removeNode(id) {
+    return this.execute(new RemoveNodeCommand(id));
+  }
+
+  /**
+   * Add the topics of a piece of markdown (or plain text indented with spaces or tabs) as children of a node (undoable)
+   * Used to paste copied branches and notes; the whole paste is one undo step.
+   * @param {string} parentId - The ID of the parent
+   * @param {string} text - Markdown or indented plain text
+   * @return {Promise<Array<MindmapNode>>} The added top-level nodes (empty if the parent was not found or the text has no topics)
+   */
+  async pasteMarkdown(parentId, text) {
+    const parent = this.findNodeById(parentId);
+    if (!parent) return [];
+
+    const branches = await this.parseFragment(text);
+    const added = [];
+    this.history.group('Paste', () => {
+      this.setNodeCollapsed(parentId, false);
+      for (const branch of branches) {
+        this._prepareBranch(branch, parent.level + 1 - branch.level);
+        const node = this.addNode(parentId, parent.children.length, branch);
+        if (node) added.push(node);
+      }
+    });
+    return added;
+  }
+
+  /**
+   * Parse a piece of markdown, or plain text indented with spaces or tabs, into branches outside of this model
+   * @param {string} text - Markdown or indented plain text
+   * @return {Promise<Array<MindmapNode>>} The top-level nodes with their branches, without IDs
+   */
+  async parseFragment(text) {
+    if (!text || !text.trim()) return [];
+
+    // Text without headings or list markers (e.g. copied from an outliner or notes app) is read by its indentation;
+    // lines inside fenced code blocks do not count
+    const outline = text.replace(/^[ \t]*(`{3,}|~{3,})[\s\S]*?(^[ \t]*\1[`~]*[ \t]*$|(?![\s\S]))/gm, '');
+    const isMarkdown = /^\s*(#{1,6}\s|[-*+]\s|\d+[.)]\s)/m.test(outline);
+    const fragment = new MindmapModel();
+    await fragment.parseFromMarkdown(isMarkdown ? text : this._indentedTextToMarkdown(text));
+
+    const branches = fragment.getRoots();
+    branches.forEach(branch => {
+      branch.parent = null;
+      branch.clearIds();
+    });
+    return branches;
+  }
+
+  /**
+   * Adapt a parsed branch to its place in this map before it is added
+   * @private
+   * @param {MindmapNode} node - The top node of the branch
+   * @param {number} levelShift - Difference between the new and the parsed levels
+   */
+  _prepareBranch(node, levelShift) {
+    // Keep collapse states that differ from the parser's default, the others follow the new level
+    const defaultCollapsed = node.level >= 4;
+    const newLevel = node.level + levelShift;
+    node.collapsed = node.collapsed === defaultCollapsed ? newLevel >= 4 : node.collapsed;
+
+    // Block ids that are already used here stay with the existing nodes
+    if (node.anchor && this.findNodeById(`node_${node.anchor}`)) {
+      node.anchor = null;
     }
-    return false;
+    node.children.forEach(child => this._prepareBranch(child, levelShift));
+  }
+
+  /**
+   * Convert plain text indented with spaces or tabs into a markdown list
+   * Fenced code blocks (``` or ~~~) are kept together as the body of the topic before them.
+   * @private
+   * @param {string} text - The text, one topic per line
+   * @return {string} Nested list items
+   */
+  _indentedTextToMarkdown(text) {
+    const indents = []; // Indentation widths of the enclosing lines
+    const lines = [];
+    let fence = null; // The open code block: its marker, the indentation of the fence and of the block in the list
+    for (const line of text.split(/\r?\n/)) {
+      const leading = line.match(/^\s*/)[0];
+      if (fence) {
+        // Keep the lines of the block as they are, relative to the opening fence
+        lines.push(line.trim() ? fence.indent + line.slice(Math.min(leading.length, fence.width)) : '');
+        if (line.trim().startsWith(fence.marker) && /^(`+|~+)$/.test(line.trim())) {
+          fence = null;
+        }
+        continue;
+      }
+      if (!line.trim()) continue;
+
+      const marker = line.trim().match(/^(`{3,}|~{3,})/);
+      if (marker) {
+        fence = { marker: marker[1], width: leading.length, indent: '  '.repeat(indents.length) };
+        lines.push(fence.indent + line.trim());
+        continue;
+      }
+
+      const indent = leading.replace(/\t/g, '    ').length;
+      while (indents.length > 0 && indents[indents.length - 1] >= indent) {
+        indents.pop();
+      }
+      indents.push(indent);
+      lines.push(`${'  '.repeat(indents.length - 1)}- ${line.trim()}`);
+    }
+    return lines.join('\n');
+  }
+
+  /**
+   * Get the keyboard navigation targets set by the user
+   * Only the directions the user set are kept; the others follow the layout.
+   * @return {Object} node ID -> { up, down, left, right } with target node IDs (or null), for the directions set
+   */
+  getNavigationOverrides() {
+    return this.navigationOverrides;
+  }
+
+  /**
+   * Replace all navigation targets, e.g. with those of an opened document (not undoable)
+   * @param {Object|null} overrides - node ID -> { up, down, left, right } with target node IDs (or null)
+   */
+  setNavigationOverrides(overrides) {
+    this.navigationOverrides = {};
+    for (const [id, targets] of Object.entries(overrides || {})) {
+      this.navigationOverrides[id] = { ...targets };
+    }
+  }
+
+  /**
+   * Set the navigation targets of a node (undoable)
+   * @param {string} id - The ID of the source node
+   * @param {Object|undefined} targets - { up, down, left, right } with target node IDs (or null), or undefined to remove them
+   * @return {boolean} True if the targets changed
+   */
+  setNavigationOverride(id, targets) {
+    return this.execute(new SetNavigationOverrideCommand(id, targets));
+  }
+
+  /**
+   * Execute an undoable change (see mindmap-commands.js)
+   * @param {MindmapCommand} command - The change
+   * @return {boolean} True if the model changed
+   */
+  execute(command) {
+    return this.history.execute(command);
+  }
+
+  /**
+   * Undo the last change
+   * @return {MindmapCommand|null} The undone change, or null if there is nothing to undo
+   */
+  undo() {
+    return this.history.undo();
+  }
+
+  /**
+   * Redo the last undone change
+   * @return {MindmapCommand|null} The redone change, or null if there is nothing to redo
+   */
+  redo() {
+    return this.history.redo();
   }
 
   /**
@@ -530,8 +1120,189 @@ class MindmapModel {
     return null;
   }
 
+  /**
+   * Serialize the mindmap to a .mindmap document
+   * Unlike toMarkdown(), this keeps configuration overrides and collapse state.
+   * Presentation state that lives outside the model is passed in by the caller.
+   * @param {Object} options - Additional document state
+   * @param {Object} options.settings - Presentation settings (preset, layout, styleYaml, layoutYaml)
+   * @param {Object} options.navigationOverrides - Navigation overrides by node ID (defaults to getNavigationOverrides())
+   * @return {Object} The document object (see MindmapDocument)
+   */
+  toJSON(options = {}) {
+    // JSON.stringify(model) passes the property key as the first argument
+    const { settings = {}, navigationOverrides = this.navigationOverrides } = (options && typeof options === 'object') ? options : {};
+    const root = this.rootNode ? this.rootNode.toJSON() : null;
+    return MindmapDocument.create(root, settings, navigationOverrides);
+  }
+
+  /**
+   * Load the mindmap from a .mindmap document
+   * Older document versions are migrated first.
+   * @param {Object|string} document - The document object or its JSON text
+   * @return {MindmapNode} The root node of the mindmap
+   * @throws {Error} If the document is invalid or uses an unsupported version
+   */
+  fromJSON(document) {
+    const data = typeof document === 'string' ? MindmapDocument.parse(document) : MindmapDocument.migrate(document);
+
+    this.rootNode = MindmapNode.fromJSON(data.root);
+    this.selectedNode = null;
+    this.frontMatter = null;
+    this.preamble = null;
+    this.setNavigationOverrides(data.navigationOverrides);
+    this.history.clear();
+    this.hoistedNodeId = null;
+
+    // Stored IDs are kept so that navigation overrides still resolve
+    this.nodeMap.clear();
+    this._rebuildNodeMap(this.rootNode);
+
+    return this.rootNode;
+  }
+
+  /**
+   * Replace the mindmap with an imported node tree
+   * @param {MindmapNode} rootNode - The root node (level 1)
+   * @return {MindmapNode} The root node of the mindmap
+   */
+  setRoot(rootNode) {
+    this.rootNode = rootNode;
+    this.selectedNode = null;
+    this.frontMatter = null;
+    this.preamble = null;
+    this.navigationOverrides = {};
+    this.history.clear();
+    this.hoistedNodeId = null;
+
+    // Regenerate all IDs to ensure they're deterministic
+    this.regenerateAllIds();
+
+    return this.rootNode;
+  }
+
+  /**
+   * Load the mindmap from a FreeMind / Freeplane .mm file
+   * @param {string} xml - The .mm file content
+   * @return {MindmapNode} The root node of the mindmap
+   * @throws {Error} If the content is not a FreeMind map
+   */
+  parseFromFreeMind(xml) {
+    return this.setRoot(FreeMindFormat.parse(xml));
+  }
+
+  /**
+   * Convert the node structure to a FreeMind / Freeplane .mm file
+   * @param {MindmapNode} node - Node to start from (default: the whole mindmap)
+   * @return {string} The .mm XML, or an empty string if there is no mindmap
+   */
+  toFreeMind(node = null) {
+    return this.rootNode ? FreeMindFormat.stringify(this._getExportRoot(node)) : '';
+  }
+
+  /**
+   * Get the node tree to write to formats that have a single central topic (FreeMind, XMind, Mermaid)
+   * The top-level topics of a forest are written as main topics of a central topic named FOREST_EXPORT_TITLE.
+   * @private
+   * @param {MindmapNode} node - Node to start from (default: the whole mindmap)
+   * @return {MindmapNode} The start node, or a central topic holding the top-level topics of a forest
+   */
+  _getExportRoot(node = null) {
+    if (node && node !== this.rootNode) {
+      return node;
+    }
+    if (!this.rootNode.isForest()) {
+      return this.rootNode;
+    }
+    // The top-level topics stay in the forest; the central topic only lists them
+    const centralTopic = new MindmapNode(MindmapModel.FOREST_EXPORT_TITLE, 0);
+    centralTopic.children = [...this.rootNode.children];
+    return centralTopic;
+  }
+
+  /**
+   * Load the mindmap from one sheet of an XMind .xmind workbook
+   * Use XMindFormat.parse() directly to list the sheets of a workbook.
+   * @param {ArrayBuffer|Uint8Array|Blob} data - The .xmind file content
+   * @param {number} sheetIndex - Index of the sheet to load
+   * @return {Promise<MindmapNode>} The root node of the mindmap
+   * @throws {Error} If the content is not an XMind workbook or the sheet does not exist
+   */
+  async parseFromXMind(data, sheetIndex = 0) {
+    const sheets = await XMindFormat.parse(data);
+    if (!sheets[sheetIndex]) {
+      throw new Error(`XMind file has no sheet ${sheetIndex + 1} (it has ${sheets.length})`);
+    }
+    return this.setRoot(sheets[sheetIndex].root);
+  }
+
+  /**
+   * Convert the node structure to an XMind .xmind workbook
+   * @param {MindmapNode} node - Node to start from (default: the whole mindmap)
+   * @return {Promise<Uint8Array|null>} The .xmind file content, or null if there is no mindmap
+   */
+  async toXMind(node = null) {
+    return this.rootNode ? XMindFormat.serialize(this._getExportRoot(node)) : null;
+  }
+
+  /**
+   * Load the mindmap from an OPML outline
+   * @param {string} xml - The OPML content
+   * @return {MindmapNode} The root node of the mindmap
+   * @throws {Error} If the content is not OPML or has no outlines
+   */
+  parseFromOPML(xml) {
+    return this.setRoot(OpmlFormat.parse(xml));
+  }
+
+  /**
+   * Convert the node structure to an OPML outline
+   * @param {MindmapNode} node - Node to start from (default: the whole mindmap)
+   * @return {string} The OPML content, or an empty string if there is no mindmap
+   */
+  toOPML(node = null) {
+    return this.rootNode ? OpmlFormat.stringify(node || this.rootNode) : '';
+  }
+
+  /**
+   * Load the mindmap from a Mermaid mindmap diagram
+   * @param {string} text - The Mermaid source, or markdown containing a ```mermaid mindmap block
+   * @return {MindmapNode} The root node of the mindmap
+   * @throws {Error} If no mindmap diagram is found
+   */
+  parseFromMermaid(text) {
+    return this.setRoot(MermaidFormat.parse(text));
+  }
+
+  /**
+   * Convert the node structure to a Mermaid mindmap diagram
+   * @param {MindmapNode} node - Node to start from (default: the whole mindmap)
+   * @return {string} The Mermaid source, or an empty string if there is no mindmap
+   */
+  toMermaid(node = null) {
+    return this.rootNode ? MermaidFormat.stringify(this._getExportRoot(node)) : '';
+  }
+
+  /**
+   * Get the mindmap settings carried by the markdown front matter
+   * @return {Object|null} Settings (preset, layout, styleYaml), or null if the front matter has none
+   */
+  getFrontMatterSettings() {
+    return FrontMatter.getSettings(this.frontMatter);
+  }
+
+  /**
+   * Write mindmap settings into the front matter used by toMarkdown(), creating it if needed
+   * @param {Object} settings - Settings in the format of .mindmap documents (preset, layout, styleYaml, layoutYaml)
+   */
+  setFrontMatterSettings(settings) {
+    this.frontMatter = FrontMatter.setSettings(this.frontMatter, settings);
+  }
+
   /**
    * Convert the node structure back to markdown
+   * Front matter and body content kept from the parsed markdown are written back in place;
+   * they are only included when converting the whole mindmap.
    * @param {MindmapNode} node - The root node to convert (optional, defaults to this.rootNode)
    * @return {string} The markdown representation of the node structure
    */
@@ -542,7 +1313,18 @@ class MindmapModel {
     }
 
     const lines = [];
-    this._nodeToMarkdown(startNode, lines, 0);
+    const isWholeMap = startNode === this.rootNode;
+    if (isWholeMap && this.frontMatter) {
+      lines.push(this.frontMatter);
+    }
+    if (isWholeMap && this.preamble) {
+      lines.push(this.preamble, '');
+    }
+    if (startNode.isForest()) {
+      startNode.children.forEach(root => this._nodeToMarkdown(root, lines, 0));
+    } else {
+      this._nodeToMarkdown(startNode, lines, 0);
+    }
     return lines.join('\n');
   }
 
@@ -552,38 +1334,58 @@ class MindmapModel {
    * @param {MindmapNode} node - The node to convert
    * @param {Array<string>} lines - Array to collect markdown lines
    * @param {number} depth - Current depth for indentation (0-based)
+   * @param {boolean} asListItem - Write the node as a list item even if its level fits a heading
    */
-  _nodeToMarkdown(node, lines, depth) {
+  _nodeToMarkdown(node, lines, depth, asListItem = false) {
     if (!node) return;
 
-    if (node.level === 1 && depth === 0) {
+    // Annotations, plus the collapse state where it differs from the parser's default
+    const defaultCollapsed = node.level >= 4;
+    const taskMarker = node.isTask() ? (node.checked ? '[x] ' : '[ ] ') : '';
+    const text = taskMarker + node.text + NodeTags.format(node.tags) + NodeAnnotations.format(node.annotations, node.collapsed !== defaultCollapsed ? node.collapsed : null) +
+      (node.anchor ? ` ^${node.anchor}` : '');
+    const isListItem = asListItem || node.level < 1 || node.level > 6;
+
+    if (isListItem) {
+      // For deeper levels or list items, use bullet points with proper indentation
+      const indent = '  '.repeat(depth);
+      lines.push(`${indent}- ${text}`);
+    } else if (node.level === 1 && depth === 0) {
       // Root node becomes a top-level heading
-      lines.push(`# ${node.text}`);
-    } else if (node.level >= 1 && node.level <= 6) {
+      lines.push(`# ${text}`);
+    } else {
       // Convert levels to headings
       const headingMarker = '#'.repeat(node.level);
-      lines.push(`${headingMarker} ${node.text}`);
-    } else {
-      // For deeper levels or list items, use bullet points with proper indentation
-      const indent = '  '.repeat(depth);
-      lines.push(`${indent}- ${node.text}`);
+      lines.push(`${headingMarker} ${text}`);
     }
 
-    // Process children
-    if (node.children && node.children.length > 0) {
-      for (const child of node.children) {
-        if (node.level >= 1 && node.level <= 6 && child.level > 6) {
-          // If parent is a heading but child would be deeper than h6, use list format
-          this._nodeToMarkdown(child, lines, 0);
-        } else if (node.level >= 1 && node.level <= 6) {
-          // Both parent and child are heading levels
-          this._nodeToMarkdown(child, lines, 0);
-        } else {
-          // Parent is a list item, child should be indented list item
-          this._nodeToMarkdown(child, lines, depth + 1);
-        }
+    // Body blocks of list items are indented to stay inside the item
+    const bodyIndent = isListItem ? '  '.repeat(depth + 1) : '';
+    const bodyParts = this._bodyByPosition(node);
+    const writeBody = index => {
+      if (bodyParts[index]) {
+        lines.push('', ...bodyParts[index].split('\n').map(line => line ? bodyIndent + line : line), '');
       }
-    }
+    };
+
+    // Process children, with the body blocks between them where they were read
+    let headingWritten = false;
+    node.children.forEach((child, index) => {
+      writeBody(index);
+      if (isListItem) {
+        // Parent is a list item, child should be indented list item
+        this._nodeToMarkdown(child, lines, depth + 1, true);
+      } else {
+        // Tasks stay GFM task list items, and so do children followed by body blocks, which would belong to
+        // a heading before them; a list after a heading sibling would nest under it, so once a sibling is
+        // written as a heading the following ones are headings too
+        const followedByBody = bodyParts.some((part, partIndex) => part && partIndex > index);
+        const childAsListItem = (child.isTask() || followedByBody) && !headingWritten;
+        this._nodeToMarkdown(child, lines, 0, childAsListItem);
+        headingWritten = headingWritten || (!childAsListItem && child.level >= 1 && child.level <= 6);
+      }
+    });
+    writeBody(node.children.length);
   }
 }
 
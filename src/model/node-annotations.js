@@ -0,0 +1,147 @@
+// src/model/node-annotations.js
+
+/**
+ * Inline style annotations of markdown headings and list items
+ *
+ *   ## Risky branch {color=#e33 layout=vertical collapsed}
+ *   - Vendor "A" {background="#ffe0e0" shape=rounded}
+ *
+ * A trailing attribute block sets node overrides (see MindmapNode.setAnnotation()). Short names are
+ * accepted for common properties (ALIASES); any other key is used as the override name as-is.
+ * The `collapsed` and `expanded` flags set the collapse state; other words without a value mean
+ * the braces are part of the text, e.g. `Use {placeholders}`.
+ */
+class NodeAnnotations {
+  // Short annotation names and the override they set
+  static ALIASES = {
+    color: 'textColor',
+    background: 'backgroundColor',
+    layout: 'layoutType',
+    shape: 'nodeType'
+  };
+
+  // Words that are valid without a value
+  static FLAGS = ['collapsed', 'expanded'];
+
+  static BLOCK_PATTERN = /\s+\{([^{}]*)\}\s*$/;
+  static ITEM_PATTERN = /([A-Za-z][\w-]*)(?:=("(?:[^"\\]|\\.)*"|'(?:[^'\\]|\\.)*'|[^\s"']+))?/y;
+
+  /**
+   * Split a trailing annotation block off node text
+   * Text whose trailing braces are not a valid attribute block is returned unchanged.
+   * @param {string} text - Heading or list item text
+   * @returns {{text: string, overrides: Object, collapsed: boolean|null}} The text without the block,
+   *   the overrides by property name and the collapse state (null if not annotated)
+   */
+  static parse(text) {
+    const result = { text, overrides: {}, collapsed: null };
+    const match = (text || '').match(this.BLOCK_PATTERN);
+    if (!match || !match[1].trim()) {
+      return result;
+    }
+
+    const items = this._parseItems(match[1].trim());
+    const remainingText = text.slice(0, match.index).trim();
+    if (!items || !remainingText || items.some(([key, value]) => value === undefined && !this.FLAGS.includes(key))) {
+      return result;
+    }
+
+    result.text = remainingText;
+    for (const [key, value] of items) {
+      if (value === undefined) {
+        result.collapsed = key === 'collapsed';
+      } else {
+        result.overrides[this.ALIASES[key] || key] = value;
+      }
+    }
+    return result;
+  }
+
+  /**
+   * Format the annotation block of a node
+   * @param {Object} annotations - Overrides by property name (node.annotations)
+   * @param {boolean|null} collapsed - Collapse state to write, or null to leave it out
+   * @returns {string} The block with a leading space, or an empty string if there is nothing to write
+   */
+  static format(annotations, collapsed = null) {
+    const items = Object.entries(annotations || {}).map(([property, value]) => {
+      const key = Object.keys(this.ALIASES).find(alias => this.ALIASES[alias] === property) || property;
+      return `${key}=${this._formatValue(value)}`;
+    });
+    if (collapsed !== null) {
+      items.push(collapsed ? 'collapsed' : 'expanded');
+    }
+    return items.length > 0 ? ` {${items.join(' ')}}` : '';
+  }
+
+  /**
+   * Parse the content of an attribute block into key/value pairs
+   * @private
+   * @param {string} content - Text between the braces
+   * @returns {Array<Array>|null} [key, value] pairs (value undefined for flags), or null if the content is not an attribute list
+   */
+  static _parseItems(content) {
+    const items = [];
+    let position = 0;
+    while (position < content.length) {
+      this.ITEM_PATTERN.lastIndex = position;
+      const match = this.ITEM_PATTERN.exec(content);
+      if (!match) return null;
+
+      items.push([match[1], match[2] === undefined ? undefined : this._parseValue(match[2])]);
+      position = this.ITEM_PATTERN.lastIndex;
+
+      const separator = content.slice(position).match(/^\s+/);
+      if (separator) {
+        position += separator[0].length;
+      } else if (position < content.length) {
+        return null;
+      }
+    }
+    return items;
+  }
+
+  /**
+   * Convert an attribute value to a number, boolean or string
+   * In quoted values, a backslash escapes a quote or another backslash (`"Say \"hi\""`).
+   * @private
+   * @param {string} value - The raw value, possibly quoted
+   * @returns {*} The parsed value
+   */
+  static _parseValue(value) {
+    if (/^(["']).*\1$/.test(value)) {
+      return value.slice(1, -1).replace(/\\(["'\\])/g, '$1');
+    }
+    if (value === 'true' || value === 'false') {
+      return value === 'true';
+    }
+    if (/^-?\d+(\.\d+)?$/.test(value)) {
+      return Number(value);
+    }
+    return value;
+  }
+
+  /**
+   * Format an attribute value, quoting it when it would not read back as the same value
+   * @private
+   * @param {*} value - The value
+   * @returns {string} The formatted value
+   */
+  static _formatValue(value) {
+    const text = String(value);
+    if (typeof value === 'string' && (text === '' || /[\s"'{}=]/.test(text) || this._parseValue(text) !== value)) {
+      // Text with both kinds of quotes escapes the double quotes
+      const quote = text.includes('"') && !text.includes("'") ? "'" : '"';
+      const escaped = text.replace(/\\/g, '\\\\').split(quote).join(`\\${quote}`);
+      return `${quote}${escaped}${quote}`;
+    }
+    return text;
+  }
+}
+
+// For backward compatibility
+if (typeof window !== 'undefined') {
+  window.NodeAnnotations = NodeAnnotations;
+}
+
+export default NodeAnnotations;
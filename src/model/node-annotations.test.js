@@ -0,0 +1,104 @@
+/**
+ * Tests for inline node annotations in markdown
+ */
+
+import { useWidthTableMetrics } from '../../tests/utils/layout-test-utils.js';
+import MindmapModel from './mindmap-model.js';
+import NodeAnnotations from './node-annotations.js';
+import { renderModelToSvg } from '../headless.js';
+
+const PLAN = `# Plan
+## Risky branch {color=#e33 layout=vertical collapsed}
+### Vendor lock-in
+### Budget
+## Safe
+- Ship it {background="#e0ffe0" shape=rounded fontSize=18}
+- Tasks {done=true}
+- Braces in text {not an annotation}`;
+
+describe('Node annotations', () => {
+  useWidthTableMetrics();
+
+  test('turns trailing attribute blocks into overrides', async () => {
+    const model = new MindmapModel();
+    const root = await model.parseFromMarkdown(PLAN);
+    const [risky, safe] = root.children;
+    const [shipIt, tasks, braces] = safe.children;
+
+    expect(risky.text).toBe('Risky branch');
+    expect(risky.configOverrides).toEqual({ textColor: '#e33', layoutType: 'vertical' });
+    expect(risky.collapsed).toBe(true);
+    expect(shipIt.text).toBe('Ship it');
+    expect(shipIt.configOverrides).toEqual({ backgroundColor: '#e0ffe0', nodeType: 'rounded', fontSize: 18 });
+    expect(tasks.configOverrides).toEqual({ done: true });
+    expect(braces.text).toBe('Braces in text {not an annotation}');
+    expect(braces.configOverrides).toEqual({});
+  });
+
+  test('keeps annotations when layout overrides are cleared', async () => {
+    const model = new MindmapModel();
+    const root = await model.parseFromMarkdown(PLAN);
+    const risky = root.children[0];
+
+    risky.setOverride('direction', 'left');
+    root.clearOverridesRecursive();
+    expect(risky.configOverrides).toEqual({ textColor: '#e33', layoutType: 'vertical' });
+  });
+
+  test('writes annotations and changed collapse state back to markdown', async () => {
+    const model = new MindmapModel();
+    const root = await model.parseFromMarkdown(PLAN);
+    root.children[1].collapsed = true;
+    root.children[0].setOverride('direction', 'left'); // set by a layout, not written
+
+    const markdown = model.toMarkdown();
+    expect(markdown.split('\n')).toEqual([
+      '# Plan',
+      '## Risky branch {color=#e33 layout=vertical collapsed}',
+      '### Vendor lock-in',
+      '### Budget',
+      '## Safe {collapsed}',
+      '### Ship it {background=#e0ffe0 shape=rounded fontSize=18}',
+      '### Tasks {done=true}',
+      '### Braces in text {not an annotation}'
+    ]);
+
+    const reloaded = new MindmapModel();
+    await reloaded.parseFromMarkdown(markdown);
+    expect(reloaded.toMarkdown()).toBe(markdown);
+  });
+
+  test('quotes values that would not read back unchanged', () => {
+    const annotations = { textColor: 'dark red', label: '42', nodeType: 'circle' };
+    const block = NodeAnnotations.format(annotations, false);
+
+    expect(block).toBe(' {color="dark red" label="42" shape=circle expanded}');
+    expect(NodeAnnotations.parse('Node' + block)).toEqual({ text: 'Node', overrides: annotations, collapsed: false });
+  });
+
+  test('escapes quotes in values that contain both kinds', async () => {
+    const annotations = { fontFamily: `'Segoe UI', "Helvetica Neue"`, label: 'Say "hi"', note: 'C:\\temp\\' };
+    const block = NodeAnnotations.format(annotations);
+
+    expect(block).toBe(` {fontFamily="'Segoe UI', \\"Helvetica Neue\\"" label='Say "hi"' note=C:\\temp\\}`);
+    expect(NodeAnnotations.parse('Node' + block).overrides).toEqual(annotations);
+
+    // Through the markdown of a map
+    const model = new MindmapModel();
+    await model.parseFromMarkdown(`# Root\n## Branch${block}`);
+    expect(model.findNodeByText('Branch').configOverrides).toEqual(annotations);
+    expect(model.toMarkdown()).toBe(`# Root\n## Branch${block}`);
+  });
+
+  test('applies annotated sub-layouts when rendering', async () => {
+    const model = new MindmapModel();
+    await model.parseFromMarkdown('# Root\n## Branch\n### Stack {layout=vertical direction=down}\n#### One\n#### Two');
+    await renderModelToSvg(model, { layout: 'horizontal-right', expandAll: true });
+    const stack = model.getRoot().children[0].children[0];
+    const [one, two] = stack.children;
+
+    // Vertical layout places the children below their parent, side by side
+    expect(one.y).toBeGreaterThan(stack.y + stack.height);
+    expect(one.y).toBe(two.y);
+  });
+});
@@ -0,0 +1,164 @@
+// src/model/node-identity.js
+
+/**
+ * Carries node IDs over from a previous version of a node tree, e.g. when the markdown is
+ * parsed again after it was edited outside the map
+ *
+ * Nodes are matched in four passes, each considering only nodes not matched before:
+ *   1. same text path from the root (unchanged nodes)
+ *   2. same text, if only one unmatched node of the previous tree has it (moved nodes)
+ *   3. most similar text among the previous children of the matched parent (renamed nodes)
+ *   4. very similar text anywhere in the previous tree (moved and slightly renamed nodes)
+ * The roots always match, unless only one of them is the container of a forest.
+ * Nodes with a `^anchor` block id are left out; their ID comes from the anchor.
+ */
+class NodeIdentity {
+  // Minimum text similarity (0..1) for a renamed node to keep its ID
+  static SIMILARITY_THRESHOLD = 0.5;
+  // Minimum text similarity for a renamed node that also moved to another parent
+  static MOVED_SIMILARITY_THRESHOLD = 0.8;
+
+  /**
+   * Copy the IDs of matching nodes of the previous tree to the new tree
+   * @param {MindmapNode} previousRoot - Root of the previous tree
+   * @param {MindmapNode} root - Root of the new tree, whose nodes have temporary IDs
+   * @returns {number} The number of nodes that got an ID of the previous tree
+   */
+  static carryOver(previousRoot, root) {
+    const paths = new Map();
+    const previousNodes = this._collect(previousRoot, paths).filter(node => !node.hasTemporaryId());
+    const nodes = this._collect(root, paths);
+    const matches = new Map(); // new node -> previous node
+    const used = new Set();
+    const match = (node, previous) => {
+      matches.set(node, previous);
+      used.add(previous);
+    };
+
+    // A single root and a forest container are different kinds of node, so they only match their own kind
+    if (!root.anchor && previousNodes.includes(previousRoot) && root.isForest() === previousRoot.isForest()) {
+      match(root, previousRoot);
+    }
+
+    // 1. Unchanged nodes
+    const byPath = new Map();
+    for (const previous of previousNodes) {
+      const path = paths.get(previous);
+      byPath.set(path, [...(byPath.get(path) || []), previous]);
+    }
+    for (const node of nodes) {
+      if (matches.has(node)) continue;
+      const previous = (byPath.get(paths.get(node)) || []).find(candidate => !used.has(candidate));
+      if (previous) match(node, previous);
+    }
+
+    // 2. Moved nodes
+    for (const node of nodes) {
+      if (matches.has(node)) continue;
+      const candidates = previousNodes.filter(previous => !used.has(previous) && previous.text === node.text);
+      if (candidates.length === 1) match(node, candidates[0]);
+    }
+
+    // 3. Renamed nodes (parents come first in pre-order, so their matches are known)
+    for (const node of nodes) {
+      if (matches.has(node) || !matches.has(node.parent)) continue;
+      const siblings = matches.get(node.parent).children.filter(previous => previousNodes.includes(previous));
+      const best = this._mostSimilar(node, siblings, used, this.SIMILARITY_THRESHOLD);
+      if (best) match(node, best);
+    }
+
+    // 4. Moved and renamed nodes
+    for (const node of nodes) {
+      if (matches.has(node)) continue;
+      const best = this._mostSimilar(node, previousNodes, used, this.MOVED_SIMILARITY_THRESHOLD);
+      if (best) match(node, best);
+    }
+
+    for (const [node, previous] of matches) {
+      node.id = previous.id;
+    }
+    return matches.size;
+  }
+
+  /**
+   * Text similarity as the Dice coefficient of character bigrams (case-insensitive)
+   * @param {string} a - First text
+   * @param {string} b - Second text
+   * @returns {number} 1 for equal texts, down to 0 for texts without common bigrams
+   */
+  static similarity(a, b) {
+    const bigrams = text => {
+      const normalized = (text || '').toLowerCase().replace(/\s+/g, ' ').trim();
+      const result = new Map();
+      for (let i = 0; i < normalized.length - 1; i++) {
+        const bigram = normalized.slice(i, i + 2);
+        result.set(bigram, (result.get(bigram) || 0) + 1);
+      }
+      return result;
+    };
+
+    if ((a || '').toLowerCase().trim() === (b || '').toLowerCase().trim()) return 1;
+    const first = bigrams(a);
+    const second = bigrams(b);
+    let common = 0;
+    let total = 0;
+    for (const [bigram, count] of first) {
+      common += Math.min(count, second.get(bigram) || 0);
+      total += count;
+    }
+    for (const count of second.values()) {
+      total += count;
+    }
+    return total > 0 ? (2 * common) / total : 0;
+  }
+
+  /**
+   * Find the unmatched candidate with the text most similar to a node's text
+   * @private
+   * @param {MindmapNode} node - The node to match
+   * @param {Array<MindmapNode>} candidates - Nodes of the previous tree
+   * @param {Set<MindmapNode>} used - Nodes of the previous tree that are already matched
+   * @param {number} threshold - Minimum similarity
+   * @returns {MindmapNode|null} The best candidate, or null if none is similar enough
+   */
+  static _mostSimilar(node, candidates, used, threshold) {
+    let best = null;
+    let bestSimilarity = threshold;
+    for (const candidate of candidates) {
+      if (used.has(candidate)) continue;
+      const similarity = this.similarity(candidate.text, node.text);
+      if (similarity >= bestSimilarity) {
+        best = candidate;
+        bestSimilarity = similarity;
+      }
+    }
+    return best;
+  }
+
+  /**
+   * Collect the nodes of a tree in pre-order, leaving out anchored nodes
+   * @private
+   * @param {MindmapNode} root - The root node
+   * @param {Map<MindmapNode, string>} paths - Map to store the text path below the root of each node in
+   * @returns {Array<MindmapNode>} The nodes
+   */
+  static _collect(root, paths) {
+    const nodes = [];
+    const visit = (node, parentPath) => {
+      // The roots always match, so their text is not part of the paths
+      const path = parentPath === null ? '' : `${parentPath}\u0000${node.text}`;
+      paths.set(node, path);
+      if (!node.anchor) nodes.push(node);
+      node.children.forEach(child => visit(child, path));
+    };
+    if (root) visit(root, null);
+    return nodes;
+  }
+}
+
+// For backward compatibility
+if (typeof window !== 'undefined') {
+  window.NodeIdentity = NodeIdentity;
+}
+
+export default NodeIdentity;
@@ -0,0 +1,113 @@
+/**
+ * Tests for stable node IDs
+ */
+
+import MindmapModel from './mindmap-model.js';
+import MindmapNode from './node.js';
+import NodeIdentity from './node-identity.js';
+
+const PLAN = `# Launch
+## Build
+### Backend
+### Frontend
+## Ship
+### Release notes
+### Announcement`;
+
+/**
+ * Map node text to node ID
+ * @param {MindmapModel} model - The model
+ * @returns {Object} IDs by node text
+ */
+function idsByText(model) {
+  const ids = {};
+  for (const [id, node] of model.nodeMap) {
+    ids[node.text] = id;
+  }
+  return ids;
+}
+
+describe('Stable node IDs', () => {
+  let logSpy;
+
+  beforeEach(() => {
+    logSpy = jest.spyOn(console, 'log').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    logSpy.mockRestore();
+  });
+
+  test('gives a freshly parsed document the same IDs every time', async () => {
+    const first = new MindmapModel();
+    const second = new MindmapModel();
+    await first.parseFromMarkdown(PLAN);
+    await second.parseFromMarkdown(PLAN);
+
+    expect(idsByText(second)).toEqual(idsByText(first));
+    expect(first.getRoot().id).toMatch(/^node_[0-9a-f]+$/);
+  });
+
+  test('keeps IDs when nodes are renamed or moved', async () => {
+    const model = new MindmapModel();
+    const root = await model.parseFromMarkdown(PLAN);
+    const ids = idsByText(model);
+    const [build, ship] = root.children;
+    const frontend = build.children[1];
+
+    build.text = 'Build it';
+    build.removeChild(frontend);
+    ship.addChild(frontend);
+    const added = new MindmapNode('QA', 2);
+    root.addChild(added);
+    model.regenerateAllIds();
+
+    expect(build.id).toBe(ids['Build']);
+    expect(frontend.id).toBe(ids['Frontend']);
+    expect(model.findNodeById(ids['Frontend'])).toBe(frontend);
+    expect(added.hasTemporaryId()).toBe(false);
+    expect(Object.values(ids)).not.toContain(added.id);
+  });
+
+  test('matches nodes again when the markdown is edited and parsed again', async () => {
+    const model = new MindmapModel();
+    await model.parseFromMarkdown(PLAN);
+    const ids = idsByText(model);
+
+    await model.parseFromMarkdown(`# Product launch
+## Ship
+### Release notes for v2
+### Frontend
+## Build
+### Backend services
+### Announcements
+### Docs`);
+    const newIds = idsByText(model);
+
+    expect(newIds['Product launch']).toBe(ids['Launch']);
+    expect(newIds['Ship']).toBe(ids['Ship']);
+    expect(newIds['Release notes for v2']).toBe(ids['Release notes']);
+    expect(newIds['Frontend']).toBe(ids['Frontend']);
+    expect(newIds['Backend services']).toBe(ids['Backend']);
+    expect(newIds['Announcements']).toBe(ids['Announcement']);
+    expect(Object.values(ids)).not.toContain(newIds['Docs']);
+  });
+
+  test('uses block anchors as IDs', async () => {
+    const model = new MindmapModel();
+    await model.parseFromMarkdown('# Launch\n## Build ^build\n## Ship ^build');
+    const [build, ship] = model.getRoot().children;
+
+    expect(build.id).toBe('node_build');
+    expect(ship.id).toBe('node_build_2');
+
+    await model.parseFromMarkdown('# Launch\n## Build everything ^build');
+    expect(model.getRoot().children[0].id).toBe('node_build');
+  });
+
+  test('scores text similarity', () => {
+    expect(NodeIdentity.similarity('Backend', 'backend')).toBe(1);
+    expect(NodeIdentity.similarity('Backend', 'Backend services')).toBeGreaterThan(NodeIdentity.SIMILARITY_THRESHOLD);
+    expect(NodeIdentity.similarity('Backend', 'Docs')).toBe(0);
+  });
+});
@@ -0,0 +1,93 @@
+// src/model/node-search.js
+
+import { markdownToText } from '../utils/markdown-to-svg.js';
+
+/**
+ * Text search over the nodes of a map
+ *
+ * A node matches if its markdown source or the text it is rendered as (without markdown syntax, with
+ * link labels) matches, so that `**bold** move` is found both by "bold move" and by "**bold**".
+ * Body blocks (code, tables, quotes), notes, labels and tags (as `#tag`) are searched too.
+ */
+class NodeSearch {
+  /**
+   * Create a function that tests text against a query
+   * @param {string} query - The search text, or a regular expression
+   * @param {Object} options - Search options
+   * @param {boolean} options.regex - Read the query as a regular expression
+   * @param {boolean} options.caseSensitive - Match upper and lower case exactly
+   * @returns {Function|null} Function from text to boolean, or null for an empty query
+   * @throws {SyntaxError} If the query is not a valid regular expression
+   */
+  static createMatcher(query, { regex = false, caseSensitive = false } = {}) {
+    if (!query) return null;
+
+    if (regex) {
+      const pattern = new RegExp(query, caseSensitive ? '' : 'i');
+      return text => pattern.test(text);
+    }
+    const needle = caseSensitive ? query : query.toLowerCase();
+    return text => (caseSensitive ? text : text.toLowerCase()).includes(needle);
+  }
+
+  /**
+   * Get the texts of a node that are searched
+   * @param {MindmapNode} node - The node
+   * @returns {Array<string>} Markdown source, rendered text, body, note, labels and hashtags
+   */
+  static getSearchTexts(node) {
+    const hashtags = [...(node.tags || [])].map(tag => `#${tag}`);
+    return [node.text, markdownToText(node.text || ''), node.body, node.note, ...(node.labels || []), ...hashtags]
+      .filter(text => typeof text === 'string' && text);
+  }
+
+  /**
+   * Find the nodes that match, including those in collapsed branches
+   * @param {MindmapNode} rootNode - The root node (or the container of several top-level topics)
+   * @param {Function|null} matcher - Function from createMatcher()
+   * @returns {Array<MindmapNode>} The matching nodes, in document order
+   */
+  static find(rootNode, matcher) {
+    const matches = [];
+    if (!rootNode || !matcher) return matches;
+
+    const visit = node => {
+      // The container of a forest has no text of its own
+      if (!node.isForest() && this.getSearchTexts(node).some(text => matcher(text))) {
+        matches.push(node);
+      }
+      node.children.forEach(visit);
+    };
+    visit(rootNode);
+    return matches;
+  }
+
+  /**
+   * Get the nodes that stay visible when the view is filtered to the matching branches:
+   * the matches, their ancestors and their descendants
+   * @param {Array<MindmapNode>} matches - The matching nodes
+   * @returns {Set<string>} IDs of the visible nodes
+   */
+  static getBranchIds(matches) {
+    const ids = new Set();
+    const addBranch = node => {
+      ids.add(node.id);
+      node.children.forEach(addBranch);
+    };
+
+    for (const match of matches) {
+      addBranch(match);
+      for (let ancestor = match.parent; ancestor; ancestor = ancestor.parent) {
+        ids.add(ancestor.id);
+      }
+    }
+    return ids;
+  }
+}
+
+// For backward compatibility
+if (typeof window !== 'undefined') {
+  window.NodeSearch = NodeSearch;
+}
+
+export default NodeSearch;
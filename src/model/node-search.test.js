@@ -0,0 +1,109 @@
+/**
+ * Tests for searching the nodes of a map
+ */
+
+import { useWidthTableMetrics } from '../../tests/utils/layout-test-utils.js';
+import MindmapModel from './mindmap-model.js';
+import NodeSearch from './node-search.js';
+import StyleManager from '../style/style-manager.js';
+import MindmapStylePresets from '../style/style-presets.js';
+import LayoutFactory from '../layout/layout-factory.js';
+import MindmapRenderer from '../renderer/mindmap-renderer.js';
+
+const NOTES = `# Project
+## Planning
+### Budget review
+#### Travel costs
+## **Bold** move
+## Risks
+- See [the wiki](https://wiki.example.com/risks)
+- Vendor lock-in
+
+\`\`\`
+budget: 12k
+\`\`\``;
+
+describe('Node search', () => {
+  useWidthTableMetrics();
+
+  /**
+   * Search a parsed map and return the texts of the matches
+   * @param {MindmapModel} model - The model
+   * @param {string} query - The query
+   * @param {Object} options - Search options
+   * @returns {Array<string>} Texts of the matching nodes
+   */
+  const texts = (model, query, options) => model.searchNodes(query, options).map(node => node.text);
+
+  test('finds substrings in all nodes, including collapsed branches', async () => {
+    const model = new MindmapModel();
+    await model.parseFromMarkdown(NOTES);
+
+    // The code block belongs to the body of "Risks"
+    expect(texts(model, 'BUDGET')).toEqual(['Budget review', 'Risks']);
+    expect(texts(model, 'BUDGET', { caseSensitive: true })).toEqual([]);
+    expect(texts(model, 'travel')).toEqual(['Travel costs']);
+    expect(texts(model, '')).toEqual([]);
+  });
+
+  test('searches the rendered text as well as the markdown source', async () => {
+    const model = new MindmapModel();
+    await model.parseFromMarkdown(NOTES);
+
+    expect(texts(model, 'bold move')).toEqual(['**Bold** move']);
+    expect(texts(model, '**bold**')).toEqual(['**Bold** move']);
+    expect(texts(model, 'the wiki')).toEqual(['See [the wiki](https://wiki.example.com/risks)']);
+    expect(texts(model, 'wiki.example.com')).toHaveLength(1);
+  });
+
+  test('supports regular expressions and reports invalid ones', async () => {
+    const model = new MindmapModel();
+    await model.parseFromMarkdown(NOTES);
+
+    expect(texts(model, '^(planning|risks)$', { regex: true })).toEqual(['Planning', 'Risks']);
+    expect(texts(model, '\\d+k', { regex: true })).toEqual(['Risks']);
+    expect(() => model.searchNodes('(unclosed', { regex: true })).toThrow(SyntaxError);
+  });
+
+  test('reveals matches in collapsed branches as one undo step', async () => {
+    const model = new MindmapModel();
+    await model.parseFromMarkdown(`${NOTES}\n## Archive {collapsed}\n### Old budget`);
+    const ids = model.searchNodes('budget').map(node => node.id);
+    const archive = model.findNodeByText('Archive');
+
+    expect(model.revealNodes(ids)).toBe(true);
+    expect(archive.collapsed).toBe(false);
+    expect(model.revealNodes(ids)).toBe(false);
+
+    model.undo();
+    expect(archive.collapsed).toBe(true);
+  });
+
+  test('filters the rendered map to the matching branches', async () => {
+    const model = new MindmapModel();
+    await model.parseFromMarkdown('# Project\n## Planning\n### Budget review\n## Risks\n### Vendor lock-in');
+    const styleManager = new StyleManager();
+    MindmapStylePresets.applyPreset('default', styleManager);
+    LayoutFactory.createRootLayout(model.getRoot(), styleManager).applyLayout(model.getRoot(), 0, 0, styleManager);
+    const renderer = new MindmapRenderer(model, styleManager);
+    const matches = model.searchNodes('budget');
+
+    const branchIds = NodeSearch.getBranchIds(matches);
+    expect(['Project', 'Planning', 'Budget review'].every(text => branchIds.has(model.findNodeByText(text).id))).toBe(true);
+    expect(branchIds.has(model.findNodeByText('Risks').id)).toBe(false);
+
+    renderer.setSearchResults(matches.map(node => node.id), 'hide');
+    let svg = await renderer.generateSVG();
+    expect(svg).toContain('Budget review');
+    expect(svg).not.toContain('Vendor lock-in');
+
+    renderer.setSearchResults(matches.map(node => node.id), 'dim');
+    svg = await renderer.generateSVG();
+    expect(svg).toContain('Vendor lock-in');
+    expect(svg.match(/class="search-dimmed"/g)).toHaveLength(1);
+
+    // A search without matches leaves the map as it is
+    renderer.setSearchResults([], 'hide');
+    expect(await renderer.generateSVG()).toContain('Vendor lock-in');
+  });
+});
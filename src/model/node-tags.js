@@ -0,0 +1,66 @@
+// src/model/node-tags.js
+
+/**
+ * Hashtags at the end of heading and list item text, used as node tags
+ *
+ *   ## Vendor lock-in #risk #blocked
+ *   - Try a plugin API #idea {color=#36c}
+ *
+ * The trailing run of `#tag` words is moved to the node's tags and written back after the text.
+ * Tags start with a letter or underscore, so `#1` stays text; a topic that only consists of tags
+ * keeps them as its text. Tags are compared without regard to case (see normalize()).
+ */
+class NodeTags {
+  static TAG_PATTERN = /^#([\p{L}_][\p{L}\p{N}_/-]*)$/u;
+
+  /**
+   * Split the trailing hashtags off node text
+   * @param {string} text - Heading or list item text, without annotation block and block id
+   * @returns {{text: string, tags: Array<string>}} The text without the hashtags, and the tags without '#' in order
+   */
+  static parse(text) {
+    const words = (text || '').split(/(\s+)/);
+    const tags = [];
+    // Words are at even positions, the whitespace between them at odd ones
+    let end = words.length - 1;
+    if (end >= 0 && !words[end]) end -= 2;
+    while (end > 0) {
+      const match = words[end].match(this.TAG_PATTERN);
+      if (!match) break;
+      tags.unshift(match[1]);
+      end -= 2;
+    }
+
+    const remainingText = words.slice(0, end + 1).join('').trim();
+    if (tags.length === 0 || !remainingText) {
+      return { text, tags: [] };
+    }
+    return { text: remainingText, tags };
+  }
+
+  /**
+   * Format the tags of a node for its markdown line
+   * @param {Iterable<string>} tags - The tags, without '#'
+   * @returns {string} The hashtags with a leading space, or an empty string if there are none
+   */
+  static format(tags) {
+    const list = [...(tags || [])];
+    return list.length > 0 ? ' ' + list.map(tag => `#${tag}`).join(' ') : '';
+  }
+
+  /**
+   * Get the form of a tag used to compare tags and to look up tag styles
+   * @param {string} tag - A tag, with or without '#'
+   * @returns {string} The tag in lower case, without '#'
+   */
+  static normalize(tag) {
+    return String(tag).replace(/^#/, '').toLowerCase();
+  }
+}
+
+// For backward compatibility
+if (typeof window !== 'undefined') {
+  window.NodeTags = NodeTags;
+}
+
+export default NodeTags;
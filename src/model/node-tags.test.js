@@ -0,0 +1,96 @@
+/**
+ * Tests for hashtags as node tags
+ */
+
+import { useWidthTableMetrics } from '../../tests/utils/layout-test-utils.js';
+import MindmapModel from './mindmap-model.js';
+import NodeTags from './node-tags.js';
+import StyleManager from '../style/style-manager.js';
+import MindmapStylePresets from '../style/style-presets.js';
+import LayoutFactory from '../layout/layout-factory.js';
+import MindmapRenderer from '../renderer/mindmap-renderer.js';
+import TaskDecorations from '../utils/task-decorations.js';
+
+const NOTES = `# Launch
+## Vendor lock-in #risk #Blocked {color=#e33} ^vendor
+## Plugin API #idea
+### Ship #blocked by legal
+## #risk`;
+
+describe('Node tags', () => {
+  useWidthTableMetrics();
+
+  test('splits trailing hashtags off the text', () => {
+    expect(NodeTags.parse('Vendor lock-in #risk #blocked')).toEqual({ text: 'Vendor lock-in', tags: ['risk', 'blocked'] });
+    expect(NodeTags.parse('Ship #blocked by legal')).toEqual({ text: 'Ship #blocked by legal', tags: [] });
+    expect(NodeTags.parse('Fix issue #12')).toEqual({ text: 'Fix issue #12', tags: [] });
+    expect(NodeTags.parse('Stretch goals #nice-to-have #v2/ui ')).toEqual({ text: 'Stretch goals', tags: ['nice-to-have', 'v2/ui'] });
+    expect(NodeTags.parse('#risk')).toEqual({ text: '#risk', tags: [] });
+    expect(NodeTags.format(new Set(['risk', 'idea']))).toBe(' #risk #idea');
+    expect(NodeTags.normalize('#Risk')).toBe('risk');
+  });
+
+  test('parses tags with annotations and block ids and writes them back', async () => {
+    const model = new MindmapModel();
+    await model.parseFromMarkdown(NOTES);
+    const vendor = model.findNodeById('node_vendor');
+
+    expect(vendor.text).toBe('Vendor lock-in');
+    expect([...vendor.tags]).toEqual(['risk', 'Blocked']);
+    expect(vendor.hasTag('#blocked')).toBe(true);
+    expect(vendor.configOverrides.textColor).toBe('#e33');
+    expect(model.findNodeByText('Ship #blocked by legal').tags.size).toBe(0);
+
+    expect(model.toMarkdown()).toBe(NOTES);
+    expect([...model.getTags()]).toEqual([['risk', 1], ['blocked', 1], ['idea', 1]]);
+
+    // Tags survive the .mindmap document format and are searched
+    model.fromJSON(JSON.parse(JSON.stringify(model.toJSON())));
+    expect(model.toMarkdown()).toBe(NOTES);
+    expect(model.searchNodes('#idea').map(node => node.text)).toEqual(['Plugin API']);
+  });
+
+  test('edits text and tags together as one undoable step', async () => {
+    const model = new MindmapModel();
+    await model.parseFromMarkdown(NOTES);
+    const plugin = model.findNodeByText('Plugin API');
+
+    expect(model.getNodeTextWithTags(plugin)).toBe('Plugin API #idea');
+    expect(model.setNodeTextWithTags(plugin.id, 'Plugin system #idea #risk')).toBe(true);
+    expect(plugin.text).toBe('Plugin system');
+    expect([...plugin.tags]).toEqual(['idea', 'risk']);
+    expect(model.setNodeTextWithTags(plugin.id, 'Plugin system #idea #risk')).toBe(false);
+
+    expect(model.undo().label).toBe('Edit text');
+    expect(plugin.text).toBe('Plugin API');
+    expect([...plugin.tags]).toEqual(['idea']);
+  });
+
+  test('styles tagged nodes, reserves room for the chips and hides tagged branches', async () => {
+    const model = new MindmapModel();
+    await model.parseFromMarkdown(NOTES);
+    const styleManager = new StyleManager();
+    MindmapStylePresets.applyPreset('default', styleManager);
+    styleManager.configure({ tagStyles: { '#RISK': { borderColor: '#e03131', borderWidth: 3 } } });
+    LayoutFactory.createRootLayout(model.getRoot(), styleManager).applyLayout(model.getRoot(), 0, 0, styleManager);
+
+    const vendor = model.findNodeById('node_vendor');
+    const plugin = model.findNodeByText('Plugin API');
+    expect(styleManager.getEffectiveValue(vendor, 'borderColor')).toBe('#e03131');
+    expect(styleManager.getEffectiveValue(plugin, 'borderColor')).toBe(styleManager.getLevelStyle(2).borderColor);
+    expect(TaskDecorations.getInsets(vendor, styleManager.getLevelStyle(2)).right).toBeGreaterThan(0);
+
+    const renderer = new MindmapRenderer(model, styleManager);
+    let svg = await renderer.generateSVG();
+    expect(svg).toContain(`id="${vendor.id}_tag_risk"`);
+    expect(svg).toContain('>#Blocked<');
+    expect(svg).toContain('#e03131');
+
+    renderer.setHiddenTags(['#Idea']);
+    expect(renderer.isNodeHidden(model.findNodeByText('Ship #blocked by legal'))).toBe(true);
+    svg = await renderer.generateSVG();
+    expect(svg).not.toContain('Plugin API');
+    expect(svg).not.toContain('by legal');
+    expect(svg).toContain('Vendor lock-in');
+  });
+});
@@ -1,9 +1,14 @@
 // src/model/node.js - Enhancement for configuration overrides
 
+import NodeTags from './node-tags.js';
+
 /**
  * MindmapNode class for the mindmap
  */
 class MindmapNode {
+  // Prefix of the IDs of nodes that have not been given an ID yet (see assignIds())
+  static TEMP_ID_PREFIX = 'node_temp_';
+
   /**
    * Create a new Node
    * @param {string} text - The text content of the node
@@ -25,7 +30,7 @@ class MindmapNode {
     this.collapsed = collapsed;
     
     // Start with a temporary ID, will be updated properly at the right time
-    this.id = 'node_temp_' + (Date.now() + Math.random()).toString(36);
+    this.id = MindmapNode.createTemporaryId();
     
     this.boundingBox = {
         x: 0, y: 0, width: 0, height: 0
@@ -33,6 +38,31 @@ class MindmapNode {
 
     // Configuration overrides dictionary
     this.configOverrides = {};
+
+    // Overrides that come from the source (markdown annotations, imported colors and shapes);
+    // unlike overrides set by layouts they are restored when overrides are cleared
+    this.annotations = {};
+
+    // Topic metadata kept from imported files (e.g. XMind notes and labels, Mermaid icons)
+    this.note = null;
+    this.labels = [];
+    this.icon = null;
+
+    // Markdown blocks (code, tables, quotes, ...) that belong to this node, kept for round trips
+    this.body = null;
+
+    // Where the body goes among the children: from each `offset` in the body on, the blocks follow the
+    // first `after` children (the body before the first entry comes right after the node itself)
+    this.bodyPositions = [];
+
+    // Task state of GFM task items (`- [ ] todo`, `- [x] done`): null if the node is not a task
+    this.checked = null;
+
+    // Block id (`^anchor` at the end of the markdown line) that links can point at
+    this.anchor = null;
+
+    // Tags from the hashtags at the end of the markdown line (`#risk`), without '#' (see NodeTags)
+    this.tags = new Set();
   }
 
   /**
@@ -52,6 +82,16 @@ class MindmapNode {
     this.configOverrides[property] = value;
   }
 
+  /**
+   * Set an override that belongs to the node's source, e.g. a `{color=#e33}` markdown annotation
+   * @param {string} property - The property name to override
+   * @param {any} value - The value to set
+   */
+  setAnnotation(property, value) {
+    this.annotations[property] = value;
+    this.setOverride(property, value);
+  }
+
   /**
    * Clear a configuration override
    * @param {string} property - The property name to clear
@@ -61,10 +101,10 @@ class MindmapNode {
   }
 
   /**
-   * Clear all configuration overrides
+   * Clear all configuration overrides except the node's annotations
    */
   clearAllOverrides() {
-    this.configOverrides = {};
+    this.configOverrides = { ...this.annotations };
   }
 
   clearOverridesRecursive() {
@@ -162,6 +202,79 @@ class MindmapNode {
     }
   }
   
+  /**
+   * Assign IDs to this node and its subtree, keeping the IDs that nodes already have
+   * Nodes keep their ID through edits and moves. A node with a block anchor gets `node_<anchor>`;
+   * nodes with a temporary ID get a deterministic ID from their content and position.
+   * Duplicate IDs get a numeric suffix.
+   */
+  assignIds() {
+    const nodes = [];
+    this._collectSubtree(nodes);
+
+    // IDs that stay take precedence over the new ones
+    const usedIds = new Set();
+    const newNodes = [];
+    for (const node of nodes) {
+      if (node.anchor) {
+        node.id = `node_${node.anchor}`;
+      }
+      if (node.hasTemporaryId() || usedIds.has(node.id)) {
+        newNodes.push(node);
+      } else {
+        usedIds.add(node.id);
+      }
+    }
+
+    for (const node of newNodes) {
+      const baseId = node.anchor ? `node_${node.anchor}` : node._generateDeterministicId();
+      let id = baseId;
+      for (let suffix = 2; usedIds.has(id); suffix++) {
+        id = `${baseId}_${suffix}`;
+      }
+      node.id = id;
+      usedIds.add(id);
+    }
+  }
+
+  /**
+   * Create a temporary ID for a node that has not been placed in a tree yet
+   * @returns {string} A unique temporary ID
+   */
+  static createTemporaryId() {
+    return MindmapNode.TEMP_ID_PREFIX + (Date.now() + Math.random()).toString(36);
+  }
+
+  /**
+   * Give this node and its descendants temporary IDs again, e.g. for nodes copied from another map,
+   * so that they get new IDs instead of taking over the IDs of existing nodes when they are added
+   */
+  clearIds() {
+    this.id = MindmapNode.createTemporaryId();
+    this.children.forEach(child => child.clearIds());
+  }
+
+  /**
+   * Check whether the node has not been given an ID yet
+   * @returns {boolean} True if the node has a temporary ID
+   */
+  hasTemporaryId() {
+    return this.id.startsWith(MindmapNode.TEMP_ID_PREFIX);
+  }
+
+  /**
+   * Collect this node and its descendants in pre-order, fixing parent pointers on the way
+   * @private
+   * @param {Array<MindmapNode>} nodes - Array to collect the nodes in
+   */
+  _collectSubtree(nodes) {
+    nodes.push(this);
+    for (const child of this.children) {
+      child.parent = this;
+      child._collectSubtree(nodes);
+    }
+  }
+  
   /**
    * For backward compatibility
    * @deprecated Use _generateDeterministicId() instead
@@ -173,6 +286,60 @@ class MindmapNode {
     return ++MindmapNode.lastId;
   }
 
+  /**
+   * Serialize this node and its subtree for the .mindmap document format
+   * Layout results (position, size, bounding box) are not stored; they are recomputed on load
+   * @returns {Object} Plain object representation
+   */
+  toJSON() {
+    return {
+      id: this.id,
+      text: this.text,
+      level: this.level,
+      collapsed: this.collapsed,
+      configOverrides: { ...this.configOverrides },
+      annotations: { ...this.annotations },
+      note: this.note,
+      labels: [...this.labels],
+      icon: this.icon,
+      body: this.body,
+      bodyPositions: this.bodyPositions.map(position => ({ ...position })),
+      checked: this.checked,
+      anchor: this.anchor,
+      tags: [...this.tags],
+      children: this.children.map(child => child.toJSON())
+    };
+  }
+
+  /**
+   * Create a node tree from its serialized representation
+   * @param {Object} data - Object produced by toJSON()
+   * @param {MindmapNode} parent - The parent node, if any
+   * @returns {MindmapNode} The restored node
+   */
+  static fromJSON(data, parent = null) {
+    // Level 0 is the container of a forest (several top-level topics)
+    const node = new MindmapNode(data.text || '', typeof data.level === 'number' ? data.level : 1, !!data.collapsed, parent);
+    if (data.id) {
+      node.id = data.id;
+    }
+    node.configOverrides = { ...(data.configOverrides || {}) };
+    node.annotations = { ...(data.annotations || {}) };
+    node.note = data.note || null;
+    node.labels = [...(data.labels || [])];
+    node.icon = data.icon || null;
+    node.body = data.body || null;
+    node.bodyPositions = (data.bodyPositions || []).map(position => ({ ...position }));
+    node.checked = typeof data.checked === 'boolean' ? data.checked : null;
+    node.anchor = data.anchor || null;
+    node.tags = new Set(data.tags || []);
+
+    for (const childData of data.children || []) {
+      node.children.push(MindmapNode.fromJSON(childData, node));
+    }
+    return node;
+  }
+
   addChild(childNode) {
     this.children.push(childNode);
     childNode.setParent(this);
@@ -209,10 +376,75 @@ class MindmapNode {
     this.collapsed = true;
   }
 
+  /**
+   * Check whether the node is a task item
+   * @returns {boolean} True if the node has a task state
+   */
+  isTask() {
+    return this.checked !== null;
+  }
+
+  /**
+   * Check whether the node has a tag
+   * @param {string} tag - The tag, with or without '#' (case does not matter)
+   * @returns {boolean} True if the node has the tag
+   */
+  hasTag(tag) {
+    const wanted = NodeTags.normalize(tag);
+    return [...this.tags].some(own => NodeTags.normalize(own) === wanted);
+  }
+
+  /**
+   * Check if the node is the container of a forest: the invisible parent of several top-level topics
+   * @returns {boolean} True for the root container of a document with more than one top-level topic
+   */
+  isForest() {
+    return this.level === 0 && !this.parent && this.hasChildren();
+  }
+
+  /**
+   * Check if the node is a floating topic: a top-level topic of a forest annotated with `{floating=true}`
+   * Floating topics are placed on their own (see ForestLayout) instead of next to the other trees.
+   * @returns {boolean} True if the node is a floating topic
+   */
+  isFloating() {
+    return !!this.parent && this.parent.isForest() && this.annotations.floating === true;
+  }
+
+  /**
+   * Toggle the task state of a task item
+   * @returns {boolean} True if the node is a task and was toggled
+   */
+  toggleChecked() {
+    if (!this.isTask()) return false;
+    this.checked = !this.checked;
+    return true;
+  }
+
+  /**
+   * Count the task items among the node's descendants
+   * @returns {{done: number, total: number}} Number of checked tasks and of all tasks
+   */
+  getTaskProgress() {
+    const progress = { done: 0, total: 0 };
+    for (const child of this.children) {
+      if (child.isTask()) {
+        progress.total++;
+        if (child.checked) progress.done++;
+      }
+      const childProgress = child.getTaskProgress();
+      progress.done += childProgress.done;
+      progress.total += childProgress.total;
+    }
+    return progress;
+  }
+
   setParent(node) {
     this.parent = node;
-    // Regenerate ID now that parent relationship is established
-    this.id = this._generateDeterministicId();
+    // Generate the ID now that the parent relationship is established; nodes that have one keep it when moved
+    if (this.hasTemporaryId()) {
+      this.id = this._generateDeterministicId();
+    }
   }
   
   /**
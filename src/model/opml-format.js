@@ -0,0 +1,161 @@
+// src/model/opml-format.js
+
+import MindmapNode from './node.js';
+import XmlParser from '../utils/xml-parser.js';
+import NodeTags from './node-tags.js';
+
+/**
+ * Import and export of OPML outlines (Workflowy, Dynalist, Logseq, ...)
+ *
+ * Mapping between OPML and the model:
+ *   <outline text="...">         -> node.text, trailing hashtags -> node.tags
+ *   _note attribute              -> node.note
+ *   nested <outline> elements    -> node.children
+ *   <head><expansionState>       -> node.collapsed (outlines with children that are not listed)
+ *
+ * An outline with several top-level items gets a root node named after the document title.
+ */
+class OpmlFormat {
+  static FILE_EXTENSION = '.opml';
+  static MIME_TYPE = 'text/x-opml';
+
+  /**
+   * Parse an OPML document into a node tree
+   * @param {string} xml - The OPML content
+   * @returns {MindmapNode} The root node (level 1)
+   * @throws {Error} If the content is not OPML or has no outlines
+   */
+  static parse(xml) {
+    const opml = XmlParser.parse(xml);
+    if (opml.name !== 'opml') {
+      throw new Error('Not an OPML document: missing <opml> element');
+    }
+
+    const head = XmlParser.childElement(opml, 'head');
+    const body = XmlParser.childElement(opml, 'body');
+    const outlines = body ? XmlParser.childElements(body, 'outline') : [];
+    if (outlines.length === 0) {
+      throw new Error('OPML document contains no outlines');
+    }
+
+    const title = head && XmlParser.childElement(head, 'title');
+    const expansionState = head && XmlParser.childElement(head, 'expansionState');
+    const context = {
+      index: 0,
+      expanded: expansionState ? this._parseExpansionState(XmlParser.textContent(expansionState)) : null
+    };
+
+    if (outlines.length === 1) {
+      return this._parseOutline(outlines[0], 1, null, context);
+    }
+
+    const root = new MindmapNode(title ? XmlParser.textContent(title).trim() || 'Outline' : 'Outline', 1);
+    for (const outline of outlines) {
+      root.children.push(this._parseOutline(outline, 2, root, context));
+    }
+    return root;
+  }
+
+  /**
+   * Convert a node tree to an OPML 2.0 document
+   * The top-level topics of a forest become top-level outlines.
+   * @param {MindmapNode} rootNode - The root node
+   * @returns {string} The OPML content
+   */
+  static stringify(rootNode) {
+    const outlineLines = [];
+    const expanded = [];
+    const roots = rootNode.isForest() ? rootNode.children : [rootNode];
+    const context = { index: 0 };
+    roots.forEach(root => this._stringifyNode(root, outlineLines, expanded, context, 2));
+
+    const lines = [
+      '<?xml version="1.0" encoding="UTF-8"?>',
+      '<opml version="2.0">',
+      '  <head>',
+      `    <title>${XmlParser.escape(roots[0].text || 'Mindmap')}</title>`
+    ];
+    if (expanded.length > 0) {
+      lines.push(`    <expansionState>${expanded.join(',')}</expansionState>`);
+    }
+    lines.push('  </head>', '  <body>', ...outlineLines, '  </body>', '</opml>');
+    return lines.join('\n') + '\n';
+  }
+
+  /**
+   * Recursively convert an <outline> element
+   * @private
+   * @param {Object} element - The <outline> element
+   * @param {number} level - Hierarchy level of the node
+   * @param {MindmapNode} parent - The parent node
+   * @param {Object} context - Running outline index and the set of expanded indices (or null)
+   * @returns {MindmapNode} The created node
+   */
+  static _parseOutline(element, level, parent, context) {
+    const index = context.index++;
+    const { text, tags } = NodeTags.parse((element.attributes.text || element.attributes.title || '').replace(/\s*\n\s*/g, ' ').trim());
+    const childElements = XmlParser.childElements(element, 'outline');
+    const collapsed = !!context.expanded && childElements.length > 0 && !context.expanded.has(index);
+
+    const node = new MindmapNode(text, level, collapsed, parent);
+    node.tags = new Set(tags);
+    if (element.attributes._note) {
+      node.note = element.attributes._note;
+    }
+
+    for (const childElement of childElements) {
+      node.children.push(this._parseOutline(childElement, level + 1, node, context));
+    }
+    return node;
+  }
+
+  /**
+   * Parse the comma-separated list of expanded outline indices
+   * @private
+   * @param {string} value - The expansionState text
+   * @returns {Set<number>} Indices of expanded outlines (in document order)
+   */
+  static _parseExpansionState(value) {
+    return new Set(value.split(',').map(item => parseInt(item, 10)).filter(Number.isInteger));
+  }
+
+  /**
+   * Recursively append the <outline> lines of a node
+   * @private
+   * @param {MindmapNode} node - The node to convert
+   * @param {Array<string>} lines - Accumulator for output lines
+   * @param {Array<number>} expanded - Accumulator for indices of expanded outlines
+   * @param {Object} context - Running outline index
+   * @param {number} depth - Indentation depth
+   */
+  static _stringifyNode(node, lines, expanded, context, depth) {
+    const indent = '  '.repeat(depth);
+    const index = context.index++;
+
+    let attributes = ` text="${XmlParser.escape((node.text || '') + NodeTags.format(node.tags))}"`;
+    if (node.note) {
+      attributes += ` _note="${XmlParser.escape(node.note)}"`;
+    }
+
+    if (node.children.length === 0) {
+      lines.push(`${indent}<outline${attributes}/>`);
+      return;
+    }
+
+    if (!node.collapsed) {
+      expanded.push(index);
+    }
+    lines.push(`${indent}<outline${attributes}>`);
+    for (const child of node.children) {
+      this._stringifyNode(child, lines, expanded, context, depth + 1);
+    }
+    lines.push(`${indent}</outline>`);
+  }
+}
+
+// For backward compatibility
+if (typeof window !== 'undefined') {
+  window.OpmlFormat = OpmlFormat;
+}
+
+export default OpmlFormat;
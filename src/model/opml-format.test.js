@@ -0,0 +1,99 @@
+/**
+ * Tests for OPML import and export
+ */
+
+import MindmapModel from './mindmap-model.js';
+import OpmlFormat from './opml-format.js';
+
+const WORKFLOWY_OPML = `<?xml version="1.0"?>
+<opml version="2.0">
+  <head>
+    <title>Weekly plan</title>
+    <expansionState>0,4</expansionState>
+  </head>
+  <body>
+    <outline text="Monday" _note="Standup at 9">
+      <outline text="Review PRs"/>
+      <outline text="Write &quot;docs&quot;"/>
+    </outline>
+    <outline text="Tuesday">
+      <outline text="Release">
+        <outline text="Tag version"/>
+      </outline>
+    </outline>
+  </body>
+</opml>`;
+
+describe('OPML format', () => {
+  let logSpy;
+
+  beforeEach(() => {
+    logSpy = jest.spyOn(console, 'log').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    logSpy.mockRestore();
+  });
+
+  test('imports outlines, notes and expansion state', () => {
+    const model = new MindmapModel();
+    const root = model.parseFromOPML(WORKFLOWY_OPML);
+    const [monday, tuesday] = root.children;
+
+    // Several top-level outlines are gathered under a root named after the title
+    expect(root.text).toBe('Weekly plan');
+    expect(monday.text).toBe('Monday');
+    expect(monday.note).toBe('Standup at 9');
+    expect(monday.children.map(child => child.text)).toEqual(['Review PRs', 'Write "docs"']);
+    expect(monday.collapsed).toBe(false);
+    expect(tuesday.collapsed).toBe(true);
+    expect(tuesday.children[0].collapsed).toBe(false);
+    expect(tuesday.children[0].children[0].level).toBe(4);
+  });
+
+  test('uses a single top-level outline as the root', () => {
+    const root = OpmlFormat.parse('<opml version="1.0"><body><outline text="Only"><outline text="Child"/></outline></body></opml>');
+
+    expect(root.text).toBe('Only');
+    expect(root.level).toBe(1);
+    expect(root.children[0].parent).toBe(root);
+    expect(root.children[0].collapsed).toBe(false);
+  });
+
+  test('round-trips through the OPML exporter', async () => {
+    const model = new MindmapModel();
+    await model.parseFromMarkdown('# Plan & Goals\n## Build\n### Backend\n## Ship\n- Announce');
+    const ship = model.getRoot().children[1];
+    ship.collapsed = true;
+    ship.note = 'Friday\nafter QA';
+
+    const opml = model.toOPML();
+    expect(opml).toContain('<title>Plan &amp; Goals</title>');
+    expect(opml).toContain('<expansionState>0,1</expansionState>');
+    expect(opml).toContain('_note="Friday&#10;after QA"');
+
+    const reloaded = new MindmapModel();
+    const root = reloaded.parseFromOPML(opml);
+    expect(reloaded.toMarkdown()).toBe(model.toMarkdown());
+    expect(root.children[1].collapsed).toBe(true);
+    expect(root.children[1].note).toBe('Friday\nafter QA');
+  });
+
+  test('writes tags as hashtags after the text', async () => {
+    const model = new MindmapModel();
+    await model.parseFromMarkdown('# Plan\n## Vendor lock-in #risk #blocked\n- Try a plugin API #idea');
+
+    const opml = model.toOPML();
+    expect(opml).toContain('<outline text="Vendor lock-in #risk #blocked">');
+    expect(opml).toContain('<outline text="Try a plugin API #idea"/>');
+
+    const root = new MindmapModel().parseFromOPML(opml);
+    expect(root.children[0].text).toBe('Vendor lock-in');
+    expect([...root.children[0].tags]).toEqual(['risk', 'blocked']);
+  });
+
+  test('rejects documents that are not OPML', () => {
+    expect(() => OpmlFormat.parse('<map><node TEXT="x"/></map>')).toThrow('Not an OPML document');
+    expect(() => OpmlFormat.parse('<opml><head/><body/></opml>')).toThrow('contains no outlines');
+  });
+});
@@ -0,0 +1,86 @@
+/**
+ * Tests for pasting copied branches and text into a map
+ */
+
+import MindmapModel from './mindmap-model.js';
+
+describe('Pasting into a map', () => {
+  let logSpy;
+
+  beforeEach(() => {
+    logSpy = jest.spyOn(console, 'log').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    logSpy.mockRestore();
+  });
+
+  test('pastes a copied branch under another node as one undo step', async () => {
+    const model = new MindmapModel();
+    const root = await model.parseFromMarkdown(`# Launch
+## Build
+### Backend
+- API
+- Database ^db
+## Ship`);
+    const [build, ship] = root.children;
+    const backend = build.children[0];
+    const copied = model.toMarkdown(backend);
+
+    const added = await model.pasteMarkdown(ship.id, copied);
+
+    expect(added).toHaveLength(1);
+    const pasted = added[0];
+    expect(pasted.parent).toBe(ship);
+    expect(pasted.level).toBe(3);
+    expect(pasted.children.map(node => node.text)).toEqual(['API', 'Database']);
+    expect(pasted.children[0].level).toBe(4);
+
+    // The copy gets its own IDs; the block id stays with the original node
+    expect(pasted.id).not.toBe(backend.id);
+    expect(model.findNodeById(backend.id)).toBe(backend);
+    expect(model.findNodeById('node_db').parent).toBe(backend);
+    expect(pasted.children[1].anchor).toBeNull();
+
+    model.undo();
+    expect(ship.children).toHaveLength(0);
+    expect(model.findNodeById(pasted.id)).toBeNull();
+  });
+
+  test('pastes indented plain text as nested topics', async () => {
+    const model = new MindmapModel();
+    const root = await model.parseFromMarkdown('# Meeting\n## Notes');
+    const notes = root.children[0];
+
+    const added = await model.pasteMarkdown(notes.id, 'Decisions\n\tShip on Friday\n\tHire a designer\nQuestions\n    Budget?\n');
+
+    expect(added.map(node => node.text)).toEqual(['Decisions', 'Questions']);
+    expect(added[0].children.map(node => node.text)).toEqual(['Ship on Friday', 'Hire a designer']);
+    expect(added[1].children[0].text).toBe('Budget?');
+    expect(added[1].children[0].level).toBe(4);
+    expect(model.toMarkdown()).toContain('### Questions\n#### Budget?');
+  });
+
+  test('keeps fenced code blocks in plain text together as the body of the topic before them', async () => {
+    const model = new MindmapModel();
+    const root = await model.parseFromMarkdown('# Meeting\n## Notes');
+    const notes = root.children[0];
+
+    const text = 'Setup\n\tInstall\n\t```bash\n\tnpm install\n\n\t  - not a topic\n\t```\nRelease\n~~~\nnpm publish\n~~~';
+    const added = await model.pasteMarkdown(notes.id, text);
+
+    expect(added.map(node => node.text)).toEqual(['Setup', 'Release']);
+    expect(added[0].children.map(node => node.text)).toEqual(['Install']);
+    expect(added[0].children[0].body).toBe('```bash\nnpm install\n\n  - not a topic\n```');
+    expect(added[1].body).toBe('~~~\nnpm publish\n~~~');
+  });
+
+  test('pastes nothing for empty text or an unknown node', async () => {
+    const model = new MindmapModel();
+    const root = await model.parseFromMarkdown('# Launch');
+
+    expect(await model.pasteMarkdown(root.id, '  \n')).toEqual([]);
+    expect(await model.pasteMarkdown('node_missing', '- Topic')).toEqual([]);
+    expect(model.history.canUndo()).toBe(false);
+  });
+});
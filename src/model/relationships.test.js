@@ -0,0 +1,76 @@
+/**
+ * Tests for cross-links between nodes
+ */
+
+import { useWidthTableMetrics } from '../../tests/utils/layout-test-utils.js';
+import MindmapModel from './mindmap-model.js';
+import WikiLinks from '../utils/wiki-links.js';
+import { renderModelToSvg } from '../headless.js';
+
+const PLAN = `# Launch
+## Build ^build
+### Backend
+### Frontend (after [[backend]])
+## Ship {color=red} ^ship
+- Release notes, see [[#^build|the build]]
+- Announce (needs [[Nowhere]])
+## Review [[#^ship]] and [[Launch]]`;
+
+describe('Relationships', () => {
+  useWidthTableMetrics();
+
+  test('resolves links by node text and by block anchor', async () => {
+    const model = new MindmapModel();
+    const root = await model.parseFromMarkdown(PLAN);
+    const [build, ship, review] = root.children;
+
+    expect([build.text, build.anchor]).toEqual(['Build', 'build']);
+    expect([ship.text, ship.anchor, ship.annotations]).toEqual(['Ship', 'ship', { textColor: 'red' }]);
+    expect(model.getRelationships().map(({ source, target }) => [source.text, target.text])).toEqual([
+      ['Frontend (after [[backend]])', 'Backend'],
+      ['Release notes, see [[#^build|the build]]', 'Build'],
+      ['Review [[#^ship]] and [[Launch]]', 'Ship'],
+      ['Review [[#^ship]] and [[Launch]]', 'Launch']
+    ]);
+    expect(review.text).toBe('Review [[#^ship]] and [[Launch]]');
+  });
+
+  test('shows the link label in place of the link', () => {
+    expect(WikiLinks.toText('See [[#^build|the build]], [[Backend]] and [[#^ship]]')).toBe('See the build, Backend and ship');
+    expect(WikiLinks.parseAnchor('^only')).toEqual({ text: '^only', anchor: null });
+  });
+
+  test('keeps links and anchors when writing markdown', async () => {
+    const model = new MindmapModel();
+    await model.parseFromMarkdown(PLAN);
+    const markdown = model.toMarkdown();
+
+    expect(markdown).toContain('## Build ^build');
+    expect(markdown).toContain('## Ship {color=red} ^ship');
+
+    const reloaded = new MindmapModel();
+    await reloaded.parseFromMarkdown(markdown);
+    expect(reloaded.toMarkdown()).toBe(markdown);
+    expect(reloaded.getRelationships()).toHaveLength(4);
+  });
+
+  test('draws arrows to the nearest visible node', async () => {
+    const model = new MindmapModel();
+    const root = await model.parseFromMarkdown(PLAN);
+    const [build, ship] = root.children;
+    const [backend, frontend] = build.children;
+
+    let svg = await renderModelToSvg(model, { layout: 'horizontal-right', expandAll: true });
+    expect(svg).toContain(`id="${frontend.id}_${backend.id}_relationship"`);
+    expect(svg).toContain('marker-end="url(#relationshipArrow)"');
+    expect(svg).not.toContain('>Review [[');
+
+    // Links from and into a collapsed branch end at the collapsed node; links inside it are hidden
+    build.collapse();
+    ship.collapse();
+    svg = await renderModelToSvg(model, { layout: 'horizontal-right' });
+    expect(svg).not.toContain(`${frontend.id}_${backend.id}_relationship`);
+    expect(svg).toContain(`id="${ship.id}_${build.id}_relationship"`);
+    expect(svg.match(/class="relationship"/g)).toHaveLength(3);
+  });
+});
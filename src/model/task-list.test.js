@@ -0,0 +1,97 @@
+/**
+ * Tests for GFM task items and progress badges
+ */
+
+import { useWidthTableMetrics } from '../../tests/utils/layout-test-utils.js';
+import MindmapModel from './mindmap-model.js';
+import MindmapNode from './node.js';
+import { renderModelToSvg } from '../headless.js';
+
+const RELEASE = `# Release
+## Docs
+- [x] Changelog
+- [ ] Migration guide
+  - [x] Draft
+  - [ ] Review
+## [ ] Announce
+## QA
+- Smoke tests
+  - [X] Login`;
+
+describe('Task items', () => {
+  useWidthTableMetrics();
+
+  test('records the task state of list items and headings', async () => {
+    const model = new MindmapModel();
+    const root = await model.parseFromMarkdown(RELEASE);
+    const [docs, announce, qa] = root.children;
+    const [changelog, guide] = docs.children;
+
+    expect(docs.checked).toBeNull();
+    expect([changelog.text, changelog.checked]).toEqual(['Changelog', true]);
+    expect([guide.text, guide.checked]).toEqual(['Migration guide', false]);
+    expect(guide.children.map(child => child.checked)).toEqual([true, false]);
+    expect([announce.text, announce.checked]).toEqual(['Announce', false]);
+    expect(qa.children[0].isTask()).toBe(false);
+    expect(qa.children[0].children[0].checked).toBe(true);
+  });
+
+  test('counts the tasks among all descendants', async () => {
+    const model = new MindmapModel();
+    const root = await model.parseFromMarkdown(RELEASE);
+    const [docs, , qa] = root.children;
+
+    expect(root.getTaskProgress()).toEqual({ done: 3, total: 6 });
+    expect(docs.getTaskProgress()).toEqual({ done: 2, total: 4 });
+    expect(qa.getTaskProgress()).toEqual({ done: 1, total: 1 });
+    expect(qa.children[0].children[0].getTaskProgress()).toEqual({ done: 0, total: 0 });
+  });
+
+  test('writes toggled tasks back as task items', async () => {
+    const model = new MindmapModel();
+    const root = await model.parseFromMarkdown(RELEASE);
+    const guide = root.children[0].children[1];
+
+    expect(model.toggleNodeTask(guide.id)).toBe(true);
+    expect(model.toggleNodeTask(root.children[2].id)).toBe(false);
+
+    const markdown = model.toMarkdown();
+    expect(markdown.split('\n')).toEqual([
+      '# Release',
+      '## Docs',
+      '- [x] Changelog',
+      '- [x] Migration guide',
+      '  - [x] Draft',
+      '  - [ ] Review',
+      '## [ ] Announce',
+      '## QA',
+      '### Smoke tests',
+      '- [x] Login'
+    ]);
+
+    const reloaded = new MindmapModel();
+    await reloaded.parseFromMarkdown(markdown);
+    expect(reloaded.toMarkdown()).toBe(markdown);
+    expect(MindmapNode.fromJSON(root.toJSON()).children[0].children[1].checked).toBe(true);
+  });
+
+  test('draws checkboxes and progress badges', async () => {
+    const model = new MindmapModel();
+    await model.parseFromMarkdown('# Trip\n- [x] Tickets\n- [ ] Hotel');
+    const svg = await renderModelToSvg(model, { layout: 'horizontal-right' });
+    const root = model.getRoot();
+    const [tickets, hotel] = root.children;
+
+    expect(svg).toContain(`href="#checkbox-checked" x="${tickets.x + 10}"`);
+    expect(svg).toContain(`id="${hotel.id}_checkbox"`);
+    expect(svg).toContain('>1/2</text>');
+    expect(svg).not.toContain(`${root.id}_checkbox`);
+
+    // The decorations get room next to the text
+    const plain = new MindmapModel();
+    await plain.parseFromMarkdown('# Trip\n- Tickets\n- Hotel');
+    await renderModelToSvg(plain, { layout: 'horizontal-right' });
+    expect(tickets.width).toBeGreaterThan(plain.getRoot().children[0].width);
+    expect(root.width).toBeGreaterThan(plain.getRoot().width);
+  });
+});
@@ -0,0 +1,222 @@
+// src/model/xmind-format.js
+
+import MindmapNode from './node.js';
+import XmlParser from '../utils/xml-parser.js';
+import { readZip, createZip } from '../utils/zip-archive.js';
+
+/**
+ * Import and export of XMind .xmind workbooks
+ *
+ * A .xmind file is a zip archive. Current XMind versions store the sheets in content.json,
+ * XMind 8 and older in content.xml; both are imported. Exports write content.json.
+ *
+ * Mapping between topics and the model:
+ *   title                  -> node.text
+ *   branch: 'folded'       -> node.collapsed
+ *   notes (plain text)     -> node.note
+ *   labels                 -> node.labels (node.tags are exported as labels too)
+ *   children.attached      -> node.children
+ *
+ * Each sheet becomes a separate root; the caller chooses which one to show.
+ */
+class XMindFormat {
+  static FILE_EXTENSION = '.xmind';
+  static MIME_TYPE = 'application/vnd.xmind.workbook';
+
+  /**
+   * Read the sheets of a .xmind workbook
+   * @param {ArrayBuffer|Uint8Array|Blob} data - The .xmind file content
+   * @returns {Promise<Array<{title: string, root: MindmapNode}>>} One entry per sheet
+   * @throws {Error} If the file is not an XMind workbook or contains no sheets
+   */
+  static async parse(data) {
+    let files;
+    try {
+      files = await readZip(data);
+    } catch (error) {
+      throw new Error(`Not an XMind file: ${error.message}`);
+    }
+
+    const decoder = new TextDecoder();
+    let sheets;
+    if (files.has('content.json')) {
+      sheets = this._parseJsonSheets(JSON.parse(decoder.decode(files.get('content.json'))));
+    } else if (files.has('content.xml')) {
+      sheets = this._parseXmlSheets(XmlParser.parse(decoder.decode(files.get('content.xml'))));
+    } else {
+      throw new Error('Not an XMind file: no content.json or content.xml');
+    }
+
+    if (sheets.length === 0) {
+      throw new Error('XMind file contains no sheets');
+    }
+    return sheets;
+  }
+
+  /**
+   * Write a node tree as a single-sheet .xmind workbook
+   * @param {MindmapNode} rootNode - The root node
+   * @param {string} sheetTitle - Title of the sheet (defaults to the root text)
+   * @returns {Promise<Uint8Array>} The .xmind file content
+   */
+  static async serialize(rootNode, sheetTitle = null) {
+    const content = [{
+      id: 'sheet-1',
+      class: 'sheet',
+      title: sheetTitle || rootNode.text || 'Sheet 1',
+      rootTopic: this._topicToJson(rootNode)
+    }];
+
+    return createZip({
+      'content.json': JSON.stringify(content),
+      'metadata.json': JSON.stringify({ creator: { name: 'mindmap-exporter' } }),
+      'manifest.json': JSON.stringify({
+        'file-entries': { 'content.json': {}, 'metadata.json': {} }
+      })
+    });
+  }
+
+  /**
+   * Convert content.json sheets
+   * @private
+   * @param {Array<Object>} content - Parsed content.json
+   * @returns {Array<{title: string, root: MindmapNode}>} Sheets
+   */
+  static _parseJsonSheets(content) {
+    if (!Array.isArray(content)) {
+      throw new Error('Not an XMind file: content.json is not a sheet list');
+    }
+    return content
+      .filter(sheet => sheet && sheet.rootTopic)
+      .map((sheet, index) => ({
+        title: sheet.title || `Sheet ${index + 1}`,
+        root: this._jsonTopicToNode(sheet.rootTopic, 1, null)
+      }));
+  }
+
+  /**
+   * Recursively convert a content.json topic
+   * @private
+   * @param {Object} topic - The topic
+   * @param {number} level - Hierarchy level of the node
+   * @param {MindmapNode} parent - The parent node
+   * @returns {MindmapNode} The created node
+   */
+  static _jsonTopicToNode(topic, level, parent) {
+    const node = new MindmapNode(this._singleLine(topic.title), level, topic.branch === 'folded', parent);
+
+    const note = topic.notes && topic.notes.plain && topic.notes.plain.content;
+    if (note) {
+      node.note = note;
+    }
+    if (Array.isArray(topic.labels)) {
+      node.labels = topic.labels.filter(label => typeof label === 'string');
+    }
+
+    const attached = (topic.children && topic.children.attached) || [];
+    for (const child of attached) {
+      node.children.push(this._jsonTopicToNode(child, level + 1, node));
+    }
+    return node;
+  }
+
+  /**
+   * Convert content.xml sheets (XMind 8 and older)
+   * @private
+   * @param {Object} xmap - The <xmap-content> element
+   * @returns {Array<{title: string, root: MindmapNode}>} Sheets
+   */
+  static _parseXmlSheets(xmap) {
+    if (xmap.name !== 'xmap-content') {
+      throw new Error('Not an XMind file: missing <xmap-content> element');
+    }
+    return XmlParser.childElements(xmap, 'sheet')
+      .filter(sheet => XmlParser.childElement(sheet, 'topic'))
+      .map((sheet, index) => {
+        const title = XmlParser.childElement(sheet, 'title');
+        return {
+          title: title ? XmlParser.textContent(title).trim() : `Sheet ${index + 1}`,
+          root: this._xmlTopicToNode(XmlParser.childElement(sheet, 'topic'), 1, null)
+        };
+      });
+  }
+
+  /**
+   * Recursively convert a content.xml <topic>
+   * @private
+   * @param {Object} element - The <topic> element
+   * @param {number} level - Hierarchy level of the node
+   * @param {MindmapNode} parent - The parent node
+   * @returns {MindmapNode} The created node
+   */
+  static _xmlTopicToNode(element, level, parent) {
+    const title = XmlParser.childElement(element, 'title');
+    const text = this._singleLine(title ? XmlParser.textContent(title) : '');
+    const node = new MindmapNode(text, level, element.attributes.branch === 'folded', parent);
+
+    const notes = XmlParser.childElement(element, 'notes');
+    const plain = notes && XmlParser.childElement(notes, 'plain');
+    if (plain) {
+      node.note = XmlParser.textContent(plain).trim() || null;
+    }
+
+    const labels = XmlParser.childElement(element, 'labels');
+    if (labels) {
+      node.labels = XmlParser.childElements(labels, 'label').map(label => XmlParser.textContent(label).trim());
+    }
+
+    const children = XmlParser.childElement(element, 'children');
+    const attached = children && XmlParser.childElements(children, 'topics')
+      .find(topics => (topics.attributes.type || 'attached') === 'attached');
+    for (const child of attached ? XmlParser.childElements(attached, 'topic') : []) {
+      node.children.push(this._xmlTopicToNode(child, level + 1, node));
+    }
+    return node;
+  }
+
+  /**
+   * Recursively convert a node to a content.json topic
+   * @private
+   * @param {MindmapNode} node - The node
+   * @returns {Object} The topic
+   */
+  static _topicToJson(node) {
+    const topic = {
+      id: node.id,
+      class: 'topic',
+      title: node.text || ''
+    };
+    if (node.collapsed && node.children.length > 0) {
+      topic.branch = 'folded';
+    }
+    if (node.note) {
+      topic.notes = { plain: { content: node.note } };
+    }
+    // XMind has no hashtags; tags become labels
+    const labels = [...new Set([...(node.labels || []), ...(node.tags || [])])];
+    if (labels.length > 0) {
+      topic.labels = labels;
+    }
+    if (node.children.length > 0) {
+      topic.children = { attached: node.children.map(child => this._topicToJson(child)) };
+    }
+    return topic;
+  }
+
+  /**
+   * Collapse multi-line topic titles into a single line of node text
+   * @private
+   * @param {string} title - The topic title
+   * @returns {string} Single-line text
+   */
+  static _singleLine(title) {
+    return (title || '').replace(/\s*\n\s*/g, ' ').trim();
+  }
+}
+
+// For backward compatibility
+if (typeof window !== 'undefined') {
+  window.XMindFormat = XMindFormat;
+}
+
+export default XMindFormat;
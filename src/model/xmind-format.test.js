@@ -0,0 +1,149 @@
+/**
+ * Tests for XMind .xmind import and export
+ */
+
+import MindmapModel from './mindmap-model.js';
+import XMindFormat from './xmind-format.js';
+import { createZip, readZip } from '../utils/zip-archive.js';
+
+const CONTENT_JSON = [
+  {
+    id: 'sheet-a',
+    class: 'sheet',
+    title: 'Strategy',
+    rootTopic: {
+      id: 'root',
+      class: 'topic',
+      title: 'Competitors',
+      children: {
+        attached: [
+          {
+            id: 't1',
+            title: 'Xmind',
+            branch: 'folded',
+            notes: { plain: { content: 'Desktop and mobile' } },
+            labels: ['paid', 'popular'],
+            children: { attached: [{ id: 't2', title: 'Zen' }] }
+          },
+          { id: 't3', title: 'Multi\nline' }
+        ],
+        detached: [{ id: 't4', title: 'Floating' }]
+      }
+    }
+  },
+  {
+    id: 'sheet-b',
+    class: 'sheet',
+    title: 'Backlog',
+    rootTopic: { id: 'root-b', title: 'Ideas' }
+  }
+];
+
+const CONTENT_XML = `<?xml version="1.0" encoding="UTF-8" standalone="no"?>
+<xmap-content xmlns="urn:xmind:xmap:xmlns:content:2.0" version="2.0">
+  <sheet id="s1">
+    <topic id="r1" structure-class="org.xmind.ui.map.unbalanced">
+      <title>Legacy &amp; Root</title>
+      <children>
+        <topics type="attached">
+          <topic id="c1" branch="folded">
+            <title>Child</title>
+            <notes><plain>A note</plain><html><xhtml:p>A note</xhtml:p></html></notes>
+            <labels><label>old</label></labels>
+            <children><topics type="attached"><topic id="g1"><title>Grandchild</title></topic></topics></children>
+          </topic>
+        </topics>
+        <topics type="detached">
+          <topic id="d1"><title>Floating</title></topic>
+        </topics>
+      </children>
+    </topic>
+    <title>Legacy sheet</title>
+  </sheet>
+</xmap-content>`;
+
+describe('XMind format', () => {
+  let logSpy;
+
+  beforeEach(() => {
+    logSpy = jest.spyOn(console, 'log').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    logSpy.mockRestore();
+  });
+
+  test('imports content.json sheets with notes, labels and folded state', async () => {
+    const archive = await createZip({ 'content.json': JSON.stringify(CONTENT_JSON) });
+    const sheets = await XMindFormat.parse(archive);
+
+    expect(sheets.map(sheet => sheet.title)).toEqual(['Strategy', 'Backlog']);
+
+    const root = sheets[0].root;
+    const [xmind, multiline] = root.children;
+    expect(root.text).toBe('Competitors');
+    expect(root.children).toHaveLength(2);
+    expect(xmind.collapsed).toBe(true);
+    expect(xmind.note).toBe('Desktop and mobile');
+    expect(xmind.labels).toEqual(['paid', 'popular']);
+    expect(xmind.children[0].level).toBe(3);
+    expect(xmind.children[0].parent).toBe(xmind);
+    expect(multiline.text).toBe('Multi line');
+
+    const model = new MindmapModel();
+    expect((await model.parseFromXMind(archive, 1)).text).toBe('Ideas');
+    await expect(model.parseFromXMind(archive, 2)).rejects.toThrow('XMind file has no sheet 3');
+  });
+
+  test('imports legacy content.xml workbooks', async () => {
+    const archive = await createZip({ 'content.xml': CONTENT_XML, 'META-INF/manifest.xml': '<manifest/>' });
+    const [sheet] = await XMindFormat.parse(archive);
+    const child = sheet.root.children[0];
+
+    expect(sheet.title).toBe('Legacy sheet');
+    expect(sheet.root.text).toBe('Legacy & Root');
+    expect(sheet.root.children).toHaveLength(1);
+    expect(child.collapsed).toBe(true);
+    expect(child.note).toBe('A note');
+    expect(child.labels).toEqual(['old']);
+    expect(child.children[0].text).toBe('Grandchild');
+  });
+
+  test('round-trips through the .xmind exporter', async () => {
+    const model = new MindmapModel();
+    await model.parseFromMarkdown('# Plan\n## Build\n### Backend\n## Ship');
+    const build = model.getRoot().children[0];
+    build.collapsed = true;
+    build.note = 'Two sprints';
+    build.labels = ['q3'];
+
+    const archive = await model.toXMind();
+    const files = await readZip(archive);
+    expect([...files.keys()]).toEqual(['content.json', 'metadata.json', 'manifest.json']);
+
+    const reloaded = new MindmapModel();
+    const root = await reloaded.parseFromXMind(archive);
+    expect(reloaded.toMarkdown()).toBe(model.toMarkdown());
+    expect(root.children[0].collapsed).toBe(true);
+    expect(root.children[0].note).toBe('Two sprints');
+    expect(root.children[0].labels).toEqual(['q3']);
+  });
+
+  test('exports tags as labels', async () => {
+    const model = new MindmapModel();
+    await model.parseFromMarkdown('# Plan\n## Vendor lock-in #risk #q3');
+    model.getRoot().children[0].labels = ['q3', 'legal'];
+
+    const files = await readZip(await model.toXMind());
+    const [sheet] = JSON.parse(new TextDecoder().decode(files.get('content.json')));
+    const topic = sheet.rootTopic.children.attached[0];
+    expect(topic.title).toBe('Vendor lock-in');
+    expect(topic.labels).toEqual(['q3', 'legal', 'risk']);
+  });
+
+  test('rejects files that are not XMind workbooks', async () => {
+    await expect(XMindFormat.parse(new TextEncoder().encode('plain text'))).rejects.toThrow('Not an XMind file');
+    await expect(XMindFormat.parse(await createZip({ 'other.txt': 'x' }))).rejects.toThrow('no content.json or content.xml');
+    await expect(XMindFormat.parse(await createZip({ 'content.json': '[]' }))).rejects.toThrow('contains no sheets');
+  });
+});
@@ -1,6 +1,12 @@
 // src/renderer/mindmap-renderer.js
 
 import eventBridge from '../utils/event-bridge.js';
+import textMetrics from '../utils/text-metrics.js';
+import TaskDecorations from '../utils/task-decorations.js';
+import TagChips from '../utils/tag-chips.js';
+import ConnectionPoint from '../layout/connection-point.js';
+import NodeSearch from '../model/node-search.js';
+import NodeTags from '../model/node-tags.js';
 import { markdownToSvg, markdownToSvgSync, markdownToText, extractSvgContent, embedSvg } from '../utils/markdown-to-svg.js';
 
 /**
@@ -22,6 +28,10 @@ class MindmapRenderer {
   static LIGHTEN_PERCENT = 30;
   static DARKEN_PERCENT = 10;
   static INDICATOR_RADIUS = 6;
+  static RELATIONSHIP_COLOR = '#e67e22';
+  static RELATIONSHIP_WIDTH = 1.5;
+  static SEARCH_HIGHLIGHT_COLOR = '#ffd43b';
+  static SEARCH_DIMMED_OPACITY = 0.2;
   static SVG_EMBEDDING_METHOD = 'extract'; // Options: 'embed' or 'extract'
   
   /**
@@ -39,6 +49,9 @@ class MindmapRenderer {
     this.padding = MindmapRenderer.DEFAULT_PADDING;
     this.nodeMap = new Map(); // Store references to nodes by id
     this.showDropZones = false; // Controls drop zone visibility (default: hidden)
+    this.searchResults = null; // { matchIds, filterMode } of the current search, see setSearchResults()
+    this.searchVisibleIds = null; // Nodes shown by the search filter during generateSVG(), null if not filtering
+    this.hiddenTags = new Set(); // Normalized tags whose branches are left out, see setHiddenTags()
   }
 
   /**
@@ -57,7 +70,7 @@ class MindmapRenderer {
    */
   findBounds() {
     this._resetBounds();
-    this._findBoundsRecursive(this.model.getRoot());
+    this._findBoundsRecursive(this.model.getViewRoot());
 
     // Add padding
     this.minX -= this.padding;
@@ -181,6 +194,17 @@ class MindmapRenderer {
            '</filter>';
   }
 
+  /**
+   * Create the arrowhead marker for relationship arrows
+   * @private
+   * @return {string} SVG marker definition
+   */
+  _createRelationshipMarker() {
+    return '\n<marker id="relationshipArrow" viewBox="0 0 10 10" refX="9" refY="5" markerWidth="6" markerHeight="6" orient="auto">' +
+           `<path d="M 0 0 L 10 5 L 0 10 Z" fill="${MindmapRenderer.RELATIONSHIP_COLOR}"/>` +
+           '</marker>';
+  }
+
   /**
    * Create all symbol definitions for reuse
    * @private
@@ -213,6 +237,16 @@ class MindmapRenderer {
                '<use href="#circle-base" width="12" height="12"/>' +
                '<use href="#minus-shape" width="12" height="12"/>' +
                '</symbol>';
+
+    // Task checkboxes (stroke comes from the use element, so they take the node's text color)
+    symbols += '\n<symbol id="checkbox-unchecked" viewBox="0 0 12 12">' +
+               '<rect x="1" y="1" width="10" height="10" rx="2" stroke-width="1.2"/>' +
+               '</symbol>';
+
+    symbols += '\n<symbol id="checkbox-checked" viewBox="0 0 12 12">' +
+               '<rect x="1" y="1" width="10" height="10" rx="2" stroke-width="1.2"/>' +
+               '<path d="M 3.2 6.2 L 5.2 8.2 L 8.8 4" stroke-width="1.6"/>' +
+               '</symbol>';
                
     return symbols;
   }
@@ -233,6 +267,9 @@ class MindmapRenderer {
 
     // Add drop shadow filter
     defs += this._createDropShadowFilter();
+
+    // Add the arrowhead of relationships
+    defs += this._createRelationshipMarker();
     
     // Add symbol definitions
     defs += this._createSymbolDefinitions();
@@ -308,6 +345,15 @@ class MindmapRenderer {
   getFillColor(node) {
     const levelStyle = this.styleManager.getLevelStyle(node.level);
 
+    // A per-node background (e.g. imported from FreeMind) takes precedence over the level style, then a tag style
+    if (node.configOverrides && node.configOverrides.backgroundColor) {
+      return node.configOverrides.backgroundColor;
+    }
+    const tagBackground = this.styleManager.getTagValue(node, 'backgroundColor');
+    if (tagBackground !== undefined) {
+      return tagBackground;
+    }
+
     // If this level has a gradient created, use it
     if (this.gradients && this.gradients.includes(node.level)) {
       return `url(#level${node.level}Gradient)`;
@@ -318,11 +364,200 @@ class MindmapRenderer {
   }
 
   /**
-   * Draw all nodes starting from root
+   * Draw all nodes starting from root (or from the node the view is focused on, see MindmapModel.hoist())
    * @return {Promise<string>} Promise that resolves to SVG elements for all nodes
    */
   async drawNodes() {
-    return await this._drawNodeRecursive(this.model.getRoot());
+    return await this._drawNodeRecursive(this.model.getViewRoot());
+  }
+
+  /**
+   * Draw the relationships (cross-links) between nodes as dashed arrows
+   * An end inside a collapsed branch is drawn at the collapsed node that hides it.
+   * @return {string} SVG paths for the relationships
+   */
+  drawRelationships() {
+    let svg = '';
+    const drawn = new Set();
+
+    for (const { source, target } of this.model.getRelationships()) {
+      const from = this._getVisibleNode(source);
+      const to = this._getVisibleNode(target);
+      const id = `${from.id}_${to.id}_relationship`;
+      if (from === to || drawn.has(id)) continue;
+      // In focus mode, only links within the focused branch are drawn
+      if (!this.model.isInView(from) || !this.model.isInView(to)) continue;
+      if (this.isNodeHidden(from) || this.isNodeHidden(to)) continue;
+      drawn.add(id);
+
+      const [startPoint, endPoint] = this._getRelationshipPoints(from, to);
+      svg += this._createPathElement({
+        d: this._createBezierCurvePath(startPoint, endPoint),
+        id,
+        className: 'relationship',
+        stroke: MindmapRenderer.RELATIONSHIP_COLOR,
+        strokeWidth: MindmapRenderer.RELATIONSHIP_WIDTH,
+        strokeDasharray: '6 4',
+        markerEnd: 'url(#relationshipArrow)'
+      });
+    }
+    return svg;
+  }
+
+  /**
+   * Set the nodes found by a search, to highlight them and optionally filter the view
+   * The filter takes effect on the next render; call updateSearchHighlights() to update the highlights right away.
+   * @param {Array<string>|null} matchIds - IDs of the matching nodes, or null when there is no search
+   * @param {string} filterMode - 'none', 'dim' (fade branches without matches) or 'hide' (leave them out)
+   */
+  setSearchResults(matchIds, filterMode = 'none') {
+    this.searchResults = matchIds ? { matchIds: new Set(matchIds), filterMode } : null;
+  }
+
+  /**
+   * Draw a highlight behind each node found by the search
+   * A match inside a collapsed branch highlights the collapsed node that hides it.
+   */
+  updateSearchHighlights() {
+    const svg = document.querySelector('svg');
+    if (!svg) return;
+
+    svg.querySelectorAll('.search-highlight').forEach(element => element.remove());
+    if (!this.searchResults) return;
+
+    // Highlights go behind the nodes, right after the definitions
+    const defs = svg.querySelector('defs');
+    const before = defs ? defs.nextSibling : svg.firstChild;
+    const highlighted = new Set();
+    for (const id of this.searchResults.matchIds) {
+      const match = this.model.findNodeById(id);
+      if (!match) continue;
+      const node = this._getVisibleNode(match);
+      if (highlighted.has(node.id) || node.isForest() || this.isNodeHidden(node)) continue;
+      highlighted.add(node.id);
+
+      const highlight = document.createElementNS('http://www.w3.org/2000/svg', 'rect');
+      highlight.setAttribute('class', 'search-highlight');
+      highlight.setAttribute('x', node.x - 5);
+      highlight.setAttribute('y', node.y - 5);
+      highlight.setAttribute('width', node.width + 10);
+      highlight.setAttribute('height', node.height + 10);
+      highlight.setAttribute('rx', 6);
+      highlight.setAttribute('fill', MindmapRenderer.SEARCH_HIGHLIGHT_COLOR);
+      highlight.setAttribute('fill-opacity', node === match ? 0.7 : 0.35);
+      highlight.setAttribute('stroke', MindmapRenderer.SEARCH_HIGHLIGHT_COLOR);
+      highlight.setAttribute('stroke-width', 2);
+      highlight.setAttribute('pointer-events', 'none');
+      svg.insertBefore(highlight, before);
+    }
+  }
+
+  /**
+   * Get the nodes the search filter shows
+   * @private
+   * @return {Set<string>|null} IDs of the matching branches, or null if the view is not filtered
+   */
+  _getSearchVisibleIds() {
+    if (!this.searchResults || this.searchResults.filterMode === 'none') return null;
+    const matches = [...this.searchResults.matchIds].map(id => this.model.findNodeById(id)).filter(Boolean);
+    // A search without matches (e.g. after the map changed) does not empty the view
+    return matches.length > 0 ? NodeSearch.getBranchIds(matches) : null;
+  }
+
+  /**
+   * Check if the search filter fades or hides a node
+   * @private
+   * @param {Object} node - The node
+   * @return {boolean} True if the node is not in a matching branch
+   */
+  _isFilteredOut(node) {
+    return !!this.searchVisibleIds && !this.searchVisibleIds.has(node.id);
+  }
+
+  /**
+   * Fade a branch that the search filter dims
+   * @private
+   * @param {string} branchSvg - SVG of the branch
+   * @return {string} The branch in a translucent group
+   */
+  _wrapDimmed(branchSvg) {
+    return `<g class="search-dimmed" opacity="${MindmapRenderer.SEARCH_DIMMED_OPACITY}">${branchSvg}</g>`;
+  }
+
+  /**
+   * Set the tags whose branches are left out of the view (e.g. from the tag legend)
+   * Takes effect on the next render. The layout is not changed, so the branches leave a gap.
+   * @param {Iterable<string>} tags - The tags, with or without '#'
+   */
+  setHiddenTags(tags) {
+    this.hiddenTags = new Set([...tags].map(tag => NodeTags.normalize(tag)));
+  }
+
+  /**
+   * Check if a node is left out of the drawing: it or an ancestor has a hidden tag, or the search filter hides it
+   * @param {Object} node - The node
+   * @return {boolean} True if the node is not drawn
+   */
+  isNodeHidden(node) {
+    for (let current = node; current; current = current.parent) {
+      if (this._isLeftOut(current)) return true;
+    }
+    return false;
+  }
+
+  /**
+   * Check if a branch is left out at its top node
+   * @private
+   * @param {Object} node - The top node of the branch
+   * @return {boolean} True if the node has a hidden tag, or the search filter hides it
+   */
+  _isLeftOut(node) {
+    if (this._isFilteredOut(node) && this.searchResults.filterMode === 'hide') return true;
+    return this.hiddenTags.size > 0 && [...(node.tags || [])].some(tag => this.hiddenTags.has(NodeTags.normalize(tag)));
+  }
+
+  /**
+   * Get the node that represents a node on the canvas: the outermost collapsed ancestor, or the node itself
+   * @private
+   * @param {Object} node - The node
+   * @return {Object} The visible node
+   */
+  _getVisibleNode(node) {
+    let visible = node;
+    for (let ancestor = node.parent; ancestor; ancestor = ancestor.parent) {
+      if (ancestor.collapsed) {
+        visible = ancestor;
+      }
+    }
+    return visible;
+  }
+
+  /**
+   * Get the start and end points of a relationship arrow, on the facing sides of the two nodes
+   * @private
+   * @param {Object} from - The source node
+   * @param {Object} to - The target node
+   * @return {Array<ConnectionPoint>} The start and end points
+   */
+  _getRelationshipPoints(from, to) {
+    const dx = (to.x + to.width / 2) - (from.x + from.width / 2);
+    const dy = (to.y + to.height / 2) - (from.y + from.height / 2);
+
+    if (Math.abs(dx) >= Math.abs(dy)) {
+      const fromX = dx >= 0 ? from.x + from.width : from.x;
+      const toX = dx >= 0 ? to.x : to.x + to.width;
+      return [
+        new ConnectionPoint(fromX, from.y + from.height / 2, dx >= 0 ? 'right' : 'left'),
+        new ConnectionPoint(toX, to.y + to.height / 2, dx >= 0 ? 'left' : 'right')
+      ];
+    }
+
+    const fromY = dy >= 0 ? from.y + from.height : from.y;
+    const toY = dy >= 0 ? to.y : to.y + to.height;
+    return [
+      new ConnectionPoint(from.x + from.width / 2, fromY, dy >= 0 ? 'bottom' : 'top'),
+      new ConnectionPoint(to.x + to.width / 2, toY, dy >= 0 ? 'top' : 'bottom')
+    ];
   }
 
   /**
@@ -502,6 +737,17 @@ class MindmapRenderer {
    */
   async _drawNodeRecursive(node, parentNode = null) {
     let svg = '';
+
+    // The container of a forest is not drawn; its top-level topics are drawn as roots
+    if (node.isForest()) {
+      for (const root of node.children) {
+        if (this._isLeftOut(root)) continue;
+        const treeSvg = await this._drawNodeRecursive(root);
+        svg += this._isFilteredOut(root) ? this._wrapDimmed(treeSvg) : treeSvg;
+      }
+      return svg;
+    }
+
     const levelStyle = this.styleManager.getLevelStyle(node.level);
     const parentChildPadding = node.level > 1 ? this.styleManager.getLevelStyle(node.level - 1).childPadding : 0;
     const layout = levelStyle.getLayout();
@@ -529,20 +775,33 @@ class MindmapRenderer {
     if (!node.collapsed) {
       for (let i = 0; i < node.children.length; i++) {
         const child = node.children[i];
-        svg += this._drawConnection(node, child);
+        // Branches without search matches are left out or faded (once, at their top node), so are branches with hidden tags
+        const filteredOut = this._isFilteredOut(child);
+        if (this._isLeftOut(child)) continue;
+
+        let branchSvg = this._drawConnection(node, child);
         // Recursively draw child nodes, passing current node as parent
-        svg += await this._drawNodeRecursive(child, node);
+        branchSvg += await this._drawNodeRecursive(child, node);
+        svg += filteredOut && !this._isFilteredOut(node) ? this._wrapDimmed(branchSvg) : branchSvg;
       }
     }
 
-    // Draw node shape and text (shape visibility depends on nodeType)
-    const invisible = levelStyle.nodeType === 'text-only';
+    // Draw node shape and text (shape visibility depends on nodeType, a per-node or tag background or border always shows)
+    const invisible = this.styleManager.getEffectiveValue(node, 'nodeType') === 'text-only' && !node.configOverrides?.backgroundColor &&
+      this.styleManager.getTagValue(node, 'backgroundColor') === undefined && this.styleManager.getTagValue(node, 'borderColor') === undefined;
     svg += this._drawNodeShape(node, invisible);
     svg += await this._drawNodeText(node, true);
+    svg += this._drawTagChips(node);
+    svg += this._drawTaskBadge(node);
     
     // Add invisible click overlay to capture clicks on text
     svg += this._drawClickOverlay(node);
 
+    // The checkbox goes above the overlay so that it receives its own clicks
+    if (node.isTask()) {
+      svg += this._drawTaskCheckbox(node);
+    }
+
     // Add collapsible indicator if node has children
     if (node.hasChildren()) {
       svg += this._drawCollapseIndicator(node);
@@ -647,6 +906,16 @@ class MindmapRenderer {
     return `M ${startPoint.x} ${startPoint.y} C ${cp1x} ${cp1y}, ${cp2x} ${cp2y}, ${endPoint.x} ${endPoint.y}`;
   }
 
+  /**
+   * Create a path string of straight lines through a list of points
+   * @private
+   * @param {Array<Object>} points - The points {x, y} from start to end
+   * @return {string} SVG path data for the lines
+   */
+  _createPolylinePath(points) {
+    return points.map((point, index) => `${index === 0 ? 'M' : 'L'} ${point.x} ${point.y}`).join(' ');
+  }
+
   /**
    * Calculate perpendicular offset points based on connection point direction
    * @private
@@ -691,7 +960,8 @@ class MindmapRenderer {
       fill = 'none',
       stroke = 'none',
       strokeWidth = MindmapRenderer.DEFAULT_CONNECTION_WIDTH,
-      strokeDasharray = ''
+      strokeDasharray = '',
+      markerEnd = ''
     } = props;
     
     // Prepare attributes for the generic function
@@ -714,6 +984,10 @@ class MindmapRenderer {
     if (strokeDasharray) {
       attributes.strokeDasharray = strokeDasharray;
     }
+
+    if (markerEnd) {
+      attributes.markerEnd = markerEnd;
+    }
     
     return this._createSvgElement('path', attributes);
   }
@@ -843,8 +1117,20 @@ class MindmapRenderer {
     const useTapered = parentStyle.connectionTapered || false;
     console.log(`Using tapered connection: ${useTapered}`);
     
+    // Layouts with their own connection geometry route the connection as straight lines
+    const route = parentLayout.getConnectionRoute(parent, child, parentStyle);
+
     let result;
-    if (useTapered) {
+    if (route) {
+      console.log(`Using straight connection through ${route.length} corner(s)`);
+      result = this._createPathElement({
+        d: this._createPolylinePath([startPoint, ...route, endPoint]),
+        stroke: parentStyle.connectionColor || MindmapRenderer.DEFAULT_CONNECTION_COLOR,
+        strokeWidth: parentStyle.connectionWidth || MindmapRenderer.DEFAULT_CONNECTION_WIDTH,
+        id: `connection_${parent.id}_${child.id}`,
+        className: 'connection'
+      });
+    } else if (useTapered) {
       result = this._drawTaperedConnection(parent, child, parentStyle, childStyle, startPoint, endPoint);
     } else {
       // If not using tapered, proceed with the original stroke-based connection
@@ -952,31 +1238,217 @@ class MindmapRenderer {
     });
   }
 
+  /**
+   * Get the horizontal extent of a node's padded content (text and task decorations)
+   * @private
+   * @param {Object} node - The node
+   * @param {StyleConfiguration} levelStyle - The style of the node's level
+   * @return {Object} Left edge and width of the content {x, width}
+   */
+  _getContentBox(node, levelStyle) {
+    // Undo the extra room that the layout gives to shapes narrower than their bounding box
+    let width = node.width;
+    switch (this.styleManager.getEffectiveValue(node, 'nodeType')) {
+      case 'circle':
+        width = node.width / Math.SQRT2;
+        break;
+      case 'hexagon':
+        width = node.width - node.height;
+        break;
+    }
+    width -= levelStyle.horizontalPadding * 2;
+    return { x: node.x + (node.width - width) / 2, width };
+  }
+
+  /**
+   * Draw the checkbox of a task node
+   * @private
+   * @param {Object} node - The task node
+   * @return {string} SVG use element for the checkbox
+   */
+  _drawTaskCheckbox(node) {
+    const levelStyle = this.styleManager.getLevelStyle(node.level);
+    const size = TaskDecorations.getCheckboxSize(levelStyle);
+    const color = this._getTextColor(node, levelStyle, true);
+
+    return this._createUseElement({
+      href: node.checked ? '#checkbox-checked' : '#checkbox-unchecked',
+      x: this._getContentBox(node, levelStyle).x,
+      y: node.y + (node.height - size) / 2,
+      width: size,
+      height: size,
+      id: node.id + '_checkbox',
+      fill: 'none',
+      stroke: color
+    });
+  }
+
+  /**
+   * Draw the tag chips ("#risk") of a node, right of its text
+   * A chip takes the border (or background) color of its tag style, otherwise the text color.
+   * @private
+   * @param {Object} node - The node
+   * @return {string} SVG elements for the chips, or an empty string if the node has no tags
+   */
+  _drawTagChips(node) {
+    const levelStyle = this.styleManager.getLevelStyle(node.level);
+    const chips = TagChips.getChips(node, levelStyle);
+    if (chips.length === 0) {
+      return '';
+    }
+
+    const content = this._getContentBox(node, levelStyle);
+    const left = content.x + content.width - TaskDecorations.getInsets(node, levelStyle).badge - TagChips.getWidth(chips);
+    const textColor = this._getTextColor(node, levelStyle, true);
+
+    return chips.map(chip => {
+      const tagStyle = this.styleManager.getTagStyle(chip.tag) || {};
+      const color = tagStyle.borderColor || tagStyle.backgroundColor || textColor;
+      const x = left + chip.offset;
+      const y = node.y + (node.height - chip.height) / 2;
+
+      return this._createRectElement({
+        x, y,
+        width: chip.width,
+        height: chip.height,
+        id: `${node.id}_tag_${NodeTags.normalize(chip.tag).replace(/[^\w-]/g, '_')}`,
+        rx: chip.height / 2,
+        ry: chip.height / 2,
+        fill: color,
+        fillOpacity: 0.2,
+        stroke: color,
+        strokeWidth: 1,
+        filter: 'none',
+        className: 'tag-chip'
+      }) + this._createTextElement({
+        x: x + chip.width / 2,
+        y: y + chip.height / 2,
+        text: chip.text,
+        fontFamily: levelStyle.fontFamily || MindmapRenderer.DEFAULT_FONT_FAMILY,
+        fontSize: chip.fontSize,
+        fill: color,
+        textAnchor: 'middle',
+        className: 'tag-chip-text'
+      });
+    }).join('');
+  }
+
+  /**
+   * Draw the task progress badge ("done/total") of a node with task descendants
+   * @private
+   * @param {Object} node - The node
+   * @return {string} SVG elements for the badge, or an empty string if the node has no tasks below it
+   */
+  _drawTaskBadge(node) {
+    const levelStyle = this.styleManager.getLevelStyle(node.level);
+    const badge = TaskDecorations.getBadge(node, levelStyle);
+    if (!badge) {
+      return '';
+    }
+
+    const content = this._getContentBox(node, levelStyle);
+    const x = content.x + content.width - badge.width;
+    const y = node.y + (node.height - badge.height) / 2;
+    const color = this._getTextColor(node, levelStyle, true);
+
+    return this._createRectElement({
+      x, y,
+      width: badge.width,
+      height: badge.height,
+      id: node.id + '_badge',
+      rx: badge.height / 2,
+      ry: badge.height / 2,
+      fill: color,
+      fillOpacity: 0.2,
+      stroke: color,
+      strokeWidth: 1,
+      filter: 'none',
+      className: 'task-badge'
+    }) + this._createTextElement({
+      x: x + badge.width / 2,
+      y: y + badge.height / 2,
+      text: badge.text,
+      fontFamily: levelStyle.fontFamily || MindmapRenderer.DEFAULT_FONT_FAMILY,
+      fontSize: badge.fontSize,
+      fill: color,
+      textAnchor: 'middle',
+      className: 'task-badge-text'
+    });
+  }
+
   /**
    * Draw the shape for a node
    * @private
    * @param {Object} node - The node to draw shape for
    * @param {boolean} invisible - Whether to make the shape invisible (for text-only nodes)
-   * @return {string} SVG rect element for the node shape
+   * @return {string} SVG element for the node shape
    */
   _drawNodeShape(node, invisible = false) {
     const levelStyle = this.styleManager.getLevelStyle(node.level);
-    
-    return this._createRectElement({
+    const nodeType = this.styleManager.getEffectiveValue(node, 'nodeType');
+    // Tag styles (see StyleManager.getTagStyle()) may change the border and the opacity
+    const tagValue = (property, fallback) => {
+      const value = this.styleManager.getTagValue(node, property);
+      return value !== undefined ? value : fallback;
+    };
+    const borderRadius = tagValue('borderRadius', levelStyle.borderRadius) || MindmapRenderer.DEFAULT_BORDER_RADIUS;
+
+    const shapeProps = {
         x: node.x,
         y: node.y,
         width: node.width,
         height: node.height,
         id: node.id + '_rect',
         'data-node-id': node.id,
-        rx: levelStyle.borderRadius || MindmapRenderer.DEFAULT_BORDER_RADIUS,
-        ry: levelStyle.borderRadius || MindmapRenderer.DEFAULT_BORDER_RADIUS,
+        rx: borderRadius,
+        ry: borderRadius,
         fill: invisible ? 'transparent' : this.getFillColor(node),
-        fillOpacity: invisible ? 0 : (levelStyle.fillOpacity || MindmapRenderer.DEFAULT_FILL_OPACITY),
-        stroke: invisible ? 'transparent' : (levelStyle.borderColor || '#fff'),
-        strokeWidth: invisible ? 0 : (levelStyle.borderWidth || MindmapRenderer.DEFAULT_BORDER_WIDTH),
+        fillOpacity: invisible ? 0 : (tagValue('fillOpacity', levelStyle.fillOpacity) || MindmapRenderer.DEFAULT_FILL_OPACITY),
+        stroke: invisible ? 'transparent' : (tagValue('borderColor', levelStyle.borderColor) || '#fff'),
+        strokeWidth: invisible ? 0 : (tagValue('borderWidth', levelStyle.borderWidth) || MindmapRenderer.DEFAULT_BORDER_WIDTH),
         filter: invisible ? 'none' : 'url(#dropShadow)',
-      });
+      };
+
+    // Shapes such as those of Mermaid mindmaps; other types (box, cloud, bang) are drawn as boxes
+    switch (nodeType) {
+      case 'square':
+        return this._createRectElement({ ...shapeProps, rx: 0, ry: 0 });
+      case 'rounded':
+        return this._createRectElement({ ...shapeProps, rx: node.height / 3, ry: node.height / 3 });
+      case 'circle':
+        // A rect with half-size corner radii is an ellipse
+        return this._createRectElement({ ...shapeProps, rx: node.width / 2, ry: node.height / 2 });
+      case 'hexagon':
+        return this._drawHexagonShape(node, shapeProps);
+      default:
+        return this._createRectElement(shapeProps);
+    }
+  }
+
+  /**
+   * Draw a hexagon node shape, with pointed left and right sides
+   * @private
+   * @param {Object} node - The node to draw shape for
+   * @param {Object} shapeProps - Fill, stroke and identification properties
+   * @return {string} SVG path element for the node shape
+   */
+  _drawHexagonShape(node, shapeProps) {
+    const { x, y, width, height } = node;
+    const inset = height / 2;
+    const d = `M ${x + inset} ${y} L ${x + width - inset} ${y} L ${x + width} ${y + height / 2} ` +
+      `L ${x + width - inset} ${y + height} L ${x + inset} ${y + height} L ${x} ${y + height / 2} Z`;
+
+    return this._createSvgElement('path', {
+      d,
+      id: shapeProps.id,
+      'data-node-id': shapeProps['data-node-id'],
+      class: 'node-shape',
+      fill: shapeProps.fill,
+      fillOpacity: shapeProps.fillOpacity,
+      stroke: shapeProps.stroke,
+      strokeWidth: shapeProps.strokeWidth,
+      filter: shapeProps.filter
+    });
   }
 
   /**
@@ -1060,6 +1532,7 @@ class MindmapRenderer {
       fontWeight = MindmapRenderer.DEFAULT_FONT_WEIGHT,
       fill = '#333',
       textAnchor = 'start',
+      dominantBaseline = null,
       className = 'node-text',
       pointerEvents = 'none'
     } = props;
@@ -1091,6 +1564,9 @@ class MindmapRenderer {
       class: className,
       pointerEvents,
     };
+    if (dominantBaseline) {
+      attributes.dominantBaseline = dominantBaseline;
+    }
     
     return this._createSvgElement('text', attributes, tspanContent);
   }
@@ -1110,16 +1586,22 @@ class MindmapRenderer {
 //    if (!useMarkdown) {
 //      return this._drawPlainNodeText(node, insideBox);
 //    }
+
+    // Markdown rendering needs a browser DOM (dom-to-svg), so headless rendering uses plain text
+    if (!textMetrics.isDomBacked()) {
+      return this._drawPlainNodeText(node, insideBox);
+    }
     
     // For markdown rendering, we'll use the markdownToSvg utility directly
     
     // Calculate position based on node type
     let x, y, width, height;
     if (insideBox) {
-      // Inside a box - use the node's dimensions
-      x = node.x;
+      // Inside a box - use the node's dimensions without the room taken by task decorations
+      const insets = TaskDecorations.getInsets(node, levelStyle);
+      x = node.x + insets.left;
       y = node.y;
-      width = node.width;
+      width = node.width - insets.left - insets.right;
       height = node.height;
     } else {
       // Standalone text - use the node's position but adjust for text
@@ -1133,9 +1615,7 @@ class MindmapRenderer {
 //    const markdownId = `markdown-${node.id}`;
 
     // Extract the text color to ensure visibility
-    const textColor = insideBox 
-      ? (levelStyle.textColor || MindmapRenderer.DEFAULT_TEXT_COLOR_BOXED)
-      : (levelStyle.textColor || MindmapRenderer.DEFAULT_TEXT_COLOR_PLAIN);
+    const textColor = this._getTextColor(node, levelStyle, insideBox);
     
     // Determine the maximum width for markdown rendering
     const maxWidth = width - (levelStyle.horizontalPadding || 10) * 2;
@@ -1195,6 +1675,26 @@ class MindmapRenderer {
     }
   }
   
+  /**
+   * Get the text color of a node
+   * @private
+   * @param {Object} node - The node
+   * @param {StyleConfiguration} levelStyle - The style of the node's level
+   * @param {boolean} insideBox - Whether the text is inside a box
+   * @return {string} The text color
+   */
+  _getTextColor(node, levelStyle, insideBox) {
+    if (node.configOverrides && node.configOverrides.textColor) {
+      return node.configOverrides.textColor;
+    }
+    const tagColor = this.styleManager.getTagValue(node, 'textColor');
+    if (tagColor !== undefined) {
+      return tagColor;
+    }
+    return levelStyle.textColor ||
+      (insideBox ? MindmapRenderer.DEFAULT_TEXT_COLOR_BOXED : MindmapRenderer.DEFAULT_TEXT_COLOR_PLAIN);
+  }
+
   /**
    * Draw plain text for a node (traditional method)
    * @private
@@ -1208,16 +1708,17 @@ class MindmapRenderer {
     // Calculate text position based on node type
     let x, y, fill, textAnchor;
     if (insideBox) {
-      // Text inside a box (centered)
-      x = node.x + node.width / 2;
+      // Text inside a box (centered between the task decorations)
+      const insets = TaskDecorations.getInsets(node, levelStyle);
+      x = node.x + node.width / 2 + (insets.left - insets.right) / 2;
       y = node.y + node.height / 2;
-      fill = levelStyle.textColor || MindmapRenderer.DEFAULT_TEXT_COLOR_BOXED;
+      fill = this._getTextColor(node, levelStyle, true);
       textAnchor = "middle";
     } else {
       // Standalone text (no box)
       x = node.x;
       y = node.y + node.height / 2;
-      fill = levelStyle.textColor || MindmapRenderer.DEFAULT_TEXT_COLOR_PLAIN;
+      fill = this._getTextColor(node, levelStyle, false);
       textAnchor = "start";
     }
     
@@ -1240,11 +1741,12 @@ class MindmapRenderer {
     const maxWidth = wrapConfig.maxWidth;
     const maxWordLength = wrapConfig.maxWordLength;
     
+    // Markdown syntax is stripped, matching the measurement done by the layout
+    const plainText = markdownToText(node.text);
+
     // Get text wrapping calculation from textMetrics
-    const textMetrics = typeof window !== 'undefined' ? window.textMetrics : require('../utils/text-metrics').default;
-    
     const wrappedText = textMetrics.wrapText(
-      '[' + node.text + ']',
+      plainText,
       maxWidth,
       textProps.fontFamily,
       textProps.fontSize,
@@ -1258,7 +1760,7 @@ class MindmapRenderer {
       // Simple case - just one line
       return this._createTextElement({
         ...textProps,
-        text: node.text,
+        text: plainText,
         dominantBaseline: 'middle'
       });
     } else {
@@ -1270,7 +1772,7 @@ class MindmapRenderer {
       const startY = y - (totalHeight / 2) + (lineHeight / 2);
       
       return this._createMultilineTextElement(
-        textProps, 
+        { ...textProps, dominantBaseline: 'middle' },
         wrappedText.lines, 
         lineHeight, 
         startY
@@ -1362,6 +1864,9 @@ class MindmapRenderer {
       href: '#' + symbolName,
       x: position.x - indicatorOffset,
       y: position.y - indicatorOffset,
+      // Explicit size for viewers that ignore width/height on <symbol> (SVG 1.1)
+      width: indicatorOffset * 2,
+      height: indicatorOffset * 2,
       id: node.id + '_indicator',
       fill: fillColor,
       stroke: borderColor
@@ -1454,6 +1959,7 @@ class MindmapRenderer {
    */
   async generateSVG() {
     this.findBounds();
+    this.searchVisibleIds = this._getSearchVisibleIds();
 
     let svg = this.createSvgContainer();
 //    svg += `<circle r="5" cx="0" cy="0" fill="blue" />`
@@ -1462,6 +1968,9 @@ class MindmapRenderer {
     // Draw nodes
     const nodesContent = await this.drawNodes();
     svg += nodesContent;
+
+    // Cross-links are drawn above the tree
+    svg += this.drawRelationships();
     
     svg += '</svg>';
 
@@ -1486,6 +1995,9 @@ class MindmapRenderer {
 
       // Attach event handlers
       this.attachEventHandlers();
+
+      // Highlights are not part of the SVG content, so they do not show up in exports
+      this.updateSearchHighlights();
       
       // No need to process markdown elements separately since we're directly using markdownToSvg
     } catch (error) {
@@ -1563,6 +2075,9 @@ class MindmapRenderer {
       
       // Indicator element: single-click for toggle (collapse/expand)
       this._attachNodeEventHandler(nodeId, 'indicator', 'toggle');
+
+      // Checkbox element of task nodes: single-click to check/uncheck
+      this._attachNodeEventHandler(nodeId, 'checkbox', 'check');
     });
   }
 
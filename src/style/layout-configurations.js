@@ -0,0 +1,298 @@
+// src/style/layout-configurations.js
+
+/**
+ * Named layout configurations offered in the layout dropdown
+ * Maps a layout name (e.g. 'taproot', 'vertical-up') to level styles and root node overrides
+ */
+class LayoutConfigurations {
+  /**
+   * Get the names of all layout configurations
+   * @return {Array<string>} Layout names accepted by apply()
+   */
+  static getLayoutNames() {
+    return [
+      'horizontal-right',
+      'horizontal-left',
+      'vertical',
+      'vertical-up',
+      'taproot',
+      'classic',
+      'radial',
+      'fishbone',
+      'timeline',
+      'grid',
+      'outline-right',
+      'outline-left',
+      'vertical-over-taproot'
+    ];
+  }
+
+  /**
+   * Configure the style manager and root node for a named layout
+   * Expects a freshly reset style manager and a root node without overrides
+   * @param {string} layoutType - The layout name
+   * @param {StyleManager} styleManager - The style manager to configure
+   * @param {MindmapNode} rootNode - The root node receiving layout overrides (may be null or a forest)
+   */
+  static apply(layoutType, styleManager, rootNode) {
+    if (rootNode && rootNode.isForest()) {
+      // The top-level topics of a forest each get the root node overrides
+      rootNode.children.forEach(root => this.apply(layoutType, styleManager, root));
+      return;
+    }
+
+    if (layoutType === 'vertical-over-taproot') {
+      // Configure style system
+      styleManager.configure({
+        levelStyles: {
+          1: { 
+            layoutType: 'vertical', 
+            direction: 'down', 
+            parentConnectionPoints: 'distributeEvenly',
+            parentWidthPortionForConnectionPoints: 0.75
+          },
+          2: { 
+            layoutType: 'taproot',
+            parentConnectionPoints: 'distributeEvenly',
+            parentWidthPortionForConnectionPoints: 0.4
+          },
+          3: { layoutType: 'horizontal' },
+          4: { layoutType: 'horizontal' },
+          5: { layoutType: 'horizontal' },
+          6: { layoutType: 'horizontal' }
+        },
+        defaultStyle: { 
+          layoutType: 'horizontal' 
+        }
+      });
+    
+      // Set node overrides
+      if (rootNode) {
+        rootNode.setOverride('layoutType', 'vertical');
+        rootNode.setOverride('direction', 'down');
+        rootNode.setOverride('parentConnectionPoints', 'distributeEvenly');
+        rootNode.setOverride('parentWidthPortionForConnectionPoints', 0.75);
+      }
+    } else if (layoutType === 'taproot') {
+      // Configure style system
+      styleManager.configure({
+        levelStyles: {
+          1: { 
+            layoutType: 'taproot', 
+            parentConnectionPoints: 'distributeEvenly',
+            parentWidthPortionForConnectionPoints: 0.4 
+          },
+          2: { layoutType: 'horizontal', direction: null },
+          3: { layoutType: 'horizontal', direction: null },
+          4: { layoutType: 'horizontal', direction: null },
+          5: { layoutType: 'horizontal', direction: null },
+          6: { layoutType: 'horizontal', direction: null }
+        },
+        defaultStyle: { 
+          layoutType: 'horizontal' 
+        }
+      });
+    } else if (layoutType === 'classic') {
+      // Configure style system for classic mindmap layout
+      styleManager.configure({
+        levelStyles: {
+          1: { layoutType: 'classic', childPadding: 60 },
+          2: { layoutType: 'horizontal', direction: null },
+          3: { layoutType: 'horizontal', direction: null },
+          4: { layoutType: 'horizontal', direction: null },
+          5: { layoutType: 'horizontal', direction: null },
+          6: { layoutType: 'horizontal', direction: null }
+        },
+        defaultStyle: { 
+          layoutType: 'horizontal' 
+        }
+      });
+    } else if (layoutType === 'radial') {
+      // Configure style system for radial layout: every level continues on the next ring
+      styleManager.configure({
+        levelStyles: {
+          1: { layoutType: 'radial' },
+          2: { layoutType: 'radial' },
+          3: { layoutType: 'radial' },
+          4: { layoutType: 'radial' },
+          5: { layoutType: 'radial' },
+          6: { layoutType: 'radial' }
+        },
+        defaultStyle: { 
+          layoutType: 'radial' 
+        }
+      });
+    } else if (layoutType === 'fishbone') {
+      // Configure style system for fishbone layout: the root's whole tree hangs off the spine
+      styleManager.configure({
+        levelStyles: {
+          1: { layoutType: 'fishbone' },
+          2: { layoutType: 'fishbone' },
+          3: { layoutType: 'fishbone' },
+          4: { layoutType: 'fishbone' },
+          5: { layoutType: 'fishbone' },
+          6: { layoutType: 'fishbone' }
+        },
+        defaultStyle: { 
+          layoutType: 'fishbone' 
+        }
+      });
+    } else if (layoutType === 'timeline') {
+      // Configure style system for timeline layout: events along the root's axis, their branches horizontal
+      styleManager.configure({
+        levelStyles: {
+          1: { layoutType: 'timeline' },
+          2: { layoutType: 'horizontal', direction: null },
+          3: { layoutType: 'horizontal', direction: null },
+          4: { layoutType: 'horizontal', direction: null },
+          5: { layoutType: 'horizontal', direction: null },
+          6: { layoutType: 'horizontal', direction: null }
+        },
+        defaultStyle: { 
+          layoutType: 'horizontal' 
+        }
+      });
+    } else if (layoutType === 'grid') {
+      // Configure style system for grid layout: the root's children wrap into columns, their branches horizontal
+      styleManager.configure({
+        levelStyles: {
+          1: { layoutType: 'grid' },
+          2: { layoutType: 'horizontal', direction: null },
+          3: { layoutType: 'horizontal', direction: null },
+          4: { layoutType: 'horizontal', direction: null },
+          5: { layoutType: 'horizontal', direction: null },
+          6: { layoutType: 'horizontal', direction: null }
+        },
+        defaultStyle: { 
+          layoutType: 'horizontal' 
+        }
+      });
+    } else if (layoutType === 'horizontal-left') {
+      // Configure style system
+      styleManager.setGlobalLayoutType('horizontal', { direction: 'left' });
+    
+      // Set node overrides
+      if (rootNode) {
+        rootNode.setOverride('direction', 'left');
+      }
+    } else if (layoutType === 'horizontal-right') {
+      // Configure style system
+      styleManager.setGlobalLayoutType('horizontal', { direction: 'right' });
+    
+      // Set node overrides
+      if (rootNode) {
+        rootNode.setOverride('direction', 'right');
+      }
+    } else if (layoutType === 'outline-left') {
+      // Configure style system for outline left layout
+      styleManager.configure({
+        levelStyles: {
+          1: { layoutType: 'outline', direction: 'left', horizontalShift: 50 },
+          2: { layoutType: 'outline', direction: 'left', horizontalShift: 50 },
+          3: { layoutType: 'outline', direction: 'left', horizontalShift: 50 },
+          4: { layoutType: 'outline', direction: 'left', horizontalShift: 50 },
+          5: { layoutType: 'outline', direction: 'left', horizontalShift: 50 },
+          6: { layoutType: 'outline', direction: 'left', horizontalShift: 50 }
+        },
+        defaultStyle: { 
+          layoutType: 'outline', 
+          direction: 'left', 
+          horizontalShift: 50 
+        }
+      });
+    
+      // Set node overrides
+      if (rootNode) {
+        rootNode.setOverride('layoutType', 'outline');
+        rootNode.setOverride('direction', 'left');
+        rootNode.setOverride('horizontalShift', 50);
+      }
+    } else if (layoutType === 'outline-right') {
+      // Configure style system for outline right layout
+      styleManager.configure({
+        levelStyles: {
+          1: { layoutType: 'outline', direction: 'right', horizontalShift: 50 },
+          2: { layoutType: 'outline', direction: 'right', horizontalShift: 50 },
+          3: { layoutType: 'outline', direction: 'right', horizontalShift: 50 },
+          4: { layoutType: 'outline', direction: 'right', horizontalShift: 50 },
+          5: { layoutType: 'outline', direction: 'right', horizontalShift: 50 },
+          6: { layoutType: 'outline', direction: 'right', horizontalShift: 50 }
+        },
+        defaultStyle: { 
+          layoutType: 'outline', 
+          direction: 'right', 
+          horizontalShift: 50 
+        }
+      });
+    
+      // Set node overrides
+      if (rootNode) {
+        rootNode.setOverride('layoutType', 'outline');
+        rootNode.setOverride('direction', 'right');
+        rootNode.setOverride('horizontalShift', 50);
+      }
+    } else if (layoutType === 'vertical-up') {
+      // Configure style system
+      styleManager.configure({
+        levelStyles: {
+          1: { layoutType: 'vertical', direction: 'up', parentConnectionPoints: 'distributeEvenly', parentWidthPortionForConnectionPoints: 0.75 },
+          2: { layoutType: 'vertical', direction: 'up', parentConnectionPoints: 'distributeEvenly', parentWidthPortionForConnectionPoints: 0.75 },
+          3: { layoutType: 'vertical', direction: 'up', parentConnectionPoints: 'distributeEvenly', parentWidthPortionForConnectionPoints: 0.75 },
+          4: { layoutType: 'vertical', direction: 'up', parentConnectionPoints: 'distributeEvenly', parentWidthPortionForConnectionPoints: 0.75 },
+          5: { layoutType: 'vertical', direction: 'up', parentConnectionPoints: 'distributeEvenly', parentWidthPortionForConnectionPoints: 0.75 },
+          6: { layoutType: 'vertical', direction: 'up', parentConnectionPoints: 'distributeEvenly', parentWidthPortionForConnectionPoints: 0.75 }
+        },
+        defaultStyle: { 
+          layoutType: 'vertical', 
+          direction: 'up', 
+          parentConnectionPoints: 'distributeEvenly', 
+          parentWidthPortionForConnectionPoints: 0.75 
+        }
+      });
+    
+      // Set node overrides
+      if (rootNode) {
+        rootNode.setOverride('layoutType', 'vertical');
+        rootNode.setOverride('direction', 'up');
+        rootNode.setOverride('parentConnectionPoints', 'distributeEvenly');
+        rootNode.setOverride('parentWidthPortionForConnectionPoints', 0.75);
+      }
+    } else if (layoutType === 'vertical' || layoutType === 'vertical-down') {
+      // Configure style system
+      styleManager.configure({
+        levelStyles: {
+          1: { layoutType: 'vertical', direction: 'down', parentConnectionPoints: 'distributeEvenly', parentWidthPortionForConnectionPoints: 0.75 },
+          2: { layoutType: 'vertical', direction: 'down', parentConnectionPoints: 'distributeEvenly', parentWidthPortionForConnectionPoints: 0.75 },
+          3: { layoutType: 'vertical', direction: 'down', parentConnectionPoints: 'distributeEvenly', parentWidthPortionForConnectionPoints: 0.75 },
+          4: { layoutType: 'vertical', direction: 'down', parentConnectionPoints: 'distributeEvenly', parentWidthPortionForConnectionPoints: 0.75 },
+          5: { layoutType: 'vertical', direction: 'down', parentConnectionPoints: 'distributeEvenly', parentWidthPortionForConnectionPoints: 0.75 },
+          6: { layoutType: 'vertical', direction: 'down', parentConnectionPoints: 'distributeEvenly', parentWidthPortionForConnectionPoints: 0.75 }
+        },
+        defaultStyle: { 
+          layoutType: 'vertical', 
+          direction: 'down', 
+          parentConnectionPoints: 'distributeEvenly', 
+          parentWidthPortionForConnectionPoints: 0.75 
+        }
+      });
+    
+      // Set node overrides
+      if (rootNode) {
+        rootNode.setOverride('layoutType', 'vertical');
+        rootNode.setOverride('direction', 'down');
+        rootNode.setOverride('parentConnectionPoints', 'distributeEvenly');
+        rootNode.setOverride('parentWidthPortionForConnectionPoints', 0.75);
+      }
+    } else {
+      // Default case - use whatever layout type was provided
+      styleManager.setGlobalLayoutType(layoutType);
+    }
+  }
+}
+
+// For backward compatibility
+if (typeof window !== 'undefined') {
+  window.LayoutConfigurations = LayoutConfigurations;
+}
+
+export default LayoutConfigurations;
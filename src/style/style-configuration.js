@@ -30,6 +30,13 @@ class StyleConfiguration {
     this.direction = options.direction || null;
     this.parentConnectionPoints = options.parentConnectionPoints || 'single';
     this.parentWidthPortionForConnectionPoints = options.parentWidthPortionForConnectionPoints || 0.8;
+    // 'contour' packs sibling branches by their nodes instead of their bounding boxes (vertical and horizontal layouts)
+    this.layoutCompaction = options.layoutCompaction || null;
+    // 'date' spaces the events of a timeline by the dates in their text instead of keeping their order
+    this.timelineScale = options.timelineScale || null;
+    // Number of columns of the grid layout, or 'auto' to choose them for gridAspectRatio (width / height)
+    this.gridColumns = options.gridColumns || null;
+    this.gridAspectRatio = options.gridAspectRatio || null;
 
     // Colors and appearance
     this.backgroundColor = options.backgroundColor || '#090909';
@@ -1,6 +1,7 @@
 // src/style/style-manager.js - Pass styleManager to StyleConfiguration
 
 import StyleConfiguration from './style-configuration.js';
+import NodeTags from '../model/node-tags.js';
 
 /**
  * Manages styles for the entire mindmap
@@ -25,6 +26,9 @@ class StyleManager {
     // Define default styles for different levels
     this.levelStyles = this.createInitialLevelStyles();
 
+    // Style properties for nodes with a tag, by normalized tag (see NodeTags.normalize()), e.g. { risk: { borderColor: '#e33' } }
+    this.tagStyles = {};
+
     // Initialize defaultLevelStyle with properties from level 6
     // This ensures level 7+ nodes have consistent styling with level 6
 //    const level6Style = this.levelStyles[6];
@@ -163,6 +167,12 @@ class StyleManager {
       return overrideValue;
     }
 
+    // Then the styles of the node's tags
+    const tagValue = this.getTagValue(node, property);
+    if (tagValue !== undefined) {
+      return tagValue;
+    }
+
     // Check parent inheritance if enabled
     if (!value && inheritFromParent && node.parent) {
       // Recursively check parent's effective value
@@ -185,6 +195,31 @@ class StyleManager {
     return value;
   }
 
+  /**
+   * Get the style properties set for a tag
+   * @param {string} tag - The tag, with or without '#' (case does not matter)
+   * @return {Object|null} The properties, or null if the tag has no style
+   */
+  getTagStyle(tag) {
+    return this.tagStyles[NodeTags.normalize(tag)] || null;
+  }
+
+  /**
+   * Get the value a tag style sets for a node
+   * @param {Node} node - The node
+   * @param {string} property - The property name
+   * @return {any} The value from the style of the node's first tag that sets the property, or undefined
+   */
+  getTagValue(node, property) {
+    for (const tag of node.tags || []) {
+      const tagStyle = this.getTagStyle(tag);
+      if (tagStyle && tagStyle[property] !== undefined) {
+        return tagStyle[property];
+      }
+    }
+    return undefined;
+  }
+
   /**
    * Get the appropriate style for a specific level
    * @param {number} level - The level to get style for
@@ -219,6 +254,14 @@ class StyleManager {
       }
     }
 
+    if (options.tagStyles) {
+      // Merge the properties of each tag with those set before
+      for (const [tag, styleOptions] of Object.entries(options.tagStyles)) {
+        const key = NodeTags.normalize(tag);
+        this.tagStyles[key] = { ...this.tagStyles[key], ...styleOptions };
+      }
+    }
+
     if (options.defaultStyle) {
       this.defaultLevelStyle = new StyleConfiguration({
         ...this.defaultLevelStyle,
@@ -227,7 +270,7 @@ class StyleManager {
     }
     
     // Handle global configuration properties (properties not specific to levels)
-    const globalProps = ['outlineEdgeAlignment'];
+    const globalProps = ['outlineEdgeAlignment', 'rootGap'];
     globalProps.forEach(prop => {
       if (prop in options) {
         this.globalConfig[prop] = options[prop];
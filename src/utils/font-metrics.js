@@ -0,0 +1,162 @@
+// src/utils/font-metrics.js
+
+/**
+ * Font metrics backends used by the TextMetricsService.
+ *
+ * A backend is any object with a `measure(text, fontFamily, fontSize, fontWeight)`
+ * method returning `{ width, height }` in pixels. Backends that need a browser
+ * DOM must set `requiresDom` to true so that DOM-only features (like markdown
+ * rendering through dom-to-svg) are only used when they can work.
+ */
+
+/**
+ * Character widths of Helvetica in 1/1000 em, taken from the standard Adobe AFM files.
+ * Covers printable ASCII (32-126). Arial shares these metrics.
+ */
+const HELVETICA_WIDTHS = {
+  normal: [
+    278, 278, 355, 556, 556, 889, 667, 191, 333, 333, 389, 584, 278, 333, 278, 278,
+    556, 556, 556, 556, 556, 556, 556, 556, 556, 556, 278, 278, 584, 584, 584, 556,
+    1015, 667, 667, 722, 722, 667, 611, 778, 722, 278, 500, 667, 556, 833, 722, 778,
+    667, 778, 722, 667, 611, 722, 667, 944, 667, 667, 611, 278, 278, 278, 469, 556,
+    333, 556, 556, 500, 556, 556, 278, 556, 556, 222, 222, 500, 222, 833, 556, 556,
+    556, 556, 333, 500, 278, 556, 500, 722, 500, 500, 500, 334, 260, 334, 584
+  ],
+  bold: [
+    278, 333, 474, 556, 556, 889, 722, 238, 333, 333, 389, 584, 278, 333, 278, 278,
+    556, 556, 556, 556, 556, 556, 556, 556, 556, 556, 333, 333, 584, 584, 584, 611,
+    975, 722, 722, 722, 722, 667, 611, 778, 722, 278, 556, 722, 611, 833, 722, 778,
+    667, 778, 722, 667, 611, 722, 667, 944, 667, 667, 611, 333, 278, 333, 584, 556,
+    333, 556, 611, 556, 611, 556, 333, 611, 611, 278, 278, 556, 278, 889, 611, 611,
+    611, 611, 389, 556, 333, 611, 556, 778, 556, 556, 500, 389, 280, 389, 584
+  ]
+};
+
+/**
+ * Measures text by rendering it into a hidden element in the browser DOM
+ */
+class DomFontMetrics {
+  /**
+   * Create a new DomFontMetrics backend
+   */
+  constructor() {
+    this.name = 'dom';
+    this.requiresDom = true;
+  }
+
+  /**
+   * Measure the dimensions of text with given style
+   * @param {string} text - The text to measure
+   * @param {string} fontFamily - Font family
+   * @param {number} fontSize - Font size in pixels
+   * @param {string} fontWeight - Font weight
+   * @return {Object} The width and height of the text
+   */
+  measure(text, fontFamily, fontSize, fontWeight) {
+    // Create temporary element for measurement
+    const temp = document.createElement('div');
+    temp.style.position = 'absolute';
+    temp.style.visibility = 'hidden';
+    temp.style.fontFamily = fontFamily;
+    temp.style.fontSize = fontSize + 'px';
+    temp.style.fontWeight = fontWeight;
+    temp.style.whiteSpace = 'nowrap';
+    temp.textContent = text;
+
+    document.body.appendChild(temp);
+    const width = temp.offsetWidth;
+    const height = temp.offsetHeight;
+    document.body.removeChild(temp);
+
+    return {
+      width: Math.max(width, 0),
+      height: Math.max(height, 0)
+    };
+  }
+}
+
+/**
+ * Measures text from static per-character width tables (AFM style), without any DOM.
+ * Used for headless rendering in Node.js, e.g. when generating diagrams at build time.
+ */
+class WidthTableFontMetrics {
+  /**
+   * Create a new WidthTableFontMetrics backend
+   * @param {Object} options - Backend options
+   * @param {Object} options.tables - Width tables keyed by weight ('normal', 'bold'),
+   *   each an array of widths in 1/1000 em for character codes starting at 32
+   * @param {number} options.defaultWidth - Width in 1/1000 em for characters missing from the table
+   * @param {number} options.wideWidth - Width in 1/1000 em for East Asian wide characters
+   * @param {number} options.lineHeight - Line height as a multiple of the font size
+   */
+  constructor(options = {}) {
+    this.name = 'width-table';
+    this.requiresDom = false;
+    this.tables = options.tables || HELVETICA_WIDTHS;
+    this.defaultWidth = options.defaultWidth || 556;
+    this.wideWidth = options.wideWidth || 1000;
+    this.lineHeight = options.lineHeight || 1.2;
+  }
+
+  /**
+   * Measure the dimensions of text with given style
+   * @param {string} text - The text to measure
+   * @param {string} fontFamily - Font family (ignored, the tables describe a single family)
+   * @param {number} fontSize - Font size in pixels
+   * @param {string} fontWeight - Font weight
+   * @return {Object} The width and height of the text
+   */
+  measure(text, fontFamily, fontSize, fontWeight) {
+    const size = parseFloat(fontSize) || 14;
+    const table = this._isBold(fontWeight) ? (this.tables.bold || this.tables.normal) : this.tables.normal;
+
+    let units = 0;
+    for (const char of String(text)) {
+      units += this._charWidth(char.codePointAt(0), table);
+    }
+
+    return {
+      width: Math.ceil(units * size / 1000),
+      height: Math.ceil(size * this.lineHeight)
+    };
+  }
+
+  /**
+   * Check whether a CSS font weight should use the bold table
+   * @private
+   * @param {string|number} fontWeight - The CSS font weight
+   * @return {boolean} True for bold weights
+   */
+  _isBold(fontWeight) {
+    if (fontWeight === 'bold' || fontWeight === 'bolder') return true;
+    return parseInt(fontWeight, 10) >= 600;
+  }
+
+  /**
+   * Get the width of a single character in 1/1000 em
+   * @private
+   * @param {number} code - The Unicode code point
+   * @param {Array<number>} table - The width table to use
+   * @return {number} Character width
+   */
+  _charWidth(code, table) {
+    if (code >= 32 && code - 32 < table.length) {
+      return table[code - 32];
+    }
+    // CJK, Hangul, full-width forms and emoji take a full em
+    if ((code >= 0x1100 && code <= 0x115F) || (code >= 0x2E80 && code <= 0xA4CF) ||
+        (code >= 0xAC00 && code <= 0xD7A3) || (code >= 0xF900 && code <= 0xFAFF) ||
+        (code >= 0xFF00 && code <= 0xFF60) || code >= 0x1F300) {
+      return this.wideWidth;
+    }
+    return this.defaultWidth;
+  }
+}
+
+// For backward compatibility
+if (typeof window !== 'undefined') {
+  window.DomFontMetrics = DomFontMetrics;
+  window.WidthTableFontMetrics = WidthTableFontMetrics;
+}
+
+export { DomFontMetrics, WidthTableFontMetrics, HELVETICA_WIDTHS };
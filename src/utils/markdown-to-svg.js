@@ -1,8 +1,8 @@
 // src/utils/markdown-to-svg.js
 import { marked } from 'marked';
 import DOMPurify from 'dompurify';
-import { elementToSVG } from 'dom-to-svg';
 import { traceDomToSvgProcess, diagnoseSvgOutput } from './dom-svg-diagnostics.js';
+import WikiLinks from './wiki-links.js';
 
 // Simple synchronous implementation - no caching
 
@@ -42,7 +42,7 @@ export async function markdownToSvg(
   
   // --- Step 1: Convert Markdown to sanitized HTML ---
   log('1️⃣ Converting Markdown to HTML');
-  const rawHtml = marked.parse(markdownContent);
+  const rawHtml = marked.parse(WikiLinks.toText(markdownContent)); // [[links]] show their label
   log('Raw HTML generated:', rawHtml.substring(0, 200) + (rawHtml.length > 200 ? '...' : ''));
   
   const cleanHtml = DOMPurify.sanitize(rawHtml);
@@ -86,6 +86,8 @@ export async function markdownToSvg(
     
     // Convert DOM to SVG
     log('6️⃣ Converting HTML to SVG with dom-to-svg');
+    // Loaded lazily so that this module can be imported outside the browser (e.g. headless rendering in Node)
+    const { elementToSVG } = await import('dom-to-svg');
     const svgDocument = elementToSVG(container);
     
     // Set fixed attributes on the SVG
@@ -562,7 +564,7 @@ export function markdownToSvgSync(markdownContent, maxWidth = 400, options = { v
   
   try {
     // --- Step 1: Convert Markdown to sanitized HTML ---
-    const rawHtml = marked.parse(markdownContent);
+    const rawHtml = marked.parse(WikiLinks.toText(markdownContent)); // [[links]] show their label
     const cleanHtml = DOMPurify.sanitize(rawHtml);
     
     // --- Step 2: Calculate optimal width ---
@@ -619,7 +621,7 @@ export function markdownToSvgSync(markdownContent, maxWidth = 400, options = { v
  */
 export function markdownToText(markdownContent) {
   // Simple fallback function to extract plain text
-  return markdownContent
+  return WikiLinks.toText(markdownContent) // Replace [[links]] with their label
     .replace(/#+\s+/g, '') // Remove heading markers
     .replace(/\*\*([^*]+)\*\*/g, '$1') // Remove bold markers
     .replace(/\*([^*]+)\*/g, '$1') // Remove italic markers
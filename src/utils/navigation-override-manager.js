@@ -100,6 +100,16 @@ class NavigationOverrideManager {
         right: this.findNodeInDirection(node, 'ArrowRight')
       };
       
+      // Overrides kept in the model (loaded from a saved document or set by the user) are applied on top of the computed ones
+      const imported = this.model.getNavigationOverrides()[node.id];
+      if (imported) {
+        for (const direction of Object.keys(overrides)) {
+          if (direction in imported) {
+            overrides[direction] = imported[direction] ? this.model.findNodeById(imported[direction]) : null;
+          }
+        }
+      }
+      
       this.navigationOverrides.set(node.id, overrides);
       console.log(`NavigationOverrideManager: Initialized overrides for "${node.text}":`, 
         Object.fromEntries(Object.entries(overrides).map(([k, v]) => [k, v ? v.text : null])));
@@ -754,6 +764,7 @@ class NavigationOverrideManager {
     
     // Update the override
     overrides[normalizedDirection] = targetNode;
+    this._storeOverride(sourceNodeId, normalizedDirection);
     
     // Create new arrow (use original direction for consistency with drag points)
     const sourceNode = this.model.findNodeById(sourceNodeId);
@@ -804,11 +815,27 @@ class NavigationOverrideManager {
     
     // Remove the override (set to null)
     overrides[normalizedDirection] = null;
+    this._storeOverride(sourceNodeId, normalizedDirection);
     
     const sourceNode = this.model.findNodeById(sourceNodeId);
     console.log(`NavigationOverrideManager: Removed ${normalizedDirection} navigation for "${sourceNode?.text}"`);
   }
 
+  /**
+   * Store a navigation target set by the user in the model, where the change can be undone and survives re-renders
+   * Only the directions the user changed are stored; the others keep following the layout.
+   * @private
+   * @param {string} nodeId - The ID of the source node
+   * @param {string} direction - The direction (up, down, left or right)
+   */
+  _storeOverride(nodeId, direction) {
+    const target = this.navigationOverrides.get(nodeId)[direction];
+    this.model.setNavigationOverride(nodeId, {
+      ...this.model.getNavigationOverrides()[nodeId],
+      [direction]: target ? target.id : null
+    });
+  }
+
   /**
    * Export navigation overrides as test data
    */
@@ -838,11 +865,26 @@ class NavigationOverrideManager {
     return exportData;
   }
 
+  /**
+   * Get the navigation overrides set by the user in the compact form stored in .mindmap documents
+   * Targets computed from the layout are not included, so that they follow later changes of the map.
+   * @return {Object} nodeId -> { up, down, left, right } with target node IDs (or null), for the directions the user set
+   */
+  getOverrideData() {
+    const data = {};
+    for (const [nodeId, targets] of Object.entries(this.model.getNavigationOverrides())) {
+      if (this.model.findNodeById(nodeId)) {
+        data[nodeId] = { ...targets };
+      }
+    }
+    return data;
+  }
+
   /**
    * Extract mindmap title from the model
    */
   extractMindmapTitle() {
-    const rootNode = this.model.getRoot();
+    const [rootNode] = this.model.getRoots();
     return rootNode ? rootNode.text : 'Untitled Mindmap';
   }
 
@@ -867,6 +909,8 @@ class NavigationOverrideManager {
     this.hideDragPoints();
     this.hideArrows();
     this.navigationOverrides.clear();
+    // A replaced manager must not react to the mouse events it still listens to
+    this.enabled = false;
   }
 }
 
@@ -0,0 +1,65 @@
+/**
+ * Tests for the navigation overrides set by the user
+ */
+
+import { useWidthTableMetrics, layOut } from '../../tests/utils/layout-test-utils.js';
+import MindmapController from '../controller/mindmap-controller.js';
+import NavigationOverrideManager from './navigation-override-manager.js';
+
+const PLAN = `# Launch
+## Build
+### Backend
+### Frontend
+## Ship`;
+
+/**
+ * Create an override manager for a laid out map, without drawing its arrows
+ * @param {string} markdown - The markdown of the map
+ * @returns {Promise<{model: Object, controller: MindmapController, manager: NavigationOverrideManager}>} The parts
+ */
+async function createManager(markdown = PLAN) {
+  const { model, styleManager } = await layOut(markdown, 'horizontal');
+  const controller = new MindmapController(model, { isNodeHidden: () => false }, styleManager, null);
+  const manager = new NavigationOverrideManager(model, null, controller, { addEventListener: () => {} });
+  jest.spyOn(manager, 'createArrow').mockImplementation(() => {});
+  controller.navigationOverrideManager = manager;
+  manager.initializeOverrides();
+  return { model, controller, manager };
+}
+
+describe('NavigationOverrideManager', () => {
+  useWidthTableMetrics();
+
+  test('stores only the directions set by the user', async () => {
+    const { model, controller, manager } = await createManager();
+    const backend = model.findNodeByText('Backend');
+    const ship = model.findNodeByText('Ship');
+
+    manager.setNavigationOverride(backend.id, 'south', ship);
+    manager.removeNavigationOverride(backend.id, 'west');
+    expect(model.getNavigationOverrides()).toEqual({ [backend.id]: { down: ship.id, left: null } });
+    expect(controller.getNavigationOverrideData()).toEqual({ [backend.id]: { down: ship.id, left: null } });
+
+    // Removing a direction is a change of its own
+    model.undo();
+    expect(model.getNavigationOverrides()).toEqual({ [backend.id]: { down: ship.id } });
+  });
+
+  test('computes the other directions from the map as it is now', async () => {
+    const { model, controller, manager } = await createManager();
+    const backend = model.findNodeByText('Backend');
+    const ship = model.findNodeByText('Ship');
+    manager.setNavigationOverride(backend.id, 'south', ship);
+
+    // As in an opened document, only the stored directions are applied to a map that changed since
+    model.setNavigationOverrides(controller.getNavigationOverrideData());
+    const api = model.addNode(model.findNodeByText('Build').id, 1, 'API');
+    controller.applyLayout();
+    manager.initializeOverrides();
+
+    expect(manager.navigationOverrides.get(backend.id).down).toBe(ship);
+    expect(manager.navigationOverrides.get(api.id).up).toBe(backend);
+    expect(manager.navigationOverrides.get(model.findNodeByText('Frontend').id).up).toBe(api);
+    expect(manager.getOverrideData()).toEqual({ [backend.id]: { down: ship.id } });
+  });
+});
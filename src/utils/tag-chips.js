@@ -0,0 +1,64 @@
+// src/utils/tag-chips.js
+
+import textMetrics from './text-metrics.js';
+
+/**
+ * Size of the tag chips drawn inside nodes
+ *
+ * Tagged nodes get a small pill per tag ("#risk") right of their text, before the task progress
+ * badge. Layouts reserve the space through TaskDecorations.getInsets() and the renderer draws
+ * into it, so both take their sizes from here.
+ */
+class TagChips {
+  // Space between two chips
+  static GAP = 4;
+  // Horizontal padding inside a chip
+  static PADDING = 5;
+
+  /**
+   * Get the font size of the chip text for a level style
+   * @param {StyleConfiguration} levelStyle - The style of the node's level
+   * @returns {number} Font size in pixels
+   */
+  static getFontSize(levelStyle) {
+    return Math.max(9, Math.round(levelStyle.fontSize * 0.75));
+  }
+
+  /**
+   * Measure the chips of a node
+   * @param {MindmapNode} node - The node
+   * @param {StyleConfiguration} levelStyle - The style of the node's level
+   * @returns {Array<{tag: string, text: string, offset: number, width: number, height: number, fontSize: number}>}
+   *   The chips from left to right, with their offset from the left edge of the first chip
+   */
+  static getChips(node, levelStyle) {
+    const fontSize = this.getFontSize(levelStyle);
+    const height = Math.round(fontSize * 1.4);
+    let offset = 0;
+    return [...(node.tags || [])].map(tag => {
+      const text = `#${tag}`;
+      const metrics = textMetrics.measureText(text, levelStyle.fontFamily, fontSize, 'normal');
+      const chip = { tag, text, offset, width: Math.ceil(metrics.width) + this.PADDING * 2, height, fontSize };
+      offset += chip.width + this.GAP;
+      return chip;
+    });
+  }
+
+  /**
+   * Get the width of all chips of a node
+   * @param {Array<Object>} chips - Chips from getChips()
+   * @returns {number} Width in pixels, 0 if there are no chips
+   */
+  static getWidth(chips) {
+    if (chips.length === 0) return 0;
+    const last = chips[chips.length - 1];
+    return last.offset + last.width;
+  }
+}
+
+// For backward compatibility
+if (typeof window !== 'undefined') {
+  window.TagChips = TagChips;
+}
+
+export default TagChips;
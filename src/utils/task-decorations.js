@@ -0,0 +1,92 @@
+// src/utils/task-decorations.js
+
+import textMetrics from './text-metrics.js';
+import TagChips from './tag-chips.js';
+
+/**
+ * Size of the task checkbox and the progress badge drawn inside nodes
+ *
+ * Task items get a checkbox left of their text; nodes with task items among their descendants
+ * get a "done/total" badge right of it. Layouts reserve the space (getInsets) and the renderer
+ * draws into it, so both take their sizes from here. The insets also cover the tag chips (TagChips),
+ * which sit between the text and the badge.
+ */
+class TaskDecorations {
+  // Space between a decoration and the node text
+  static GAP = 8;
+  // Horizontal padding inside the badge
+  static BADGE_PADDING = 5;
+
+  /**
+   * Get the side length of the checkbox for a level style
+   * @param {StyleConfiguration} levelStyle - The style of the node's level
+   * @returns {number} Checkbox size in pixels
+   */
+  static getCheckboxSize(levelStyle) {
+    return Math.round(levelStyle.fontSize * 0.9);
+  }
+
+  /**
+   * Get the font size of the badge text for a level style
+   * @param {StyleConfiguration} levelStyle - The style of the node's level
+   * @returns {number} Font size in pixels
+   */
+  static getBadgeFontSize(levelStyle) {
+    return Math.max(9, Math.round(levelStyle.fontSize * 0.75));
+  }
+
+  /**
+   * Get the progress badge text of a node
+   * @param {MindmapNode} node - The node
+   * @returns {string|null} "done/total" of the descendant tasks, or null if there are none
+   */
+  static getBadgeText(node) {
+    const { done, total } = node.getTaskProgress();
+    return total > 0 ? `${done}/${total}` : null;
+  }
+
+  /**
+   * Measure the progress badge of a node
+   * @param {MindmapNode} node - The node
+   * @param {StyleConfiguration} levelStyle - The style of the node's level
+   * @returns {{text: string, width: number, height: number, fontSize: number}|null} The badge, or null if the node has none
+   */
+  static getBadge(node, levelStyle) {
+    const text = this.getBadgeText(node);
+    if (!text) return null;
+
+    const fontSize = this.getBadgeFontSize(levelStyle);
+    const metrics = textMetrics.measureText(text, levelStyle.fontFamily, fontSize, 'normal');
+    return {
+      text,
+      width: Math.ceil(metrics.width) + this.BADGE_PADDING * 2,
+      height: Math.round(fontSize * 1.4),
+      fontSize
+    };
+  }
+
+  /**
+   * Get the room the decorations take on each side of the node text
+   * @param {MindmapNode} node - The node
+   * @param {StyleConfiguration} levelStyle - The style of the node's level
+   * @returns {{left: number, right: number, badge: number}} Widths in pixels, including the gaps to the text;
+   *   `badge` is the part of `right` taken by the badge, right of the tag chips
+   */
+  static getInsets(node, levelStyle) {
+    const badge = this.getBadge(node, levelStyle);
+    const badgeInset = badge ? badge.width + this.GAP : 0;
+    const chipsWidth = TagChips.getWidth(TagChips.getChips(node, levelStyle));
+    return {
+      left: node.isTask() ? this.getCheckboxSize(levelStyle) + this.GAP : 0,
+      right: badgeInset + (chipsWidth ? chipsWidth + this.GAP : 0),
+      badge: badgeInset
+    };
+  }
+}
+
+// For backward compatibility
+if (typeof window !== 'undefined') {
+  window.TaskDecorations = TaskDecorations;
+}
+
+export default TaskDecorations;
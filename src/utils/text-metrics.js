@@ -1,14 +1,50 @@
 // src/utils/text-metrics.js
 
+import { DomFontMetrics, WidthTableFontMetrics } from './font-metrics.js';
+
 /**
  * Service for measuring text dimensions
+ * Delegates the actual measurement to a pluggable font metrics backend
  */
 class TextMetricsService {
   /**
    * Create a new TextMetricsService
+   * @param {Object} backend - Font metrics backend (defaults to DOM measurement when a document exists)
    */
-  constructor() {
+  constructor(backend = null) {
     this.tempElement = null;
+    this.backend = backend || (typeof document !== 'undefined' ? new DomFontMetrics() : new WidthTableFontMetrics());
+  }
+
+  /**
+   * Replace the font metrics backend
+   * @param {Object} backend - Object with a measure(text, fontFamily, fontSize, fontWeight) method
+   * @return {Object} The previously used backend
+   */
+  setBackend(backend) {
+    if (!backend || typeof backend.measure !== 'function') {
+      throw new Error('Font metrics backend must implement measure(text, fontFamily, fontSize, fontWeight)');
+    }
+    const previous = this.backend;
+    this.backend = backend;
+    return previous;
+  }
+
+  /**
+   * Get the current font metrics backend
+   * @return {Object} The backend
+   */
+  getBackend() {
+    return this.backend;
+  }
+
+  /**
+   * Check whether measurements come from the browser DOM
+   * DOM-only features such as markdown rendering through dom-to-svg are skipped otherwise
+   * @return {boolean} True if the backend needs a DOM
+   */
+  isDomBacked() {
+    return !!this.backend.requiresDom;
   }
 
   /**
@@ -20,25 +56,7 @@ class TextMetricsService {
    * @return {Object} The width and height of the text
    */
   measureText(text, fontFamily, fontSize, fontWeight) {
-    // Create temporary element for measurement
-    const temp = document.createElement('div');
-    temp.style.position = 'absolute';
-    temp.style.visibility = 'hidden';
-    temp.style.fontFamily = fontFamily;
-    temp.style.fontSize = fontSize + 'px';
-    temp.style.fontWeight = fontWeight;
-    temp.style.whiteSpace = 'nowrap';
-    temp.textContent = text;
-
-    document.body.appendChild(temp);
-    const width = temp.offsetWidth;
-    const height = temp.offsetHeight;
-    document.body.removeChild(temp);
-
-    return {
-      width: Math.max(width, 0),
-      height: Math.max(height, 0)
-    };
+    return this.backend.measure(text, fontFamily, fontSize, fontWeight);
   }
 
   /**
@@ -64,24 +82,13 @@ class TextMetricsService {
       };
     }
 
-    // Create temporary element for measurement
-    const temp = document.createElement('div');
-    temp.style.position = 'absolute';
-    temp.style.visibility = 'hidden';
-    temp.style.fontFamily = fontFamily;
-    temp.style.fontSize = fontSize + 'px';
-    temp.style.fontWeight = fontWeight;
-    // No wrapping for measurement
-    temp.style.whiteSpace = 'nowrap';
-    document.body.appendChild(temp);
+    const measureWidth = (str) => this.backend.measure(str, fontFamily, fontSize, fontWeight).width;
 
     // Measure a space character to determine word spacing
-    temp.textContent = ' ';
-    const spaceWidth = temp.offsetWidth;
+    const spaceWidth = measureWidth(' ');
     
     // Measure the line height using a character with descenders
-    temp.textContent = 'gjpqy';
-    const lineHeight = temp.offsetHeight;
+    const lineHeight = this.backend.measure('gjpqy', fontFamily, fontSize, fontWeight).height;
 
     // First, perform wrapping to get the lines
     const lines = [];
@@ -112,8 +119,7 @@ class TextMetricsService {
           let segment = remainingWord.substring(0, segmentLength);
           
           // Measure this segment
-          temp.textContent = segment;
-          const segmentWidth = temp.offsetWidth;
+          const segmentWidth = measureWidth(segment);
           
           // If it fits on current line, add it
           if (currentLineWidth + segmentWidth <= maxWidth || currentLine === '') {
@@ -137,8 +143,7 @@ class TextMetricsService {
         }
       } else {
         // Normal word handling
-        temp.textContent = word;
-        const wordWidth = temp.offsetWidth;
+        const wordWidth = measureWidth(word);
         
         // Check if adding this word would exceed maxWidth
         const widthWithWord = currentLineWidth + (currentLine ? spaceWidth : 0) + wordWidth;
@@ -171,8 +176,7 @@ class TextMetricsService {
     let maxLineWidth = 0;
     
     for (let i = 0; i < lines.length; i++) {
-      temp.textContent = lines[i];
-      const actualWidth = temp.offsetWidth;
+      const actualWidth = measureWidth(lines[i]);
       lineWidths.push(actualWidth);
       maxLineWidth = Math.max(maxLineWidth, actualWidth);
     }
@@ -185,8 +189,6 @@ class TextMetricsService {
       maxLineWidth = Math.min(Math.max(maxLineWidth, maxWidth * 0.8), maxWidth);
     }
     
-    document.body.removeChild(temp);
-    
     return {
       lines: lines,
       lineWidths: lineWidths,
@@ -205,4 +207,5 @@ if (typeof window !== 'undefined') {
   window.textMetrics = textMetrics;
 }
 
+export { TextMetricsService };
 export default textMetrics;
\ No newline at end of file
@@ -0,0 +1,63 @@
+// src/utils/wiki-links.js
+
+/**
+ * Obsidian-style links between nodes and the block anchors they can point at
+ *
+ *   ## Build ^build
+ *   ## Ship (after [[Build]])
+ *   - Release notes, see [[#^build|the build]]
+ *
+ * `[[Node text]]` links to the node with that text, `[[#^anchor]]` to the node whose text ends
+ * with the `^anchor` block id. An optional `|label` sets the text shown in place of the link.
+ */
+class WikiLinks {
+  static LINK_PATTERN = /\[\[([^[\]|]+)(?:\|([^[\]]+))?\]\]/g;
+  static ANCHOR_PATTERN = /\s+\^([A-Za-z0-9-]+)\s*$/;
+
+  /**
+   * Get the link targets in a text
+   * @param {string} text - Node text
+   * @returns {Array<{anchor: string}|{text: string}>} Targets by block anchor or by node text, in order of appearance
+   */
+  static getTargets(text) {
+    const targets = [];
+    for (const match of (text || '').matchAll(this.LINK_PATTERN)) {
+      const target = match[1].trim();
+      if (target.startsWith('#^')) {
+        targets.push({ anchor: target.slice(2) });
+      } else if (target.replace(/^#/, '')) {
+        targets.push({ text: target.replace(/^#/, '') });
+      }
+    }
+    return targets;
+  }
+
+  /**
+   * Replace links by the text they show
+   * @param {string} text - Text with links
+   * @returns {string} The text with each link replaced by its label, or its target without the brackets
+   */
+  static toText(text) {
+    return (text || '').replace(this.LINK_PATTERN, (match, target, label) => (label || target.replace(/^#\^?/, '')).trim());
+  }
+
+  /**
+   * Split a trailing `^anchor` block id off node text
+   * @param {string} text - Heading or list item text
+   * @returns {{text: string, anchor: string|null}} The text without the block id, and the block id (null if there is none)
+   */
+  static parseAnchor(text) {
+    const match = (text || '').match(this.ANCHOR_PATTERN);
+    if (!match || match.index === 0) {
+      return { text, anchor: null };
+    }
+    return { text: text.slice(0, match.index), anchor: match[1] };
+  }
+}
+
+// For backward compatibility
+if (typeof window !== 'undefined') {
+  window.WikiLinks = WikiLinks;
+}
+
+export default WikiLinks;
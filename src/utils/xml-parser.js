@@ -0,0 +1,265 @@
+// src/utils/xml-parser.js
+
+/**
+ * Small, dependency-free XML parser for importing mindmap files
+ * Works the same in the browser and in Node.js (no DOMParser needed).
+ *
+ * Elements are parsed into plain objects:
+ *   { name, attributes: { ... }, children: [element | string] }
+ * Text content is kept as strings between child elements, so mixed content
+ * (e.g. HTML rich text) is preserved in order.
+ *
+ * The parser is lenient with HTML embedded in XML: void elements like <br>
+ * need not be closed, and unmatched closing tags are ignored.
+ */
+class XmlParser {
+  static VOID_ELEMENTS = new Set(['br', 'hr', 'img', 'meta', 'link', 'input', 'col', 'area', 'base', 'wbr']);
+
+  static NAMED_ENTITIES = {
+    lt: '<',
+    gt: '>',
+    amp: '&',
+    quot: '"',
+    apos: "'",
+    nbsp: ' '
+  };
+
+  /**
+   * Parse an XML string
+   * @param {string} xml - The XML text
+   * @returns {Object} The document (root) element
+   * @throws {Error} If the text contains no element or is malformed
+   */
+  static parse(xml) {
+    if (!xml || typeof xml !== 'string') {
+      throw new Error('XML parsing error: empty input');
+    }
+
+    const documentNode = { name: '#document', attributes: {}, children: [] };
+    const stack = [documentNode];
+    let pos = 0;
+
+    while (pos < xml.length) {
+      const current = stack[stack.length - 1];
+      const tagStart = xml.indexOf('<', pos);
+
+      if (tagStart === -1) {
+        this._appendText(current, xml.slice(pos));
+        break;
+      }
+      if (tagStart > pos) {
+        this._appendText(current, xml.slice(pos, tagStart));
+      }
+
+      if (xml.startsWith('<!--', tagStart)) {
+        pos = this._skipPast(xml, tagStart, '-->');
+      } else if (xml.startsWith('<![CDATA[', tagStart)) {
+        const end = xml.indexOf(']]>', tagStart);
+        if (end === -1) {
+          throw new Error('XML parsing error: unterminated CDATA section');
+        }
+        current.children.push(xml.slice(tagStart + 9, end));
+        pos = end + 3;
+      } else if (xml.startsWith('<?', tagStart)) {
+        pos = this._skipPast(xml, tagStart, '?>');
+      } else if (xml.startsWith('<!', tagStart)) {
+        // DOCTYPE and other declarations
+        pos = this._skipPast(xml, tagStart, '>');
+      } else if (xml[tagStart + 1] === '/') {
+        const end = this._findTagEnd(xml, tagStart);
+        const name = xml.slice(tagStart + 2, end).trim();
+        const openIndex = this._findOpenElement(stack, name);
+        if (openIndex > 0) {
+          stack.length = openIndex;
+        }
+        pos = end + 1;
+      } else {
+        const end = this._findTagEnd(xml, tagStart);
+        let content = xml.slice(tagStart + 1, end);
+        const selfClosing = content.endsWith('/');
+        if (selfClosing) {
+          content = content.slice(0, -1);
+        }
+
+        const match = content.match(/^\s*([^\s/>]+)/);
+        if (!match) {
+          throw new Error(`XML parsing error: invalid tag at position ${tagStart}`);
+        }
+        const element = {
+          name: match[1],
+          attributes: this._parseAttributes(content.slice(match[0].length)),
+          children: []
+        };
+        current.children.push(element);
+
+        if (!selfClosing && !this.VOID_ELEMENTS.has(element.name.toLowerCase())) {
+          stack.push(element);
+        }
+        pos = end + 1;
+      }
+    }
+
+    const root = documentNode.children.find(child => typeof child === 'object');
+    if (!root) {
+      throw new Error('XML parsing error: no root element');
+    }
+    return root;
+  }
+
+  /**
+   * Get the child elements of an element, optionally filtered by name
+   * @param {Object} element - The parent element
+   * @param {string} name - Element name to match (case-insensitive), or null for all
+   * @returns {Array<Object>} Matching child elements
+   */
+  static childElements(element, name = null) {
+    return element.children.filter(child =>
+      typeof child === 'object' && (!name || child.name.toLowerCase() === name.toLowerCase())
+    );
+  }
+
+  /**
+   * Get the first child element with the given name
+   * @param {Object} element - The parent element
+   * @param {string} name - Element name to match (case-insensitive)
+   * @returns {Object|null} The child element, or null
+   */
+  static childElement(element, name) {
+    return this.childElements(element, name)[0] || null;
+  }
+
+  /**
+   * Get the concatenated text of an element and its descendants
+   * @param {Object} element - The element
+   * @returns {string} The text content
+   */
+  static textContent(element) {
+    return element.children
+      .map(child => typeof child === 'string' ? child : this.textContent(child))
+      .join('');
+  }
+
+  /**
+   * Escape text for use in XML content or attribute values
+   * @param {string} text - The text to escape
+   * @returns {string} The escaped text
+   */
+  static escape(text) {
+    return String(text)
+      .replace(/&/g, '&amp;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;')
+      .replace(/"/g, '&quot;')
+      .replace(/\n/g, '&#10;');
+  }
+
+  /**
+   * Decode character and entity references
+   * @param {string} text - Raw text
+   * @returns {string} Decoded text
+   */
+  static decodeEntities(text) {
+    return text.replace(/&(#x[0-9a-f]+|#[0-9]+|[a-z]+);/gi, (entity, code) => {
+      if (code[0] === '#') {
+        const value = code[1] === 'x' || code[1] === 'X'
+          ? parseInt(code.slice(2), 16)
+          : parseInt(code.slice(1), 10);
+        // A reference to no valid character (e.g. &#x110000;) becomes the replacement character
+        const valid = value > 0 && value <= 0x10FFFF && (value < 0xD800 || value > 0xDFFF);
+        return valid ? String.fromCodePoint(value) : '\uFFFD';
+      }
+      const named = this.NAMED_ENTITIES[code.toLowerCase()];
+      return named !== undefined ? named : entity;
+    });
+  }
+
+  /**
+   * Append decoded text to an element
+   * @private
+   * @param {Object} element - The element receiving the text
+   * @param {string} raw - Raw text from the source
+   */
+  static _appendText(element, raw) {
+    if (raw) {
+      element.children.push(this.decodeEntities(raw));
+    }
+  }
+
+  /**
+   * Return the position after the next occurrence of a terminator
+   * @private
+   * @param {string} xml - The XML text
+   * @param {number} from - Position to search from
+   * @param {string} terminator - The text ending the construct (e.g. '-->')
+   * @returns {number} Position after the terminator
+   */
+  static _skipPast(xml, from, terminator) {
+    const end = xml.indexOf(terminator, from);
+    if (end === -1) {
+      throw new Error(`XML parsing error: missing "${terminator}"`);
+    }
+    return end + terminator.length;
+  }
+
+  /**
+   * Find the closing '>' of a tag, skipping over quoted attribute values
+   * @private
+   * @param {string} xml - The XML text
+   * @param {number} tagStart - Position of the '<'
+   * @returns {number} Position of the '>'
+   */
+  static _findTagEnd(xml, tagStart) {
+    let quote = null;
+    for (let i = tagStart + 1; i < xml.length; i++) {
+      const char = xml[i];
+      if (quote) {
+        if (char === quote) quote = null;
+      } else if (char === '"' || char === "'") {
+        quote = char;
+      } else if (char === '>') {
+        return i;
+      }
+    }
+    throw new Error(`XML parsing error: unterminated tag at position ${tagStart}`);
+  }
+
+  /**
+   * Find the innermost open element with a name
+   * @private
+   * @param {Array<Object>} stack - Open elements, outermost first
+   * @param {string} name - Element name from the closing tag
+   * @returns {number} Index in the stack, or -1 if not open
+   */
+  static _findOpenElement(stack, name) {
+    for (let i = stack.length - 1; i > 0; i--) {
+      if (stack[i].name.toLowerCase() === name.toLowerCase()) {
+        return i;
+      }
+    }
+    return -1;
+  }
+
+  /**
+   * Parse the attributes part of a start tag
+   * @private
+   * @param {string} source - Text after the element name
+   * @returns {Object} Attribute name -> decoded value
+   */
+  static _parseAttributes(source) {
+    const attributes = {};
+    const pattern = /([^\s=]+)(?:\s*=\s*(?:"([^"]*)"|'([^']*)'|([^\s"']+)))?/g;
+    let match;
+    while ((match = pattern.exec(source)) !== null) {
+      const value = match[2] ?? match[3] ?? match[4] ?? '';
+      attributes[match[1]] = this.decodeEntities(value);
+    }
+    return attributes;
+  }
+}
+
+// Make available globally
+if (typeof window !== 'undefined') {
+  window.XmlParser = XmlParser;
+}
+
+export default XmlParser;
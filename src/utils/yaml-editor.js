@@ -294,6 +294,12 @@ class YamlEditor {
     borderColor: "#cccccc"
     borderWidth: 1
     borderRadius: 3
+tagStyles:
+  risk:
+    borderColor: "#e03131"
+    borderWidth: 3
+  idea:
+    backgroundColor: "#fff3bf"
 `;
     } else if (this.type === 'layout') {
       return `levelStyles:
@@ -116,6 +116,23 @@ class YamlParser {
    * @private
    */
   static _parseValue(value) {
+    // Flow collections, e.g. { layout: taproot, levelStyles: { 1: { fontSize: 24 } } } or [a, b]
+    if (value.startsWith('{') && value.endsWith('}')) {
+      const result = {};
+      for (const item of this._splitFlowItems(value.slice(1, -1))) {
+        const colonIndex = item.indexOf(':');
+        if (colonIndex === -1) {
+          throw new Error(`Expected "key: value" in flow mapping, found "${item}"`);
+        }
+        const key = this._parseValue(item.substring(0, colonIndex).trim());
+        result[key] = this._parseValue(item.substring(colonIndex + 1).trim());
+      }
+      return result;
+    }
+    if (value.startsWith('[') && value.endsWith(']')) {
+      return this._splitFlowItems(value.slice(1, -1)).map(item => this._parseValue(item));
+    }
+
     // Remove quotes for string literals
     if ((value.startsWith('"') && value.endsWith('"')) || 
         (value.startsWith("'") && value.endsWith("'"))) {
@@ -195,7 +212,7 @@ class YamlParser {
         } else {
           // Check for layoutType property
           if (layout.layoutType) {
-            const validLayoutTypes = ['horizontal', 'vertical', 'taproot', 'classic'];
+            const validLayoutTypes = ['horizontal', 'vertical', 'taproot', 'classic', 'radial', 'fishbone', 'timeline', 'grid'];
             if (!validLayoutTypes.includes(layout.layoutType)) {
               errors.push(`Invalid layoutType for level ${level}: ${layout.layoutType}. Valid values are: ${validLayoutTypes.join(', ')}`);
             }
@@ -208,6 +225,31 @@ class YamlParser {
               errors.push(`Invalid direction for level ${level}: ${layout.direction}. Valid values are: ${validDirections.join(', ')}`);
             }
           }
+
+          // Check for layoutCompaction property
+          if (layout.layoutCompaction) {
+            const validCompactions = ['none', 'contour'];
+            if (!validCompactions.includes(layout.layoutCompaction)) {
+              errors.push(`Invalid layoutCompaction for level ${level}: ${layout.layoutCompaction}. Valid values are: ${validCompactions.join(', ')}`);
+            }
+          }
+
+          // Check for timelineScale property
+          if (layout.timelineScale) {
+            const validScales = ['order', 'date'];
+            if (!validScales.includes(layout.timelineScale)) {
+              errors.push(`Invalid timelineScale for level ${level}: ${layout.timelineScale}. Valid values are: ${validScales.join(', ')}`);
+            }
+          }
+
+          // Check for grid properties
+          if (layout.gridColumns !== undefined && layout.gridColumns !== 'auto' &&
+              !(Number.isInteger(layout.gridColumns) && layout.gridColumns > 0)) {
+            errors.push(`Invalid gridColumns for level ${level}: ${layout.gridColumns}. Must be a positive whole number or auto`);
+          }
+          if (layout.gridAspectRatio !== undefined && !(typeof layout.gridAspectRatio === 'number' && layout.gridAspectRatio > 0)) {
+            errors.push(`Invalid gridAspectRatio for level ${level}: ${layout.gridAspectRatio}. Must be a positive number`);
+          }
         }
       }
     }
@@ -218,6 +260,38 @@ class YamlParser {
     };
   }
 
+  /**
+   * Split the content of a flow collection at top-level commas
+   * @param {string} content - Text between the outer braces or brackets
+   * @returns {string[]} Trimmed, non-empty items
+   * @private
+   */
+  static _splitFlowItems(content) {
+    const items = [];
+    let depth = 0;
+    let quote = null;
+    let start = 0;
+
+    for (let i = 0; i < content.length; i++) {
+      const char = content[i];
+      if (quote) {
+        if (char === quote) quote = null;
+      } else if (char === '"' || char === "'") {
+        quote = char;
+      } else if (char === '{' || char === '[') {
+        depth++;
+      } else if (char === '}' || char === ']') {
+        depth--;
+      } else if (char === ',' && depth === 0) {
+        items.push(content.substring(start, i));
+        start = i + 1;
+      }
+    }
+    items.push(content.substring(start));
+
+    return items.map(item => item.trim()).filter(item => item !== '');
+  }
+
   /**
    * Convert a JavaScript object to YAML format
    * @param {Object} obj - The JavaScript object to convert
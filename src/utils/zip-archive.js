@@ -0,0 +1,199 @@
+// src/utils/zip-archive.js
+
+/**
+ * Minimal ZIP archive reading and writing for document formats that are zip containers (e.g. .xmind)
+ * Uses the standard CompressionStream / DecompressionStream APIs, available in browsers and Node.js 18+.
+ * Multi-disk archives, ZIP64 and encryption are not supported.
+ */
+
+const LOCAL_FILE_HEADER = 0x04034b50;
+const CENTRAL_DIRECTORY_HEADER = 0x02014b50;
+const END_OF_CENTRAL_DIRECTORY = 0x06054b50;
+const METHOD_STORED = 0;
+const METHOD_DEFLATE = 8;
+const FLAG_UTF8 = 0x0800;
+
+let crcTable = null;
+
+/**
+ * Compute the CRC-32 checksum used by ZIP
+ * @param {Uint8Array} data - The data
+ * @return {number} The unsigned checksum
+ */
+function crc32(data) {
+  if (!crcTable) {
+    crcTable = new Uint32Array(256);
+    for (let n = 0; n < 256; n++) {
+      let c = n;
+      for (let k = 0; k < 8; k++) {
+        c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+      }
+      crcTable[n] = c >>> 0;
+    }
+  }
+
+  let crc = 0xffffffff;
+  for (let i = 0; i < data.length; i++) {
+    crc = crcTable[(crc ^ data[i]) & 0xff] ^ (crc >>> 8);
+  }
+  return (crc ^ 0xffffffff) >>> 0;
+}
+
+/**
+ * Pipe data through a compression or decompression stream
+ * @private
+ * @param {Uint8Array} data - Input bytes
+ * @param {TransformStream} transform - CompressionStream or DecompressionStream
+ * @return {Promise<Uint8Array>} Output bytes
+ */
+async function _transform(data, transform) {
+  const stream = new Blob([data]).stream().pipeThrough(transform);
+  return new Uint8Array(await new Response(stream).arrayBuffer());
+}
+
+/**
+ * Convert the supported input types to a Uint8Array
+ * @private
+ * @param {ArrayBuffer|Uint8Array|Blob} data - Archive data
+ * @return {Promise<Uint8Array>} The bytes
+ */
+async function _toBytes(data) {
+  if (data instanceof Uint8Array) return data;
+  if (data instanceof ArrayBuffer) return new Uint8Array(data);
+  if (data && typeof data.arrayBuffer === 'function') return new Uint8Array(await data.arrayBuffer());
+  throw new Error('Unsupported zip data');
+}
+
+/**
+ * Read all files of a ZIP archive
+ * @param {ArrayBuffer|Uint8Array|Blob} data - The archive
+ * @return {Promise<Map<string, Uint8Array>>} File name -> uncompressed content (directories are skipped)
+ * @throws {Error} If the data is not a ZIP archive or uses an unsupported compression method
+ */
+async function readZip(data) {
+  const bytes = await _toBytes(data);
+  const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+
+  // The end-of-central-directory record is at the end, followed by an optional comment of up to 64 KB
+  let eocd = -1;
+  for (let i = bytes.length - 22; i >= Math.max(0, bytes.length - 22 - 0xffff); i--) {
+    if (view.getUint32(i, true) === END_OF_CENTRAL_DIRECTORY) {
+      eocd = i;
+      break;
+    }
+  }
+  if (eocd === -1) {
+    throw new Error('Not a zip archive');
+  }
+
+  const entryCount = view.getUint16(eocd + 10, true);
+  let offset = view.getUint32(eocd + 16, true);
+  const decoder = new TextDecoder();
+  const files = new Map();
+
+  for (let i = 0; i < entryCount; i++) {
+    if (view.getUint32(offset, true) !== CENTRAL_DIRECTORY_HEADER) {
+      throw new Error('Corrupt zip archive: invalid central directory');
+    }
+    const method = view.getUint16(offset + 10, true);
+    const compressedSize = view.getUint32(offset + 20, true);
+    const nameLength = view.getUint16(offset + 28, true);
+    const extraLength = view.getUint16(offset + 30, true);
+    const commentLength = view.getUint16(offset + 32, true);
+    const localHeader = view.getUint32(offset + 42, true);
+    const name = decoder.decode(bytes.subarray(offset + 46, offset + 46 + nameLength));
+    offset += 46 + nameLength + extraLength + commentLength;
+
+    if (name.endsWith('/')) continue;
+
+    if (view.getUint32(localHeader, true) !== LOCAL_FILE_HEADER) {
+      throw new Error(`Corrupt zip archive: invalid header for ${name}`);
+    }
+    const dataStart = localHeader + 30 + view.getUint16(localHeader + 26, true) + view.getUint16(localHeader + 28, true);
+    const compressed = bytes.subarray(dataStart, dataStart + compressedSize);
+
+    if (method === METHOD_STORED) {
+      files.set(name, compressed);
+    } else if (method === METHOD_DEFLATE) {
+      files.set(name, await _transform(compressed, new DecompressionStream('deflate-raw')));
+    } else {
+      throw new Error(`Unsupported zip compression method ${method} for ${name}`);
+    }
+  }
+
+  return files;
+}
+
+/**
+ * Create a ZIP archive
+ * @param {Object<string, string|Uint8Array>} files - File name -> content (strings are stored as UTF-8)
+ * @return {Promise<Uint8Array>} The archive
+ */
+async function createZip(files) {
+  const encoder = new TextEncoder();
+  const localParts = [];
+  const centralParts = [];
+  let offset = 0;
+
+  // Fixed timestamp (1980-01-01) so that identical content produces identical archives
+  const dosTime = 0;
+  const dosDate = (1 << 5) | 1;
+
+  for (const [name, content] of Object.entries(files)) {
+    const nameBytes = encoder.encode(name);
+    const data = typeof content === 'string' ? encoder.encode(content) : content;
+    const compressed = await _transform(data, new CompressionStream('deflate-raw'));
+    const crc = crc32(data);
+
+    const header = new DataView(new ArrayBuffer(30));
+    header.setUint32(0, LOCAL_FILE_HEADER, true);
+    header.setUint16(4, 20, true);
+    header.setUint16(6, FLAG_UTF8, true);
+    header.setUint16(8, METHOD_DEFLATE, true);
+    header.setUint16(10, dosTime, true);
+    header.setUint16(12, dosDate, true);
+    header.setUint32(14, crc, true);
+    header.setUint32(18, compressed.length, true);
+    header.setUint32(22, data.length, true);
+    header.setUint16(26, nameBytes.length, true);
+    header.setUint16(28, 0, true);
+
+    const central = new DataView(new ArrayBuffer(46));
+    central.setUint32(0, CENTRAL_DIRECTORY_HEADER, true);
+    central.setUint16(4, 20, true);
+    central.setUint16(6, 20, true);
+    central.setUint16(8, FLAG_UTF8, true);
+    central.setUint16(10, METHOD_DEFLATE, true);
+    central.setUint16(12, dosTime, true);
+    central.setUint16(14, dosDate, true);
+    central.setUint32(16, crc, true);
+    central.setUint32(20, compressed.length, true);
+    central.setUint32(24, data.length, true);
+    central.setUint16(28, nameBytes.length, true);
+    central.setUint32(42, offset, true);
+
+    localParts.push(new Uint8Array(header.buffer), nameBytes, compressed);
+    centralParts.push(new Uint8Array(central.buffer), nameBytes);
+    offset += 30 + nameBytes.length + compressed.length;
+  }
+
+  const centralSize = centralParts.reduce((size, part) => size + part.length, 0);
+  const end = new DataView(new ArrayBuffer(22));
+  const entryCount = Object.keys(files).length;
+  end.setUint32(0, END_OF_CENTRAL_DIRECTORY, true);
+  end.setUint16(8, entryCount, true);
+  end.setUint16(10, entryCount, true);
+  end.setUint32(12, centralSize, true);
+  end.setUint32(16, offset, true);
+
+  const parts = [...localParts, ...centralParts, new Uint8Array(end.buffer)];
+  const archive = new Uint8Array(offset + centralSize + 22);
+  let position = 0;
+  for (const part of parts) {
+    archive.set(part, position);
+    position += part.length;
+  }
+  return archive;
+}
+
+export { readZip, createZip, crc32 };
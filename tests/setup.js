@@ -66,6 +66,8 @@ setupTestEnvironment();
 jest.mock('../src/utils/text-metrics.js', () => ({
   __esModule: true,
   default: {
+    // Behave like the browser (DOM) backend so layouts keep using markdown sizing
+    isDomBacked: () => true,
     measureText: (text, fontFamily, fontSize, fontWeight) => {
       // Simple mock that returns size based on text length
       return {
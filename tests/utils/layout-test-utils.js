@@ -0,0 +1,103 @@
+/**
+ * Test utilities for layout tests, and for other tests that lay out or render maps (formats, headless, CLI)
+ *
+ * These tests measure text with the real text metrics service instead of the global mock from tests/setup.js,
+ * so that node sizes (and the positions that follow from them) are those of a real map. Import this module
+ * before the modules under test.
+ */
+
+// Use the real text metrics service instead of the global mock from tests/setup.js
+jest.unmock('../../src/utils/text-metrics.js');
+
+import MindmapModel from '../../src/model/mindmap-model.js';
+import StyleManager from '../../src/style/style-manager.js';
+import MindmapStylePresets from '../../src/style/style-presets.js';
+import LayoutConfigurations from '../../src/style/layout-configurations.js';
+import LayoutFactory from '../../src/layout/layout-factory.js';
+import textMetrics from '../../src/utils/text-metrics.js';
+import { WidthTableFontMetrics } from '../../src/utils/font-metrics.js';
+
+/**
+ * Measure text with the width tables of WidthTableFontMetrics and silence console.log in each test of the suite
+ * Call this in a describe() block.
+ */
+function useWidthTableMetrics() {
+  let logSpy;
+  let previousBackend;
+
+  beforeEach(() => {
+    logSpy = jest.spyOn(console, 'log').mockImplementation(() => {});
+    previousBackend = textMetrics.setBackend(new WidthTableFontMetrics());
+  });
+
+  afterEach(() => {
+    textMetrics.setBackend(previousBackend);
+    logSpy.mockRestore();
+  });
+}
+
+/**
+ * Parse markdown and lay it out like MindmapController.applyLayout()
+ * @param {string} markdown - The markdown
+ * @param {string} layout - Layout name (see LayoutConfigurations.getLayoutNames())
+ * @param {Object} options - Style YAML options passed to StyleManager.configure()
+ * @returns {Promise<{model: MindmapModel, styleManager: StyleManager}>} The laid out model and its styles
+ */
+async function layOut(markdown, layout, options = {}) {
+  const model = new MindmapModel();
+  await model.parseFromMarkdown(markdown);
+  const styleManager = new StyleManager();
+  MindmapStylePresets.applyPreset('default', styleManager);
+  LayoutConfigurations.apply(layout, styleManager, model.getRoot());
+  styleManager.configure(options);
+  LayoutFactory.createRootLayout(model.getRoot(), styleManager).applyLayout(model.getRoot(), 0, 0, styleManager);
+  return { model, styleManager };
+}
+
+/**
+ * Get the center of a node
+ * @param {MindmapNode} node - The node
+ * @returns {{x: number, y: number}} The center
+ */
+function center(node) {
+  return { x: node.x + node.width / 2, y: node.y + node.height / 2 };
+}
+
+/**
+ * Get all nodes of a tree
+ * @param {MindmapNode} node - The root of the tree
+ * @returns {Array<MindmapNode>} The node and its descendants
+ */
+function allNodes(node) {
+  return [node, ...node.children.flatMap(allNodes)];
+}
+
+/**
+ * Check if two nodes overlap
+ * @param {MindmapNode} a - A node
+ * @param {MindmapNode} b - Another node
+ * @returns {boolean} True if their rectangles intersect
+ */
+function overlaps(a, b) {
+  return a.x < b.x + b.width && b.x < a.x + a.width && a.y < b.y + b.height && b.y < a.y + a.height;
+}
+
+/**
+ * Check that no two nodes of a tree overlap
+ * @param {MindmapNode} root - The root of the tree
+ */
+function expectNoOverlaps(root) {
+  const nodes = allNodes(root);
+  nodes.forEach((a, i) => nodes.slice(i + 1).forEach(b => {
+    expect(overlaps(a, b) ? `${a.text} overlaps ${b.text}` : null).toBeNull();
+  }));
+}
+
+export {
+  useWidthTableMetrics,
+  layOut,
+  center,
+  allNodes,
+  overlaps,
+  expectNoOverlaps
+};